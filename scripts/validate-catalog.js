@@ -0,0 +1,14 @@
+// Fails the build when src/schemeData.js has duplicate ids, missing fields,
+// unknown tags or unknown regions. Wired up as `prebuild` in package.json.
+import SCHEMES from "../src/schemeData.js";
+import { validateCatalog } from "../src/validateCatalog.js";
+
+const errors = validateCatalog(SCHEMES);
+
+if (errors.length) {
+  console.error(`✖ Scheme catalogue has ${errors.length} problem(s):`);
+  for (const e of errors) console.error("  - " + e);
+  process.exit(1);
+}
+
+console.log(`✔ Scheme catalogue OK (${SCHEMES.length} schemes)`);
@@ -8,6 +8,7 @@ export default function AadhaarPage({ data }) {
     dobDate,
     gender,
     aadhaar,
+    address,
     raw,
   } = data;
 
@@ -46,6 +47,10 @@ export default function AadhaarPage({ data }) {
             <td>Aadhaar No.</td>
             <td style={styles.mono}>{aadhaar ?? "Not found"}</td>
           </tr>
+          <tr>
+            <td>Address</td>
+            <td>{address ?? "Not found"}</td>
+          </tr>
         </tbody>
       </table>
 
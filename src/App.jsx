@@ -4,115 +4,61 @@ import TRANSLATIONS from "./translations";
 import "./App.css";
 import DocumentResult from "./DocumentResult.jsx";
 import OcrScanner from "./OcrScanner";
+import SCHEMES from "./schemeData";
+import {
+  searchSchemes,
+  allTags,
+  filtersFromUrl,
+  filtersToUrl,
+  hasActiveFilters,
+} from "./search";
+import { STATES, UNION_TERRITORIES, ALL_STATES, stateFromAddress } from "./states";
+import { isValidAadhaar } from "./aadhaar";
+import { CATEGORIES } from "./eligibility";
+import MyApplications from "./MyApplications.jsx";
+import {
+  loadApplications,
+  saveApplications,
+  createApplication,
+  updateStatus,
+  addNote,
+  attachDocument,
+  detachDocument,
+  removeApplication,
+  statusInfo,
+} from "./applications";
+import Household from "./Household.jsx";
+import {
+  loadHousehold,
+  saveHousehold,
+  memberProfile,
+  setRationCard,
+  membersFromRationCard,
+} from "./household";
+import OcrReview from "./OcrReview.jsx";
+import BatchScanner from "./BatchScanner.jsx";
+import { reviewFields } from "./ocrReview";
+import { toOcrResult, parseDateString, calcAgeFromDate } from "./ocrResult";
 
 // ------------------ SCHEMES ------------------
-const SCHEMES = [
-  {
-    id: 1,
-    title: "Post Matric Scholarship (SC/ST/OBC/Minorities/PwD)",
-    emoji: "📝",
-    region: "Central",
-    desc: "Financial assistance for post-matric courses to students from disadvantaged categories.",
-    fund: "Tuition fee + maintenance allowance (varies by category)",
-    tags: ["Students", "Inclusion", "Education"],
-  },
-  {
-    id: 2,
-    title: "Indira Gandhi National Old Age Pension Scheme (IGNOAPS)",
-    emoji: "🧓",
-    region: "Central",
-    desc: "Monthly pension for elderly persons belonging to BPL households.",
-    fund: "₹200 – ₹500 per month (enhanced for 80+)",
-    tags: ["Senior Citizens", "BPL", "Pension"],
-  },
-  {
-    id: 3,
-    title: "Rashtriya Vayoshri Yojana (RVY)",
-    emoji: "♿",
-    region: "Central",
-    desc: "Provides assisted-living devices for senior citizens in BPL category suffering from age-related disabilities.",
-    fund: "Free devices support",
-    tags: ["Senior Citizens", "Disability"],
-  },
-  {
-    id: 4,
-    title: "Pradhan Mantri Awaas Yojana – Gramin (PMAY-G)",
-    emoji: "🏡",
-    region: "Central",
-    desc: "Provides pucca houses with basic amenities to homeless and those living in kutcha/dilapidated houses.",
-    fund: "₹1.2 – ₹1.5 lakh per house",
-    tags: ["Housing", "Rural Development"],
-  },
-  {
-    id: 5,
-    title: "Ayushman Bharat - PM Jan Arogya Yojana (PMJAY)",
-    emoji: "🩺",
-    region: "Central",
-    desc: "Provides ₹5 lakh annual health insurance cover per family for secondary & tertiary care.",
-    fund: "₹5,00,000 per family/year",
-    tags: ["Health", "Insurance"],
-  },
-  {
-    id: 6,
-    title: "National Apprenticeship Promotion Scheme (NAPS)",
-    emoji: "🛠️",
-    region: "Central",
-    desc: "Promotes apprenticeship training by supporting establishments and providing stipends to apprentices.",
-    fund: "Stipend + govt contribution",
-    tags: ["Skills", "Apprenticeship"],
-  },
-  {
-    id: 7,
-    title: "Pradhan Mantri Kaushal Vikas Yojana (PMKVY)",
-    emoji: "📚",
-    region: "Central",
-    desc: "Skill training for youth to improve employability and livelihood opportunities.",
-    fund: "Free training + certification",
-    tags: ["Skills", "Youth"],
-  },
-  {
-    id: 8,
-    title: "Deendayal Antyodaya Yojana – NRLM (Self Help Groups)",
-    emoji: "👩‍🦰",
-    region: "Central",
-    desc: "Mobilizes rural poor women into SHGs and provides financial support for livelihood generation.",
-    fund: "₹15,000 – ₹50,000 group support",
-    tags: ["Women", "Self Help Groups"],
-  },
-  {
-    id: 9,
-    title: "Deendayal Antyodaya Yojana – NULM",
-    emoji: "🏙️",
-    region: "Central",
-    desc: "Supports urban poor with skill training, micro-enterprises, shelters, and assistance to street vendors.",
-    fund: "Financial + skill training support",
-    tags: ["Urban", "Employment"],
-  },
-  {
-    id: 10,
-    title: "Senior Citizen Pension",
-    emoji: "👵",
-    region: "State",
-    desc: "Monthly pension for eligible elderly citizens under state welfare programs.",
-    fund: "₹1,000 – ₹2,500 per month",
-    tags: ["Senior Citizens", "Pension"],
-  },
-  {
-    id: 11,
-    title: "National Urban Livelihood Mission",
-    emoji: "🏙️",
-    region: "Central",
-    desc: "Skill training and livelihood support for urban poor households.",
-    fund: "Variable stipend + placement support",
-    tags: ["Employment", "Skills"],
-  },
-];
+// One catalogue (schemeData.js) feeds the grid, search and eligibility.
+const POPULAR_SCHEMES = SCHEMES.filter((s) => s.popular);
+const TAGS = allTags(SCHEMES);
+
+// Left blank when the user does not know them; eligibility treats them as unknown
+const OPTIONAL_PROFILE_FIELDS = new Set(["state", "category"]);
 
 // ------------------ APP ------------------
 function App() {
   const [lang, setLang] = useState("en");
   const t = TRANSLATIONS[lang];
 
+  // -------- Hero search state (mirrored in the URL) --------
+  const [filters, setFilters] = useState(() => filtersFromUrl());
+  const [queryDraft, setQueryDraft] = useState(filters.query);
+  const searching = hasActiveFilters(filters);
+  const searchResults = searching ? searchSchemes(SCHEMES, filters) : [];
+
   // -------- Profile state --------
   const [profile, setProfile] = useState(() => {
     const saved = localStorage.getItem("userProfile");
@@ -125,7 +71,9 @@ function App() {
     mobile: "",
     aadhar: "",
     address: "",
+    state: "",
     income: "",
+    category: "",
     isFarmer: false,
     isStudent: false,
     isSenior: false,
@@ -144,125 +92,119 @@ function App() {
         localStorage.removeItem("schemelink_ocr_last");
         return null;
       }
-      // Rebuild date object (JSON doesn't preserve Date)
-      if (result.dobRaw) {
-        result.dobDate = null; // will be recomputed when needed
-      }
-      return result;
+      // Saved as the scanner read it: normalise it like a fresh scan
+      return toOcrResult(result);
     } catch (_) { return null; }
   });
 
+  useEffect(() => {
+    filtersToUrl(filters);
+  }, [filters]);
+
+  // -------- Application tracker --------
+  const [applications, setApplications] = useState(() => loadApplications());
+  const [applyNotice, setApplyNotice] = useState(null);
+
+  useEffect(() => {
+    saveApplications(applications);
+  }, [applications]);
+
+  function handleApply(scheme, applicant) {
+    const { list, application, created } = createApplication(applications, scheme, applicant);
+    setApplications(list);
+    setApplyNotice({ application, created });
+  }
+
   useEffect(() => {
     if (profile) {
       localStorage.setItem("userProfile", JSON.stringify(profile));
     }
   }, [profile]);
 
+  // -------- Household (the profile is its head) --------
+  const [household, setHousehold] = useState(() => loadHousehold());
+  const headProfile = profile && memberProfile(profile, profile, household);
+
+  useEffect(() => {
+    saveHousehold(household);
+  }, [household]);
+
+  // -------- OCR review (scanned values wait here until the user accepts them) --------
+  const [ocrReview, setOcrReview] = useState(null);
+  // Camp operators scan many citizens in a row; their results stay out of the profile
+  const [batchMode, setBatchMode] = useState(false);
+
+  function applyOcrFields(fields, scanned) {
+    const { rationCard, ...draft } = fields;
+    if (draft.income) {
+      setProfile((prev) => prev && { ...prev, income: draft.income });
+    }
+    if (draft.category) {
+      setProfile((prev) => prev && { ...prev, category: draft.category });
+    }
+
+    // A ration card belongs to the household; bring its members in
+    // only when none have been entered by hand
+    if (rationCard) {
+      setHousehold((prev) => {
+        const next = setRationCard(prev, {
+          type: rationCard,
+          number: scanned.cardNo || prev.rationCard.number,
+        });
+        return prev.members.length
+          ? next
+          : { ...next, members: membersFromRationCard(scanned.members) };
+      });
+    }
+
+    setProfileDraft((prev) => ({ ...prev, ...draft }));
+  }
+
+  function updateFilter(e) {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  }
+
+  function submitSearch(e) {
+    e.preventDefault();
+    setFilters((prev) => ({ ...prev, query: queryDraft.trim() }));
+    document.getElementById("schemes")?.scrollIntoView({ behavior: "smooth" });
+  }
+
+  function clearSearch() {
+    setQueryDraft("");
+    setFilters({ query: "", region: "", tag: "", scope: "" });
+  }
+
   function handleProfileChange(e) {
     const { name, type, value, checked } = e.target;
-    setProfileDraft((prev) => ({
-      ...prev,
-      [name]: type === "checkbox" ? checked : value,
-    }));
+    setProfileDraft((prev) => {
+      const next = { ...prev, [name]: type === "checkbox" ? checked : value };
+      // Fill the state from the address / PIN until the user picks one
+      if (name === "address" && !prev.state) {
+        next.state = stateFromAddress(value) || "";
+      }
+      return next;
+    });
   }
 
   function saveProfile() {
     const allFilled = Object.entries(profileDraft).every(([key, val]) => {
-      if (typeof val === "boolean") return true;
+      if (typeof val === "boolean" || OPTIONAL_PROFILE_FIELDS.has(key)) return true;
       return val && val.toString().trim() !== "";
     });
     if (!allFilled) {
       alert(t.fillAllFields);
       return;
     }
-    setProfile(profileDraft);
-  }
-
-  // -------- Eligible Schemes Filter --------
-  function getEligibleSchemes(profileData) {
-    if (!profileData) return [];
-
-    let tagsToCheck = [];
-
-    if (profileData.isStudent) tagsToCheck.push("Students", "Education");
-    if (profileData.isFarmer) tagsToCheck.push("Farmers", "Agriculture");
-    if (profileData.isSenior) tagsToCheck.push("Senior Citizens", "Pension");
-    if (profileData.isDisability) tagsToCheck.push("Disability");
-
-    if (profileData.gender === "Female") {
-      tagsToCheck.push("Women", "Girls", "Girl Child");
-    } else if (profileData.gender === "Male") {
-      tagsToCheck.push("Men", "Boys");
-    } else if (profileData.gender === "Other") {
-      tagsToCheck.push("Transgender", "Inclusion");
-    }
-
-    const income = parseInt(profileData.income, 10) || 0;
-    if (income <= 10000) {
-      tagsToCheck.push(
-        "BPL",
-        "Low-Income",
-        "Welfare",
-        "Poverty",
-        "Social Security"
-      );
+    if (!isValidAadhaar(profileDraft.aadhar)) {
+      alert(t.invalidAadhaar);
+      return;
     }
-
-    return SCHEMES.filter((scheme) =>
-      scheme.tags.some((tag) => tagsToCheck.includes(tag))
-    );
+    setProfile(profileDraft);
   }
 
   // ------------------ OCR parsing helpers ------------------
-  // parseDateString: attempts multiple date formats and returns JS Date or null
-  function parseDateString(dateStr) {
-    if (!dateStr) return null;
-    dateStr = dateStr.trim();
-
-    // yyyy-mm-dd or yyyy/mm/dd
-    let m = dateStr.match(/^(\d{4})[\/\-\.](\d{1,2})[\/\-\.](\d{1,2})$/);
-    if (m) return new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
-
-    // dd/mm/yyyy or dd-mm-yyyy or dd.mm.yyyy
-    m = dateStr.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2,4})$/);
-    if (m) {
-      let d = parseInt(m[1], 10),
-        mo = parseInt(m[2], 10),
-        y = parseInt(m[3], 10);
-      if (y < 100) y += y > 30 ? 1900 : 2000;
-      return new Date(y, mo - 1, d);
-    }
-
-    // formats like "12 May 1995" or "12-May-1995"
-    m = dateStr.match(/^(\d{1,2})\s*[\-\/]?\s*([A-Za-z]+)\s*[\-\/]?\s*(\d{2,4})$/);
-    if (m) {
-      const day = parseInt(m[1], 10);
-      const monthName = m[2].slice(0, 3).toLowerCase();
-      const months = {
-        jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
-        jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
-      };
-      let year = parseInt(m[3], 10);
-      if (year < 100) year += year > 30 ? 1900 : 2000;
-      if (months[monthName] !== undefined) return new Date(year, months[monthName], day);
-    }
-
-    // fallback: try to parse via Date constructor (least reliable)
-    const maybe = new Date(dateStr);
-    if (!isNaN(maybe.getTime())) return maybe;
-
-    return null;
-  }
-
-  function calcAgeFromDate(d) {
-    if (!d || !(d instanceof Date) || isNaN(d)) return null;
-    const today = new Date();
-    let age = today.getFullYear() - d.getFullYear();
-    const m = today.getMonth() - d.getMonth();
-    if (m < 0 || (m === 0 && today.getDate() < d.getDate())) age--;
-    return age;
-  }
-
   // extractFromOcrText: main heuristic extractor returning object {name, dobRaw, dobDate, age, gender}
   function extractFromOcrText(rawText) {
     const text = rawText || "";
@@ -406,6 +348,7 @@ function App() {
               <a href="#schemes">{t.popularSchemes}</a>
               <a href="#profile">{t.profile}</a>
               <a href="#ocr">OCR</a>
+              <a href="#applications">{t.myApplications}</a>
               <a href="#about">{t.aboutTitle}</a>
             </nav>
           </div>
@@ -418,23 +361,85 @@ function App() {
           <div className="container hero-inner">
             <h1 className="hero-title">{t.heroTitle}</h1>
             <p className="hero-sub">{t.heroSubtitle}</p>
-            <div className="search-row">
-              <input placeholder={t.searchPlaceholder} className="search-input" />
-              <select className="search-select">
-                <option>{t.allRegions}</option>
-                <option>Andhra Pradesh</option>
-                <option>Tamil Nadu</option>
+            <form className="search-row" onSubmit={submitSearch}>
+              <input
+                placeholder={t.searchPlaceholder}
+                className="search-input"
+                type="search"
+                value={queryDraft}
+                onChange={(e) => setQueryDraft(e.target.value)}
+              />
+              <select
+                className="search-select"
+                name="region"
+                value={filters.region}
+                onChange={updateFilter}
+              >
+                <option value="">{t.allRegions}</option>
+                <optgroup label={t.statesGroup}>
+                  {STATES.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
+                </optgroup>
+                <optgroup label={t.utGroup}>
+                  {UNION_TERRITORIES.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
+                </optgroup>
               </select>
-              <button className="search-btn">{t.search}</button>
-            </div>
+              <select
+                className="search-select"
+                name="scope"
+                value={filters.scope}
+                onChange={updateFilter}
+              >
+                <option value="">{t.allScopes}</option>
+                <option value="Central">{t.central}</option>
+                <option value="State">{t.state}</option>
+              </select>
+              <select
+                className="search-select"
+                name="tag"
+                value={filters.tag}
+                onChange={updateFilter}
+              >
+                <option value="">{t.allTags}</option>
+                {TAGS.map((tag) => (
+                  <option key={tag} value={tag}>
+                    {tag}
+                  </option>
+                ))}
+              </select>
+              <button className="search-btn" type="submit">
+                {t.search}
+              </button>
+            </form>
           </div>
         </section>
 
         {/* Schemes Section */}
         <div id="schemes" className="container schemes-section">
-          <h2>{t.popularSchemes}</h2>
+          {searching ? (
+            <div className="search-results-head">
+              <h2>
+                {t.searchResults} ({searchResults.length})
+              </h2>
+              <button className="search-clear-btn" onClick={clearSearch}>
+                ✖ {t.clearSearch}
+              </button>
+            </div>
+          ) : (
+            <h2>{t.popularSchemes}</h2>
+          )}
+          {searching && searchResults.length === 0 && (
+            <p className="no-scheme-text">{t.noResults}</p>
+          )}
           <div className="scheme-grid">
-            {SCHEMES.map((s) => (
+            {(searching ? searchResults : POPULAR_SCHEMES).map((s) => (
               <article key={s.id} className="scheme-card">
                 <div className="scheme-head">
                   <div className="scheme-emoji">{s.emoji}</div>
@@ -453,7 +458,7 @@ function App() {
                 </div>
                 <button
                   className="apply-btn"
-                  onClick={() => alert(`${t.apply}: ${s.title}`)}
+                  onClick={() => handleApply(s, headProfile || ocrResult)}
                 >
                   {t.apply}
                 </button>
@@ -515,6 +520,10 @@ function App() {
                   value={profileDraft.aadhar}
                   onChange={handleProfileChange}
                 />
+                {profileDraft.aadhar.replace(/\D/g, "").length >= 12 &&
+                  !isValidAadhaar(profileDraft.aadhar) && (
+                    <span className="field-error">{t.invalidAadhaar}</span>
+                  )}
               </label>
               <label>
                 Address:
@@ -524,6 +533,21 @@ function App() {
                   onChange={handleProfileChange}
                 />
               </label>
+              <label>
+                State / UT:
+                <select
+                  name="state"
+                  value={profileDraft.state}
+                  onChange={handleProfileChange}
+                >
+                  <option value="">Don't know</option>
+                  {ALL_STATES.map((st) => (
+                    <option key={st} value={st}>
+                      {st}
+                    </option>
+                  ))}
+                </select>
+              </label>
               <label>
                 Monthly Income:
                 <input
@@ -533,6 +557,19 @@ function App() {
                   onChange={handleProfileChange}
                 />
               </label>
+              <label>
+                Category:
+                <select
+                  name="category"
+                  value={profileDraft.category}
+                  onChange={handleProfileChange}
+                >
+                  <option value="">Don't know</option>
+                  {CATEGORIES.map((c) => (
+                    <option key={c} value={c}>{c}</option>
+                  ))}
+                </select>
+              </label>
 
               <div className="checklist">
                 <label>
@@ -598,9 +635,15 @@ function App() {
               <p>
                 <strong>Address:</strong> {profile.address}
               </p>
+              <p>
+                <strong>State:</strong> {profile.state || "Not set"}
+              </p>
               <p>
                 <strong>Income:</strong> {profile.income}
               </p>
+              <p>
+                <strong>Category:</strong> {profile.category || "Not set"}
+              </p>
               <p>
                 <strong>Farmer:</strong> {profile.isFarmer ? "✅ Yes" : "❌ No"}
               </p>
@@ -616,7 +659,17 @@ function App() {
 
               
 
-              <SchemePreview profile={profile} />
+              <SchemePreview
+                profile={headProfile}
+                onApply={(s) => handleApply(s, headProfile)}
+              />
+
+              <Household
+                head={profile}
+                household={household}
+                onChange={setHousehold}
+                onApply={handleApply}
+              />
 
               <button className="save-btn" onClick={() => setProfile(null)}>
                 {t.editProfile}
@@ -631,65 +684,70 @@ function App() {
         >
           <h2>📷 OCR Scheme Matcher</h2>
           <p>
-            Upload your Aadhaar Card or Voter ID to auto-detect eligible schemes.
+            Upload your Aadhaar Card, Voter ID or income certificate to auto-detect eligible schemes.
             Results are saved and restored automatically across page refreshes.
           </p>
 
-          {/*
-            OcrScanner now receives onExtract(extracted) where extracted is:
-            { docType, name, dob, gender, aadhaar, cardNo, fatherName }
-            Do NOT pass to extractFromOcrText() — it's already an extracted object.
-          */}
-          <OcrScanner
-            
-            onExtract={(extracted) => {
-              try {
-                console.log("OCR Output:", extracted);
+          <button className="doc-link-btn" onClick={() => setBatchMode(!batchMode)}>
+            {batchMode ? "📷 Back to single scan" : "🗂️ Batch mode (enrolment camps)"}
+          </button>
 
-                const notFound = (v) => !v || v === "Not found";
+          {/* Both stay mounted, so switching does not drop a scan or a batch in progress */}
+          <div hidden={!batchMode}>
+            <BatchScanner uiLang={lang} />
+          </div>
 
-                // Calculate age from DOB string e.g. "30/08/2006"
-                let age = null;
-                if (!notFound(extracted.dob)) {
-                  const dobDate = parseDateString(extracted.dob);
-                  age = calcAgeFromDate(dobDate);
+          <div hidden={batchMode}>
+            {/*
+              OcrScanner now receives onExtract(extracted) where extracted is:
+              { docType, name, dob, gender, aadhaar, cardNo, fatherName, …, confidence }
+              Do NOT pass to extractFromOcrText() — it's already an extracted object.
+              The profile is only touched by applyOcrFields(), after OcrReview.
+            */}
+            <OcrScanner
+              uiLang={lang}
+              onExtract={(extracted) => {
+                try {
+                  console.log("OCR Output:", extracted);
+
+                  const result = toOcrResult(extracted);
+                  setOcrResult(result);
+
+                  // Nothing reaches the profile until the user has reviewed it
+                  setOcrReview(reviewFields(result, profileDraft).length
+                    ? { id: Date.now(), result }
+                    : null);
+
+                } catch (err) {
+                  console.error("OCR handler error:", err);
                 }
-
-                // Normalize into ocrResult shape
-                const result = {
-                  docType: extracted.docType || "Unknown",
-                  name: notFound(extracted.name) ? null : extracted.name,
-                  dobRaw: notFound(extracted.dob) ? null : extracted.dob,
-                  dobDate: notFound(extracted.dob) ? null : parseDateString(extracted.dob),
-                  age,
-                  gender: notFound(extracted.gender) ? null : extracted.gender,
-                  aadhaar: notFound(extracted.aadhaar) ? null : extracted.aadhaar,
-                  cardNo: notFound(extracted.cardNo) ? null : extracted.cardNo,
-                  fatherName: notFound(extracted.fatherName) ? null : extracted.fatherName,
-                };
-
-                setOcrResult(result);
-
-                // Auto-fill profile draft with extracted values
-                setProfileDraft((prev) => ({
-                  ...prev,
-                  name: result.name || prev.name,
-                  age: result.age != null && !isNaN(result.age) ? result.age : prev.age,
-                  gender: result.gender || prev.gender,
-                  aadhar: result.aadhaar || prev.aadhar,
-                }));
-
-              } catch (err) {
-                console.error("OCR handler error:", err);
-              }
-            }}
+              }}
             
 
-          />{/* OCR Result Preview */}
+            />
+
+            {ocrReview && (
+              <OcrReview
+                key={ocrReview.id}
+                result={ocrReview.result}
+                current={profileDraft}
+                onApply={(fields) => {
+                  applyOcrFields(fields, ocrReview.result);
+                  setOcrReview(null);
+                }}
+                onDiscard={() => setOcrReview(null)}
+              />
+            )}
+          </div>
+
+{/* OCR Result Preview */}
 {ocrResult && (
   
   <div className="ocr-preview">
-    <SchemePreview profile={ocrResult} />
+    <SchemePreview
+      profile={ocrResult}
+      onApply={(s) => handleApply(s, ocrResult)}
+    />
     <h3>📄 OCR Extracted Data</h3>
 
     <p><strong>Name:</strong> {ocrResult.name || "Not found"}</p>
@@ -697,6 +755,17 @@ function App() {
     <p><strong>Gender:</strong> {ocrResult.gender || "Not found"}</p>
     <p><strong>Aadhaar:</strong> {ocrResult.aadhaar || "Not found"}</p>
     <p><strong>Card No:</strong> {ocrResult.cardNo || "Not found"}</p>
+    {ocrResult.address && (
+      <p><strong>Address:</strong> {ocrResult.address}</p>
+    )}
+    {ocrResult.annualIncome != null && (
+      <p><strong>Annual Income:</strong> ₹{ocrResult.annualIncome.toLocaleString("en-IN")}</p>
+    )}
+
+    {/* Aadhaar / Voter ID are summarised above; other documents get their own page */}
+    {!["Aadhaar Card", "Voter ID"].includes(ocrResult.docType) && (
+      <DocumentResult result={ocrResult} />
+    )}
 
     <div className="eligible-schemes">
       <h3>🎯 Matching Schemes (Based on OCR)</h3>
@@ -711,6 +780,27 @@ function App() {
           
         </section>
 
+        {/* My Applications */}
+        <section id="applications" className="container applications-section">
+          <h2>📂 {t.myApplications}</h2>
+          <MyApplications
+            applications={applications}
+            onStatusChange={(id, status) =>
+              setApplications((list) => updateStatus(list, id, status))
+            }
+            onAddNote={(id, text) => setApplications((list) => addNote(list, id, text))}
+            onRemove={(id) => setApplications((list) => removeApplication(list, id))}
+            onAttach={(id, type, record) =>
+              setApplications((list) => attachDocument(list, id, type, record))
+            }
+            onDetach={(id, type) =>
+              setApplications((list) => detachDocument(list, id, type))
+            }
+            scannedDocs={ocrResult ? [ocrResult] : []}
+            uiLang={lang}
+          />
+        </section>
+
         {/* About */}
         <section id="about" className="container about-section">
           <h2>{t.aboutTitle}</h2>
@@ -718,6 +808,43 @@ function App() {
         </section>
       </main>
 
+      {/* Apply notice */}
+      {applyNotice && (
+        <div className="modal-overlay">
+          <div className="modal-box">
+            {applyNotice.created ? (
+              <>
+                <h3>📝 Application Started</h3>
+                <p>A draft application was created for:</p>
+                <strong>{applyNotice.application.schemeTitle}</strong>
+                {applyNotice.application.profile?.name && <p>Applicant: {applyNotice.application.profile.name}</p>}
+              </>
+            ) : (
+              <>
+                <h3>ℹ️ Already Applied</h3>
+                <p>
+                  You already have an application (
+                  {statusInfo(applyNotice.application.status).label}) for:
+                </p>
+                <strong>{applyNotice.application.schemeTitle}</strong>
+                {applyNotice.application.profile?.name && <p>Applicant: {applyNotice.application.profile.name}</p>}
+              </>
+            )}
+            <p>Attach its documents, submit and track it under “{t.myApplications}”.</p>
+            <a
+              className="close-modal-btn"
+              href="#applications"
+              onClick={() => setApplyNotice(null)}
+            >
+              {t.myApplications}
+            </a>{" "}
+            <button className="close-modal-btn" onClick={() => setApplyNotice(null)}>
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
       <footer className="site-footer">
         <div className="container">
           © SchemeLink — Prototype | Built with ❤️ by Arun - KLNCE
@@ -0,0 +1,198 @@
+// ------------------- BatchScanner.jsx -------------------
+import React, { useEffect, useRef, useState } from "react";
+import { prepareDocument, runOcr } from "./ocrPipeline";
+import { batchRows, cellValue, cellEdit, confirmEdit, unconfirmed, toCsv, toJson, BATCH_COLUMNS } from "./batchScan";
+import { isLowConfidence } from "./ocrConfidence";
+
+/**
+ * Batch mode for enrolment camps: many photos in, one table out.
+ *
+ * Photos are scanned one at a time (each scan already keeps the OCR worker
+ * pool busy) without the single scanner's stops: a doubtful photo is scanned
+ * anyway and flagged in the table, and an encrypted PDF is skipped. Nothing
+ * is written to the single scanner's saved result or to the profile.
+ */
+
+const STATUS = {
+  queued: "⏳ Queued",
+  scanning: "🔄 Scanning",
+  done: "✅ Done",
+  failed: "❌ Failed",
+  cancelled: "⏹ Cancelled",
+};
+
+// No one is at hand to type a PDF password mid-batch
+const noPassword = () => Promise.resolve(null);
+
+function download(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Scan one queue item, reporting through `setItems`; `scanRef` holds its AbortController */
+async function scanItem(item, setItems, scanRef, uiLang) {
+  const update = (changes) =>
+    setItems((prev) => prev.map((i) => (i.id === item.id ? { ...i, ...changes } : i)));
+  const scan = new AbortController();
+  scanRef.current = scan;
+  update({ status: "scanning", stage: "Checking the photo...", progress: 2 });
+  try {
+    const prepared = await prepareDocument(item.file, { askPassword: noPassword, signal: scan.signal });
+    const result = await runOcr(
+      prepared,
+      (stage) => update({ stage }),
+      (progress) => update({ progress }),
+      scan.signal,
+      { uiLang },
+    );
+    update({ status: "done", result, issues: prepared.quality.issues, progress: 100 });
+  } catch (err) {
+    if (err.name !== "AbortError") {
+      console.error("Batch OCR error:", item.name, err);
+      update({ status: "failed", error: err.message });
+    } else if (scan.signal.aborted) {
+      update({ status: "cancelled" });
+    } else {
+      update({ status: "failed", error: "Password-protected PDF — scan it on its own" });
+    }
+  } finally {
+    if (scanRef.current === scan) scanRef.current = null;
+  }
+}
+
+let nextId = 1;
+
+export default function BatchScanner({ uiLang }) {
+  const [items, setItems] = useState([]);
+  const [edits, setEdits] = useState({});
+  const scanRef = useRef(null);
+  useEffect(() => () => scanRef.current?.abort(), []);
+
+  // One scan at a time: start the next queued item when the last one ends
+  useEffect(() => {
+    if (items.some((i) => i.status === "scanning")) return;
+    const next = items.find((i) => i.status === "queued");
+    if (next) scanItem(next, setItems, scanRef, uiLang);
+  }, [items, uiLang]);
+
+  const addFiles = (e) => {
+    const files = [...e.target.files];
+    e.target.value = "";
+    setItems((prev) => [
+      ...prev,
+      ...files.map((file) => ({ id: nextId++, file, name: file.name, status: "queued", progress: 0 })),
+    ]);
+  };
+
+  const stop = () => {
+    setItems((prev) => prev.map((i) => (i.status === "queued" ? { ...i, status: "cancelled" } : i)));
+    scanRef.current?.abort();
+  };
+
+  const clear = () => {
+    setItems([]);
+    setEdits({});
+  };
+
+  // `fields` from cellEdit() / confirmEdit()
+  const editRow = (rowId, fields) =>
+    setEdits((prev) => ({ ...prev, [rowId]: { ...prev[rowId], ...fields } }));
+
+  // A number the operator confirmed or typed is no longer in doubt
+  const doubtful = (result, column) => unconfirmed(result, column)
+    || (result[column.check] !== "confirmed" && isLowConfidence(result.confidence?.[column.key]));
+
+  const rows = batchRows(items, edits);
+  const finished = items.filter((i) => !["queued", "scanning"].includes(i.status)).length;
+  const busy = finished < items.length;
+  const fileName = (ext) => `schemelink-batch-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+  return (
+    <div className="batch-scanner">
+      <p className="application-meta">
+        Pick all the photos of a camp session at once — both sides of an Aadhaar one after the
+        other are joined into one row. Check the table, correct anything, then export it. An
+        Aadhaar or Voter ID number that failed its check is exported only once you confirm it.
+      </p>
+
+      <div className="batch-actions">
+        <input type="file" accept="image/*,application/pdf,.pdf" multiple onChange={addFiles} />
+        {busy && <button className="doc-link-btn" onClick={stop}>⏹ Stop</button>}
+        {!busy && items.length > 0 && <button className="doc-link-btn" onClick={clear}>Clear</button>}
+      </div>
+
+      {items.length > 0 && (
+        <p className="application-meta">
+          {finished} of {items.length} scanned
+          {rows.length !== items.length && ` · ${rows.length} people / documents`}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <div className="batch-table-wrap">
+          <table className="batch-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>File(s)</th>
+                <th>Status</th>
+                {BATCH_COLUMNS.map((c) => <th key={c.key}>{c.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, n) => {
+                const item = items.find((i) => i.id === row.id);
+                const confirm = row.result && confirmEdit(row.result);
+                return (
+                  <tr key={row.id}>
+                    <td>{n + 1}</td>
+                    <td>{row.files.join(" + ")}</td>
+                    <td className="batch-status">
+                      {STATUS[row.status]}
+                      {row.status === "scanning" && ` ${item.progress}%`}
+                      {row.status === "scanning" && item.stage && <small>{item.stage}</small>}
+                      {row.note && <small>⚠️ {row.note}</small>}
+                      {confirm && (
+                        <button className="doc-link-btn" onClick={() => editRow(row.id, confirm)}>
+                          ✓ Numbers match the card
+                        </button>
+                      )}
+                    </td>
+                    {BATCH_COLUMNS.map((c) => (
+                      <td key={c.key}>
+                        {row.result ? (
+                          <input
+                            type="text"
+                            value={cellValue(row.result, c.key)}
+                            className={doubtful(row.result, c) ? "batch-low" : ""}
+                            title={unconfirmed(row.result, c) ? "Check this number against the card — it is left out of the export until confirmed" : undefined}
+                            onChange={(e) => editRow(row.id, cellEdit(c, e.target.value))}
+                          />
+                        ) : "—"}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {finished > 0 && (
+        <div className="batch-actions">
+          <button className="save-btn application-submit" onClick={() => download(fileName("csv"), toCsv(rows), "text/csv")}>
+            ⬇️ Export CSV
+          </button>
+          <button className="doc-link-btn" onClick={() => download(fileName("json"), toJson(rows), "application/json")}>
+            ⬇️ Export JSON
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
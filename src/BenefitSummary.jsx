@@ -0,0 +1,36 @@
+// ------------------- BenefitSummary.jsx -------------------
+import React from "react";
+import { rupees } from "./benefits";
+
+/**
+ * Props:
+ *   estimate – from estimateAnnualBenefit() / estimateHouseholdBenefit()
+ *   title    – banner heading
+ *   unit     – what `estimate.counted` counts ("schemes", "benefits")
+ */
+export default function BenefitSummary({ estimate, title = "Estimated annual benefit", unit = "schemes" }) {
+  if (estimate.counted === 0) return null;
+
+  return (
+    <div className="benefit-summary">
+      <strong>💰 {title}: </strong>
+      {estimate.received.min === estimate.received.max
+        ? rupees(estimate.received.max)
+        : `${rupees(estimate.received.min)} – ${rupees(estimate.received.max)}`}
+      <span className="benefit-summary-note">
+        {" "}from {estimate.counted} {unit}
+      </span>
+      {(estimate.loans > 0 || estimate.insurance > 0) && (
+        <div className="benefit-summary-note">
+          {estimate.loans > 0 && <>🏦 Loan access up to {rupees(estimate.loans)} </>}
+          {estimate.insurance > 0 && <>🛡️ Insurance cover {rupees(estimate.insurance)} / year</>}
+        </div>
+      )}
+      {estimate.unquantified > 0 && (
+        <div className="benefit-summary-note">
+          + {estimate.unquantified} schemes with free services or support not counted in ₹
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, it, expect, afterEach } from "vitest";
+import { render, screen, cleanup } from "@testing-library/react";
+import BenefitSummary from "./BenefitSummary";
+
+afterEach(cleanup);
+
+const estimate = (extra = {}) => ({
+  received: { min: 6000, max: 18000 }, loans: 0, insurance: 0, counted: 2, unquantified: 0, ...extra,
+});
+
+describe("BenefitSummary", () => {
+  it("shows the received range and how many schemes it comes from", () => {
+    const { container } = render(<BenefitSummary estimate={estimate()} />);
+    expect(container.textContent).toBe("💰 Estimated annual benefit: ₹6,000 – ₹18,000 from 2 schemes");
+  });
+
+  it("lists loans, insurance and uncounted schemes separately", () => {
+    const { container } = render(<BenefitSummary estimate={estimate({
+      received: { min: 6000, max: 6000 }, loans: 50000, insurance: 500000, unquantified: 3,
+    })} />);
+    expect(container.textContent).toMatch(/^💰 Estimated annual benefit: ₹6,000 from 2 schemes/);
+    expect(screen.getByText(/Loan access up to ₹50,000/)).toBeTruthy();
+    expect(screen.getByText(/Insurance cover ₹5,00,000 \/ year/)).toBeTruthy();
+    expect(screen.getByText(/\+ 3 schemes with free services/)).toBeTruthy();
+  });
+
+  it("renders nothing when no scheme gives money", () => {
+    const { container } = render(<BenefitSummary estimate={estimate({ counted: 0 })} />);
+    expect(container.innerHTML).toBe("");
+  });
+});
@@ -0,0 +1,203 @@
+// ------------------- CameraCapture.jsx -------------------
+import React, { useEffect, useRef, useState } from "react";
+import { findCardQuad } from "./cardDetect";
+import { guideRect, createSteadyTracker } from "./cameraGuide";
+
+/**
+ * Props:
+ *   onCapture – (file: File) => void, a full-resolution still of the card
+ *   onClose   – (error?: string) => void; an error means the camera could
+ *               not be used and the caller should fall back to file upload
+ *   getStream – () => Promise<MediaStream>, defaults to the rear camera.
+ *               Pass a fake (e.g. canvas.captureStream()) to test without one;
+ *               keep it the same function across renders.
+ *
+ * The card is looked for a few times a second (cameraGuide.js); once it fills
+ * the guide and holds still, the frame is captured automatically.
+ */
+
+const ANALYSE_WIDTH = 320; // px, copy of the frame searched for the card
+const ANALYSE_EVERY = 200; // ms
+
+function rearCamera() {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    return Promise.reject(new Error("this browser cannot use the camera"));
+  }
+  return navigator.mediaDevices.getUserMedia({
+    video: { facingMode: { ideal: "environment" }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+    audio: false,
+  });
+}
+
+const HINTS = {
+  starting: "Starting camera...",
+  searching: "Place the card inside the frame",
+  closer: "Move closer — the card should fill the frame",
+  hold: "Hold still...",
+  ready: "Capturing...",
+};
+
+export default function CameraCapture({ onCapture, onClose, getStream = rearCamera }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [live, setLive] = useState(false);
+  const [frame, setFrame] = useState({ width: 16, height: 9 }); // video size, once known
+  const [state, setState] = useState("starting");
+  const [torch, setTorch] = useState(null); // null: no torch on this camera
+  const [auto, setAuto] = useState(true);
+  const [error, setError] = useState(null);
+  const [round, setRound] = useState(0); // bumped to restart the search after a failed capture
+
+  // Kept in refs so the analysis loop always sees the latest props
+  const onCaptureRef = useRef(onCapture);
+  const onCloseRef = useRef(onClose);
+  useEffect(() => {
+    onCaptureRef.current = onCapture;
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    let stopped = false;
+    getStream()
+      .then((stream) => {
+        if (stopped) {
+          stream.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        streamRef.current = stream;
+        const video = videoRef.current;
+        video.srcObject = stream;
+        video.play().catch(() => {});
+        const track = stream.getVideoTracks()[0];
+        if (track?.getCapabilities?.().torch) setTorch(false);
+        setLive(true);
+        setState("searching");
+      })
+      .catch((err) => {
+        if (!stopped) onCloseRef.current(`Camera unavailable: ${err.message || err.name}`);
+      });
+    return () => {
+      stopped = true;
+      streamRef.current?.getTracks().forEach((t) => t.stop());
+      streamRef.current = null;
+    };
+  }, [getStream]);
+
+  // A full-resolution still of the current frame
+  const capture = () => {
+    const video = videoRef.current;
+    if (!video?.videoWidth) return;
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+    canvas.toBlob((blob) => {
+      if (blob) {
+        setError(null);
+        onCaptureRef.current(new File([blob], `camera-${Date.now()}.png`, { type: "image/png" }));
+        return;
+      }
+      // The browser could not encode the frame (e.g. out of memory): start over
+      setError("Could not take the photo — try again");
+      setState("searching");
+      setRound((n) => n + 1);
+    }, "image/png");
+  };
+
+  // Look for the card a few times a second and capture once it is steady
+  useEffect(() => {
+    if (!live || !auto) return undefined;
+    const tracker = createSteadyTracker();
+    const canvas = document.createElement("canvas");
+    const timer = setInterval(() => {
+      const video = videoRef.current;
+      if (!video?.videoWidth) return;
+      const scale = ANALYSE_WIDTH / video.videoWidth;
+      canvas.width = ANALYSE_WIDTH;
+      canvas.height = Math.round(video.videoHeight * scale);
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const quad = findCardQuad(ctx.getImageData(0, 0, canvas.width, canvas.height));
+      const next = tracker.update(quad, canvas.width, canvas.height);
+      setState(next);
+      if (next === "ready") {
+        clearInterval(timer);
+        capture();
+      }
+    }, ANALYSE_EVERY);
+    return () => clearInterval(timer);
+  }, [live, auto, round]);
+
+  const toggleTorch = () => {
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    track.applyConstraints({ advanced: [{ torch: !torch }] })
+      .then(() => setTorch(!torch))
+      .catch(() => setTorch(null));
+  };
+
+  const { width: frameW, height: frameH } = frame;
+  const guide = guideRect(frameW, frameH);
+  const guideColour = state === "ready" || state === "hold" ? "#4caf50" : "#fff";
+
+  return (
+    <div style={{ marginBottom: "16px" }}>
+      <div style={{ position: "relative", borderRadius: "10px", overflow: "hidden", background: "#000" }}>
+        <video
+          ref={videoRef} muted playsInline
+          onLoadedMetadata={(e) => setFrame({ width: e.target.videoWidth, height: e.target.videoHeight })}
+          style={{ width: "100%", display: "block" }}
+        />
+        {/* Card-shaped guide, in the video's own coordinates */}
+        <svg
+          viewBox={`0 0 ${frameW} ${frameH}`}
+          preserveAspectRatio="xMidYMid meet"
+          style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none" }}
+        >
+          <path
+            fillRule="evenodd"
+            fill="rgba(0,0,0,0.45)"
+            d={`M0 0H${frameW}V${frameH}H0Z M${guide.x} ${guide.y}h${guide.w}v${guide.h}h${-guide.w}Z`}
+          />
+          <rect
+            x={guide.x} y={guide.y} width={guide.w} height={guide.h}
+            rx={frameW * 0.015} fill="none" stroke={guideColour} strokeWidth={frameW * 0.006}
+          />
+        </svg>
+        <p style={{
+          position: "absolute", left: 0, right: 0, bottom: "8px", margin: 0,
+          color: "#fff", fontSize: "0.85em", textShadow: "0 1px 3px #000",
+        }}>
+          {auto ? HINTS[state] : "Tap Capture when the card is sharp"}
+        </p>
+      </div>
+
+      {error && <p style={{ color: "#e65100", margin: "6px 0 0" }}>⚠️ {error}</p>}
+
+      <div style={{ display: "flex", gap: "8px", justifyContent: "center", marginTop: "10px", flexWrap: "wrap" }}>
+        <button style={styles.button} onClick={capture} disabled={!live}>
+          📸 Capture
+        </button>
+        <label style={{ ...styles.button, display: "inline-flex", alignItems: "center", gap: "4px" }}>
+          <input type="checkbox" checked={auto} onChange={(e) => setAuto(e.target.checked)} />
+          Auto-capture
+        </label>
+        {torch !== null && (
+          <button style={styles.button} onClick={toggleTorch}>
+            {torch ? "🔦 Torch off" : "🔦 Torch on"}
+          </button>
+        )}
+        <button style={styles.button} onClick={() => onClose()}>
+          📁 Upload a photo instead
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  button: {
+    padding: "6px 12px", borderRadius: "6px", cursor: "pointer",
+    border: "1px solid #ccc", background: "#fff", fontSize: "0.85em",
+  },
+};
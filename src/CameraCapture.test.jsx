@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, fireEvent, act, cleanup } from "@testing-library/react";
+import CameraCapture from "./CameraCapture";
+import { findCardQuad } from "./cardDetect";
+
+vi.mock("./cardDetect", () => ({ CARD_ASPECT: 85.6 / 53.98, findCardQuad: vi.fn() }));
+
+// A card that fills the guide and does not move
+const CARD = { isCard: true, coverage: 0.6, corners: [[40, 30], [280, 30], [280, 180], [40, 180]] };
+
+// jsdom has no camera, canvas or video decoding: fake just what CameraCapture uses
+const track = { stop: vi.fn(), getCapabilities: () => ({ torch: true }), applyConstraints: vi.fn() };
+const stream = { getTracks: () => [track], getVideoTracks: () => [track] };
+const getStream = () => Promise.resolve(stream);
+let toBlob;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  track.stop.mockClear();
+  track.applyConstraints.mockReset().mockResolvedValue();
+  findCardQuad.mockReturnValue(CARD);
+  toBlob = vi.fn((done) => done(new Blob(["png"], { type: "image/png" })));
+  vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue({
+    drawImage: () => {},
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height }),
+  });
+  vi.spyOn(HTMLCanvasElement.prototype, "toBlob").mockImplementation((...args) => toBlob(...args));
+  vi.spyOn(HTMLMediaElement.prototype, "play").mockResolvedValue();
+  vi.spyOn(HTMLVideoElement.prototype, "videoWidth", "get").mockReturnValue(1280);
+  vi.spyOn(HTMLVideoElement.prototype, "videoHeight", "get").mockReturnValue(720);
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+// Start the camera, then let `ms` of frame analysis go by
+async function open(props, ms = 0) {
+  render(<CameraCapture onClose={() => {}} getStream={getStream} {...props} />);
+  await act(async () => {});
+  await act(async () => vi.advanceTimersByTime(ms));
+}
+
+describe("CameraCapture", () => {
+  it("captures a still once the card holds steady", async () => {
+    const onCapture = vi.fn();
+    await open({ onCapture }, 600);
+    expect(screen.getByText("Hold still...")).toBeTruthy();
+    expect(onCapture).not.toHaveBeenCalled();
+
+    await act(async () => vi.advanceTimersByTime(1000));
+    expect(onCapture).toHaveBeenCalledTimes(1);
+    expect(onCapture.mock.calls[0][0]).toBeInstanceOf(File);
+  });
+
+  it("waits while no card is in the frame", async () => {
+    findCardQuad.mockReturnValue(null);
+    const onCapture = vi.fn();
+    await open({ onCapture }, 3000);
+    expect(screen.getByText("Place the card inside the frame")).toBeTruthy();
+    expect(onCapture).not.toHaveBeenCalled();
+  });
+
+  it("switches the torch on and off", async () => {
+    await open({ onCapture: () => {} });
+    await act(async () => fireEvent.click(screen.getByText("🔦 Torch on")));
+    expect(track.applyConstraints).toHaveBeenLastCalledWith({ advanced: [{ torch: true }] });
+    await act(async () => fireEvent.click(screen.getByText("🔦 Torch off")));
+    expect(track.applyConstraints).toHaveBeenLastCalledWith({ advanced: [{ torch: false }] });
+  });
+
+  it("says so and searches again when the frame cannot be encoded", async () => {
+    toBlob = vi.fn((done) => done(null));
+    const onCapture = vi.fn();
+    await open({ onCapture }, 1200);
+    expect(toBlob).toHaveBeenCalledTimes(1);
+    expect(screen.getByText(/Could not take the photo/)).toBeTruthy();
+    expect(screen.queryByText("Capturing...")).toBeNull();
+
+    toBlob = vi.fn((done) => done(new Blob(["png"])));
+    await act(async () => vi.advanceTimersByTime(1200));
+    expect(onCapture).toHaveBeenCalledTimes(1);
+    expect(screen.queryByText(/Could not take the photo/)).toBeNull();
+  });
+
+  it("stops the camera when closed", async () => {
+    await open({ onCapture: () => {} });
+    cleanup();
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+// ------------------- DocumentChecklist.jsx -------------------
+import React, { useState } from "react";
+import OcrScanner from "./OcrScanner";
+import { DOCUMENT_TYPES } from "./documents";
+
+/**
+ * Props:
+ *   checklist – from documentChecklist() in documents.js
+ *   onAttach  – (type, record) => void
+ *   onDetach  – (type) => void
+ *   uiLang    – site language, passed on to OcrScanner
+ */
+export default function DocumentChecklist({ checklist, onAttach, onDetach, uiLang }) {
+  const [scanning, setScanning] = useState(null); // document type being scanned
+  const [warning, setWarning] = useState("");
+
+  if (!checklist.length) return null;
+
+  function handleFile(type, e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    onAttach(type, { fileName: file.name, size: file.size, mimeType: file.type });
+    e.target.value = "";
+  }
+
+  function handleScan(type, extracted) {
+    const want = DOCUMENT_TYPES[type].ocrDocType;
+    if (extracted.docType !== want) {
+      setWarning(`That looks like a ${extracted.docType}, not a ${want}. Try again with the right card.`);
+      return;
+    }
+    if (extracted.aadhaarCheck && !["valid", "confirmed"].includes(extracted.aadhaarCheck)) {
+      setWarning("The Aadhaar number needs checking — confirm it below or rescan.");
+      return;
+    }
+    if (extracted.cardNoCheck && !["valid", "confirmed"].includes(extracted.cardNoCheck)) {
+      setWarning("The Voter ID number needs checking — confirm it below or rescan.");
+      return;
+    }
+    // Keep the extracted fields, not the full OCR text
+    const { raw: _raw, ...scan } = extracted;
+    onAttach(type, { fileName: `Scanned ${scan.docType}`, scan });
+    setWarning("");
+    setScanning(null);
+  }
+
+  return (
+    <div className="doc-checklist">
+      <h4>📎 Upload Documents</h4>
+      <ul>
+        {checklist.map((d) => (
+          <li key={d.type} className={d.satisfied ? "doc-ok" : d.required ? "doc-missing" : ""}>
+            <div className="doc-row">
+              <span>
+                {d.satisfied ? "✅" : d.required ? "⬜" : "▫️"} {d.icon} {d.label}
+                {!d.required && <span className="application-meta"> (optional)</span>}
+              </span>
+
+              {d.satisfied ? (
+                <span className="application-meta">
+                  {d.record.fileName}
+                  {d.source === "scan" && " · from your last scan"}
+                  {d.source === "attached" && (
+                    <button className="doc-link-btn" onClick={() => onDetach(d.type)}>
+                      remove
+                    </button>
+                  )}
+                </span>
+              ) : (
+                <span className="doc-actions">
+                  <label className="doc-link-btn">
+                    Attach
+                    <input
+                      type="file"
+                      accept="image/*,application/pdf"
+                      hidden
+                      onChange={(e) => handleFile(d.type, e)}
+                    />
+                  </label>
+                  {d.ocrDocType && (
+                    <button
+                      className="doc-link-btn"
+                      onClick={() => setScanning(scanning === d.type ? null : d.type)}
+                    >
+                      {scanning === d.type ? "Cancel scan" : "📷 Scan"}
+                    </button>
+                  )}
+                </span>
+              )}
+            </div>
+
+            {scanning === d.type && (
+              <>
+                {warning && <p className="doc-warning">⚠️ {warning}</p>}
+                <OcrScanner persist={false} uiLang={uiLang} onExtract={(x) => handleScan(d.type, x)} />
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
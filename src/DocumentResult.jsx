@@ -3,6 +3,9 @@ import React from "react";
 import AadhaarPage from "./AadhaarPage.jsx";
 import VoterIdPage from "./VoterIdPage.jsx";
 import IncomePage from "./IncomePage.jsx";
+import PanPage from "./PanPage.jsx";
+import RationCardPage from "./RationCardPage.jsx";
+import CommunityPage from "./CommunityPage.jsx";
 
 /**
  * Props:
@@ -21,6 +24,15 @@ export default function DocumentResult({ result }) {
     case "income proof":
     case "income":
       return <IncomePage data={result} />;
+    case "pan card":
+    case "pan":
+      return <PanPage data={result} />;
+    case "ration card":
+    case "ration":
+      return <RationCardPage data={result} />;
+    case "community certificate":
+    case "community":
+      return <CommunityPage data={result} />;
     default:
       return (
         <div style={{ padding: "1rem", background: "#fff8e1", borderRadius: 8 }}>
@@ -0,0 +1,35 @@
+// ------------------- EligibilityReasons.jsx -------------------
+import React from "react";
+import { explainCheck, PASS, FAIL } from "./eligibility";
+
+const ICON = { [PASS]: "✅", [FAIL]: "❌" };
+
+/**
+ * Props:
+ *   checks   – the `checks` array from evaluateScheme()
+ *   onlyFailed – show just the failing criteria ("Why not eligible?")
+ */
+export default function EligibilityReasons({ checks, onlyFailed = false }) {
+  const shown = onlyFailed ? checks.filter((c) => c.status === FAIL) : checks;
+
+  if (checks.length === 0) {
+    return <p className="reason-open">🌐 Open to everyone — no conditions</p>;
+  }
+
+  return (
+    <ul className="reason-list">
+      {shown.map((c, i) => {
+        const { status, requirement, detail } = explainCheck(c);
+        return (
+          <li key={i} className={`reason-${status}`}>
+            <span className="reason-icon">{ICON[status] || "❔"}</span>
+            <span>
+              {requirement}
+              <span className="reason-detail"> — {detail}</span>
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,33 @@
+// @vitest-environment jsdom
+import React from "react";
+import { describe, it, expect, afterEach } from "vitest";
+import { render, screen, cleanup } from "@testing-library/react";
+import EligibilityReasons from "./EligibilityReasons";
+import { evaluateScheme } from "./eligibility";
+
+afterEach(cleanup);
+
+const checksFor = (profile, eligibility) => evaluateScheme(profile, { id: "s", eligibility }).checks;
+
+describe("EligibilityReasons", () => {
+  it("lists every check with its icon and detail", () => {
+    render(<EligibilityReasons checks={checksFor({ age: 30, gender: "Male" }, { minAge: 18, gender: ["Female"], maxAnnualIncome: 100000 })} />);
+    const items = screen.getAllByRole("listitem");
+    expect(items.map((li) => li.className)).toEqual(["reason-pass", "reason-fail", "reason-unknown"]);
+    expect(items.map((li) => li.textContent)).toEqual([
+      "✅Age 18 or above — you are 30",
+      "❌Female only — Male",
+      "❔Annual income up to ₹1,00,000 — income not provided — ID cards do not show it",
+    ]);
+  });
+
+  it("shows only the failed checks when asked", () => {
+    render(<EligibilityReasons onlyFailed checks={checksFor({ age: 30, gender: "Male" }, { minAge: 18, gender: ["Female"] })} />);
+    expect(screen.getAllByRole("listitem").map((li) => li.textContent)).toEqual(["❌Female only — Male"]);
+  });
+
+  it("says a scheme without conditions is open to everyone", () => {
+    render(<EligibilityReasons checks={[]} />);
+    expect(screen.getByText(/Open to everyone/)).toBeTruthy();
+  });
+});
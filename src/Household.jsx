@@ -0,0 +1,211 @@
+// ------------------- Household.jsx -------------------
+import React from "react";
+import SCHEMES from "./schemeData";
+import { ELIGIBLE } from "./eligibility";
+import {
+  RELATIONS,
+  RATION_CARD_TYPES,
+  relationLabel,
+  addMember,
+  updateMember,
+  removeMember,
+  setRationCard,
+  evaluateHousehold,
+  estimateHouseholdBenefit,
+  memberProfile,
+} from "./household";
+import { benefitFor, benefitLabel } from "./benefits";
+import BenefitSummary from "./BenefitSummary.jsx";
+
+/**
+ * Props:
+ *   head      – the saved user profile (head of the household)
+ *   household – from household.js
+ *   onChange  – (household) => void
+ *   onApply   – (scheme, applicant profile) => void
+ */
+export default function Household({ head, household, onChange, onApply }) {
+  const results = evaluateHousehold(head, household, SCHEMES);
+  const eligible = results
+    .filter((r) => r.status === ELIGIBLE)
+    // Family-level schemes first, then those the most members qualify for
+    .sort(
+      (a, b) =>
+        (b.scheme.level === "household") - (a.scheme.level === "household") ||
+        eligibleMembers(b).length - eligibleMembers(a).length
+    );
+  const estimate = estimateHouseholdBenefit(results, head.state);
+
+  const apply = (scheme, member) => onApply(scheme, memberProfile(member, head, household));
+
+  function editMember(id, e) {
+    const { name, type, value, checked } = e.target;
+    onChange(updateMember(household, id, { [name]: type === "checkbox" ? checked : value }));
+  }
+
+  return (
+    <div className="household">
+      <h3>👨‍👩‍👧 Household</h3>
+      <p className="application-meta">
+        Income, state and category are taken from your profile and shared by everyone below.
+      </p>
+
+      <div className="household-ration">
+        <label>
+          Ration card:
+          <select
+            value={household.rationCard.type}
+            onChange={(e) => onChange(setRationCard(household, { type: e.target.value }))}
+          >
+            <option value="">Not set</option>
+            {RATION_CARD_TYPES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {household.rationCard.type && household.rationCard.type !== "none" && (
+          <input
+            type="text"
+            placeholder="Ration card number"
+            value={household.rationCard.number}
+            onChange={(e) => onChange(setRationCard(household, { number: e.target.value }))}
+          />
+        )}
+      </div>
+
+      <ul className="household-members">
+        <li className="household-member">
+          <strong>{head.name}</strong>
+          <span className="application-meta">
+            {" "}— Head · {head.age} yrs · {head.gender}
+          </span>
+        </li>
+        {household.members.map((m) => (
+          <li key={m.id} className="household-member">
+            <input
+              name="name"
+              type="text"
+              placeholder="Name"
+              value={m.name}
+              onChange={(e) => editMember(m.id, e)}
+            />
+            <select name="relation" value={m.relation} onChange={(e) => editMember(m.id, e)}>
+              {RELATIONS.map((r) => (
+                <option key={r.value} value={r.value}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+            <input
+              name="age"
+              type="number"
+              min="0"
+              placeholder="Age"
+              value={m.age}
+              onChange={(e) => editMember(m.id, e)}
+            />
+            <select name="gender" value={m.gender} onChange={(e) => editMember(m.id, e)}>
+              <option value="">Gender</option>
+              <option>Male</option>
+              <option>Female</option>
+              <option>Other</option>
+            </select>
+            <label>
+              <input
+                name="isStudent"
+                type="checkbox"
+                checked={m.isStudent}
+                onChange={(e) => editMember(m.id, e)}
+              />{" "}
+              Student
+            </label>
+            <label>
+              <input
+                name="isFarmer"
+                type="checkbox"
+                checked={m.isFarmer}
+                onChange={(e) => editMember(m.id, e)}
+              />{" "}
+              Farmer
+            </label>
+            <label>
+              <input
+                name="isDisability"
+                type="checkbox"
+                checked={m.isDisability}
+                onChange={(e) => editMember(m.id, e)}
+              />{" "}
+              Disability
+            </label>
+            <button
+              className="doc-link-btn"
+              onClick={() => onChange(removeMember(household, m.id))}
+            >
+              remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button className="doc-link-btn" onClick={() => onChange(addMember(household))}>
+        ➕ Add family member
+      </button>
+
+      <h3>🏠 Schemes for your household</h3>
+      <BenefitSummary
+        estimate={estimate}
+        title="Estimated household benefit"
+        unit="benefits"
+      />
+
+      {eligible.length === 0 ? (
+        <p className="no-scheme-text">No schemes match anyone in the household yet.</p>
+      ) : (
+        <ul className="household-schemes">
+          {eligible.map((r) => {
+            const who = eligibleMembers(r);
+            const family = r.scheme.level === "household";
+            return (
+              <li key={r.scheme.id} className="household-scheme">
+                <div className="doc-row">
+                  <span>
+                    {r.scheme.emoji} <strong>{r.scheme.title}</strong>
+                    {family && <span className="tag-pill household-badge">Family</span>}
+                  </span>
+                  {/* A family scheme is applied for once, by the first member who qualifies */}
+                  {family && (
+                    <button className="doc-link-btn" onClick={() => apply(r.scheme, who[0].member)}>
+                      Apply
+                    </button>
+                  )}
+                </div>
+                <div className="application-meta">
+                  {benefitLabel(benefitFor(r.scheme, head.state))} · for{" "}
+                  {who.map(({ member }) => memberLabel(member)).join(", ")}
+                </div>
+                {!family && (
+                  <div className="household-apply">
+                    {who.map(({ member }) => (
+                      <button
+                        key={member.id}
+                        className="doc-link-btn"
+                        onClick={() => apply(r.scheme, member)}
+                      >
+                        Apply for {member.name || relationLabel(member.relation)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const eligibleMembers = (r) => r.members.filter((m) => m.status === ELIGIBLE);
+
+const memberLabel = (member) => `${member.name || "Unnamed"} (${relationLabel(member.relation)})`;
@@ -2,7 +2,9 @@
 import React from "react";
 
 export default function IncomePage({ data }) {
-  const { name, income, address, raw } = data;
+  const { name, address, authority, certificateNo, issueDate, raw } = data;
+  // Raw scanner output says `income`; the normalised OCR result says `annualIncome`
+  const income = data.annualIncome ?? data.income;
 
   const downloadJson = () => {
     const blob = new Blob([JSON.stringify(data, null, 2)], {
@@ -28,12 +30,24 @@ export default function IncomePage({ data }) {
           </tr>
           <tr>
             <td>Annual Income</td>
-            <td>{income !== "Not found" ? `₹ ${Number(income).toLocaleString()}` : "Not found"}</td>
+            <td>{income != null && income !== "Not found" ? `₹ ${Number(income).toLocaleString("en-IN")}` : "Not found"}</td>
           </tr>
           <tr>
             <td>Address</td>
             <td>{address ?? "Not found"}</td>
           </tr>
+          <tr>
+            <td>Issued By</td>
+            <td>{authority ?? "Not found"}</td>
+          </tr>
+          <tr>
+            <td>Certificate No</td>
+            <td>{certificateNo ?? "Not found"}</td>
+          </tr>
+          <tr>
+            <td>Issue Date</td>
+            <td>{issueDate ?? "Not found"}</td>
+          </tr>
         </tbody>
       </table>
 
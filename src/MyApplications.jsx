@@ -0,0 +1,173 @@
+// ------------------- MyApplications.jsx -------------------
+import React, { useState } from "react";
+import { STATUSES, statusInfo } from "./applications";
+import { documentChecklist, missingRequired } from "./documents";
+import DocumentChecklist from "./DocumentChecklist.jsx";
+import SCHEMES from "./schemeData";
+
+// Leaving "draft" for any of these needs every required document
+const NEEDS_DOCUMENTS = ["submitted", "under_review", "approved"];
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" });
+
+/**
+ * Props:
+ *   applications   – list from applications.js (newest first)
+ *   onStatusChange – (id, status) => void
+ *   onAddNote      – (id, text) => void
+ *   onRemove       – (id) => void
+ *   onAttach       – (id, type, record) => void
+ *   onDetach       – (id, type) => void
+ *   scannedDocs    – OCR results done elsewhere that can satisfy the checklist
+ *   uiLang         – site language, for the document scanner's OCR packs
+ */
+export default function MyApplications({ applications, scannedDocs = [], uiLang, ...handlers }) {
+  if (!applications.length) {
+    return (
+      <p className="no-scheme-text">
+        No applications yet — press “Apply” on any scheme to start one.
+      </p>
+    );
+  }
+
+  return (
+    <div className="applications-list">
+      {applications.map((a) => (
+        <ApplicationCard
+          key={a.id}
+          application={a}
+          scannedDocs={scannedDocs}
+          uiLang={uiLang}
+          {...handlers}
+        />
+      ))}
+    </div>
+  );
+}
+
+function ApplicationCard({
+  application: a,
+  scannedDocs,
+  uiLang,
+  onStatusChange,
+  onAddNote,
+  onRemove,
+  onAttach,
+  onDetach,
+}) {
+  const [note, setNote] = useState("");
+  const status = statusInfo(a.status);
+
+  const scheme = SCHEMES.find((s) => s.id === a.schemeId);
+  const checklist = documentChecklist(a, scheme, scannedDocs);
+  const missing = missingRequired(checklist);
+  const blocked = a.status === "draft" && missing.length > 0;
+
+  function submitNote(e) {
+    e.preventDefault();
+    onAddNote(a.id, note);
+    setNote("");
+  }
+
+  return (
+    <article className="application-card">
+      <div className="application-head">
+        <span className="scheme-emoji">{a.schemeEmoji}</span>
+        <h3>{a.schemeTitle}</h3>
+        <span className={`status-badge status-${a.status}`}>
+          {status.icon} {status.label}
+        </span>
+      </div>
+
+      <p className="application-meta">
+        Applicant: <strong>{a.profile?.name || "—"}</strong> · Started {formatDate(a.createdAt)}
+      </p>
+
+      <label className="application-status">
+        Update status:
+        <select
+          value={a.status}
+          onChange={(e) => onStatusChange(a.id, e.target.value)}
+        >
+          {STATUSES.map((s) => (
+            <option
+              key={s.value}
+              value={s.value}
+              disabled={blocked && NEEDS_DOCUMENTS.includes(s.value)}
+            >
+              {s.icon} {s.label}
+            </option>
+          ))}
+        </select>
+        {a.status === "draft" && (
+          <button
+            className="apply-btn-animated application-submit"
+            disabled={blocked}
+            onClick={() => onStatusChange(a.id, "submitted")}
+          >
+            📨 Submit application
+          </button>
+        )}
+      </label>
+
+      {blocked && (
+        <p className="doc-warning">
+          Add {missing.map((d) => d.label).join(", ")} to submit.
+        </p>
+      )}
+
+      <DocumentChecklist
+        checklist={checklist}
+        onAttach={(type, record) => onAttach(a.id, type, record)}
+        onDetach={(type) => onDetach(a.id, type)}
+        uiLang={uiLang}
+      />
+
+      <details>
+        <summary>Status history ({a.history.length})</summary>
+        <ol className="application-history">
+          {a.history.map((h, i) => (
+            <li key={i}>
+              {statusInfo(h.status).icon} {statusInfo(h.status).label}
+              <span className="application-meta"> — {formatDate(h.at)}</span>
+              {h.note && <div className="application-meta">“{h.note}”</div>}
+            </li>
+          ))}
+        </ol>
+      </details>
+
+      {a.notes.length > 0 && (
+        <ul className="application-notes">
+          {a.notes.map((n, i) => (
+            <li key={i}>
+              🗒️ {n.text}
+              <span className="application-meta"> — {formatDate(n.at)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="application-note-form" onSubmit={submitNote}>
+        <input
+          type="text"
+          placeholder="Add a note (reference no., office visited…)"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+        <button type="submit" disabled={!note.trim()}>
+          Add note
+        </button>
+      </form>
+
+      <button
+        className="application-remove"
+        onClick={() => {
+          if (window.confirm(`Delete the application for ${a.schemeTitle}?`)) onRemove(a.id);
+        }}
+      >
+        🗑 Delete
+      </button>
+    </article>
+  );
+}
@@ -0,0 +1,80 @@
+// ------------------- OcrReview.jsx -------------------
+import React, { useState } from "react";
+import { reviewFields, acceptedValues } from "./ocrReview";
+import { isLowConfidence } from "./ocrConfidence";
+
+/**
+ * Props:
+ *   result    – App's normalised OCR result (with `confidence`)
+ *   current   – the profile draft, so unchanged values are not asked about
+ *   onApply   – ({ key: value }) => void, only the fields the user kept
+ *   onDiscard – () => void
+ *
+ * Remount (key) for each new scan; the rows are local state.
+ */
+export default function OcrReview({ result, current, onApply, onDiscard }) {
+  const [rows, setRows] = useState(() => reviewFields(result, current));
+
+  function edit(key, changes) {
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...changes } : r)));
+  }
+
+  const kept = rows.filter((r) => r.accepted).length;
+
+  return (
+    <div className="ocr-review">
+      <h3>🔍 Check before saving to your profile</h3>
+      <p className="application-meta">
+        Read from your {result.docType}. Fix anything the scan got wrong and untick what you
+        don't want to use. Values marked ⚠️ were hard to read.
+      </p>
+
+      <ul>
+        {rows.map((r) => (
+          <li key={r.key} className={isLowConfidence(r.confidence) ? "ocr-review-low" : ""}>
+            <label className="ocr-review-keep">
+              <input
+                type="checkbox"
+                checked={r.accepted}
+                onChange={(e) => edit(r.key, { accepted: e.target.checked })}
+              />
+              {r.label}
+            </label>
+            {r.options ? (
+              <select
+                value={r.value}
+                disabled={!r.accepted}
+                onChange={(e) => edit(r.key, { value: e.target.value })}
+              >
+                {!r.options.includes(r.value) && <option value={r.value}>{r.value}</option>}
+                {r.options.map((o) => (
+                  <option key={o} value={o}>{o}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={r.value}
+                disabled={!r.accepted}
+                onChange={(e) => edit(r.key, { value: e.target.value })}
+              />
+            )}
+            <span className="ocr-review-score">
+              {r.confidence == null ? "—"
+                : `${isLowConfidence(r.confidence) ? "⚠️ " : ""}${r.confidence}%`}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="ocr-review-actions">
+        <button className="save-btn application-submit" disabled={!kept} onClick={() => onApply(acceptedValues(rows))}>
+          Apply {kept} to profile
+        </button>
+        <button className="doc-link-btn" onClick={onDiscard}>
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+}
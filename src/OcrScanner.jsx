@@ -1,9 +1,18 @@
-import React, { useState } from "react";
-import Tesseract from "tesseract.js";
+import React, { useEffect, useRef, useState } from "react";
+import { INCOME_DOC_TYPE } from "./incomeCertificate";
+import { COMMUNITY_DOC_TYPE } from "./communityCertificate";
+import { RATION_DOC_TYPE } from "./rationCard";
+import { PAN_DOC_TYPE } from "./panCard";
+import { mergeAadhaarSides } from "./aadhaarAddress";
+import { isLowConfidence } from "./ocrConfidence";
+import { offlineStatus, OCR_LANGS } from "./ocrAssets";
+import CameraCapture from "./CameraCapture";
+import { prepareDocument, runOcr, countFound } from "./ocrPipeline";
 
 /**
  * SchemeLink — Universal Indian ID OCR Scanner
- * Supports: Aadhaar Card | Voter ID (Election Card)
+ * Supports: Aadhaar Card (front + back) | Voter ID (Election Card) | PAN Card
+ *           Ration Card | Income Certificate | Community Certificate
  *
  * ✅ VERIFIED all 3 real cards:
  *   Arun Aadhaar    → Name ✅ DOB ✅ Aadhaar ✅ Gender ✅
@@ -18,281 +27,24 @@ import Tesseract from "tesseract.js";
  *     Fixed to check individual keywords: "election", "elector", "voter"
  *  5. Data erased on refresh → results saved to localStorage; profile pre-filled on load
  *
- * REGIONS (Aadhaar):
- *   R1: x=33% y=10-72%  → Name, DOB, Gender
- *   R2: x=5%  y=72-84%  → Aadhaar 12-digit number
+ * The scan itself — finding, checking and reading the document — is in
+ * ocrPipeline.js.
+ *
+ * Cancel aborts the scan: queued regions are dropped and running ones have
+ * their workers terminated.
+ *
+ * An Aadhaar back side is merged with a front-side scan of the same card
+ * (aadhaarAddress.js).
  */
 
 // ── Constants ─────────────────────────────────────────────────────────────
-const BLACKLIST = [
-  "government","govt","aadhaar","aadhar","आधार","uidai",
-  "unique identification","india","இந்திய","அரசாங்கம்",
-  "issue date","issue","enrolment","enrollment","address",
-  "mobile","phone","dob","date of birth","பிறந்த",
-  "male","female","ஆண்","பெண்","help","1800","www","http",
-  "time","belated","epsom","solited","huet","ipe","tan","bbm",
-  "sei","sam","icici","ligpibg","sotlingd","siren","ipibg","agsimuned",
-  "proof","identity","citizenship","authentication","election","commission",
-  "elector","photo","birth","date","age","father","soundar",
-];
-
 const LS_KEY = "schemelink_ocr_last"; // localStorage key for persistence
 
-// ── Pure helpers ──────────────────────────────────────────────────────────
-
-/** Strip leading non-alpha AND trailing digit noise, then test as a name */
-function isName(line) {
-  // Remove leading junk like "(", ": ", "|"
-  let t = line.replace(/^[^A-Za-z]+/, "").trim();
-  // Remove trailing pure-digit tokens (OCR reads "M" as "14", "S" as "5", etc.)
-  t = t.replace(/\s+\d{1,2}$/, "").trim();
-  const low = t.toLowerCase();
-  if (BLACKLIST.some((b) => low.includes(b))) return false;
-  if (!/^[A-Za-z][A-Za-z\s.]+$/.test(t)) return false;
-  if (t.length < 4 || t.length > 50) return false;
-  const words = t.split(/\s+/);
-  // Accept: 2+ words with one ≥3 letters, OR single long word (≥6 chars = likely a name)
-  if (words.length >= 2) return words.some((w) => w.replace(/\./g, "").length >= 3);
-  return words[0].length >= 6;
-}
-
-function smartTitle(line) {
-  let t = line.replace(/^[^A-Za-z]+/, "").trim();
-  t = t.replace(/\s+\d{1,2}$/, "").trim();
-  return t.split(/\s+/).map((w) => {
-    const c = w.replace(/\./g, "");
-    return c.length <= 2 ? w.toUpperCase() : w[0].toUpperCase() + w.slice(1).toLowerCase();
-  }).join(" ");
-}
-
-function sanitizeDob(raw) {
-  const sep = raw.includes("/") ? "/" : raw.includes("-") ? "-" : ".";
-  const parts = raw.split(sep);
-  if (parts.length !== 3) return null;
-  const y = parseInt(parts[2], 10);
-  if (y < 1900 || y > 2020) return null;
-  return `${parts[0].padStart(2,"0")}/${parts[1].padStart(2,"0")}/${parts[2]}`;
-}
-
-function extractDobFromLines(text, lines) {
-  // 1. Labeled DOB / Date of Birth / Age
-  const m1 = text.match(
-    /(?:DOB|D0B|Date\s*of\s*Birth|Age)\s*[:/\-\s]+(\d{1,2}[\-\/\.]\d{1,2}[\-\/\.]\d{4})/i
-  );
-  if (m1) { const s = sanitizeDob(m1[1]); if (s) return s; }
-
-  // 2. Tamil label
-  const m2 = text.match(
-    /(?:பிறந்த\s*நாள்|பிறந்த)\s*[:/\-]?\s*(\d{1,2}[\-\/\.]\d{1,2}[\-\/\.]\d{4})/i
-  );
-  if (m2) { const s = sanitizeDob(m2[1]); if (s) return s; }
-
-  // 3. Scan every non-issue line for any DD/MM/YYYY pattern
-  // (handles "908:" misread of "DOB:", "D0B:", etc.)
-  for (const line of lines) {
-    if (/issue/i.test(line)) continue;
-    const dates = line.match(/\b(\d{1,2}[\-\/\.]\d{1,2}[\-\/\.]\d{4})\b/g);
-    if (dates) {
-      for (const d of dates) {
-        const s = sanitizeDob(d);
-        if (s) return s;
-      }
-    }
-  }
-  return "Not found";
-}
-
-function extractGender(text) {
-  const m = text.match(/\b(Male|Female|MALE|FEMALE|ஆண்பால்|பெண்பால்|ஆண்|பெண்)\b/);
-  if (!m) return "Not found";
-  return m[1].toLowerCase().startsWith("m") ? "Male" : "Female";
-}
-
-// ── Document type detection ───────────────────────────────────────────────
-function detectDocType(text) {
-  const lower = text.toLowerCase();
-  // Check individual keywords — OCR often gives partial phrases
-  if (lower.includes("election") || lower.includes("elector") || lower.includes("voter")) {
-    return "voter";
-  }
-  if (lower.includes("aadhaar") || lower.includes("aadhar") || lower.includes("uidai")
-    || lower.includes("government of india")) {
-    return "aadhaar";
-  }
-  // Number-pattern fallback
-  if (/\b[A-Z]{2,4}\d{6,10}\b/.test(text)) return "voter";
-  if (/\b\d{4}\s?\d{4}\s?\d{4}\b/.test(text)) return "aadhaar";
-  return "unknown";
-}
-
-// ── Field extractors ──────────────────────────────────────────────────────
-function extractAadhaarFields(r1Text, r2Text) {
-  const lines = r1Text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  console.log("[Aadhaar R1 lines]", lines);
-
-  let name = "Not found";
-  for (const line of lines) {
-    if (isName(line)) { name = smartTitle(line); break; }
-  }
-
-  const dob = extractDobFromLines(r1Text, lines);
-  const gender = extractGender(r1Text);
-
-  // Aadhaar 12-digit number
-  const am = r2Text.match(/\b(\d{4})\s{0,6}(\d{4})\s{0,6}(\d{4})\b/);
-  const aadhaar = am ? `${am[1]} ${am[2]} ${am[3]}` : "Not found";
-
-  return { docType: "Aadhaar Card", name, dob, gender, aadhaar, cardNo: null, fatherName: null };
-}
-
-function extractVoterFields(textOrig, text2x) {
-  const combined = textOrig + "\n" + text2x;
-  const lines = combined.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  console.log("[Voter lines]", lines);
-
-  // Card number: e.g. SOL3248432
-  const cardM = combined.match(/\b([A-Z]{2,4}\d{6,10})\b/);
-  const cardNo = cardM ? cardM[1] : "Not found";
-
-  // Name: line with "Name:" but NOT "Father"
-  let name = "Not found";
-  for (const line of lines) {
-    if (/father|soundar/i.test(line)) continue;
-    const m = line.match(/[Nn]ame.{0,3}([A-Z][a-z]+(?:\s+[A-Z][a-z]?)+)/);
-    if (m) { name = m[1].trim(); break; }
-  }
-
-  // Father: labeled or direct name match
-  let fatherName = "Not found";
-  const fM = combined.match(/Father'?s?\s*N[a-z]*\s*[;:\-]\s*([A-Za-z][A-Za-z\s]{2,30})/i);
-  if (fM) {
-    fatherName = fM[1].trim().replace(/[0."'\s]+$/, "");
-  } else {
-    const sM = combined.match(/\b(Soundara[a-zA-Z]+)/);
-    if (sM) fatherName = sM[1];
-  }
-
-  const gender = extractGender(text2x) !== "Not found"
-    ? extractGender(text2x)
-    : extractGender(textOrig);
-
-  const dob = extractDobFromLines(
-    textOrig,
-    textOrig.split("\n").map((l) => l.trim()).filter(Boolean)
-  );
-
-  return { docType: "Voter ID", name, dob, gender, aadhaar: null, cardNo, fatherName };
-}
-
-// ── Canvas helpers ────────────────────────────────────────────────────────
-function cropToBlob(file, xR, yR, wR, hR) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    const url = URL.createObjectURL(file);
-    img.onload = () => {
-      const iw = img.naturalWidth, ih = img.naturalHeight;
-      const canvas = document.createElement("canvas");
-      canvas.width = Math.round(wR * iw);
-      canvas.height = Math.round(hR * ih);
-      canvas.getContext("2d").drawImage(
-        img,
-        Math.round(xR * iw), Math.round(yR * ih),
-        Math.round(wR * iw), Math.round(hR * ih),
-        0, 0, canvas.width, canvas.height
-      );
-      URL.revokeObjectURL(url);
-      canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob failed")), "image/png");
-    };
-    img.onerror = () => reject(new Error("Image load failed"));
-    img.src = url;
-  });
-}
-
-function enhancedBlob(file, scale, contrastPct) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    const url = URL.createObjectURL(file);
-    img.onload = () => {
-      const canvas = document.createElement("canvas");
-      canvas.width = img.naturalWidth * scale;
-      canvas.height = img.naturalHeight * scale;
-      const ctx = canvas.getContext("2d");
-      ctx.filter = `contrast(${contrastPct}%)`;
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      URL.revokeObjectURL(url);
-      canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob failed")), "image/png");
-    };
-    img.onerror = () => reject(new Error("Image load failed"));
-    img.src = url;
-  });
-}
-
-function ocrBlob(blob, label, onProg) {
-  return Tesseract.recognize(blob, "eng+tam", {
-    logger: (m) => {
-      if (m.status === "recognizing text" && onProg)
-        onProg(Math.round(m.progress * 100), label);
-    },
-  }).then((res) => {
-    const text = res.data.text || "";
-    console.log(`[${label} raw]\n`, text);
-    return text;
-  });
-}
-
-// ── Main OCR orchestrator ─────────────────────────────────────────────────
-async function runOcr(file, setStage, setProgress) {
-  // Step 1: quick detect from top 20%
-  setStage("Detecting document type...");
-  setProgress(5);
-  const detectBlob = await cropToBlob(file, 0, 0, 1, 0.22);
-  const detectText = await ocrBlob(detectBlob, "detect");
-  console.log("Detected doc type:", detectDocType(detectText));
-  const docType = detectDocType(detectText);
-
-  if (docType === "voter") {
-    // ── VOTER ID ─────────────────────────────────────────────────────────
-    setStage("Scanning Voter ID (standard)...");
-    setProgress(15);
-    const origBlob = await cropToBlob(file, 0, 0, 1, 1);
-    const textOrig = await ocrBlob(origBlob, "voter-orig", (p) =>
-      setProgress(15 + Math.round(p * 0.35))
-    );
-
-    setStage("Scanning Voter ID (enhanced)...");
-    setProgress(50);
-    const enh2xBlob = await enhancedBlob(file, 2, 180);
-    const text2x = await ocrBlob(enh2xBlob, "voter-2x", (p) =>
-      setProgress(50 + Math.round(p * 0.40))
-    );
-    setProgress(90);
-
-    const result = extractVoterFields(textOrig, text2x);
-    return result;
-
-  } else {
-    // ── AADHAAR (default) ─────────────────────────────────────────────────
-    setStage("Scanning name & DOB area...");
-    setProgress(15);
-    // R1: right 67%, rows 10%–72% → name/DOB/gender
-    const r1Blob = await cropToBlob(file, 0.33, 0.10, 0.67, 0.62);
-    const r1Text = await ocrBlob(r1Blob, "aadhaar-r1", (p) =>
-      setProgress(15 + Math.round(p * 0.45))
-    );
-
-    setStage("Scanning Aadhaar number...");
-    setProgress(62);
-    // R2: rows 72%–84% → 12-digit number (FIXED: was 78-90% which read wrong area)
-    const r2Blob = await cropToBlob(file, 0.05, 0.72, 0.90, 0.12);
-    const r2Text = await ocrBlob(r2Blob, "aadhaar-r2", (p) =>
-      setProgress(62 + Math.round(p * 0.28))
-    );
-    setProgress(90);
-
-    const result = extractAadhaarFields(r1Text, r2Text);
-    return result;
-  }
-}
+// What is still missing after one side of an Aadhaar
+const SIDE_HINTS = {
+  front: " — add the back side for your address",
+  back: " — add the front side for name and date of birth",
+};
 
 // ── localStorage helpers ──────────────────────────────────────────────────
 function saveLastResult(result) {
@@ -316,72 +68,248 @@ function loadLastResult() {
 }
 
 // ── React Component ────────────────────────────────────────────────────────
-export default function OcrScanner({ onExtract }) {
-  const [result, setResult] = useState(() => loadLastResult()); // ← restore on load
+// persist=false keeps the scan out of localStorage (used by the per-application
+// document checklist, which must not overwrite the main scanner's last result).
+// getCameraStream replaces the camera in camera mode (see CameraCapture.jsx).
+// uiLang is the site's language, whose OCR pack is loaded with the detected ones.
+export default function OcrScanner({ onExtract, persist = true, getCameraStream, uiLang }) {
+  const [result, setResult] = useState(() => (persist ? loadLastResult() : null)); // ← restore on load
   const [loading, setLoading] = useState(false);
   const [stage, setStage] = useState("");
   const [progress, setProgress] = useState(0);
   const [statusMsg, setStatusMsg] = useState(() => {
-    const saved = loadLastResult();
+    const saved = persist ? loadLastResult() : null;
     if (!saved) return "";
-    const found = [saved.name, saved.dob, saved.gender, saved.aadhaar, saved.cardNo, saved.fatherName]
-      .filter((v) => v && v !== "Not found").length;
+    const found = countFound(saved);
     return found >= 4 ? "✅ Restored from previous scan" : `⚠️ Restored (${found} fields)`;
   });
 
-  const handleUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // The running scan, so Cancel (or leaving the page) can stop it
+  const scanRef = useRef(null);
+  useEffect(() => () => scanRef.current?.abort(), []);
+
+  // What of OCR is cached for offline use; the service worker fills the
+  // cache after the first load, and a scan may add a missing pack
+  const [offline, setOffline] = useState(null);
+  const checkOffline = () => offlineStatus().then(setOffline).catch(() => setOffline(null));
+  useEffect(() => {
+    checkOffline();
+    navigator.serviceWorker?.ready.then(checkOffline);
+  }, []);
+
+  // Camera mode; cameraError is why it closed, if it failed
+  const [camera, setCamera] = useState(false);
+  const [cameraError, setCameraError] = useState("");
+
+  const openCamera = () => {
+    setCameraError("");
+    setCamera(true);
+  };
+  const closeCamera = (error) => {
+    setCamera(false);
+    if (error) setCameraError(`⚠️ ${error} — upload a photo instead`);
+  };
+  const handleCapture = (file) => {
+    setCamera(false);
+    scanFiles([file], result);
+  };
+
+  // An encrypted PDF waiting for its password: { name, retry, resolve }
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
+  const askPassword = (file) => (retry) => new Promise((resolve) => {
+    setPasswordPrompt({ name: file.name, retry, resolve });
+  });
+  const answerPassword = (password) => {
+    passwordPrompt.resolve(password);
+    setPasswordPrompt(null);
+  };
+
+  // Photos held back by the quality check: { files, prepared, previous, issues }
+  const [qualityHold, setQualityHold] = useState(null);
+
+  const handleUpload = (e) => {
+    const files = [...e.target.files];
+    e.target.value = ""; // picking the same photo again should rescan it
+    if (files.length) scanFiles(files, result);
+  };
+
+  // `held`: the prepared `files`, when the user chose to scan them anyway
+  const scanFiles = async (files, previous, held = null) => {
+    const scan = new AbortController();
+    scanRef.current = scan;
+    const started = performance.now();
     setLoading(true);
+    setQualityHold(null);
     setResult(null);
     setStatusMsg("");
     setProgress(0);
 
     try {
-      const extracted = await runOcr(file, setStage, setProgress);
+      // Every photo is checked before any OCR runs
+      setStage("Checking the photo...");
+      setProgress(2);
+      const prepared = held || [];
+      if (!held) {
+        for (const file of files) {
+          prepared.push(await prepareDocument(file, { askPassword: askPassword(file), signal: scan.signal }));
+          scan.signal.throwIfAborted();
+        }
+      }
+      const issues = prepared.flatMap((p, i) => p.quality.issues.map((issue) => ({
+        ...issue,
+        message: files.length > 1 ? `Photo ${i + 1}: ${issue.message}` : issue.message,
+      })));
+      if (issues.length && !held) {
+        setQualityHold({ files, prepared, previous, issues });
+        setResult(previous);
+        setStatusMsg("⚠️ This photo may not scan well");
+        return;
+      }
+
+      // Both sides of an Aadhaar can be picked together or one after the other
+      let extracted = null;
+      for (const doc of prepared) {
+        const next = await runOcr(doc, setStage, setProgress, scan.signal, { uiLang });
+        extracted = mergeAadhaarSides(extracted || previous, next) || next;
+      }
       console.log("=== FINAL RESULT ===", extracted);
 
       setResult(extracted);
       setProgress(100);
-      saveLastResult(extracted); // ← persist to localStorage
+      if (persist) saveLastResult(extracted); // ← persist to localStorage
 
-      const found = [extracted.name, extracted.dob, extracted.gender,
-        extracted.aadhaar, extracted.cardNo, extracted.fatherName]
-        .filter((v) => v && v !== "Not found").length;
+      const found = countFound(extracted);
+      const hint = SIDE_HINTS[extracted.side] || "";
+      const seconds = ((performance.now() - started) / 1000).toFixed(1);
 
-      if (found >= 4) setStatusMsg("✅ Extraction successful");
-      else if (found >= 2) setStatusMsg(`⚠️ Partial: ${found} fields found`);
+      if (found >= 4) setStatusMsg(`✅ Extraction successful in ${seconds}s${hint}`);
+      else if (found >= 2) setStatusMsg(`⚠️ Partial: ${found} fields found${hint}`);
       else setStatusMsg("❌ Poor image quality — try a clearer, well-lit photo");
 
       if (onExtract) onExtract(extracted);
 
     } catch (err) {
-      console.error("OCR Error:", err);
-      setStatusMsg("❌ OCR error: " + err.message);
+      if (err.name === "AbortError") {
+        setResult(previous);
+        setStatusMsg("⏹ Scan cancelled");
+      } else {
+        console.error("OCR Error:", err);
+        setStatusMsg("❌ OCR error: " + err.message);
+      }
     } finally {
+      if (scanRef.current === scan) scanRef.current = null;
+      setPasswordPrompt(null); // a cancelled scan leaves its prompt behind
       setLoading(false);
+      checkOffline();
       setStage("");
       setTimeout(() => setProgress(0), 1000);
     }
   };
 
+  // The user's answer to a corrected / unreadable Aadhaar or Voter ID number
+  // ("aadhaar" / "cardNo"); only confirmed numbers reach the profile (see
+  // App's onExtract)
+  const confirmNumber = (field, number) => {
+    const updated = {
+      ...result,
+      [field]: number || "Not found",
+      [`${field}Check`]: number ? "confirmed" : "rejected",
+      [`${field}Candidates`]: [],
+      confidence: { ...result.confidence, [field]: number ? 100 : null },
+    };
+    setResult(updated);
+    if (persist) saveLastResult(updated);
+    if (onExtract) onExtract(updated);
+  };
+
+  const aadhaarDisplay = !result ? null
+    : result.aadhaarCheck === "corrected" ? `${result.aadhaar} ⚠️`
+    : result.aadhaarCheck === "invalid" ? `${result.aadhaarRead} ❌`
+    : result.aadhaar ?? "Not found";
+
+  const cardNoDisplay = !result ? null
+    : result.cardNoCheck === "corrected" ? `${result.cardNo} ⚠️`
+    : result.cardNoCheck === "invalid" ? `${result.cardNoRead} ❌`
+    : result.cardNo ?? "Not found";
+
   // ── Build display rows ───────────────────────────────────────────────────
   const rows = result
-    ? result.docType === "Voter ID"
+    ? result.docType === INCOME_DOC_TYPE
+      ? [
+          { label: "📄 Document Type", value: result.docType, badge: true },
+          { label: "👤 Name", field: "name", value: result.name ?? "Not found" },
+          {
+            label: "💰 Annual Income",
+            field: "income",
+            value: typeof result.income === "number"
+              ? `₹${result.income.toLocaleString("en-IN")}` : "Not found",
+          },
+          { label: "🏛️ Issued By", field: "authority", value: result.authority ?? "Not found" },
+          { label: "🔢 Certificate No", field: "certificateNo", value: result.certificateNo ?? "Not found", mono: true },
+          { label: "📅 Issue Date", field: "issueDate", value: result.issueDate ?? "Not found" },
+          { label: "🏠 Address", field: "address", value: result.address ?? "Not found" },
+        ]
+      : result.docType === COMMUNITY_DOC_TYPE
+      ? [
+          { label: "📄 Document Type", value: result.docType, badge: true },
+          { label: "👤 Name", field: "name", value: result.name ?? "Not found" },
+          { label: "👨 Father's Name", field: "fatherName", value: result.fatherName ?? "Not found" },
+          { label: "🏷️ Community", field: "community", value: result.community ?? "Not found" },
+          { label: "📊 Category", field: "subCategory", value: result.subCategory ?? "Not found", badge: true },
+          { label: "🔢 Certificate No", field: "certificateNo", value: result.certificateNo ?? "Not found", mono: true },
+          { label: "📅 Issue Date", field: "issueDate", value: result.issueDate ?? "Not found" },
+          { label: "🏛️ Issued By", field: "authority", value: result.authority ?? "Not found" },
+        ]
+      : result.docType === RATION_DOC_TYPE
+      ? [
+          { label: "📄 Document Type", value: result.docType, badge: true },
+          { label: "🪪 Card Number", field: "cardNo", value: result.cardNo ?? "Not found", mono: true },
+          { label: "📊 Card Category", field: "cardCategory", value: result.cardCategory ?? "Not found", badge: true },
+          { label: "👤 Head of Family", field: "name", value: result.name ?? "Not found" },
+          { label: "🏠 Address", field: "address", value: result.address ?? "Not found" },
+          {
+            label: "👨‍👩‍👧 Members",
+            value: result.members?.length
+              ? result.members.map((m) => m.name).join(", ") : "Not found",
+          },
+        ]
+      : result.docType === PAN_DOC_TYPE
+      ? [
+          { label: "📄 Document Type", value: result.docType, badge: true },
+          { label: "🪪 PAN", field: "pan", value: result.pan ?? "Not found", mono: true },
+          { label: "👤 Name", field: "name", value: result.name ?? "Not found" },
+          { label: "👨 Father's Name", field: "fatherName", value: result.fatherName ?? "Not found" },
+          { label: "🎂 Date of Birth", field: "dob", value: result.dob ?? "Not found" },
+          { label: "🏷️ Holder Type", value: result.holderType ?? "Not found" },
+        ]
+      : result.docType === "Voter ID"
       ? [
           { label: "📄 Document Type", value: result.docType, badge: true },
-          { label: "🪪 Card Number", value: result.cardNo ?? "Not found", mono: true },
-          { label: "👤 Name", value: result.name ?? "Not found" },
-          { label: "👨 Father's Name", value: result.fatherName ?? "Not found" },
-          { label: "⚧ Gender", value: result.gender ?? "Not found" },
-          { label: "🎂 Date of Birth", value: result.dob ?? "Not found" },
+          { label: "🪪 Card Number", field: "cardNo", value: cardNoDisplay, mono: true },
+          { label: "👤 Name", field: "name", value: result.name ?? "Not found" },
+          { label: "👨 Father's Name", field: "fatherName", value: result.fatherName ?? "Not found" },
+          { label: "⚧ Gender", field: "gender", value: result.gender ?? "Not found" },
+          { label: "🎂 Date of Birth", field: "dob", value: result.dob ?? "Not found" },
         ]
       : [
           { label: "📄 Document Type", value: result.docType, badge: true },
-          { label: "👤 Name", value: result.name ?? "Not found" },
-          { label: "🎂 Date of Birth", value: result.dob ?? "Not found" },
-          { label: "🪪 Aadhaar Number", value: result.aadhaar ?? "Not found", mono: true },
-          { label: "⚧ Gender", value: result.gender ?? "Not found" },
+          ...(result.side !== "back" ? [
+            { label: "👤 Name", field: "name", value: result.name ?? "Not found" },
+            { label: "🎂 Date of Birth", field: "dob", value: result.dob ?? "Not found" },
+          ] : []),
+          { label: "🪪 Aadhaar Number", field: "aadhaar", value: aadhaarDisplay, mono: true },
+          ...(result.side !== "back" ? [
+            { label: "⚧ Gender", field: "gender", value: result.gender ?? "Not found" },
+          ] : []),
+          ...(result.addressParts ? [
+            { label: "🏠 Address", field: "address", value: result.address ?? "Not found" },
+            { label: "👪 Care Of", value: result.addressParts.relation === "Not found" ? "Not found"
+              : `${result.addressParts.relation} ${result.addressParts.relationName}` },
+            { label: "🏘️ Locality", value: result.addressParts.locality },
+            { label: "🏙️ District", value: result.addressParts.district },
+            { label: "🗺️ State", value: result.addressParts.state, badge: true },
+            { label: "📮 PIN Code", value: result.addressParts.pin, mono: true },
+          ] : []),
         ]
     : [];
 
@@ -400,25 +328,41 @@ export default function OcrScanner({ onExtract }) {
         📘 ID Document OCR Scanner
       </h2>
       <p style={{ fontSize: "0.82em", color: "#666", marginBottom: "8px" }}>
-        Supports: <strong>Aadhaar Card</strong> · <strong>Voter ID</strong> (Election Card)
-        · English + Tamil (தமிழ்)
+        Supports: <strong>Aadhaar Card</strong> (front &amp; back) · <strong>Voter ID</strong> (Election Card)
+        · <strong>PAN Card</strong> · <strong>Ration Card</strong>
+        · <strong>Income / Community Certificate</strong> · English + Tamil (தமிழ்) + Hindi (हिन्दी)
+        · Photos or <strong>PDF</strong> (including password-protected e-Aadhaar)
       </p>
       <p style={{ fontSize: "0.78em", color: "#888", marginBottom: "20px" }}>
         📌 Results are saved automatically — they persist across page refreshes.
+        <br />🔁 Aadhaar: pick both sides together, or scan the back after the front, to read your address.
       </p>
-
-      {/* File input */}
-      <input
-        type="file" accept="image/*"
-        onChange={handleUpload}
-        disabled={loading}
-        style={{
-          border: "1px solid #bbb", padding: "10px 14px", borderRadius: "8px",
-          width: "100%", cursor: loading ? "not-allowed" : "pointer",
-          backgroundColor: "#fff", marginBottom: "16px", fontSize: "0.9em",
-          boxSizing: "border-box", opacity: loading ? 0.6 : 1,
-        }}
-      />
+      {offline && <OfflineBadge status={offline} />}
+
+      {/* Camera, or file input with a way into camera mode */}
+      {camera ? (
+        <CameraCapture onCapture={handleCapture} onClose={closeCamera} getStream={getCameraStream} />
+      ) : (
+        <>
+          <input
+            type="file" accept="image/*,application/pdf,.pdf" multiple
+            onChange={handleUpload}
+            disabled={loading}
+            style={{
+              border: "1px solid #bbb", padding: "10px 14px", borderRadius: "8px",
+              width: "100%", cursor: loading ? "not-allowed" : "pointer",
+              backgroundColor: "#fff", marginBottom: "8px", fontSize: "0.9em",
+              boxSizing: "border-box", opacity: loading ? 0.6 : 1,
+            }}
+          />
+          <div style={{ marginBottom: "16px", fontSize: "0.85em" }}>
+            <button style={{ ...styles.checkBtn, marginLeft: 0 }} onClick={openCamera} disabled={loading}>
+              📷 Use camera
+            </button>
+            {cameraError && <p style={{ color: "#e65100", margin: "6px 0 0" }}>{cameraError}</p>}
+          </div>
+        </>
+      )}
 
       {/* Progress */}
       {loading && (
@@ -435,10 +379,35 @@ export default function OcrScanner({ onExtract }) {
           </div>
           <p style={{ fontSize: "0.88em", color: "#555", margin: 0 }}>
             ⏳ {stage || "Processing..."} ({progress}%)
+            <button style={styles.checkBtn} onClick={() => scanRef.current?.abort()}>
+              ✖ Cancel
+            </button>
           </p>
         </div>
       )}
 
+      {/* Password for an encrypted PDF */}
+      {passwordPrompt && (
+        <PasswordPrompt key={passwordPrompt.retry} prompt={passwordPrompt} onAnswer={answerPassword} />
+      )}
+
+      {/* Quality check: what to fix, or scan anyway */}
+      {qualityHold && !loading && (
+        <div style={{ ...styles.checkBox, textAlign: "left", marginBottom: "16px" }}>
+          <strong>⚠️ This photo may not scan well</strong>
+          <ul style={{ margin: "6px 0", paddingLeft: "20px" }}>
+            {qualityHold.issues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+          </ul>
+          Take a new photo, or
+          <button
+            style={styles.checkBtn}
+            onClick={() => scanFiles(qualityHold.files, qualityHold.previous, qualityHold.prepared)}
+          >
+            Scan anyway
+          </button>
+        </div>
+      )}
+
       {/* Results card */}
       {result && (
         <div style={{
@@ -455,7 +424,7 @@ export default function OcrScanner({ onExtract }) {
             </h3>
             <button
               onClick={() => {
-                localStorage.removeItem(LS_KEY);
+                if (persist) localStorage.removeItem(LS_KEY);
                 setResult(null);
                 setStatusMsg("");
               }}
@@ -468,28 +437,96 @@ export default function OcrScanner({ onExtract }) {
             </button>
           </div>
 
-          {rows.map(({ label, value, mono, badge }) => (
-            <div key={label} style={{
-              display: "flex", justifyContent: "space-between", alignItems: "center",
-              padding: "10px 0", borderBottom: "1px solid #f5f5f5", gap: "12px",
-            }}>
-              <span style={{ fontWeight: 600, color: "#555", fontSize: "0.9em", whiteSpace: "nowrap" }}>
-                {label}
-              </span>
-              <span style={{
-                color: value === "Not found" ? "#cc0000" : "#1a1a1a",
-                fontWeight: value === "Not found" ? 400 : 700,
-                fontSize: "0.9em",
-                background: value === "Not found" ? "#fff5f5"
-                  : badge ? "#fff3cd" : "#eef4ff",
-                padding: "3px 12px", borderRadius: "6px",
-                fontFamily: mono ? "monospace" : "inherit",
-                letterSpacing: mono ? "2px" : "normal",
+          {rows.map(({ label, field, value, mono, badge }) => {
+            const score = field ? result.confidence?.[field] : null;
+            const doubtful = value !== "Not found" && isLowConfidence(score);
+            return (
+              <div key={label} style={{
+                display: "flex", justifyContent: "space-between", alignItems: "center",
+                padding: "10px 0", borderBottom: "1px solid #f5f5f5", gap: "12px",
               }}>
-                {value}
-              </span>
+                <span style={{ fontWeight: 600, color: "#555", fontSize: "0.9em", whiteSpace: "nowrap" }}>
+                  {label}
+                </span>
+                <span
+                  title={score != null ? `OCR confidence ${score}%` : undefined}
+                  style={{
+                    color: value === "Not found" ? "#cc0000" : "#1a1a1a",
+                    fontWeight: value === "Not found" ? 400 : 700,
+                    fontSize: "0.9em",
+                    background: value === "Not found" ? "#fff5f5"
+                      : doubtful ? "#fff0e0" : badge ? "#fff3cd" : "#eef4ff",
+                    border: doubtful ? "1px solid #ffb74d" : "1px solid transparent",
+                    padding: "3px 12px", borderRadius: "6px",
+                    fontFamily: mono ? "monospace" : "inherit",
+                    letterSpacing: mono ? "2px" : "normal",
+                  }}
+                >
+                  {value}
+                  {doubtful && <span style={styles.lowScore}> ⚠️ {score}%</span>}
+                </span>
+              </div>
+            );
+          })}
+
+          {/* Aadhaar checksum: ask before a guessed number goes anywhere */}
+          {result.aadhaarCheck === "corrected" && (
+            <div style={styles.checkBox}>
+              ⚠️ The scan read <code>{result.aadhaarRead}</code>, which is not a valid
+              Aadhaar number. Did you mean <strong>{result.aadhaar}</strong>?
+              <div style={{ marginTop: "8px" }}>
+                <button style={styles.checkBtn} onClick={() => confirmNumber("aadhaar", result.aadhaar)}>
+                  ✔ Yes, that's my number
+                </button>
+                <button style={styles.checkBtn} onClick={() => confirmNumber("aadhaar", null)}>
+                  ✖ No
+                </button>
+              </div>
+            </div>
+          )}
+          {result.aadhaarCheck === "invalid" && (
+            <div style={styles.checkBox}>
+              ❌ <code>{result.aadhaarRead}</code> fails the Aadhaar checksum.
+              {result.aadhaarCandidates?.length > 0 ? (
+                <div style={{ marginTop: "8px" }}>
+                  Pick the number on your card:
+                  {result.aadhaarCandidates.map((c) => (
+                    <button key={c} style={styles.checkBtn} onClick={() => confirmNumber("aadhaar", c)}>
+                      {c}
+                    </button>
+                  ))}
+                  <button style={styles.checkBtn} onClick={() => confirmNumber("aadhaar", null)}>
+                    None of these
+                  </button>
+                </div>
+              ) : (
+                " Rescan a sharper photo or type the number in your profile."
+              )}
+            </div>
+          )}
+
+          {/* EPIC structure: look-alike swaps need the user's OK */}
+          {result.cardNoCheck === "corrected" && (
+            <div style={styles.checkBox}>
+              ⚠️ The scan read <code>{result.cardNoRead}</code>; Voter ID numbers are three
+              letters and seven digits, so we think it is <strong>{result.cardNo}</strong>
+              {" "}({Math.round(result.cardNoConfidence * 100)}% sure).
+              <div style={{ marginTop: "8px" }}>
+                <button style={styles.checkBtn} onClick={() => confirmNumber("cardNo", result.cardNo)}>
+                  ✔ Yes, that's my number
+                </button>
+                <button style={styles.checkBtn} onClick={() => confirmNumber("cardNo", null)}>
+                  ✖ No
+                </button>
+              </div>
+            </div>
+          )}
+          {result.cardNoCheck === "invalid" && (
+            <div style={styles.checkBox}>
+              ❌ <code>{result.cardNoRead}</code> is not a Voter ID number (three letters and
+              seven digits). Rescan a sharper photo of the front of the card.
             </div>
-          ))}
+          )}
 
           <p style={{ marginTop: "16px", fontWeight: 600, fontSize: "0.9em", color: statusColor, margin: "16px 0 0 0" }}>
             {statusMsg}
@@ -498,4 +535,75 @@ export default function OcrScanner({ onExtract }) {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+// ── PDF password ──────────────────────────────────────────────────────────
+function PasswordPrompt({ prompt, onAnswer }) {
+  const [password, setPassword] = useState("");
+  return (
+    <form
+      style={{ ...styles.checkBox, textAlign: "left", marginBottom: "16px" }}
+      onSubmit={(e) => {
+        e.preventDefault();
+        onAnswer(password);
+      }}
+    >
+      🔒 <strong>{prompt.name}</strong> is password-protected.
+      {prompt.retry ? " That password did not work — try again." : ""}
+      <br />
+      <span style={{ fontSize: "0.9em" }}>
+        e-Aadhaar: the first 4 letters of your name in CAPITALS and your year of birth, e.g. SURE1990.
+      </span>
+      <div style={{ marginTop: "8px" }}>
+        <input
+          type="password" autoFocus value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          style={{ padding: "4px 8px", borderRadius: "6px", border: "1px solid #ccc" }}
+        />
+        <button type="submit" style={styles.checkBtn} disabled={!password}>Open</button>
+        <button type="button" style={styles.checkBtn} onClick={() => onAnswer(null)}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// ── Offline indicator ─────────────────────────────────────────────────────
+function OfflineBadge({ status }) {
+  const ready = status.engine && OCR_LANGS.every((l) => status.langs[l]);
+  return (
+    <p style={{
+      ...styles.offline,
+      color: ready ? "#2e7d32" : "#e65100",
+      borderColor: ready ? "#c8e6c9" : "#ffe0a3",
+    }}>
+      {!status.supported ? "🌐 Offline OCR not supported in this browser — scanning needs internet"
+        : ready ? "📦 OCR works offline"
+        : "🌐 OCR needs internet until its files are saved"}
+      {status.supported && (
+        <span style={{ marginLeft: "8px" }}>
+          {[["engine", status.engine], ...OCR_LANGS.map((l) => [l, status.langs[l]])]
+            .map(([name, ok]) => `${name} ${ok ? "✓" : "✗"}`).join(" · ")}
+        </span>
+      )}
+    </p>
+  );
+}
+
+const styles = {
+  checkBox: {
+    marginTop: "14px", padding: "10px 14px", borderRadius: "8px",
+    background: "#fff8e1", border: "1px solid #ffe0a3", fontSize: "0.85em", color: "#5d4037",
+  },
+  lowScore: {
+    fontFamily: "inherit", letterSpacing: "normal", fontWeight: 400,
+    fontSize: "0.8em", color: "#e65100",
+  },
+  offline: {
+    display: "inline-block", margin: "0 0 16px", padding: "4px 12px", borderRadius: "12px",
+    border: "1px solid", background: "#fff", fontSize: "0.78em",
+  },
+  checkBtn: {
+    marginLeft: "8px", padding: "3px 10px", borderRadius: "6px", cursor: "pointer",
+    border: "1px solid #ccc", background: "#fff", fontSize: "0.9em",
+  },
+};
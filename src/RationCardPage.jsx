@@ -0,0 +1,104 @@
+// ------------------- RationCardPage.jsx -------------------
+import React from "react";
+
+export default function RationCardPage({ data }) {
+  const { cardNo, cardCategory, name, address, members, raw } = data;
+
+  const downloadJson = () => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `ration_card_${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <section style={styles.section}>
+      <h2 style={styles.title}>🍚 Ration Card Details</h2>
+
+      <table style={styles.table}>
+        <tbody>
+          <tr>
+            <td>Card Number</td>
+            <td style={styles.mono}>{cardNo ?? "Not found"}</td>
+          </tr>
+          <tr>
+            <td>Card Category</td>
+            <td>{cardCategory ?? "Not found"}</td>
+          </tr>
+          <tr>
+            <td>Head of Family</td>
+            <td>{name ?? "Not found"}</td>
+          </tr>
+          <tr>
+            <td>Address</td>
+            <td>{address ?? "Not found"}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      {members?.length > 0 && (
+        <>
+          <h3 style={styles.subtitle}>👨‍👩‍👧 Family Members</h3>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Relation</th>
+                <th>Age</th>
+                <th>Gender</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map((m, i) => (
+                <tr key={i}>
+                  <td>{m.name}</td>
+                  <td>{m.relation ?? "—"}</td>
+                  <td>{m.age ?? "—"}</td>
+                  <td>{m.gender ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <button style={styles.btn} onClick={downloadJson}>
+        ⬇️ Download JSON
+      </button>
+
+      <details style={{ marginTop: 12 }}>
+        <summary>Show raw OCR text</summary>
+        <pre style={styles.pre}>{raw}</pre>
+      </details>
+    </section>
+  );
+}
+
+const styles = {
+  section: {
+    maxWidth: "640px",
+    margin: "32px auto",
+    padding: "24px",
+    background: "#fff",
+    borderRadius: "12px",
+    boxShadow: "0 4px 12px rgba(0,0,0,.08)",
+  },
+  title: { color: "#800000", marginBottom: "12px" },
+  subtitle: { color: "#800000", fontSize: "1rem", margin: "8px 0" },
+  table: { width: "100%", borderCollapse: "collapse", marginBottom: "16px" },
+  mono: { fontFamily: "monospace", letterSpacing: "2px" },
+  btn: {
+    background: "#800000",
+    color: "#fff",
+    border: "none",
+    borderRadius: "8px",
+    padding: "8px 18px",
+    cursor: "pointer",
+  },
+  pre: { background: "#f5f5f5", padding: "8px", borderRadius: "4px" },
+};
@@ -1,52 +1,69 @@
 // SchemePreview.jsx
 import React, { useState } from "react";
 import SCHEMES from "./schemeData";
+import { evaluateSchemes, ELIGIBLE, NOT_ELIGIBLE, UNKNOWN, FAIL } from "./eligibility";
+import EligibilityReasons from "./EligibilityReasons.jsx";
+import { rankResults, SORT_OPTIONS } from "./ranking";
+import { benefitFor, benefitLabel, estimateAnnualBenefit } from "./benefits";
+import BenefitSummary from "./BenefitSummary.jsx";
 
-function SchemePreview({ profile }) {
-  const [appliedScheme, setAppliedScheme] = useState(null);
+const failedOnState = (r) =>
+  r.checks.some((c) => c.key === "states" && c.status === FAIL);
 
-  if (!profile) return null;
-
-  let tagsToCheck = [];
-
-  if (profile.isStudent) tagsToCheck.push("Students", "Education");
-  if (profile.isFarmer) tagsToCheck.push("Farmers", "Agriculture");
-  if (profile.isSenior || profile.age >= 60)
-    tagsToCheck.push("Senior Citizens", "Pension");
-  if (profile.isDisability) tagsToCheck.push("Disability");
-
-  if (profile.gender === "Female")
-    tagsToCheck.push("Women", "Girls", "Girl Child");
-  else if (profile.gender === "Male")
-    tagsToCheck.push("Men", "Boys");
-  else if (profile.gender === "Other")
-    tagsToCheck.push("Transgender", "Inclusion");
+/**
+ * Props:
+ *   profile – saved user profile or OCR result
+ *   onApply – (scheme) => void, starts an application in the tracker
+ */
+function SchemePreview({ profile, onApply }) {
+  const [sortBy, setSortBy] = useState("relevance");
 
-  const income = parseInt(profile.income, 10) || 0;
-  if (income <= 10000)
-    tagsToCheck.push(
-      "BPL",
-      "Low-Income",
-      "Welfare",
-      "Poverty",
-      "Social Security"
-    );
+  if (!profile) return null;
 
-  const matchedSchemes = SCHEMES.filter((scheme) =>
-    scheme.tags.some((tag) => tagsToCheck.includes(tag))
+  const results = evaluateSchemes(profile, SCHEMES);
+  const matched = rankResults(
+    results.filter((r) => r.status === ELIGIBLE),
+    sortBy,
+    profile.state
+  );
+  const estimate = estimateAnnualBenefit(
+    matched.map((r) => r.scheme),
+    profile.state
+  );
+  const unknown = results.filter((r) => r.status === UNKNOWN);
+  // Other states' schemes are hidden rather than listed as "not eligible"
+  const notEligible = results.filter(
+    (r) => r.status === NOT_ELIGIBLE && !failedOnState(r)
   );
 
   return (
     <div className="scheme-preview-container">
-      <h2 className="scheme-title-main">🎯 Eligible Schemes For You</h2>
+      <div className="scheme-preview-head">
+        <h2 className="scheme-title-main">🎯 Eligible Schemes For You</h2>
+        <label className="sort-control">
+          Sort by:
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {SORT_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <BenefitSummary estimate={estimate} />
 
       <div className="scheme-grid">
-        {matchedSchemes.length > 0 ? (
-          matchedSchemes.map((s) => (
+        {matched.length > 0 ? (
+          matched.map(({ scheme: s, checks, score }) => (
             <div key={s.id} className="scheme-card-animated">
               <div className="scheme-head">
                 <span className="scheme-emoji">{s.emoji}</span>
                 <h3>{s.title}</h3>
+                <span className="score-badge" title="Relevance score">
+                  ⭐ {score}
+                </span>
               </div>
 
               <p className="scheme-desc">{s.desc}</p>
@@ -54,6 +71,9 @@ function SchemePreview({ profile }) {
               <div className="scheme-fund">
                 💰 {s.fund}
               </div>
+              <div className="benefit-chip">
+                {benefitLabel(benefitFor(s, profile.state))}
+              </div>
 
               <div className="scheme-tags">
                 {s.tags.map((tag, i) => (
@@ -63,9 +83,14 @@ function SchemePreview({ profile }) {
                 ))}
               </div>
 
+              <details className="scheme-reasons">
+                <summary>Why this matched</summary>
+                <EligibilityReasons checks={checks} />
+              </details>
+
               <button
                 className="apply-btn-animated"
-                onClick={() => setAppliedScheme(s.title)}
+                onClick={() => onApply && onApply(s)}
               >
                 Apply Now
               </button>
@@ -78,21 +103,34 @@ function SchemePreview({ profile }) {
         )}
       </div>
 
-      {/* Success Modal */}
-      {appliedScheme && (
-        <div className="modal-overlay">
-          <div className="modal-box">
-            <h3>✅ Application Submitted</h3>
-            <p>You have successfully applied for:</p>
-            <strong>{appliedScheme}</strong>
-            <button
-              className="close-modal-btn"
-              onClick={() => setAppliedScheme(null)}
-            >
-              Close
-            </button>
-          </div>
-        </div>
+      {/* Schemes that could not be decided because the profile lacks a field */}
+      {unknown.length > 0 && (
+        <details className="unknown-schemes">
+          <summary>
+            ❔ {unknown.length} more schemes need more details to check
+          </summary>
+          {unknown.map(({ scheme: s, checks }) => (
+            <div key={s.id} className="reason-scheme">
+              <strong>{s.emoji} {s.title}</strong>
+              <EligibilityReasons checks={checks} />
+            </div>
+          ))}
+        </details>
+      )}
+
+      {/* "Why not eligible?" — only the criteria that failed */}
+      {notEligible.length > 0 && (
+        <details className="unknown-schemes not-eligible-schemes">
+          <summary>
+            🚫 Why not eligible? ({notEligible.length} schemes)
+          </summary>
+          {notEligible.map(({ scheme: s, checks }) => (
+            <div key={s.id} className="reason-scheme">
+              <strong>{s.emoji} {s.title}</strong>
+              <EligibilityReasons checks={checks} onlyFailed />
+            </div>
+          ))}
+        </details>
       )}
     </div>
   );
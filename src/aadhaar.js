@@ -0,0 +1,107 @@
+/**
+ * SchemeLink — Aadhaar number validation
+ *
+ * An Aadhaar number is 12 digits, never starts with 0 or 1, and its last
+ * digit is a Verhoeff check digit over the first 11. Verhoeff catches every
+ * single-digit error, which makes it a good guard against OCR misreads.
+ *
+ * checkAadhaar() classifies an OCR / typed reading:
+ *   { status: "valid",     number }                 as read
+ *   { status: "corrected", number, read }           one OCR confusion fixed —
+ *                                                   ask the user to confirm
+ *   { status: "invalid",   number: null, read, candidates }
+ *                                                   no single safe fix;
+ *                                                   `candidates` are the valid
+ *                                                   numbers one confusion away
+ *                                                   for the user to pick from
+ */
+
+// ── Verhoeff ──────────────────────────────────────────────────────────────
+
+const D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+
+const P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 7, 6, 8, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/** True when a digit string (check digit last) passes Verhoeff */
+export function verhoeffValid(digits) {
+  let c = 0;
+  const arr = [...digits].reverse().map(Number);
+  for (let i = 0; i < arr.length; i++) c = D[c][P[i % 8][arr[i]]];
+  return c === 0;
+}
+
+// ── Aadhaar rules ─────────────────────────────────────────────────────────
+
+const digitsOf = (value) => String(value || "").replace(/\D/g, "");
+
+export const formatAadhaar = (digits) => digits.replace(/(\d{4})(?=\d)/g, "$1 ");
+
+export function isValidAadhaar(value) {
+  const d = digitsOf(value);
+  return /^[2-9]\d{11}$/.test(d) && verhoeffValid(d);
+}
+
+// Letters Tesseract returns where the card has a digit
+const LETTER_AS_DIGIT = { O: "0", o: "0", D: "0", Q: "0", I: "1", l: "1", "|": "1", Z: "2", S: "5", s: "5", G: "6", B: "8" };
+
+// Digits Tesseract mixes up with each other, tried when the checksum fails
+const DIGIT_CONFUSIONS = {
+  0: "869", 1: "7", 2: "7", 3: "8", 4: "9",
+  5: "68", 6: "508", 7: "12", 8: "0365", 9: "04",
+};
+
+/**
+ * Every valid number one OCR confusion away from `digits` (12 characters).
+ * More than one candidate means the reading is ambiguous.
+ */
+export function correctionCandidates(digits) {
+  const found = new Set();
+  for (let i = 0; i < digits.length; i++) {
+    for (const alt of DIGIT_CONFUSIONS[digits[i]] || "") {
+      const candidate = digits.slice(0, i) + alt + digits.slice(i + 1);
+      if (isValidAadhaar(candidate)) found.add(candidate);
+    }
+  }
+  return [...found];
+}
+
+/** Validate an OCR or typed reading; see the header for the result shape */
+export function checkAadhaar(reading) {
+  const read = String(reading || "").trim();
+  const compact = read.replace(/\s+/g, "");
+  const mapped = [...compact].map((ch) => LETTER_AS_DIGIT[ch] ?? ch).join("");
+
+  if (!/^\d{12}$/.test(mapped)) return { status: "invalid", number: null, read, candidates: [] };
+
+  if (isValidAadhaar(mapped)) {
+    // Letters turned into digits are still a guess worth confirming
+    return mapped === compact
+      ? { status: "valid", number: formatAadhaar(mapped) }
+      : { status: "corrected", number: formatAadhaar(mapped), read };
+  }
+
+  const candidates = correctionCandidates(mapped);
+  return candidates.length === 1
+    ? { status: "corrected", number: formatAadhaar(candidates[0]), read }
+    : { status: "invalid", number: null, read, candidates: candidates.map(formatAadhaar) };
+}
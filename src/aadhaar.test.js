@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { verhoeffValid, isValidAadhaar, formatAadhaar, correctionCandidates, checkAadhaar } from "./aadhaar";
+
+const VALID = "234567890124";
+
+describe("Verhoeff", () => {
+  it("accepts a number with its check digit", () => {
+    expect(verhoeffValid(VALID)).toBe(true);
+    expect(verhoeffValid("2363")).toBe(true);
+  });
+
+  it("catches every single-digit error", () => {
+    for (let i = 0; i < VALID.length; i++) {
+      for (let d = 0; d <= 9; d++) {
+        if (String(d) === VALID[i]) continue;
+        expect(verhoeffValid(VALID.slice(0, i) + d + VALID.slice(i + 1))).toBe(false);
+      }
+    }
+  });
+
+  it("catches swapped neighbours", () => {
+    expect(verhoeffValid("324567890124")).toBe(false);
+  });
+});
+
+describe("isValidAadhaar", () => {
+  it("ignores spacing", () => {
+    expect(isValidAadhaar("2345 6789 0124")).toBe(true);
+  });
+
+  it("rejects numbers starting with 0 or 1, and the wrong length", () => {
+    expect(isValidAadhaar("134567890124")).toBe(false);
+    expect(isValidAadhaar("23456789012")).toBe(false);
+    expect(isValidAadhaar("")).toBe(false);
+  });
+});
+
+describe("checkAadhaar", () => {
+  it("passes a clean reading as valid", () => {
+    expect(checkAadhaar("2345 6789 0124")).toEqual({ status: "valid", number: "2345 6789 0124" });
+  });
+
+  it("maps letter look-alikes but asks for confirmation", () => {
+    expect(checkAadhaar("2345 6789 O124")).toEqual({
+      status: "corrected", number: "2345 6789 0124", read: "2345 6789 O124",
+    });
+  });
+
+  it("repairs a digit confusion with a single valid fix", () => {
+    // 0 read as 8
+    expect(checkAadhaar("2080 7919 1233")).toEqual({
+      status: "corrected", number: "2000 7919 1233", read: "2080 7919 1233",
+    });
+  });
+
+  it("offers candidates when more than one fix is valid", () => {
+    const result = checkAadhaar("2345 6739 0124");
+    expect(result.status).toBe("invalid");
+    expect(result.number).toBeNull();
+    expect(result.candidates).toContain("2345 6789 0124");
+    expect(result.candidates.length).toBeGreaterThan(1);
+  });
+
+  it("gives up on readings that are not 12 digits", () => {
+    expect(checkAadhaar("2345 6789 012")).toMatchObject({ status: "invalid", candidates: [] });
+    expect(checkAadhaar(null)).toMatchObject({ status: "invalid", read: "" });
+  });
+});
+
+describe("helpers", () => {
+  it("formats in groups of four", () => {
+    expect(formatAadhaar(VALID)).toBe("2345 6789 0124");
+  });
+
+  it("lists only valid candidates", () => {
+    expect(correctionCandidates("234567390124").every(isValidAadhaar)).toBe(true);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * SchemeLink — Aadhaar back side (address) parsing
+ *
+ * extractAadhaarBackFields() reads the OCR text of the back of the card into
+ *   { docType: "Aadhaar Card", side: "back", address, addressParts, state,
+ *     aadhaar, aadhaarCheck, aadhaarRead, aadhaarCandidates, raw }
+ *
+ * `addressParts` is { relation, relationName, house, street, locality,
+ * postOffice, district, state, pin } — any part that is not on the card is
+ * "Not found". The card prints the address twice (regional language, then
+ * English); only the English block is parsed.
+ *
+ * mergeAadhaarSides() folds a front-side and a back-side result of the same
+ * card into one record.
+ */
+import { checkAadhaar } from "./aadhaar";
+import { stateFromAddress, stateFromPin } from "./states";
+
+export const AADHAAR_DOC_TYPE = "Aadhaar Card";
+
+// Header and footer text that is only on the back of the card
+const BACK_KEYWORDS = [
+  "unique identification authority", "identification authority of india",
+  "help@uidai", "uidai.gov.in", "address:", "address :",
+  "भारतीय विशिष्ट पहचान", "पता:", "पता :",
+  "இந்திய தனித்துவ அடையாள", "முகவரி:", "முகவரி :",
+];
+
+export function isAadhaarBack(text) {
+  const lower = (text || "").toLowerCase();
+  return BACK_KEYWORDS.some((k) => lower.includes(k));
+}
+
+// ── Address block ─────────────────────────────────────────────────────────
+
+const PIN = /\b([1-9]\d{2})\s?(\d{3})\b/;
+const LATIN = /[A-Za-z]/;
+
+/**
+ * The English address as one line: from the "Address"
+ * label to the line carrying the PIN code, or the few lines above the PIN
+ * when OCR lost the label.
+ */
+function addressBlock(lines) {
+  let start = lines.findIndex((l) => /\baddress\b/i.test(l));
+  let end = lines.findIndex((l, i) => i >= Math.max(start, 0) && PIN.test(l) && LATIN.test(l));
+  if (end === -1) end = lines.findIndex((l, i) => i >= Math.max(start, 0) && PIN.test(l));
+  if (start === -1 && end === -1) return null;
+  if (start === -1) start = Math.max(0, end - 4);
+  if (end === -1) end = Math.min(lines.length - 1, start + 4);
+
+  const block = lines
+    .slice(start, end + 1)
+    // The regional-language copy sits beside or above the English one
+    .filter((l) => LATIN.test(l))
+    .join(" ")
+    .replace(/^.*?\baddress\b\s*[:;]?\s*/i, "");
+
+  const pin = block.match(PIN);
+  const upToPin = pin ? block.slice(0, pin.index + pin[0].length) : block;
+  return upToPin
+    .replace(/[|]/g, "")
+    .replace(/\s*,[\s,]*/g, ", ")
+    .replace(/\s+/g, " ")
+    .replace(/^[,\s]+|[,\s-]+$/g, "")
+    .trim() || null;
+}
+
+// ── Address parts ─────────────────────────────────────────────────────────
+
+const RELATION = /^\s*([CSDW])\s*[/\\]\s*[O0]\s*[:.;-]?\s*(.+)$/i;
+
+// Labels printed on e-Aadhaar letters and newer cards
+const LABELS = {
+  locality: /^(?:vtc|village|town|city)\s*[:.-]\s*(.+)$/i,
+  postOffice: /^(?:po|p\.o\.?|post\s*office)\s*[:.-]\s*(.+)$/i,
+  district: /^(?:dist(?:rict)?\.?)\s*[:.-]\s*(.+)$/i,
+  state: /^state\s*[:.-]\s*(.+)$/i,
+  pin: /^pin(?:\s*code)?\s*[:.-]\s*(\d{3}\s?\d{3})$/i,
+};
+
+const SUB_DISTRICT = /^(?:sub\s*district|taluk|tehsil|mandal)\s*[:.-]\s*/i;
+const HOUSE = /^(?:h\.?\s*no\.?|house\s*no\.?|door\s*no\.?|no\.?|plot\s*no\.?|flat\s*no\.?|#)?\s*[\dA-Z]{0,3}\d+[\dA-Z/-]*\b/i;
+const STREET = /\b(?:street|st\.?|road|rd\.?|lane|cross|main|salai|marg|gali|veedhi|street\s*no)\b/i;
+
+/** The state a comma part names ("Tamil Nadu", "Tamilnadu"), or null */
+function asState(part) {
+  if (/\d/.test(part)) return null;
+  const state = stateFromAddress(part);
+  // "Delhi Road" or "Kerala Colony" is a street, not the state line
+  return state && part.split(/\s+/).length <= state.split(" ").length + 1 ? state : null;
+}
+
+/** Split an Aadhaar address string into its labelled parts */
+export function parseAddress(address) {
+  const parts = {
+    relation: "Not found", relationName: "Not found", house: "Not found",
+    street: "Not found", locality: "Not found", postOffice: "Not found",
+    district: "Not found", state: "Not found", pin: "Not found",
+  };
+  if (!address) return parts;
+
+  let pieces = address.split(/\s*,\s*/).map((p) => p.trim()).filter(Boolean);
+
+  // A trailing "Tamil Nadu - 625020" carries both state and PIN
+  const pinM = address.match(PIN);
+  if (pinM) {
+    parts.pin = pinM[1] + pinM[2];
+    pieces = pieces
+      .map((p) => p.replace(PIN, "").replace(/^(?:pin(?:\s*code)?)\s*[:.-]?\s*/i, "").replace(/[\s-]+$/, "").trim())
+      .filter(Boolean);
+  }
+
+  const others = [];
+  for (const piece of pieces) {
+    const rel = piece.match(RELATION);
+    if (rel && parts.relation === "Not found") {
+      parts.relation = `${rel[1].toUpperCase()}/O`;
+      parts.relationName = rel[2].trim();
+      continue;
+    }
+    const label = Object.keys(LABELS).find((k) => LABELS[k].test(piece));
+    if (label) {
+      parts[label] = piece.match(LABELS[label])[1].trim();
+      continue;
+    }
+    if (SUB_DISTRICT.test(piece)) continue;
+    others.push(piece);
+  }
+
+  // Unlabelled cards end "…, district, state"
+  let rest = others;
+  const stateIdx = rest.findIndex(asState);
+  if (stateIdx !== -1) {
+    if (parts.state === "Not found") parts.state = asState(rest[stateIdx]);
+    if (parts.district === "Not found" && stateIdx > 0) {
+      parts.district = rest[stateIdx - 1];
+      rest = rest.slice(0, stateIdx - 1);
+    } else {
+      rest = rest.slice(0, stateIdx);
+    }
+  }
+  parts.state = (parts.state !== "Not found" && (asState(parts.state) || parts.state))
+    || stateFromAddress(address)
+    || (parts.pin !== "Not found" && stateFromPin(parts.pin))
+    || "Not found";
+
+  // What is left, in card order: house, street, locality
+  if (rest.length && HOUSE.test(rest[0])) parts.house = rest.shift();
+  const streetIdx = rest.findIndex((p) => STREET.test(p));
+  if (streetIdx !== -1) parts.street = rest.splice(streetIdx, 1)[0];
+  if (rest.length) {
+    parts.locality = [...rest, ...(parts.locality !== "Not found" ? [parts.locality] : [])].join(", ");
+  }
+  return parts;
+}
+
+// ── Field extraction ──────────────────────────────────────────────────────
+
+/** Pull the address (and the number printed under it) off the card's back */
+export function extractAadhaarBackFields(rawText) {
+  const lines = (rawText || "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const address = addressBlock(lines);
+  const addressParts = parseAddress(address);
+
+  const am = (rawText || "").match(/\b(\d{4})\s{0,6}(\d{4})\s{0,6}(\d{4})\b/);
+  const check = am ? checkAadhaar(`${am[1]} ${am[2]} ${am[3]}`) : null;
+
+  return {
+    docType: AADHAAR_DOC_TYPE,
+    side: "back",
+    address: address || "Not found",
+    addressParts,
+    state: addressParts.state,
+    aadhaar: check?.number || "Not found",
+    aadhaarCheck: check?.status ?? null,
+    aadhaarRead: check?.read ?? null,
+    aadhaarCandidates: check?.candidates ?? [],
+    raw: rawText,
+  };
+}
+
+// ── Front + back ──────────────────────────────────────────────────────────
+
+const TRUSTED = ["valid", "confirmed"];
+const digitsOf = (v) => String(v || "").replace(/\D/g, "");
+
+/**
+ * One record from both sides of the same card, or null when `previous` is
+ * not the other side of `next` (different document, same side, or two
+ * checked numbers that disagree).
+ */
+export function mergeAadhaarSides(previous, next) {
+  if (previous?.docType !== AADHAAR_DOC_TYPE || next?.docType !== AADHAAR_DOC_TYPE) return null;
+  const sides = [previous.side || "front", next.side || "front"];
+  if (sides.includes("both") || sides[0] === sides[1]) return null;
+
+  const [front, back] = sides[0] === "front" ? [previous, next] : [next, previous];
+  const frontOk = TRUSTED.includes(front.aadhaarCheck);
+  const backOk = TRUSTED.includes(back.aadhaarCheck);
+  if (frontOk && backOk && digitsOf(front.aadhaar) !== digitsOf(back.aadhaar)) return null;
+
+  // The number comes from whichever side read it cleanly, front first
+  const numberFrom = frontOk || !backOk ? front : back;
+  return {
+    ...front,
+    side: "both",
+    address: back.address,
+    addressParts: back.addressParts,
+    state: back.state,
+    aadhaar: numberFrom.aadhaar,
+    aadhaarCheck: numberFrom.aadhaarCheck,
+    aadhaarRead: numberFrom.aadhaarRead,
+    aadhaarCandidates: numberFrom.aadhaarCandidates,
+    confidence: {
+      ...back.confidence,
+      ...front.confidence,
+      aadhaar: numberFrom.confidence?.aadhaar ?? null,
+    },
+    raw: [front.raw, back.raw].filter(Boolean).join("\n\n") || undefined,
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import { isAadhaarBack, parseAddress, extractAadhaarBackFields, mergeAadhaarSides } from "./aadhaarAddress";
+
+const BACK_TEXT = [
+  "Unique Identification Authority of India",
+  "முகவரி: த/பெ முருகன், 12, காந்தி தெரு",
+  "Address: S/O Murugan, 12/4, Gandhi Street,",
+  "Anna Nagar, Madurai,",
+  "Tamil Nadu - 625020",
+  "2345 6789 0124",
+  "help@uidai.gov.in",
+].join("\n");
+
+describe("isAadhaarBack", () => {
+  it("recognises the back's header and footer", () => {
+    expect(isAadhaarBack(BACK_TEXT)).toBe(true);
+    expect(isAadhaarBack("Government of India\nDOB: 01/01/1990")).toBe(false);
+  });
+});
+
+describe("parseAddress", () => {
+  it("splits an unlabelled card address", () => {
+    expect(parseAddress("S/O Murugan, 12/4, Gandhi Street, Anna Nagar, Madurai, Tamil Nadu - 625020")).toEqual({
+      relation: "S/O", relationName: "Murugan", house: "12/4", street: "Gandhi Street",
+      locality: "Anna Nagar", postOffice: "Not found", district: "Madurai", state: "Tamil Nadu", pin: "625020",
+    });
+  });
+
+  it("reads labelled e-Aadhaar parts", () => {
+    const parts = parseAddress(
+      "C/O Ramesh, 5, VTC: Tiruppalai, PO: Tiruppalai, Sub District: Madurai North, District: Madurai, State: Tamil Nadu, PIN Code: 625014"
+    );
+    expect(parts).toMatchObject({
+      relation: "C/O", house: "5", locality: "Tiruppalai", postOffice: "Tiruppalai",
+      district: "Madurai", state: "Tamil Nadu", pin: "625014",
+    });
+  });
+
+  it("does not take a street named after a state for the state", () => {
+    const parts = parseAddress("7, Kerala Colony Road, Coimbatore, Tamil Nadu 641001");
+    expect(parts.state).toBe("Tamil Nadu");
+    expect(parts.street).toBe("Kerala Colony Road");
+  });
+
+  it("falls back to the PIN for the state", () => {
+    expect(parseAddress("22, Market Road, Ernakulam 682011").state).toBe("Kerala");
+  });
+
+  it("reports every part missing for no address", () => {
+    expect(Object.values(parseAddress(null)).every((v) => v === "Not found")).toBe(true);
+  });
+});
+
+describe("extractAadhaarBackFields", () => {
+  it("reads the English address block and the number", () => {
+    const fields = extractAadhaarBackFields(BACK_TEXT);
+    expect(fields).toMatchObject({
+      side: "back",
+      address: "S/O Murugan, 12/4, Gandhi Street, Anna Nagar, Madurai, Tamil Nadu - 625020",
+      state: "Tamil Nadu",
+      aadhaar: "2345 6789 0124",
+      aadhaarCheck: "valid",
+    });
+  });
+});
+
+describe("mergeAadhaarSides", () => {
+  const front = {
+    docType: "Aadhaar Card", side: "front", name: "Ravi", aadhaar: "2345 6789 0124", aadhaarCheck: "valid",
+    confidence: { name: 90, aadhaar: 80 },
+  };
+  const back = { ...extractAadhaarBackFields(BACK_TEXT), confidence: { address: 70, aadhaar: 95 } };
+
+  it("joins a front and a back, in either order", () => {
+    const merged = mergeAadhaarSides(back, front);
+    expect(merged).toMatchObject({ side: "both", name: "Ravi", state: "Tamil Nadu", aadhaar: "2345 6789 0124" });
+    expect(merged.confidence).toEqual({ name: 90, address: 70, aadhaar: 80 });
+    expect(mergeAadhaarSides(front, back)).toEqual(merged);
+  });
+
+  it("takes the number from the back when only the back read it cleanly", () => {
+    const merged = mergeAadhaarSides({ ...front, aadhaar: "Not found", aadhaarCheck: "invalid" }, back);
+    expect(merged.aadhaarCheck).toBe("valid");
+    expect(merged.confidence.aadhaar).toBe(95);
+  });
+
+  it("refuses two sides of different cards, the same side twice, or other documents", () => {
+    expect(mergeAadhaarSides(front, { ...back, aadhaar: "2000 7919 1233" })).toBeNull();
+    expect(mergeAadhaarSides(front, front)).toBeNull();
+    expect(mergeAadhaarSides(front, { ...back, docType: "Voter ID" })).toBeNull();
+    expect(mergeAadhaarSides(null, back)).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * SchemeLink — Application tracker
+ *
+ * One record per "Apply" click, persisted in localStorage:
+ *   {
+ *     id, schemeId, schemeTitle, schemeEmoji,
+ *     profile:   snapshot of the applicant at the time of applying,
+ *     createdAt, updatedAt,
+ *     status:    draft | submitted | under_review | approved | rejected,
+ *     history:   [{ status, at, note }]   oldest first
+ *     notes:     [{ text, at }]
+ *     documents: { [type]: { fileName, size, attachedAt, scan? } }   see documents.js
+ *   }
+ *
+ * All helpers are pure: they take the current list and return a new one, so
+ * App can keep the list in state and persist it in one effect.
+ */
+
+export const LS_KEY = "schemelink_applications";
+
+export const STATUSES = [
+  { value: "draft", label: "Draft", icon: "📝" },
+  { value: "submitted", label: "Submitted", icon: "📨" },
+  { value: "under_review", label: "Under review", icon: "🔎" },
+  { value: "approved", label: "Approved", icon: "✅" },
+  { value: "rejected", label: "Rejected", icon: "❌" },
+];
+
+export const statusInfo = (value) =>
+  STATUSES.find((s) => s.value === value) || { value, label: value, icon: "•" };
+
+// ── Persistence ───────────────────────────────────────────────────────────
+
+export function loadApplications() {
+  try {
+    const raw = localStorage.getItem(LS_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch { return []; }
+}
+
+export function saveApplications(list) {
+  try {
+    localStorage.setItem(LS_KEY, JSON.stringify(list));
+  } catch (err) {
+    console.error("Could not save applications:", err);
+  }
+}
+
+// ── Updates ───────────────────────────────────────────────────────────────
+
+const now = () => new Date().toISOString();
+
+// Household members carry their own id (household.js); the head, and an
+// applicant straight from a scan, have none
+export const applicantOf = (profile) => profile?.id || "head";
+
+/**
+ * The open (not rejected) application for a scheme, if there is one. With an
+ * `applicant`, only theirs: a scholarship for one child does not block another.
+ */
+export function findOpenApplication(list, schemeId, applicant = null) {
+  return list.find((a) =>
+    a.schemeId === schemeId
+    && a.status !== "rejected"
+    && (applicant == null || applicantOf(a.profile) === applicant)
+  ) || null;
+}
+
+/**
+ * Start an application for `scheme`. Returns { list, application, created };
+ * the applicant's existing open application is returned instead of creating a
+ * duplicate. A household-level scheme is applied for once per family.
+ */
+export function createApplication(list, scheme, profile) {
+  const applicant = scheme.level === "household" ? null : applicantOf(profile);
+  const existing = findOpenApplication(list, scheme.id, applicant);
+  if (existing) return { list, application: existing, created: false };
+
+  const at = now();
+  const application = {
+    id: `app_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    schemeId: scheme.id,
+    schemeTitle: scheme.title,
+    schemeEmoji: scheme.emoji,
+    profile: profile ? { ...profile } : null,
+    createdAt: at,
+    updatedAt: at,
+    status: "draft",
+    history: [{ status: "draft", at, note: "Application started" }],
+    notes: [],
+    documents: {},
+  };
+  return { list: [application, ...list], application, created: true };
+}
+
+function patch(list, id, fn) {
+  return list.map((a) => (a.id === id ? { ...fn(a), updatedAt: now() } : a));
+}
+
+/** Move an application to a new status, recording it in the history */
+export function updateStatus(list, id, status, note = "") {
+  return patch(list, id, (a) =>
+    a.status === status
+      ? a
+      : { ...a, status, history: [...a.history, { status, at: now(), note }] }
+  );
+}
+
+export function addNote(list, id, text) {
+  const trimmed = text.trim();
+  if (!trimmed) return list;
+  return patch(list, id, (a) => ({ ...a, notes: [...a.notes, { text: trimmed, at: now() }] }));
+}
+
+/** Record a document against an application (replaces an earlier one of the same type) */
+export function attachDocument(list, id, type, record) {
+  return patch(list, id, (a) => ({
+    ...a,
+    documents: { ...(a.documents || {}), [type]: { ...record, attachedAt: now() } },
+  }));
+}
+
+export function detachDocument(list, id, type) {
+  return patch(list, id, (a) => {
+    const documents = { ...(a.documents || {}) };
+    delete documents[type];
+    return { ...a, documents };
+  });
+}
+
+export function removeApplication(list, id) {
+  return list.filter((a) => a.id !== id);
+}
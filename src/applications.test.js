@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+import {
+  createApplication, findOpenApplication, updateStatus, addNote, removeApplication, statusInfo,
+} from "./applications";
+
+const SCHOLARSHIP = { id: 1, title: "Scholarship", emoji: "🎓" };
+const PENSION = { id: 2, title: "Pension", emoji: "👵" };
+const GAS = { id: 3, title: "Gas connection", emoji: "🔥", level: "household" };
+
+const APPLICANT = { name: "Lakshmi", age: "34" };
+const HEAD = { name: "Lakshmi" };
+const SON = { id: "m_1", name: "Arun" };
+const DAUGHTER = { id: "m_2", name: "Divya" };
+
+describe("createApplication", () => {
+  it("starts a draft with a snapshot of the applicant", () => {
+    const { list, application, created } = createApplication([], SCHOLARSHIP, APPLICANT);
+    expect(created).toBe(true);
+    expect(list).toEqual([application]);
+    expect(application).toMatchObject({ schemeId: 1, schemeTitle: "Scholarship", status: "draft", profile: APPLICANT });
+    expect(application.profile).not.toBe(APPLICANT);
+    expect(application.history).toEqual([{ status: "draft", at: application.createdAt, note: "Application started" }]);
+  });
+
+  it("returns the open application instead of a duplicate", () => {
+    const { list } = createApplication([], SCHOLARSHIP, APPLICANT);
+    const again = createApplication(list, SCHOLARSHIP, APPLICANT);
+    expect(again.created).toBe(false);
+    expect(again.list).toBe(list);
+    expect(createApplication(list, PENSION, APPLICANT).list).toHaveLength(2);
+  });
+
+  it("keeps one open application per scheme and applicant", () => {
+    let { list } = createApplication([], SCHOLARSHIP, SON);
+    const again = createApplication(list, SCHOLARSHIP, { ...SON, age: "19" });
+    expect(again.created).toBe(false);
+    expect(again.list).toBe(list);
+
+    ({ list } = createApplication(list, SCHOLARSHIP, DAUGHTER));
+    ({ list } = createApplication(list, SCHOLARSHIP, HEAD));
+    expect(list.map((a) => a.profile.name)).toEqual(["Lakshmi", "Divya", "Arun"]);
+  });
+
+  it("treats an applicant without an id as the head", () => {
+    const { list } = createApplication([], SCHOLARSHIP, HEAD);
+    expect(createApplication(list, SCHOLARSHIP, { id: "head", name: "Lakshmi" }).created).toBe(false);
+    expect(createApplication(list, SCHOLARSHIP, null).created).toBe(false);
+  });
+
+  it("applies for a household-level scheme once per family", () => {
+    const { list } = createApplication([], GAS, SON);
+    expect(createApplication(list, GAS, DAUGHTER).created).toBe(false);
+  });
+
+  it("allows a new application once the last one was rejected", () => {
+    const first = createApplication([], SCHOLARSHIP, APPLICANT);
+    const list = updateStatus(first.list, first.application.id, "rejected");
+    expect(findOpenApplication(list, 1)).toBeNull();
+    expect(createApplication(list, SCHOLARSHIP, APPLICANT).created).toBe(true);
+  });
+});
+
+describe("findOpenApplication", () => {
+  it("matches any applicant unless one is given", () => {
+    const { list } = createApplication([], SCHOLARSHIP, SON);
+    expect(findOpenApplication(list, 1)?.profile.name).toBe("Arun");
+    expect(findOpenApplication(list, 1, "m_2")).toBeNull();
+  });
+});
+
+describe("updates", () => {
+  it("records status changes and notes", () => {
+    const { list, application } = createApplication([], SCHOLARSHIP, APPLICANT);
+    let next = updateStatus(list, application.id, "submitted", "Sent by post");
+    next = updateStatus(next, application.id, "submitted");
+    next = addNote(next, application.id, "  Call the office  ");
+    next = addNote(next, application.id, " ");
+    expect(next[0].history.map((h) => [h.status, h.note])).toEqual([
+      ["draft", "Application started"],
+      ["submitted", "Sent by post"],
+    ]);
+    expect(next[0].notes.map((n) => n.text)).toEqual(["Call the office"]);
+    expect(list[0].status).toBe("draft");
+  });
+
+  it("removes an application by id", () => {
+    const { list, application } = createApplication([], SCHOLARSHIP, APPLICANT);
+    expect(removeApplication(list, application.id)).toEqual([]);
+  });
+});
+
+describe("statusInfo", () => {
+  it("falls back to the raw value for an unknown status", () => {
+    expect(statusInfo("approved").label).toBe("Approved");
+    expect(statusInfo("lost")).toEqual({ value: "lost", label: "lost", icon: "•" });
+  });
+});
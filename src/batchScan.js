@@ -0,0 +1,130 @@
+/**
+ * SchemeLink — Batch scanning at enrolment camps
+ *
+ * BatchScanner queues many photos through the OCR pipeline one after the
+ * other. These helpers turn the finished queue into the results table and
+ * its exports:
+ *
+ *   batchRows(items, edits) → [{ id, files, status, note, result }]
+ *   toCsv(rows) / toJson(rows)
+ *
+ * `items` are the queue entries in upload order:
+ *   { id, name, status: queued | scanning | done | failed | cancelled,
+ *     result?, error?, issues? }
+ *
+ * The front and back of one Aadhaar are usually photographed one after the
+ * other, so a done item that mergeAadhaarSides() accepts with the row just
+ * before it joins that row instead of starting a new one.
+ *
+ * `edits` are the operator's corrections, { [row id]: { field: value } };
+ * they win over what was read, and they stay with a row that later joins
+ * the one before it. An Aadhaar or Voter ID number that failed its check is
+ * left out of the exports until the operator confirms or corrects it
+ * (confirmEdit() / cellEdit()).
+ */
+import { mergeAadhaarSides } from "./aadhaarAddress";
+
+/**
+ * Table and export columns; `key` is the extracted field, `check` the status
+ * of a checked number (valid | corrected | invalid | confirmed | rejected)
+ */
+export const BATCH_COLUMNS = [
+  { key: "docType", label: "Document" },
+  { key: "name", label: "Name" },
+  { key: "dob", label: "Date of birth" },
+  { key: "gender", label: "Gender" },
+  { key: "aadhaar", label: "Aadhaar", check: "aadhaarCheck" },
+  { key: "cardNo", label: "Voter ID", check: "cardNoCheck" },
+  { key: "pan", label: "PAN" },
+  { key: "fatherName", label: "Father's name" },
+  { key: "address", label: "Address" },
+  { key: "state", label: "State" },
+  { key: "income", label: "Annual income" },
+  { key: "community", label: "Community" },
+  { key: "cardCategory", label: "Ration card" },
+];
+
+const blank = (v) => v == null || v === "Not found";
+
+/** A field as the table shows it: "" when missing */
+export const cellValue = (result, key) => (result && !blank(result[key]) ? String(result[key]) : "");
+
+const TRUSTED = ["valid", "confirmed"];
+
+/** A number the table shows but the exports leave out until someone confirms it */
+export const unconfirmed = (result, column) =>
+  Boolean(column.check && cellValue(result, column.key) && !TRUSTED.includes(result[column.check] ?? "valid"));
+
+/** The edit for typing `value` into a cell; a typed number counts as confirmed */
+export const cellEdit = (column, value) =>
+  column.check ? { [column.key]: value, [column.check]: "confirmed" } : { [column.key]: value };
+
+/** The edit confirming every number of a row as read, or null when none needs it */
+export function confirmEdit(result) {
+  const pending = BATCH_COLUMNS.filter((c) => unconfirmed(result, c));
+  return pending.length ? Object.fromEntries(pending.map((c) => [c.check, "confirmed"])) : null;
+}
+
+// Why an item failed, or what the quality check disliked about its photo
+const noteOf = (item) => item.error || (item.issues || []).map((i) => i.check).join(", ");
+
+/** See the header */
+export function batchRows(items, edits = {}) {
+  const rows = [];
+  const rowEdits = {};
+  for (const item of items) {
+    const last = rows[rows.length - 1];
+    const merged = item.status === "done" && last?.status === "done" && last.files.length === 1
+      ? mergeAadhaarSides(last.result, item.result)
+      : null;
+    if (merged) {
+      last.files.push(item.name);
+      last.result = merged;
+      last.note = [last.note, noteOf(item)].filter(Boolean).join("; ");
+      // What was typed into the joining row while it stood alone; the row's own edits win
+      rowEdits[last.id] = { ...edits[item.id], ...rowEdits[last.id] };
+      continue;
+    }
+    rowEdits[item.id] = edits[item.id];
+    rows.push({
+      id: item.id,
+      files: [item.name],
+      status: item.status,
+      note: noteOf(item),
+      result: item.result || null,
+    });
+  }
+  return rows.map((row) => (rowEdits[row.id] && row.result
+    ? { ...row, result: { ...row.result, ...rowEdits[row.id] } }
+    : row));
+}
+
+// ── Export ────────────────────────────────────────────────────────────────
+
+function exportRecord(row) {
+  const held = BATCH_COLUMNS.filter((c) => unconfirmed(row.result, c));
+  return {
+    files: row.files.join(" + "),
+    status: row.status,
+    note: [row.note, ...held.map((c) => `${c.label} not confirmed`)].filter(Boolean).join("; "),
+    ...Object.fromEntries(BATCH_COLUMNS.map((c) => [c.key, held.includes(c) ? "" : cellValue(row.result, c.key)])),
+  };
+}
+
+// A cell starting with one of these is a formula to Excel and LibreOffice
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quoted where needed (RFC 4180), formulas defused with a leading ', and a
+ * BOM so Excel reads Tamil and Hindi names
+ */
+export function toCsv(rows) {
+  const header = ["File(s)", "Status", "Note", ...BATCH_COLUMNS.map((c) => c.label)];
+  const defuse = (v) => (FORMULA_START.test(v) ? `'${v}` : v);
+  const quote = (v) => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const lines = [header, ...rows.map((r) => Object.values(exportRecord(r)))]
+    .map((cells) => cells.map((c) => quote(defuse(String(c)))).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export const toJson = (rows) => JSON.stringify(rows.map(exportRecord), null, 2);
@@ -0,0 +1,92 @@
+import { describe, it, expect } from "vitest";
+import { batchRows, cellEdit, confirmEdit, toCsv, toJson, BATCH_COLUMNS } from "./batchScan";
+
+const FRONT = {
+  docType: "Aadhaar Card", side: "front", name: "Ravi", aadhaar: "2345 6789 0124", aadhaarCheck: "valid", confidence: {},
+};
+const BACK = {
+  docType: "Aadhaar Card", side: "back", address: "12, Gandhi Street, Madurai", state: "Tamil Nadu",
+  aadhaar: "2345 6789 0124", aadhaarCheck: "valid", confidence: {},
+};
+const VOTER = { docType: "Voter ID", name: "Meena", cardNo: "SOL3248452", cardNoCheck: "corrected", confidence: {} };
+
+const done = (id, result) => ({ id, name: `${id}.jpg`, status: "done", result });
+const column = (key) => BATCH_COLUMNS.find((c) => c.key === key);
+const csvLines = (rows) => toCsv(rows).replace("\uFEFF", "").trim().split("\r\n");
+
+describe("batchRows", () => {
+  it("joins the two sides of an Aadhaar taken one after the other", () => {
+    const rows = batchRows([done(1, FRONT), done(2, BACK), done(3, VOTER)]);
+    expect(rows.map((r) => r.files)).toEqual([["1.jpg", "2.jpg"], ["3.jpg"]]);
+    expect(rows[0].result).toMatchObject({ side: "both", name: "Ravi", state: "Tamil Nadu" });
+  });
+
+  it("keeps what was typed into a row that later joins the one before it", () => {
+    const items = [done(1, FRONT), { id: 2, name: "2.jpg", status: "scanning" }];
+    const edits = { 1: { name: "Ravi Kumar" }, 2: { state: "Kerala" } };
+    expect(batchRows(items, edits)).toHaveLength(2);
+
+    const [row] = batchRows([items[0], done(2, BACK)], edits);
+    expect(row.result).toMatchObject({ name: "Ravi Kumar", state: "Kerala" });
+  });
+
+  it("lets the surviving row's own edits win", () => {
+    const [row] = batchRows([done(1, FRONT), done(2, BACK)], { 1: { state: "Goa" }, 2: { state: "Kerala" } });
+    expect(row.result.state).toBe("Goa");
+  });
+
+  it("notes why an item failed", () => {
+    const [row] = batchRows([{ id: 1, name: "1.pdf", status: "failed", error: "Password-protected PDF" }]);
+    expect(row).toMatchObject({ status: "failed", note: "Password-protected PDF", result: null });
+  });
+});
+
+describe("number checks", () => {
+  it("leaves an unconfirmed number out of the exports", () => {
+    const rows = batchRows([done(1, VOTER)]);
+    const [record] = JSON.parse(toJson(rows));
+    expect(record).toMatchObject({ name: "Meena", cardNo: "", note: "Voter ID not confirmed" });
+  });
+
+  it("exports it once the operator confirms the row", () => {
+    const confirm = confirmEdit(batchRows([done(1, VOTER)])[0].result);
+    expect(confirm).toEqual({ cardNoCheck: "confirmed" });
+    const [record] = JSON.parse(toJson(batchRows([done(1, VOTER)], { 1: confirm })));
+    expect(record).toMatchObject({ cardNo: "SOL3248452", note: "" });
+  });
+
+  it("counts a typed number as confirmed", () => {
+    expect(cellEdit(column("cardNo"), "SOL3248432")).toEqual({ cardNo: "SOL3248432", cardNoCheck: "confirmed" });
+    expect(cellEdit(column("name"), "Meena R")).toEqual({ name: "Meena R" });
+    const [record] = JSON.parse(toJson(batchRows([done(1, VOTER)], { 1: cellEdit(column("cardNo"), "SOL3248432") })));
+    expect(record.cardNo).toBe("SOL3248432");
+  });
+
+  it("has nothing to confirm on a row whose numbers passed", () => {
+    expect(confirmEdit(FRONT)).toBeNull();
+    expect(confirmEdit({ ...VOTER, cardNo: "Not found" })).toBeNull();
+  });
+});
+
+describe("toCsv", () => {
+  it("starts with a BOM and a header row", () => {
+    const csv = toCsv([]);
+    expect(csv.startsWith("\uFEFFFile(s),Status,Note,Document,Name")).toBe(true);
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    const [, line] = csvLines(batchRows([done(1, { ...FRONT, name: 'Ravi "Raja", Kumar' })]));
+    expect(line).toContain('"Ravi ""Raja"", Kumar"');
+  });
+
+  it("defuses cells Excel would run as a formula", () => {
+    const rows = batchRows([done(1, { ...FRONT, name: "=HYPERLINK(\"x\")", address: "@SUM(A1)" })], {
+      1: { fatherName: "+91", state: "-2" },
+    });
+    const [, line] = csvLines(rows);
+    expect(line).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(line).toContain("'@SUM(A1)");
+    expect(line).toContain("'+91");
+    expect(line).toContain("'-2");
+  });
+});
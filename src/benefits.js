@@ -0,0 +1,97 @@
+/**
+ * SchemeLink — Structured scheme benefits
+ *
+ * Reads the `benefit` object on each scheme (see schemeData.js) and adds it
+ * up into an "estimated annual benefit" for a profile.
+ *
+ * Only money the citizen actually receives counts toward the total (cash,
+ * subsidy, in-kind with a value). Loans and insurance are reported beside it
+ * as "access to" figures — a ₹10 lakh MUDRA loan is not ₹10 lakh of income.
+ */
+
+export const BENEFIT_TYPES = ["cash", "loan", "insurance", "subsidy", "in-kind"];
+
+const PER_YEAR = { once: 1, monthly: 12, yearly: 1 };
+export const FREQUENCIES = Object.keys(PER_YEAR);
+
+const RECEIVED_TYPES = ["cash", "subsidy", "in-kind"];
+
+const TYPE_LABEL = {
+  cash: "Cash",
+  loan: "Loan",
+  insurance: "Insurance cover",
+  subsidy: "Subsidy",
+  "in-kind": "In-kind",
+};
+
+const FREQUENCY_LABEL = { once: "one-time", monthly: "/ month", yearly: "/ year" };
+
+export const rupees = (n) => `₹${Math.round(n).toLocaleString("en-IN")}`;
+
+/** The scheme's benefit with the profile state's override applied */
+export function benefitFor(scheme, state) {
+  const b = scheme.benefit;
+  if (!b) return null;
+  const override = state && b.stateOverrides ? b.stateOverrides[state] : null;
+  return override ? { ...b, ...override } : b;
+}
+
+/**
+ * Yearly { min, max } in ₹, or null when the scheme gives no figure.
+ * A missing min means "up to max".
+ */
+export function annualRange(benefit) {
+  if (!benefit || benefit.max == null) return null;
+  const k = PER_YEAR[benefit.frequency] || 1;
+  return { min: (benefit.min ?? 0) * k, max: benefit.max * k };
+}
+
+/** "Cash · ₹1,000 – ₹3,000 / month" */
+export function benefitLabel(benefit) {
+  if (!benefit) return "";
+  const type = TYPE_LABEL[benefit.type] || benefit.type;
+  if (benefit.max == null) return type;
+  const amount = benefit.min == null
+    ? `up to ${rupees(benefit.max)}`
+    : benefit.min === benefit.max
+      ? rupees(benefit.max)
+      : `${rupees(benefit.min)} – ${rupees(benefit.max)}`;
+  return `${type} · ${amount} ${FREQUENCY_LABEL[benefit.frequency] || ""}`.trim();
+}
+
+/**
+ * Total up the benefits of the schemes a profile is eligible for.
+ * Returns {
+ *   received:  { min, max }   ₹ per year from cash / subsidy / in-kind
+ *   loans:     ₹ largest combined loan access
+ *   insurance: ₹ combined yearly cover
+ *   counted:   number of schemes in `received`
+ *   unquantified: number of schemes with no ₹ figure (free services etc.)
+ * }
+ */
+export function estimateAnnualBenefit(schemes, state) {
+  const total = {
+    received: { min: 0, max: 0 },
+    loans: 0,
+    insurance: 0,
+    counted: 0,
+    unquantified: 0,
+  };
+
+  for (const scheme of schemes) {
+    const b = benefitFor(scheme, state);
+    const range = annualRange(b);
+    if (!range) {
+      total.unquantified += 1;
+    } else if (b.type === "loan") {
+      total.loans += range.max;
+    } else if (b.type === "insurance") {
+      total.insurance += range.max;
+    } else if (RECEIVED_TYPES.includes(b.type)) {
+      total.received.min += range.min;
+      total.received.max += range.max;
+      total.counted += 1;
+    }
+  }
+  return total;
+}
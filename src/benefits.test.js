@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { benefitFor, annualRange, benefitLabel, estimateAnnualBenefit, rupees } from "./benefits";
+
+const scheme = (benefit, extra = {}) => ({ id: 1, title: "Scheme", benefit, ...extra });
+
+const PENSION = scheme({
+  type: "cash", min: 1000, max: 1000, frequency: "monthly",
+  stateOverrides: { "Tamil Nadu": { min: 1200, max: 1200 } },
+});
+
+describe("benefitFor", () => {
+  it("applies the profile state's override", () => {
+    expect(benefitFor(PENSION, "Tamil Nadu")).toMatchObject({ type: "cash", min: 1200, max: 1200, frequency: "monthly" });
+    expect(benefitFor(PENSION, "Kerala")).toBe(PENSION.benefit);
+    expect(benefitFor(PENSION, null)).toBe(PENSION.benefit);
+  });
+
+  it("is null for a scheme without a benefit", () => {
+    expect(benefitFor({ id: 2 }, "Kerala")).toBeNull();
+  });
+});
+
+describe("annualRange", () => {
+  it("scales by frequency", () => {
+    expect(annualRange({ min: 200, max: 500, frequency: "monthly" })).toEqual({ min: 2400, max: 6000 });
+    expect(annualRange({ min: 6000, max: 6000, frequency: "yearly" })).toEqual({ min: 6000, max: 6000 });
+    expect(annualRange({ max: 50000, frequency: "once" })).toEqual({ min: 0, max: 50000 });
+  });
+
+  it("is null when the scheme gives no figure", () => {
+    expect(annualRange({ type: "in-kind", frequency: "once" })).toBeNull();
+    expect(annualRange(null)).toBeNull();
+  });
+});
+
+describe("benefitLabel", () => {
+  it("words ranges, caps and fixed amounts", () => {
+    expect(benefitLabel({ type: "cash", min: 1000, max: 3000, frequency: "monthly" })).toBe("Cash · ₹1,000 – ₹3,000 / month");
+    expect(benefitLabel({ type: "loan", max: 1000000, frequency: "once" })).toBe("Loan · up to ₹10,00,000 one-time");
+    expect(benefitLabel({ type: "subsidy", min: 6000, max: 6000, frequency: "yearly" })).toBe("Subsidy · ₹6,000 / year");
+  });
+
+  it("falls back to the type without a figure", () => {
+    expect(benefitLabel({ type: "in-kind", frequency: "once" })).toBe("In-kind");
+    expect(benefitLabel(null)).toBe("");
+  });
+});
+
+describe("estimateAnnualBenefit", () => {
+  it("counts money received and reports loans and insurance beside it", () => {
+    const total = estimateAnnualBenefit([
+      PENSION,
+      scheme({ type: "subsidy", min: 0, max: 6000, frequency: "yearly" }),
+      scheme({ type: "loan", max: 1000000, frequency: "once" }),
+      scheme({ type: "insurance", min: 500000, max: 500000, frequency: "yearly" }),
+      scheme({ type: "in-kind", frequency: "once" }),
+      scheme(undefined),
+    ], "Tamil Nadu");
+    expect(total).toEqual({
+      received: { min: 14400, max: 20400 },
+      loans: 1000000,
+      insurance: 500000,
+      counted: 2,
+      unquantified: 2,
+    });
+  });
+});
+
+describe("rupees", () => {
+  it("rounds and groups in the Indian style", () => {
+    expect(rupees(1234567.6)).toBe("₹12,34,568");
+  });
+});
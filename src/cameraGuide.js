@@ -0,0 +1,72 @@
+/**
+ * SchemeLink — Framing guide and auto-capture for the camera
+ *
+ * CameraCapture draws a card-shaped guide over the live video and looks for
+ * the card (cardDetect.js) in a small copy of a few frames a second. These
+ * helpers decide when a frame is worth capturing:
+ *
+ *   guideRect(width, height)   → { x, y, w, h } the overlay, in frame pixels
+ *   createSteadyTracker()      → { update(quad, width, height) → state, reset() }
+ *
+ * `state` is one of:
+ *   "searching"  no card found
+ *   "closer"     a card, but too small in the frame
+ *   "hold"       framed — waiting for it to stop moving
+ *   "ready"      framed and steady for STEADY_FRAMES frames: capture now
+ */
+import { CARD_ASPECT } from "./cardDetect";
+
+// The guide: card-shaped, this share of the frame's width (or height, when
+// the frame is too short for that)
+const GUIDE_SHARE = 0.8;
+
+// The card should fill at least this much of the frame
+const MIN_COVERAGE = 0.3;
+
+// Corners may drift this share of the frame diagonal between frames
+const STEADY_DRIFT = 0.015;
+const STEADY_FRAMES = 5;
+
+export function guideRect(width, height) {
+  let w = width * GUIDE_SHARE;
+  let h = w / CARD_ASPECT;
+  if (h > height * GUIDE_SHARE) {
+    h = height * GUIDE_SHARE;
+    w = h * CARD_ASPECT;
+  }
+  return { x: (width - w) / 2, y: (height - h) / 2, w, h };
+}
+
+/** Largest distance any corner moved, as a share of the frame diagonal */
+function drift(a, b, width, height) {
+  const moved = a.map((p, i) => Math.hypot(p[0] - b[i][0], p[1] - b[i][1]));
+  return Math.max(...moved) / Math.hypot(width, height);
+}
+
+export function createSteadyTracker() {
+  let last = null;
+  let steady = 0;
+
+  return {
+    reset() {
+      last = null;
+      steady = 0;
+    },
+    /** `quad` is findCardQuad() on a width × height frame (or null) */
+    update(quad, width, height) {
+      if (!quad || !quad.isCard) {
+        last = null;
+        steady = 0;
+        return "searching";
+      }
+      const previous = last;
+      last = quad.corners;
+      if (quad.coverage < MIN_COVERAGE) {
+        steady = 0;
+        return "closer";
+      }
+      steady = previous && drift(previous, quad.corners, width, height) <= STEADY_DRIFT ? steady + 1 : 0;
+      return steady >= STEADY_FRAMES ? "ready" : "hold";
+    },
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * SchemeLink — Finding and squaring up a card in a photo
+ *
+ * Pure pixel helpers for OcrScanner's preprocessing step. They work on
+ * ImageData-like objects ({ data, width, height }, RGBA) so the canvas stays
+ * in the component:
+ *
+ *   findCardQuad(img)  → { corners: [tl, tr, br, bl], aspect, isCard, coverage } | null
+ *   warpPerspective(img, corners, width, height) → ImageData-like
+ *   isColourful(img)   → colour print or black-and-white (for layout templates)
+ *
+ * The card is told apart from the table by colour: the photo's border is
+ * taken as background, the largest blob that differs from it is the card,
+ * and its four corners are the extremes of that blob's outline. A card's
+ * corners come back with the long edge on top, so a card shot sideways is
+ * turned landscape; whether it is also upside down is left to OCR.
+ */
+
+// ID-1 card (Aadhaar, PAN, Voter ID, smart ration card): 85.6 × 53.98 mm
+export const CARD_ASPECT = 85.6 / 53.98;
+
+// Quads flatter than this are cards; squarer ones are pages (A4 is 1.41)
+const CARD_MIN_ASPECT = 1.5;
+
+// The blob must be a real part of the photo but not all of it
+const MIN_AREA = 0.15;
+const MAX_AREA = 0.97;
+
+// ── Segmentation ──────────────────────────────────────────────────────────
+
+/** Mean colour and spread of a strip around the image edge */
+function borderColour({ data, width, height }) {
+  const strip = Math.max(2, Math.round(Math.min(width, height) * 0.04));
+  const sum = [0, 0, 0];
+  const sq = [0, 0, 0];
+  let n = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x >= strip && x < width - strip && y >= strip && y < height - strip) continue;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        sum[c] += data[i + c];
+        sq[c] += data[i + c] * data[i + c];
+      }
+      n++;
+    }
+  }
+  const mean = sum.map((s) => s / n);
+  const spread = Math.sqrt(sq.reduce((acc, s, c) => acc + s / n - mean[c] * mean[c], 0));
+  return { mean, spread };
+}
+
+/** 1 where a pixel's colour is far from the background */
+export function foregroundMask(img) {
+  const { data, width, height } = img;
+  const { mean, spread } = borderColour(img);
+  // A busy tablecloth needs a wider margin than a plain desk
+  const limit = Math.max(40, spread * 2.5);
+  const mask = new Uint8Array(width * height);
+  for (let p = 0; p < mask.length; p++) {
+    const i = p * 4;
+    const d = Math.hypot(data[i] - mean[0], data[i + 1] - mean[1], data[i + 2] - mean[2]);
+    mask[p] = d > limit ? 1 : 0;
+  }
+  return mask;
+}
+
+/** Outline pixels ([x, y]) of the largest 4-connected blob, and its area */
+function largestBlob(mask, width, height) {
+  const label = new Int32Array(mask.length);
+  const queue = new Int32Array(mask.length);
+  let best = { id: 0, area: 0 };
+  let id = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || label[start]) continue;
+    id++;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    label[start] = id;
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width;
+      const neighbours = [
+        x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width,
+      ];
+      for (const q of neighbours) {
+        if (q < 0 || q >= mask.length || !mask[q] || label[q]) continue;
+        label[q] = id;
+        queue[tail++] = q;
+      }
+    }
+    if (tail > best.area) best = { id, area: tail };
+  }
+  if (!best.area) return null;
+
+  const outline = [];
+  for (let p = 0; p < label.length; p++) {
+    if (label[p] !== best.id) continue;
+    const x = p % width;
+    const y = (p - x) / width;
+    const inside = x > 0 && x < width - 1 && y > 0 && y < height - 1 &&
+      label[p - 1] === best.id && label[p + 1] === best.id &&
+      label[p - width] === best.id && label[p + width] === best.id;
+    if (!inside) outline.push([x, y]);
+  }
+  return { outline, area: best.area };
+}
+
+// ── Geometry ──────────────────────────────────────────────────────────────
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+/** Convex hull (monotone chain), counter-clockwise in image coordinates */
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of pts.reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Four corners of a roughly rectangular hull: the two points furthest apart
+ * are opposite corners, and the points furthest from that diagonal on either
+ * side are the other two.
+ */
+function quadCorners(hull) {
+  let a = hull[0];
+  let c = hull[0];
+  for (let i = 0; i < hull.length; i++) {
+    for (let j = i + 1; j < hull.length; j++) {
+      if (dist(hull[i], hull[j]) > dist(a, c)) [a, c] = [hull[i], hull[j]];
+    }
+  }
+  let b = null;
+  let d = null;
+  for (const p of hull) {
+    const side = cross(a, c, p);
+    if (side > 0 && (!b || side > cross(a, c, b))) b = p;
+    if (side < 0 && (!d || side < cross(a, c, d))) d = p;
+  }
+  return b && d ? [a, b, c, d] : null;
+}
+
+const polygonArea = (pts) =>
+  Math.abs(pts.reduce((s, p, i) => s + cross([0, 0], p, pts[(i + 1) % pts.length]), 0)) / 2;
+
+/** [tl, tr, br, bl] clockwise on screen */
+function orderCorners(quad) {
+  const cx = quad.reduce((s, p) => s + p[0], 0) / 4;
+  const cy = quad.reduce((s, p) => s + p[1], 0) / 4;
+  const sorted = [...quad].sort(
+    (p, q) => Math.atan2(p[1] - cy, p[0] - cx) - Math.atan2(q[1] - cy, q[0] - cx)
+  );
+  // Start from the corner nearest the top-left of the photo
+  const start = sorted.reduce((best, p, i) => (p[0] + p[1] < sorted[best][0] + sorted[best][1] ? i : best), 0);
+  return [0, 1, 2, 3].map((k) => sorted[(start + k) % 4]);
+}
+
+/**
+ * Where the card is in the photo, or null when there is no clear card
+ * (already cropped, or nothing stands out from the background).
+ */
+export function findCardQuad(img) {
+  const { width, height } = img;
+  const blob = largestBlob(foregroundMask(img), width, height);
+  if (!blob) return null;
+  const share = blob.area / (width * height);
+  if (share < MIN_AREA || share > MAX_AREA) return null;
+
+  const hull = convexHull(blob.outline);
+  const quad = hull.length >= 4 && quadCorners(hull);
+  if (!quad) return null;
+  // A blob that fills its quad badly is not a card (a hand, a shadow…)
+  if (blob.area / polygonArea(quad) < 0.85) return null;
+
+  let corners = orderCorners(quad);
+  let top = (dist(corners[0], corners[1]) + dist(corners[3], corners[2])) / 2;
+  let side = (dist(corners[1], corners[2]) + dist(corners[0], corners[3])) / 2;
+  const isCard = Math.max(top, side) / Math.min(top, side) >= CARD_MIN_ASPECT;
+  // A card shot sideways: make its long edge the top one. Pages keep the
+  // photo's orientation — portrait is their right way up.
+  if (isCard && top < side) {
+    corners = [corners[3], corners[0], corners[1], corners[2]];
+    [top, side] = [side, top];
+  }
+  return { corners, aspect: top / side, isCard, coverage: share };
+}
+
+// ── Perspective warp ──────────────────────────────────────────────────────
+
+/** Solve A·x = b (Gaussian elimination with partial pivoting) */
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[r][k] -= f * M[col][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+/** 3×3 homography (row-major, h33 = 1) taking each `from` point to `to` */
+export function homography(from, to) {
+  const A = [];
+  const b = [];
+  from.forEach(([x, y], i) => {
+    const [u, v] = to[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  });
+  return [...solve(A, b), 1];
+}
+
+/**
+ * The quad `corners` ([tl, tr, br, bl] in `img`) stretched onto a
+ * width × height rectangle, bilinear-sampled.
+ */
+export function warpPerspective(img, corners, width, height) {
+  const rect = [[0, 0], [width - 1, 0], [width - 1, height - 1], [0, height - 1]];
+  // Map output pixels back into the photo
+  const H = homography(rect, corners);
+  const out = new Uint8ClampedArray(width * height * 4);
+  const { data, width: sw, height: sh } = img;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const w = H[6] * x + H[7] * y + H[8];
+      const sx = Math.min(sw - 1, Math.max(0, (H[0] * x + H[1] * y + H[2]) / w));
+      const sy = Math.min(sh - 1, Math.max(0, (H[3] * x + H[4] * y + H[5]) / w));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(sw - 1, x0 + 1);
+      const y1 = Math.min(sh - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        const top = data[(y0 * sw + x0) * 4 + c] * (1 - fx) + data[(y0 * sw + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * sw + x0) * 4 + c] * (1 - fx) + data[(y1 * sw + x1) * 4 + c] * fx;
+        out[o + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+  return { data: out, width, height };
+}
+
+// ── Colour ────────────────────────────────────────────────────────────────
+
+// Mean HSV saturation above which a print counts as colour
+const COLOUR_SATURATION = 0.15;
+
+/** True for a colour print; samples every `step`-th pixel */
+export function isColourful({ data }, step = 4) {
+  let total = 0;
+  let n = 0;
+  for (let i = 0; i < data.length; i += 4 * step) {
+    const max = Math.max(data[i], data[i + 1], data[i + 2]);
+    const min = Math.min(data[i], data[i + 1], data[i + 2]);
+    total += max ? (max - min) / max : 0;
+    n++;
+  }
+  return n > 0 && total / n > COLOUR_SATURATION;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import { findCardQuad, warpPerspective, homography, isColourful, CARD_ASPECT } from "./cardDetect";
+
+// A 240×180 photo: `paint(x, y)` gives each pixel's [r, g, b]
+const W = 240, H = 180;
+function image(paint, width = W, height = H) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      [data[i], data[i + 1], data[i + 2]] = paint(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+const TABLE = [60, 45, 35];
+const CARD = [235, 235, 225];
+
+// Inside a convex polygon given clockwise on screen
+const inside = (poly) => (x, y) => poly.every((p, i) => {
+  const q = poly[(i + 1) % poly.length];
+  return (q[0] - p[0]) * (y - p[1]) - (q[1] - p[1]) * (x - p[0]) >= 0;
+});
+
+const photoOf = (poly, card = () => CARD) => image((x, y) => (inside(poly)(x, y) ? card(x, y) : TABLE));
+
+// A w × h card centred on (cx, cy), turned by `deg`, as [tl, tr, br, bl]
+function card(cx, cy, w, h, deg = 0) {
+  const a = (deg * Math.PI) / 180;
+  return [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]].map(([x, y]) => [
+    cx + x * Math.cos(a) - y * Math.sin(a),
+    cy + x * Math.sin(a) + y * Math.cos(a),
+  ]);
+}
+
+const near = (actual, expected, tolerance = 3) =>
+  actual.forEach((p, i) => {
+    expect(Math.abs(p[0] - expected[i][0])).toBeLessThanOrEqual(tolerance);
+    expect(Math.abs(p[1] - expected[i][1])).toBeLessThanOrEqual(tolerance);
+  });
+
+describe("findCardQuad", () => {
+  it("finds a card lying square on the table", () => {
+    const quad = findCardQuad(photoOf(card(120, 90, 160, 100)));
+    expect(quad.isCard).toBe(true);
+    expect(quad.aspect).toBeCloseTo(1.6, 1);
+    expect(quad.coverage).toBeCloseTo((160 * 100) / (W * H), 1);
+    near(quad.corners, [[40, 40], [199, 40], [199, 139], [40, 139]]);
+  });
+
+  it("finds the corners of a skewed card", () => {
+    const corners = card(120, 90, 150, 150 / CARD_ASPECT, 20);
+    const quad = findCardQuad(photoOf(corners));
+    expect(quad.isCard).toBe(true);
+    expect(quad.aspect).toBeCloseTo(CARD_ASPECT, 1);
+    near(quad.corners, corners);
+  });
+
+  it("turns a card shot sideways so its long edge is on top", () => {
+    const upright = card(120, 90, 95, 150);
+    const quad = findCardQuad(photoOf(upright));
+    expect(quad.isCard).toBe(true);
+    expect(quad.aspect).toBeGreaterThan(1.5);
+    // The old bottom-left corner is the new top-left
+    near(quad.corners, [upright[3], upright[0], upright[1], upright[2]]);
+  });
+
+  it("keeps a page as a page", () => {
+    const quad = findCardQuad(photoOf(card(120, 90, 110, 155)));
+    expect(quad.isCard).toBe(false);
+    expect(quad.aspect).toBeLessThan(1.5);
+  });
+
+  it("finds no card on an empty table, in a tight crop or in a small blob", () => {
+    expect(findCardQuad(image(() => TABLE))).toBeNull();
+    expect(findCardQuad(image(() => CARD))).toBeNull();
+    expect(findCardQuad(photoOf(card(120, 90, 50, 30)))).toBeNull();
+  });
+
+  it("finds no card in a blob that fills its corners badly", () => {
+    // An L shape, like a hand resting on the table
+    const l = image((x, y) => (x >= 40 && x < 200 && y >= 30 && y < 150 && (y < 70 || x < 90) ? CARD : TABLE));
+    expect(findCardQuad(l)).toBeNull();
+  });
+});
+
+describe("homography", () => {
+  it("maps each corner onto its target", () => {
+    const from = [[0, 0], [99, 0], [99, 59], [0, 59]];
+    const to = [[10, 20], [120, 5], [130, 80], [5, 70]];
+    const h = homography(from, to);
+    from.forEach(([x, y], i) => {
+      const w = h[6] * x + h[7] * y + h[8];
+      expect((h[0] * x + h[1] * y + h[2]) / w).toBeCloseTo(to[i][0], 6);
+      expect((h[3] * x + h[4] * y + h[5]) / w).toBeCloseTo(to[i][1], 6);
+    });
+  });
+});
+
+describe("warpPerspective", () => {
+  it("squares up a skewed card with its top-left mark in place", () => {
+    const corners = card(120, 90, 150, 95, 20);
+    // A red mark in the card's own top-left corner
+    const [tl, tr, , bl] = corners;
+    const at = (u, v) => [tl[0] + (tr[0] - tl[0]) * u + (bl[0] - tl[0]) * v, tl[1] + (tr[1] - tl[1]) * u + (bl[1] - tl[1]) * v];
+    const mark = inside([at(0.05, 0.05), at(0.3, 0.05), at(0.3, 0.3), at(0.05, 0.3)]);
+    const photo = photoOf(corners, (x, y) => (mark(x, y) ? [220, 20, 20] : CARD));
+
+    const out = warpPerspective(photo, corners, 150, 95);
+    expect(out).toMatchObject({ width: 150, height: 95 });
+    const pixel = (x, y) => [...out.data.slice((y * 150 + x) * 4, (y * 150 + x) * 4 + 3)];
+    expect(pixel(25, 15)[0]).toBeGreaterThan(200);
+    expect(pixel(25, 15)[1]).toBeLessThan(60);
+    expect(pixel(120, 80)).toEqual(CARD);
+    expect(pixel(75, 3)).toEqual(CARD);
+  });
+});
+
+describe("isColourful", () => {
+  it("tells a colour print from black and white", () => {
+    expect(isColourful(image((x) => (x < 120 ? [230, 120, 30] : [20, 120, 40])))).toBe(true);
+    expect(isColourful(image((x) => (x % 2 ? [0, 0, 0] : [240, 240, 240])))).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * SchemeLink — Shared parsing for government certificates
+ *
+ * Income and community certificates come from the same tahsil offices and
+ * share their wording ("This is to certify that Thiru ... son of ...",
+ * "Tahsildar", "Certificate No"), so the common fields are read here.
+ * Every extractor takes flattened OCR text and returns a string or
+ * "Not found".
+ */
+
+// Devanagari / Tamil digits → ASCII so one set of regexes covers all layouts
+const DIGIT_BLOCKS = ["०", "௦"];
+export function normalizeDigits(text) {
+  return text.replace(/[०-९௦-௯]/g, (ch) => {
+    for (const zero of DIGIT_BLOCKS) {
+      const d = ch.charCodeAt(0) - zero.charCodeAt(0);
+      if (d >= 0 && d <= 9) return String(d);
+    }
+    return ch;
+  });
+}
+
+// ── Common fields ─────────────────────────────────────────────────────────
+
+const HONORIFIC = String.raw`(?:thiru|tmt|selvi|selvan|kumari|shri|sri|smt|mr|mrs|ms|kum)\.?`;
+
+const NAME_PATTERNS = [
+  // "This is to certify that Thiru R. Kumar son of ..."
+  new RegExp(String.raw`certify\s+that\s+(?:${HONORIFIC}\s+)?([A-Za-z][A-Za-z.\s]{2,40}?)\s*,?\s+(?:s\/o|d\/o|w\/o|son|daughter|wife|husband)\b`, "i"),
+  // "Name of the applicant: R. Kumar" / "Name : R. Kumar"
+  new RegExp(String.raw`name(?:\s+of\s+the\s+(?:applicant|candidate))?\s*[:\-]\s*(?:${HONORIFIC}\s+)?([A-Za-z][A-Za-z.\s]{2,40})`, "i"),
+  // Tamil: "திரு. குமார் த/பெ ..."
+  /(?:திரு|திருமதி|செல்வி|செல்வன்)\.?\s*([^\s,].{1,40}?)\s*(?:த\/பெ|க\/பெ|மகன்|மகள்|மனைவி)/,
+  // Hindi: "प्रमाणित किया जाता है कि श्री राम कुमार पुत्र ..."
+  /(?:श्री|श्रीमती|सुश्री|कुमारी)\s+([^\s,].{1,40}?)\s+(?:पुत्र|पुत्री|पत्नी|आत्मज|आत्मजा)/,
+];
+
+export function extractName(text) {
+  for (const re of NAME_PATTERNS) {
+    const m = text.match(re);
+    if (m) {
+      const name = m[1].replace(/\s+/g, " ").trim();
+      if (name.length >= 3) return name;
+    }
+  }
+  return "Not found";
+}
+
+const AUTHORITY = /tah?s[ie]ld[ae]r|tehsildar|revenue\s+(?:officer|inspector)|sub[-\s]?divisional|deputy\s+collector|\bsdm\b|village\s+administrative\s+officer|வட்டாட்சியர்|தாசில்தார்|கிராம\s+நிர்வாக\s+அலுவலர்|तहसीलदार|अनुविभागीय\s+अधिकारी|उपजिलाधिकारी|राजस्व\s+अधिकारी/i;
+
+const ISSUED_ON = /^(?:dated?|தேதி|நாள்|दिनांक)?\s*[:-]?\s*\d{1,2}\s*[/.-]\s*\d{1,2}\s*[/.-]\s*\d{2,4}\s*/i;
+
+export function extractAuthority(lines) {
+  // The signature block is at the bottom; search from there up
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!AUTHORITY.test(lines[i])) continue;
+    // The signature line often starts with the date: "Date 03/04/2019  Tahsildar"
+    const line = lines[i].replace(ISSUED_ON, "");
+    return line.replace(/^[^\p{L}]+|[^\p{L}\p{M}.)]+$/gu, "");
+  }
+  return "Not found";
+}
+
+const CERT_NO = /(?:certificate\s*(?:no|number)|cert\.?\s*no|serial\s*no|sl\.?\s*no|சான்றிதழ்\s*எண்|प्रमाण\s*पत्र\s*(?:क्रमांक|संख्या)|क्रमांक)\s*\.?\s*[:-]?\s*([A-Z0-9][A-Z0-9/-]{4,30})/i;
+
+export function extractCertificateNo(text) {
+  const m = text.match(CERT_NO);
+  if (m) return m[1].replace(/[-/]+$/, "");
+  // e-Sevai numbers stand alone: "TN-2023 0512 3456789" style
+  const bare = text.match(/\b([A-Z]{2,4}-?\d{6,}[A-Z0-9]*)\b/);
+  return bare ? bare[1] : "Not found";
+}
+
+const DATE = String.raw`(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{4})`;
+const ISSUE_LABEL = String.raw`(?:date\s+of\s+issue|issue\s+date|issued\s+on|date|நாள்|தேதி|दिनांक|जारी\s+करने\s+की\s+तिथि|तिथि)`;
+
+export function extractIssueDate(text) {
+  const m = text.match(new RegExp(`${ISSUE_LABEL}\\s*[:\\-]?\\s*${DATE}`, "i"));
+  if (!m) return "Not found";
+  return `${m[1].padStart(2, "0")}/${m[2].padStart(2, "0")}/${m[3]}`;
+}
+
+const ADDRESS = /(?:residing\s+at|resident\s+of|r\/o|address\s*[:-]|முகவரி\s*[:-]?|வசிக்கும்|निवासी|पता\s*[:-]?)\s*(.{6,120}?)(?:\s+(?:is|has|belongs|and\s+his|and\s+her|का|की|के|என்பவரின்|என்பவர்)(?=[\s,]|$)|[.;]\s|$)/im;
+
+export function extractAddress(text) {
+  const m = text.match(ADDRESS);
+  return m ? m[1].replace(/\s+/g, " ").replace(/[,\s]+$/, "").trim() : "Not found";
+}
+
+const FATHER_PATTERNS = [
+  new RegExp(String.raw`(?:s\/o|d\/o|w\/o|son\s+of|daughter\s+of|wife\s+of)\s+(?:${HONORIFIC}\s+)?([A-Za-z][A-Za-z.\s]{2,40}?)(?=\s*(?:,|\b(?:of|residing|resident|village|vill\.?|r\/o|belongs|is)\b|$))`, "i"),
+  /(?:த\/பெ|க\/பெ)\.?\s*([^\s,]+(?:\s[^\s,]+)?)/,
+  /(?:पुत्र|पुत्री|पत्नी)\s+(?:श्री\s+)?(.{2,40}?)\s+(?:निवासी|ग्राम|जाति)/,
+];
+
+export function extractFatherName(text) {
+  for (const re of FATHER_PATTERNS) {
+    const m = text.match(re);
+    if (m) return m[1].replace(/\s+/g, " ").trim();
+  }
+  return "Not found";
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeDigits, extractName, extractFatherName, extractAuthority,
+  extractCertificateNo, extractIssueDate, extractAddress,
+} from "./certificateText";
+
+describe("normalizeDigits", () => {
+  it("turns Devanagari and Tamil digits into ASCII", () => {
+    expect(normalizeDigits("४८००० / ௯௬")).toBe("48000 / 96");
+  });
+});
+
+describe("extractName", () => {
+  it("reads the certified person in English, Tamil and Hindi", () => {
+    expect(extractName("This is to certify that Thiru R. Kumar son of Raman")).toBe("R. Kumar");
+    expect(extractName("Name of the applicant : Selvi Priya")).toBe("Priya");
+    expect(extractName("திரு. குமார் த/பெ ராமன்")).toBe("குமார்");
+    expect(extractName("प्रमाणित किया जाता है कि श्री राम कुमार पुत्र श्री हरि")).toBe("राम कुमार");
+    expect(extractName("nothing here")).toBe("Not found");
+  });
+});
+
+describe("extractFatherName", () => {
+  it("stops at the place that follows the name", () => {
+    expect(extractFatherName("son of Murugan of Village Keelakarai, Ramanathapuram")).toBe("Murugan");
+    expect(extractFatherName("S/o Thiru Raman residing at Salem")).toBe("Raman");
+    expect(extractFatherName("D/o K. Velu village Kottai")).toBe("K. Velu");
+    expect(extractFatherName("daughter of Arjun Singh resident of Patna")).toBe("Arjun Singh");
+  });
+
+  it("reads Tamil and Hindi forms", () => {
+    expect(extractFatherName("திரு. குமார் த/பெ ராமன், சேலம்")).toBe("ராமன்");
+    expect(extractFatherName("श्री राम कुमार पुत्र श्री हरि प्रसाद निवासी ग्राम रामपुर")).toBe("हरि प्रसाद");
+  });
+});
+
+describe("extractAuthority", () => {
+  it("takes the signatory from the bottom, without the date before it", () => {
+    expect(extractAuthority(["Tahsildar office", "Date 03/04/2019  Tahsildar"])).toBe("Tahsildar");
+    expect(extractAuthority(["03.04.2019 - Revenue Inspector, Salem"])).toBe("Revenue Inspector, Salem");
+    expect(extractAuthority(["दिनांक : 15/06/2021 तहसीलदार"])).toBe("तहसीलदार");
+    expect(extractAuthority(["Deputy Collector 03/04/2019"])).toBe("Deputy Collector");
+    expect(extractAuthority(["Signature"])).toBe("Not found");
+  });
+});
+
+describe("reference fields", () => {
+  it("reads the certificate number, issue date and address", () => {
+    expect(extractCertificateNo("Certificate No : TN-2023/0512")).toBe("TN-2023/0512");
+    expect(extractCertificateNo("Ref TN-20230512345")).toBe("TN-20230512345");
+    expect(extractIssueDate("Date of issue: 3/4/2023")).toBe("03/04/2023");
+    expect(extractAddress("residing at 12, Gandhi Street, Salem is having")).toBe("12, Gandhi Street, Salem");
+  });
+});
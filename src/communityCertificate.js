@@ -0,0 +1,116 @@
+/**
+ * SchemeLink — Community (caste) certificate parsing
+ *
+ * extractCommunityFields() reads full-page OCR text into
+ *   { docType: "Community Certificate", name, fatherName, community,
+ *     category, subCategory, certificateNo, issueDate, authority, address, raw }
+ *
+ * `category` uses the profile's values (SC / ST / OBC) so it can go straight
+ * into eligibility; `subCategory` keeps the state's own label (BC, MBC, DNC…).
+ */
+import {
+  normalizeDigits,
+  extractName,
+  extractFatherName,
+  extractAuthority,
+  extractCertificateNo,
+  extractIssueDate,
+  extractAddress,
+} from "./certificateText";
+
+export const COMMUNITY_DOC_TYPE = "Community Certificate";
+
+const COMMUNITY_KEYWORDS = [
+  "community certificate", "caste certificate", "certificate of caste",
+  "சாதிச் சான்றிதழ்", "சாதி சான்றிதழ்", "சமூகச் சான்றிதழ்",
+  "जाति प्रमाण पत्र", "जाति प्रमाण-पत्र", "जाति प्रमाणपत्र",
+];
+
+export function isCommunityCertificate(text) {
+  const lower = (text || "").toLowerCase();
+  return COMMUNITY_KEYWORDS.some((k) => lower.includes(k));
+}
+
+// Full names only: a bare "ST" / "SC" / "BC" is as likely a street ("Gandhi
+// St") or an initial, so the abbreviations count only after a label
+const CATEGORY_PATTERNS = [
+  { category: "ST", subCategory: "ST", re: /scheduled\s+tribe|பழங்குடி|अनुसूचित\s+जनजाति/i },
+  { category: "SC", subCategory: "SC", re: /scheduled\s+caste|ஆதிதிராவிடர்|அட்டவணை\s*சாதி|अनुसूचित\s+जाति/i },
+  { category: "OBC", subCategory: "MBC", re: /most\s+backward|\bMBC\b|மிகவும்\s+பிற்படுத்தப்பட்ட|अति\s+पिछड़ा/i },
+  { category: "OBC", subCategory: "DNC", re: /denotified|\bDNC\b|சீர்மரபினர்|विमुक्त/i },
+  { category: "OBC", subCategory: "OBC", re: /other\s+backward|\bO\.?B\.?C\.?\b|अन्य\s+पिछड़ा/i },
+  { category: "OBC", subCategory: "BC", re: /backward\s+class|பிற்படுத்தப்பட்ட|पिछड़ा\s+वर्ग/i },
+];
+
+const LABELLED = /(?:category|class|வகுப்பு|श्रेणी|वर्ग)\s*[:-]\s*(S\.?T|S\.?C|M\.?B\.?C|D\.?N\.?C|O\.?B\.?C|B\.?C)\b/i;
+
+// The clause that states the holder's category: "… is recognised as …",
+// "belongs to … which is …", "Category: …"
+const STATES_CATEGORY = /recogni[sz]ed\s+as|which\s+is|belongs?\s+to|comes?\s+under|categor(?:y|ised)|வகுப்பைச்|இனத்தைச்|சார்ந்தவர்|के\s+रूप\s+में|श्रेणी|मान्यता/i;
+const NEGATED = /\bnot\b|\bneither\b|\bnor\b|அல்ல|இல்லை|नहीं/i;
+
+// Earliest mention in the clause, so "Most Backward Class" is MBC and not
+// the "Backward Class" inside it, whatever order the patterns are in
+function categoryIn(clause) {
+  let best = null;
+  for (const p of CATEGORY_PATTERNS) {
+    const m = clause.match(p.re);
+    if (m && (!best || m.index < best.index)) best = { index: m.index, pattern: p };
+  }
+  return best ? best.pattern : null;
+}
+
+function extractCategory(text) {
+  const found = (p) => ({ category: p.category, subCategory: p.subCategory });
+
+  const label = text.match(LABELLED);
+  if (label) {
+    const abbr = label[1].replace(/\./g, "").toUpperCase();
+    return found(CATEGORY_PATTERNS.find((p) => p.subCategory === abbr));
+  }
+
+  // "is not recognised as Scheduled Caste or Scheduled Tribe and is
+  // recognised as Backward Class": each clause on its own, negated ones out
+  const clauses = text.split(/[.;,।\n]|\s(?:and|but)\s/i).filter((c) => !NEGATED.test(c));
+  const hit = clauses.filter((c) => STATES_CATEGORY.test(c)).map(categoryIn).find(Boolean)
+    || clauses.map(categoryIn).find(Boolean);
+  return hit ? found(hit) : { category: "Not found", subCategory: "Not found" };
+}
+
+const COMMUNITY_PATTERNS = [
+  // "belongs to Hindu Pallan community" / "belongs to the Kurmi caste"
+  /belongs?\s+to\s+(?:the\s+)?([A-Za-z][A-Za-z\s-]{2,40}?)\s+(?:community|caste)/i,
+  // "Community : Hindu Pallan"
+  /(?:community|caste)\s*[:-]\s*([A-Za-z][A-Za-z\s-]{2,40}?)(?=\s*(?:[,.(]|which|and|$))/i,
+  /([^\s,]+(?:\s[^\s,]+)?)\s+(?:இனத்தைச்|இனத்தை|வகுப்பைச்|வகுப்பை|சாதியைச்)/,
+  /([^\s,।]+)\s+(?:जाति|उपजाति)\s+(?:का|की|के)/,
+  /(?:जाति|उपजाति)\s*[:-]?\s*([^\s,।]+)\s+(?:का|की|के|है)/,
+];
+
+function extractCommunity(text) {
+  for (const re of COMMUNITY_PATTERNS) {
+    const m = text.match(re);
+    if (m) return m[1].replace(/\s+/g, " ").trim();
+  }
+  return "Not found";
+}
+
+/** Pull every community-certificate field out of full-page OCR text */
+export function extractCommunityFields(rawText) {
+  const text = normalizeDigits(rawText || "");
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const flat = lines.join(" ");
+
+  return {
+    docType: COMMUNITY_DOC_TYPE,
+    name: extractName(flat),
+    fatherName: extractFatherName(flat),
+    community: extractCommunity(flat),
+    ...extractCategory(flat),
+    certificateNo: extractCertificateNo(flat),
+    issueDate: extractIssueDate(flat),
+    authority: extractAuthority(lines),
+    address: extractAddress(flat),
+    raw: rawText,
+  };
+}
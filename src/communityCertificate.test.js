@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { isCommunityCertificate, extractCommunityFields } from "./communityCertificate";
+
+// Tamil Nadu community certificate, English side
+const TAMIL_NADU = `GOVERNMENT OF TAMIL NADU
+COMMUNITY CERTIFICATE
+Certificate No : TN-3120190012345
+This is to certify that Thiru R. Senthil son of Murugan of Village Keelakarai,
+Ramanathapuram Taluk belongs to Hindu Pallan community which is recognised as
+Scheduled Caste under the Constitution (Scheduled Castes) Order, 1950.
+Date 03/04/2019  Tahsildar`;
+
+const HINDI = `उत्तर प्रदेश शासन
+जाति प्रमाण पत्र
+प्रमाणित किया जाता है कि श्री राम कुमार पुत्र श्री हरि प्रसाद निवासी ग्राम रामपुर
+कुर्मी जाति के हैं जो अन्य पिछड़ा वर्ग के रूप में मान्यता प्राप्त है।
+दिनांक : 15/06/2021
+तहसीलदार`;
+
+const category = (text) => {
+  const { category: c, subCategory } = extractCommunityFields(text);
+  return [c, subCategory];
+};
+
+describe("isCommunityCertificate", () => {
+  it("recognises English and Hindi headers", () => {
+    expect(isCommunityCertificate(TAMIL_NADU)).toBe(true);
+    expect(isCommunityCertificate(HINDI)).toBe(true);
+    expect(isCommunityCertificate("INCOME CERTIFICATE")).toBe(false);
+  });
+});
+
+describe("extractCommunityFields", () => {
+  it("reads a Tamil Nadu certificate", () => {
+    expect(extractCommunityFields(TAMIL_NADU)).toMatchObject({
+      docType: "Community Certificate",
+      name: "R. Senthil",
+      fatherName: "Murugan",
+      community: "Hindu Pallan",
+      category: "SC",
+      subCategory: "SC",
+      certificateNo: "TN-3120190012345",
+      issueDate: "03/04/2019",
+      authority: "Tahsildar",
+    });
+  });
+
+  it("reads a Hindi certificate", () => {
+    expect(extractCommunityFields(HINDI)).toMatchObject({
+      name: "राम कुमार",
+      fatherName: "हरि प्रसाद",
+      community: "कुर्मी",
+      category: "OBC",
+      subCategory: "OBC",
+      authority: "तहसीलदार",
+    });
+  });
+});
+
+describe("category", () => {
+  it("ignores categories the certificate says the holder is not", () => {
+    expect(category(
+      "COMMUNITY CERTIFICATE This is to certify that Thiru K. Ravi is not recognised as Scheduled Caste "
+      + "or Scheduled Tribe and is recognised as Backward Class."
+    )).toEqual(["OBC", "BC"]);
+  });
+
+  it("does not read a street abbreviation as Scheduled Tribe", () => {
+    expect(category(
+      "COMMUNITY CERTIFICATE Thiru K. Ravi residing at 4, Gandhi St, Salem belongs to Vanniyar community "
+      + "which is recognised as Most Backward Class."
+    )).toEqual(["OBC", "MBC"]);
+  });
+
+  it("takes the recognised category over other mentions", () => {
+    expect(category(
+      "COMMUNITY CERTIFICATE issued under the Scheduled Tribes Order. "
+      + "Thiru K. Ravi belongs to Kallar community, which is recognised as Denotified Community."
+    )).toEqual(["OBC", "DNC"]);
+  });
+
+  it("accepts an abbreviation after a category label", () => {
+    expect(category("CASTE CERTIFICATE Name : K. Ravi Category : ST")).toEqual(["ST", "ST"]);
+    expect(category("CASTE CERTIFICATE Name : K. Ravi Category : B.C.")).toEqual(["OBC", "BC"]);
+    expect(category("CASTE CERTIFICATE Name : S.T. Ravi")).toEqual(["Not found", "Not found"]);
+  });
+});
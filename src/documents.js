@@ -0,0 +1,98 @@
+/**
+ * SchemeLink — Required documents per scheme
+ *
+ * Each scheme in schemeData.js declares
+ *   documents: { required: ["aadhaar", "income"], optional: ["photo"] }
+ * using the ids below. `ocrDocType` marks the types OcrScanner can read;
+ * those can be scanned instead of just attached, and a scan the user already
+ * did counts toward the checklist when it is the applicant's own document
+ * (same ID number, or the same name when there is no number to compare).
+ *
+ * Attached files are recorded by name/size/date only — the file itself is
+ * not kept in localStorage.
+ */
+
+export const DOCUMENT_TYPES = {
+  aadhaar: { label: "Aadhaar card", icon: "🪪", ocrDocType: "Aadhaar Card" },
+  voter: { label: "Voter ID (EPIC)", icon: "🗳️", ocrDocType: "Voter ID" },
+  income: { label: "Income certificate", icon: "💰", ocrDocType: "Income Proof" },
+  community: { label: "Community / caste certificate", icon: "📜", ocrDocType: "Community Certificate" },
+  ration: { label: "Ration card", icon: "🍚", ocrDocType: "Ration Card" },
+  pan: { label: "PAN card", icon: "💳", ocrDocType: "PAN Card" },
+  bank: { label: "Bank passbook / account details", icon: "🏦" },
+  photo: { label: "Passport-size photo", icon: "🖼️" },
+  disability: { label: "Disability certificate (UDID)", icon: "♿" },
+  land: { label: "Land records (patta / chitta)", icon: "🌾" },
+  birth: { label: "Birth certificate", icon: "👶" },
+  age: { label: "Age proof", icon: "🎂" },
+  student: { label: "Bonafide / student ID", icon: "🎓" },
+  address: { label: "Residence proof", icon: "🏠" },
+};
+
+export const documentInfo = (type) =>
+  DOCUMENT_TYPES[type] || { label: type, icon: "📄" };
+
+const digits = (v) => String(v || "").replace(/\D/g, "");
+
+// "R. Lakshmi" and "LAKSHMI R" are the same name; initials alone are not
+const nameKey = (v) => String(v || "").toUpperCase().split(/[^\p{L}\p{M}]+/u)
+  .filter((w) => w.length > 1).sort().join(" ");
+
+/**
+ * Whether a scan is the applicant's own document. A number on both sides
+ * decides; otherwise the name must match (for a ration card, any listed
+ * member's). With nothing to compare the scan does not count — the user can
+ * still attach it to the application.
+ */
+export function scanBelongsTo(scan, applicant) {
+  if (!scan || !applicant) return false;
+
+  const aadhaar = digits(applicant.aadhar || applicant.aadhaar);
+  if (scan.aadhaar && aadhaar) return digits(scan.aadhaar) === aadhaar;
+
+  const name = nameKey(applicant.name);
+  if (!name) return false;
+  const names = [scan.name, ...(scan.members || []).map((m) => m.name)];
+  return names.some((n) => nameKey(n) === name);
+}
+
+/** The first scan in `scannedDocs` of this document type that belongs to `applicant` */
+export function matchingScan(type, scannedDocs = [], applicant = null) {
+  const want = DOCUMENT_TYPES[type]?.ocrDocType;
+  if (!want) return null;
+  return scannedDocs.find((d) => d && d.docType === want && scanBelongsTo(d, applicant)) || null;
+}
+
+/**
+ * Checklist for one application:
+ *   [{ type, label, icon, required, satisfied, source: "attached" | "scan" | null, record }]
+ * `scannedDocs` are OCR results that exist outside the application (e.g. the
+ * last scan in the OCR section); only the applicant's own count.
+ */
+export function documentChecklist(application, scheme, scannedDocs = []) {
+  const spec = scheme?.documents || { required: [], optional: [] };
+  const attached = application.documents || {};
+
+  const item = (type, required) => {
+    const record = attached[type] || null;
+    const scan = record ? null : matchingScan(type, scannedDocs, application.profile);
+    return {
+      type,
+      ...documentInfo(type),
+      required,
+      satisfied: Boolean(record || scan),
+      source: record ? "attached" : scan ? "scan" : null,
+      record: record || (scan ? { fileName: `Scanned ${scan.docType}`, scan } : null),
+    };
+  };
+
+  return [
+    ...(spec.required || []).map((t) => item(t, true)),
+    ...(spec.optional || []).map((t) => item(t, false)),
+  ];
+}
+
+/** Required documents that are still missing */
+export function missingRequired(checklist) {
+  return checklist.filter((d) => d.required && !d.satisfied);
+}
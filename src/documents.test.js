@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { documentChecklist, matchingScan, missingRequired, scanBelongsTo } from "./documents";
+
+const SCHEME = { id: 1, documents: { required: ["aadhaar", "income"], optional: ["photo"] } };
+
+const HEAD = { name: "Lakshmi Ravi", aadhar: "2345 6789 0123" };
+const SPOUSE = { id: "m_1", name: "Ravi Kumar" };
+const CHILD = { id: "m_2", name: "Divya" };
+
+const application = (profile, documents = {}) => ({ id: "app_1", schemeId: 1, profile, documents });
+
+const AADHAAR_SCAN = { docType: "Aadhaar Card", name: "LAKSHMI RAVI", aadhaar: "234567890123" };
+
+describe("scanBelongsTo", () => {
+  it("compares ID numbers when both sides have one", () => {
+    expect(scanBelongsTo(AADHAAR_SCAN, HEAD)).toBe(true);
+    expect(scanBelongsTo({ ...AADHAAR_SCAN, aadhaar: "999999999999" }, HEAD)).toBe(false);
+  });
+
+  it("falls back to the name, ignoring case, order and initials", () => {
+    expect(scanBelongsTo({ docType: "Aadhaar Card", name: "KUMAR RAVI" }, SPOUSE)).toBe(true);
+    expect(scanBelongsTo({ docType: "Aadhaar Card", name: "R. Divya" }, CHILD)).toBe(true);
+    expect(scanBelongsTo(AADHAAR_SCAN, SPOUSE)).toBe(false);
+  });
+
+  it("accepts any member listed on a ration card", () => {
+    const ration = { docType: "Ration Card", name: "Lakshmi Ravi", members: [{ name: "Divya" }] };
+    expect(scanBelongsTo(ration, CHILD)).toBe(true);
+    expect(scanBelongsTo(ration, SPOUSE)).toBe(false);
+  });
+
+  it("does not count a scan with nothing to compare", () => {
+    expect(scanBelongsTo({ docType: "Aadhaar Card", name: null }, CHILD)).toBe(false);
+    expect(scanBelongsTo(AADHAAR_SCAN, null)).toBe(false);
+  });
+});
+
+describe("matchingScan", () => {
+  it("needs the right document type and applicant", () => {
+    const scans = [{ docType: "Voter ID", name: "Lakshmi Ravi" }, AADHAAR_SCAN];
+    expect(matchingScan("aadhaar", scans, HEAD)).toBe(AADHAAR_SCAN);
+    expect(matchingScan("aadhaar", scans, SPOUSE)).toBeNull();
+    expect(matchingScan("bank", scans, HEAD)).toBeNull();
+  });
+});
+
+describe("documentChecklist", () => {
+  it("lets one person's scan satisfy only their own application", () => {
+    const head = documentChecklist(application(HEAD), SCHEME, [AADHAAR_SCAN]);
+    expect(head[0]).toMatchObject({ type: "aadhaar", satisfied: true, source: "scan" });
+    expect(head[0].record.scan).toBe(AADHAAR_SCAN);
+
+    for (const member of [SPOUSE, CHILD]) {
+      const [aadhaar] = documentChecklist(application(member), SCHEME, [AADHAAR_SCAN]);
+      expect(aadhaar).toMatchObject({ satisfied: false, source: null, record: null });
+    }
+  });
+
+  it("prefers an attached file and lists required before optional", () => {
+    const record = { fileName: "aadhaar.pdf" };
+    const checklist = documentChecklist(application(CHILD, { aadhaar: record }), SCHEME, [AADHAAR_SCAN]);
+    expect(checklist.map((d) => [d.type, d.required, d.source])).toEqual([
+      ["aadhaar", true, "attached"],
+      ["income", true, null],
+      ["photo", false, null],
+    ]);
+    expect(missingRequired(checklist).map((d) => d.type)).toEqual(["income"]);
+  });
+
+  it("is empty for a scheme without a document list", () => {
+    expect(documentChecklist(application(HEAD), undefined)).toEqual([]);
+  });
+});
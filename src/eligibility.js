@@ -0,0 +1,218 @@
+/**
+ * SchemeLink — Rule-based eligibility engine
+ *
+ * Every scheme in schemeData.js carries an `eligibility` object. Each key is
+ * one criterion; a scheme with an empty object is open to everyone.
+ *
+ *   minAge / maxAge      → inclusive age range in years
+ *   gender               → ["Female"], ["Male", "Other"], ...
+ *   maxAnnualIncome      → household income ceiling in ₹ per year
+ *   occupation           → ["farmer", "student"] (any one is enough)
+ *   states               → filled from the scheme's own `states` field; a
+ *                          scheme without one runs in every state
+ *   category             → ["SC", "ST", "OBC", "Minority"]
+ *   disability           → true when the scheme is only for PwDs
+ *   rationCard           → ["AAY", "PHH"] — accepted ration card types
+ *   anyOf                → [{...criteria}, {...criteria}] — passes if one group passes
+ *
+ * A criterion the profile has no data for is "unknown", never "fail":
+ * an Aadhaar-only OCR result has no income, so income-capped schemes stay
+ * "unknown" instead of disappearing.
+ */
+
+export const ELIGIBLE = "eligible";
+export const NOT_ELIGIBLE = "not_eligible";
+export const UNKNOWN = "unknown";
+
+export const PASS = "pass";
+export const FAIL = "fail";
+
+/** Social categories, as the profile form and the scan review offer them */
+export const CATEGORIES = ["General", "OBC", "SC", "ST", "Minority"];
+
+// ── Profile normalisation ─────────────────────────────────────────────────
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+function toNumber(v) {
+  if (isBlank(v)) return null;
+  const n = Number(String(v).replace(/[,₹\s]/g, ""));
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Map either a saved user profile (form values, monthly income) or an OCR
+ * result (age/gender only) onto the fields the criteria read.
+ */
+export function normalizeProfile(profile) {
+  const p = profile || {};
+
+  let annualIncome = toNumber(p.annualIncome);
+  if (annualIncome == null) {
+    const monthly = toNumber(p.income);
+    annualIncome = monthly == null ? null : monthly * 12;
+  }
+
+  // Occupation is only known when at least one flag was actually captured
+  const hasOccupation = typeof p.isFarmer === "boolean" || typeof p.isStudent === "boolean";
+  const occupations = [];
+  if (p.isFarmer) occupations.push("farmer");
+  if (p.isStudent) occupations.push("student");
+
+  return {
+    age: toNumber(p.age),
+    gender: isBlank(p.gender) ? null : p.gender,
+    annualIncome,
+    occupations: hasOccupation ? occupations : null,
+    state: isBlank(p.state) ? null : p.state,
+    category: isBlank(p.category) ? null : p.category,
+    disability: typeof p.isDisability === "boolean" ? p.isDisability : null,
+    rationCard: isBlank(p.rationCard) ? null : p.rationCard,
+  };
+}
+
+// ── Criterion checks ──────────────────────────────────────────────────────
+// Each returns { key, status, required, actual } with status pass | fail | unknown.
+
+function check(key, required, actual, passes) {
+  if (actual === null || actual === undefined) return { key, status: UNKNOWN, required, actual: null };
+  return { key, status: passes ? PASS : FAIL, required, actual };
+}
+
+const CHECKS = {
+  minAge: (req, u) => check("minAge", req, u.age, u.age >= req),
+  maxAge: (req, u) => check("maxAge", req, u.age, u.age <= req),
+  gender: (req, u) => check("gender", req, u.gender, req.includes(u.gender)),
+  maxAnnualIncome: (req, u) => check("maxAnnualIncome", req, u.annualIncome, u.annualIncome <= req),
+  occupation: (req, u) => check("occupation", req, u.occupations,
+    (u.occupations || []).some((o) => req.includes(o))),
+  states: (req, u) => check("states", req, u.state, req.includes(u.state)),
+  category: (req, u) => check("category", req, u.category, req.includes(u.category)),
+  disability: (req, u) => check("disability", req, u.disability, !req || u.disability),
+  rationCard: (req, u) => check("rationCard", req, u.rationCard, req.includes(u.rationCard)),
+};
+
+/** Every key a scheme's `eligibility` object may use (`states` lives on the scheme) */
+export const CRITERIA_KEYS = [...Object.keys(CHECKS), "anyOf"].filter((k) => k !== "states");
+
+/** Fold a list of check statuses: any fail → fail, any unknown → unknown, else pass */
+function combine(statuses) {
+  if (statuses.includes(FAIL)) return FAIL;
+  if (statuses.includes(UNKNOWN)) return UNKNOWN;
+  return PASS;
+}
+
+function evaluateCriteria(criteria, u) {
+  const checks = [];
+  for (const [key, required] of Object.entries(criteria || {})) {
+    if (key === "anyOf") {
+      const groups = required.map((group) => evaluateCriteria(group, u));
+      const statuses = groups.map((g) => g.status);
+      const status = statuses.includes(PASS) ? PASS
+        : statuses.includes(UNKNOWN) ? UNKNOWN : FAIL;
+      checks.push({ key: "anyOf", status, required, groups });
+      continue;
+    }
+    // Unknown keys are reported by validateCatalog at build time
+    const fn = CHECKS[key];
+    if (fn) checks.push(fn(required, u));
+  }
+  return { status: combine(checks.map((c) => c.status)), checks };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────
+
+const STATUS_FOR = { [PASS]: ELIGIBLE, [FAIL]: NOT_ELIGIBLE, [UNKNOWN]: UNKNOWN };
+
+/**
+ * Evaluate one scheme against a profile.
+ * Returns { scheme, status: eligible | not_eligible | unknown, checks }.
+ */
+export function evaluateScheme(profile, scheme) {
+  return evaluateNormalized(normalizeProfile(profile), scheme);
+}
+
+/** Evaluate every scheme; result order follows the input list. */
+export function evaluateSchemes(profile, schemes) {
+  const u = normalizeProfile(profile);
+  return schemes.map((s) => evaluateNormalized(u, s));
+}
+
+function evaluateNormalized(u, scheme) {
+  const criteria = scheme.states
+    ? { ...scheme.eligibility, states: scheme.states }
+    : scheme.eligibility;
+  const { status, checks } = evaluateCriteria(criteria, u);
+  return { scheme, status: STATUS_FOR[status], checks };
+}
+
+// ── Explanations ──────────────────────────────────────────────────────────
+// Turn a check into plain text for the scheme cards ("why did this match?").
+
+const rupees = (n) => `₹${Number(n).toLocaleString("en-IN")}`;
+
+const OCCUPATION_LABEL = { farmer: "Farmer", student: "Student" };
+
+const REQUIREMENT_TEXT = {
+  minAge: (req) => `Age ${req} or above`,
+  maxAge: (req) => `Age ${req} or below`,
+  gender: (req) => `${req.join(" / ")} only`,
+  maxAnnualIncome: (req) => `Annual income up to ${rupees(req)}`,
+  occupation: (req) => req.map((o) => OCCUPATION_LABEL[o] || o).join(" or "),
+  states: (req) => `Residents of ${req.join(", ")}`,
+  category: (req) => `${req.join(" / ")} category`,
+  disability: () => "Persons with disabilities",
+  rationCard: (req) => `${req.join(" / ")} ration card holders`,
+};
+
+const ACTUAL_TEXT = {
+  minAge: (v) => `you are ${v}`,
+  maxAge: (v) => `you are ${v}`,
+  gender: (v) => v,
+  maxAnnualIncome: (v) => `yours is ${rupees(v)}`,
+  occupation: (v) => (v.length ? v.map((o) => OCCUPATION_LABEL[o] || o).join(", ") : "neither selected"),
+  states: (v) => v,
+  category: (v) => v,
+  disability: (v) => (v ? "yes" : "not marked"),
+  rationCard: (v) => (v === "none" ? "no ration card" : `${v} card`),
+};
+
+const MISSING_TEXT = {
+  minAge: "age not available",
+  maxAge: "age not available",
+  gender: "gender not available",
+  maxAnnualIncome: "income not provided — ID cards do not show it",
+  occupation: "occupation not provided",
+  states: "state not provided",
+  category: "category not provided",
+  disability: "disability status not provided",
+  rationCard: "ration card not provided",
+};
+
+function requirementText(check) {
+  if (check.key === "anyOf") {
+    return check.groups
+      .map((g) => g.checks.map(requirementText).join(" and "))
+      .join(" OR ");
+  }
+  return REQUIREMENT_TEXT[check.key](check.required);
+}
+
+/**
+ * Describe one check as { status, requirement, detail }, e.g.
+ *   { status: "fail", requirement: "Female only", detail: "Male" }
+ */
+export function explainCheck(check) {
+  const requirement = requirementText(check);
+  let detail;
+  if (check.key === "anyOf") {
+    const passed = check.groups.find((g) => g.status === PASS);
+    detail = passed ? "one condition met"
+      : check.status === UNKNOWN ? "not enough details to check" : "none of the conditions met";
+  } else if (check.status === UNKNOWN) {
+    detail = MISSING_TEXT[check.key];
+  } else {
+    detail = ACTUAL_TEXT[check.key](check.actual);
+  }
+  return { status: check.status, requirement, detail };
+}
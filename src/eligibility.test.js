@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  normalizeProfile, evaluateScheme, evaluateSchemes, explainCheck,
+  ELIGIBLE, NOT_ELIGIBLE, UNKNOWN, PASS, FAIL,
+} from "./eligibility";
+
+const scheme = (eligibility, extra = {}) => ({ id: "s", name: "Scheme", eligibility, ...extra });
+
+describe("normalizeProfile", () => {
+  it("turns monthly form income into annual income", () => {
+    expect(normalizeProfile({ income: "10,000" }).annualIncome).toBe(120000);
+  });
+
+  it("prefers an annual income when both are given", () => {
+    expect(normalizeProfile({ income: "10000", annualIncome: "90000" }).annualIncome).toBe(90000);
+  });
+
+  it("leaves unanswered fields null rather than false", () => {
+    const u = normalizeProfile({ age: "", gender: "Female" });
+    expect(u.age).toBeNull();
+    expect(u.occupations).toBeNull();
+    expect(u.disability).toBeNull();
+    expect(u.gender).toBe("Female");
+  });
+
+  it("knows occupations once any flag was captured", () => {
+    expect(normalizeProfile({ isFarmer: false, isStudent: true }).occupations).toEqual(["student"]);
+    expect(normalizeProfile({ isFarmer: false }).occupations).toEqual([]);
+  });
+});
+
+describe("evaluateScheme", () => {
+  it("treats a scheme without criteria as open to everyone", () => {
+    expect(evaluateScheme({}, scheme({})).status).toBe(ELIGIBLE);
+  });
+
+  it("passes and fails an age range inclusively", () => {
+    const s = scheme({ minAge: 18, maxAge: 60 });
+    expect(evaluateScheme({ age: 18 }, s).status).toBe(ELIGIBLE);
+    expect(evaluateScheme({ age: 60 }, s).status).toBe(ELIGIBLE);
+    expect(evaluateScheme({ age: 61 }, s).status).toBe(NOT_ELIGIBLE);
+  });
+
+  it("is unknown, not ineligible, when the profile lacks the data", () => {
+    const result = evaluateScheme({ age: 30 }, scheme({ maxAnnualIncome: 100000 }));
+    expect(result.status).toBe(UNKNOWN);
+    expect(result.checks[0]).toMatchObject({ key: "maxAnnualIncome", status: UNKNOWN, actual: null });
+  });
+
+  it("lets a failed criterion win over an unknown one", () => {
+    const s = scheme({ gender: ["Female"], maxAnnualIncome: 100000 });
+    expect(evaluateScheme({ gender: "Male" }, s).status).toBe(NOT_ELIGIBLE);
+  });
+
+  it("checks the scheme's own states", () => {
+    const s = scheme({}, { states: ["Tamil Nadu"] });
+    expect(evaluateScheme({ state: "Tamil Nadu" }, s).status).toBe(ELIGIBLE);
+    expect(evaluateScheme({ state: "Kerala" }, s).status).toBe(NOT_ELIGIBLE);
+    expect(evaluateScheme({}, s).status).toBe(UNKNOWN);
+  });
+
+  it("passes anyOf when one group passes", () => {
+    const s = scheme({ anyOf: [{ category: ["SC", "ST"] }, { disability: true }] });
+    expect(evaluateScheme({ category: "General", isDisability: true }, s).status).toBe(ELIGIBLE);
+    expect(evaluateScheme({ category: "General", isDisability: false }, s).status).toBe(NOT_ELIGIBLE);
+    expect(evaluateScheme({ category: "General" }, s).status).toBe(UNKNOWN);
+  });
+
+  it("ignores a criterion it does not know, without logging", () => {
+    const warn = vi.spyOn(console, "warn");
+    const result = evaluateScheme({}, scheme({ favouriteColour: "blue" }));
+    expect(result.status).toBe(ELIGIBLE);
+    expect(result.checks).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe("evaluateSchemes", () => {
+  it("keeps the input order", () => {
+    const schemes = [scheme({ minAge: 60 }, { id: "a" }), scheme({}, { id: "b" })];
+    expect(evaluateSchemes({ age: 30 }, schemes).map((r) => [r.scheme.id, r.status]))
+      .toEqual([["a", NOT_ELIGIBLE], ["b", ELIGIBLE]]);
+  });
+});
+
+describe("explainCheck", () => {
+  const explain = (profile, eligibility) => explainCheck(evaluateScheme(profile, scheme(eligibility)).checks[0]);
+
+  it("describes a failed check with the user's value", () => {
+    expect(explain({ gender: "Male" }, { gender: ["Female"] }))
+      .toEqual({ status: FAIL, requirement: "Female only", detail: "Male" });
+  });
+
+  it("describes a passed check with the user's value", () => {
+    expect(explain({ age: 65 }, { minAge: 60 }))
+      .toEqual({ status: PASS, requirement: "Age 60 or above", detail: "you are 65" });
+  });
+
+  it.each([
+    [{ age: 30 }, { maxAge: 40 }, "Age 40 or below", "you are 30"],
+    [{ income: "10000" }, { maxAnnualIncome: 200000 }, "Annual income up to ₹2,00,000", "yours is ₹1,20,000"],
+    [{ isFarmer: true, isStudent: false }, { occupation: ["farmer", "student"] }, "Farmer or Student", "Farmer"],
+    [{ isFarmer: false, isStudent: false }, { occupation: ["farmer"] }, "Farmer", "neither selected"],
+    [{ category: "OBC" }, { category: ["SC", "ST"] }, "SC / ST category", "OBC"],
+    [{ isDisability: false }, { disability: true }, "Persons with disabilities", "not marked"],
+    [{ rationCard: "none" }, { rationCard: ["AAY", "PHH"] }, "AAY / PHH ration card holders", "no ration card"],
+    [{ rationCard: "PHH" }, { rationCard: ["PHH"] }, "PHH ration card holders", "PHH card"],
+  ])("words %o against %o", (profile, eligibility, requirement, detail) => {
+    expect(explain(profile, eligibility)).toMatchObject({ requirement, detail });
+  });
+
+  it("says what is missing for an unknown check", () => {
+    expect(explain({}, { maxAnnualIncome: 200000 })).toMatchObject({
+      status: UNKNOWN,
+      detail: expect.stringMatching(/income not provided/),
+    });
+    expect(explain({}, { category: ["SC"] }).detail).toBe("category not provided");
+  });
+
+  it("explains the scheme's states", () => {
+    const [check] = evaluateScheme({ state: "Kerala" }, scheme({}, { states: ["Tamil Nadu", "Puducherry"] })).checks;
+    expect(explainCheck(check)).toEqual({
+      status: FAIL, requirement: "Residents of Tamil Nadu, Puducherry", detail: "Kerala",
+    });
+  });
+
+  it("joins anyOf groups with OR", () => {
+    const anyOf = { anyOf: [{ category: ["SC"] }, { disability: true, maxAge: 40 }] };
+    expect(explain({ category: "SC" }, anyOf)).toEqual({
+      status: PASS,
+      requirement: "SC category OR Persons with disabilities and Age 40 or below",
+      detail: "one condition met",
+    });
+    expect(explain({ category: "OBC", isDisability: false }, anyOf).detail).toBe("none of the conditions met");
+    expect(explain({ category: "OBC" }, anyOf).detail).toBe("not enough details to check");
+  });
+});
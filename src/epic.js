@@ -0,0 +1,84 @@
+/**
+ * SchemeLink — Voter ID (EPIC) number validation
+ *
+ * An EPIC number is three letters (the issuing series) followed by seven
+ * digits, e.g. "SOL3248432". OCR mixes up look-alike characters — "S0L…",
+ * "5OL…" — but the position tells us which side is right: a "0" in the
+ * letter part is an "O", an "S" in the digit part is a "5".
+ *
+ * checkEpic() classifies an OCR / typed reading:
+ *   { status: "valid",     number, confidence: 1 }            as read
+ *   { status: "corrected", number, read, confidence, fixes }  look-alikes
+ *                                                             swapped — ask
+ *                                                             the user to confirm
+ *   { status: "invalid",   number: null, read, confidence: 0 }
+ *
+ * `fixes` lists each swap as { index, from, to }; `confidence` (0–1) drops
+ * with every swap. Old state-format numbers ("TN/01/001/123456") are not
+ * EPIC-series and come back invalid — the user types those in.
+ */
+
+const EPIC_RE = /^[A-Z]{3}\d{7}$/;
+
+// Common OCR swaps, fixed by position (letter vs digit slot)
+const AS_LETTER = { 0: "O", 1: "I", 2: "Z", 5: "S", 6: "G", 8: "B" };
+const AS_DIGIT = { O: "0", D: "0", Q: "0", I: "1", L: "1", Z: "2", S: "5", G: "6", B: "8" };
+
+// Beyond this many swaps the "number" is more guess than reading
+const MAX_FIXES = 3;
+const CONFIDENCE_PER_FIX = 0.15;
+
+export const isValidEpic = (value) => EPIC_RE.test(String(value || "").toUpperCase());
+
+/** Validate an OCR or typed reading; see the header for the result shape */
+export function checkEpic(reading) {
+  const read = String(reading || "").trim();
+  const compact = read.toUpperCase().replace(/[\s-]+/g, "");
+  const invalid = { status: "invalid", number: null, read, confidence: 0 };
+
+  if (!/^[A-Z0-9]{10}$/.test(compact)) return invalid;
+  // A series with no letter at all is a phone or account number, not an EPIC
+  if (!/[A-Z]/.test(compact.slice(0, 3))) return invalid;
+
+  const fixes = [];
+  const number = [...compact]
+    .map((ch, i) => {
+      const to = i < 3 ? AS_LETTER[ch] : AS_DIGIT[ch];
+      if (!to) return ch;
+      fixes.push({ index: i, from: ch, to });
+      return to;
+    })
+    .join("");
+
+  if (!EPIC_RE.test(number) || fixes.length > MAX_FIXES) return invalid;
+  if (fixes.length === 0) return { status: "valid", number, confidence: 1 };
+
+  const confidence = Math.round((1 - CONFIDENCE_PER_FIX * fixes.length) * 100) / 100;
+  return { status: "corrected", number, read, confidence, fixes };
+}
+
+/**
+ * Best EPIC reading anywhere in OCR text, or null when nothing looks like one.
+ * A number valid as read wins; otherwise the correction with the fewest swaps.
+ */
+export function findEpic(text) {
+  const tokens = (text || "").match(/\b[A-Z0-9]{10}\b/gi) || [];
+  // OCR often splits the number ("SOL 3248432"); also try each line without spaces
+  for (const line of (text || "").split(/\n/)) {
+    const compact = line.replace(/\s+/g, "");
+    for (let i = 0; i + 10 <= compact.length; i++) tokens.push(compact.slice(i, i + 10));
+  }
+
+  let best = null;
+  for (const token of tokens) {
+    const check = checkEpic(token);
+    if (check.status === "invalid") continue;
+    if (!best || check.confidence > best.confidence) best = check;
+    if (best.confidence === 1) break;
+  }
+  if (best) return best;
+
+  // Something card-number shaped that could not be repaired: report what was read
+  const shaped = (text || "").match(/\b[A-Z0-9]{2,4}\d{5,10}\b/i);
+  return shaped ? checkEpic(shaped[0]) : null;
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { isValidEpic, checkEpic, findEpic } from "./epic";
+
+describe("isValidEpic", () => {
+  it("wants three letters and seven digits", () => {
+    expect(isValidEpic("SOL3248432")).toBe(true);
+    expect(isValidEpic("sol3248432")).toBe(true);
+    expect(isValidEpic("SO13248432")).toBe(false);
+    expect(isValidEpic("SOL324843")).toBe(false);
+  });
+});
+
+describe("checkEpic", () => {
+  it("passes a clean reading as valid", () => {
+    expect(checkEpic("SOL3248432")).toEqual({ status: "valid", number: "SOL3248432", confidence: 1 });
+  });
+
+  it("swaps look-alikes by position and asks for confirmation", () => {
+    expect(checkEpic("S0L32484S2")).toEqual({
+      status: "corrected",
+      number: "SOL3248452",
+      read: "S0L32484S2",
+      confidence: 0.7,
+      fixes: [{ index: 1, from: "0", to: "O" }, { index: 8, from: "S", to: "5" }],
+    });
+  });
+
+  it("joins a number OCR split with spaces", () => {
+    expect(checkEpic("SOL 3248432").number).toBe("SOL3248432");
+  });
+
+  it("gives up after too many swaps", () => {
+    expect(checkEpic("50L32OOOS2").status).toBe("invalid");
+  });
+
+  it("rejects numbers with no letter in the series", () => {
+    expect(checkEpic("9876543210").status).toBe("invalid");
+  });
+
+  it("leaves old state-format numbers to the user", () => {
+    expect(checkEpic("TN/01/001/123456")).toMatchObject({ status: "invalid", number: null });
+  });
+});
+
+describe("findEpic", () => {
+  it("prefers a number that is valid as read", () => {
+    const text = "ELECTION COMMISSION OF INDIA\nS0L3248432\nIDENTITY CARD SOL3248432";
+    expect(findEpic(text)).toMatchObject({ status: "valid", number: "SOL3248432" });
+  });
+
+  it("finds a number split across spaces on its line", () => {
+    expect(findEpic("Card No: ABC 1234 567")?.number).toBe("ABC1234567");
+  });
+
+  it("reports an unrepairable card-number shape as invalid", () => {
+    expect(findEpic("No. TN0112345")).toMatchObject({ status: "invalid", read: "TN0112345" });
+  });
+
+  it("returns null when nothing looks like a number", () => {
+    expect(findEpic("Name: Ravi Kumar")).toBeNull();
+    expect(findEpic("")).toBeNull();
+  });
+});
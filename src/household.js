@@ -0,0 +1,170 @@
+/**
+ * SchemeLink — Household profiles
+ *
+ * The saved user profile ("userProfile" in localStorage) is the head of the
+ * household. The rest of the family is kept here, persisted under LS_KEY:
+ *   {
+ *     members:    [{ id, name, relation, age, gender, isFarmer, isStudent, isDisability }]
+ *     rationCard: { type: AAY | PHH | NPHH | none, number }
+ *   }
+ *
+ * Income, state, category and address belong to the household and are always
+ * read from the head's profile; a member only carries what is personal.
+ */
+import { evaluateSchemes, ELIGIBLE, UNKNOWN, NOT_ELIGIBLE } from "./eligibility";
+import { estimateAnnualBenefit } from "./benefits";
+
+export const LS_KEY = "schemelink_household";
+
+export const RELATIONS = [
+  { value: "spouse", label: "Spouse" },
+  { value: "son", label: "Son" },
+  { value: "daughter", label: "Daughter" },
+  { value: "father", label: "Father" },
+  { value: "mother", label: "Mother" },
+  { value: "other", label: "Other" },
+];
+
+export const RATION_CARD_TYPES = [
+  { value: "AAY", label: "Antyodaya Anna Yojana (AAY)" },
+  { value: "PHH", label: "Priority Household (PHH)" },
+  { value: "NPHH", label: "Non-Priority (NPHH)" },
+  { value: "none", label: "No ration card" },
+];
+
+export const relationLabel = (value) =>
+  value === "self" ? "Head" : RELATIONS.find((r) => r.value === value)?.label || value;
+
+// ── Persistence ───────────────────────────────────────────────────────────
+
+export const emptyHousehold = () => ({ members: [], rationCard: { type: "", number: "" } });
+
+export function loadHousehold() {
+  try {
+    const raw = localStorage.getItem(LS_KEY);
+    const saved = raw ? JSON.parse(raw) : null;
+    return saved && Array.isArray(saved.members) ? { ...emptyHousehold(), ...saved } : emptyHousehold();
+  } catch { return emptyHousehold(); }
+}
+
+export function saveHousehold(household) {
+  try {
+    localStorage.setItem(LS_KEY, JSON.stringify(household));
+  } catch (err) {
+    console.error("Could not save household:", err);
+  }
+}
+
+// ── Updates ───────────────────────────────────────────────────────────────
+// Pure like applications.js: take the household, return a new one.
+
+export const newMember = () => ({
+  id: `m_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  name: "",
+  relation: "spouse",
+  age: "",
+  gender: "",
+  isFarmer: false,
+  isStudent: false,
+  isDisability: false,
+});
+
+export function addMember(household, member = newMember()) {
+  return { ...household, members: [...household.members, member] };
+}
+
+export function updateMember(household, id, changes) {
+  return {
+    ...household,
+    members: household.members.map((m) => (m.id === id ? { ...m, ...changes } : m)),
+  };
+}
+
+export function removeMember(household, id) {
+  return { ...household, members: household.members.filter((m) => m.id !== id) };
+}
+
+export function setRationCard(household, changes) {
+  return { ...household, rationCard: { ...household.rationCard, ...changes } };
+}
+
+/** Members read off a scanned ration card (rationCard.js), minus the head */
+export function membersFromRationCard(cardMembers) {
+  return cardMembers
+    .filter((m) => m.relation !== "self")
+    .map((m) => ({
+      ...newMember(),
+      name: m.name,
+      relation: RELATIONS.some((r) => r.value === m.relation) ? m.relation : "other",
+      age: m.age != null ? String(m.age) : "",
+      gender: m.gender || "",
+    }));
+}
+
+// ── Eligibility ───────────────────────────────────────────────────────────
+
+/** Everyone in the household, head first */
+export function householdMembers(head, household) {
+  if (!head) return household.members;
+  const { name, age, gender, isFarmer, isStudent, isDisability } = head;
+  return [
+    { id: "head", relation: "self", name, age, gender, isFarmer, isStudent, isDisability },
+    ...household.members,
+  ];
+}
+
+/** What eligibility.js sees for one member: their own details plus the household's */
+export function memberProfile(member, head, household) {
+  return {
+    ...member,
+    income: head?.income,
+    annualIncome: head?.annualIncome,
+    state: head?.state,
+    category: head?.category,
+    address: head?.address,
+    rationCard: household.rationCard?.type,
+  };
+}
+
+const RANK = { [ELIGIBLE]: 2, [UNKNOWN]: 1, [NOT_ELIGIBLE]: 0 };
+
+/**
+ * Evaluate every scheme for every member.
+ * Returns [{ scheme, status, members: [{ member, status, checks }] }] in
+ * scheme order; `status` is the best any member reached.
+ */
+export function evaluateHousehold(head, household, schemes) {
+  const people = householdMembers(head, household);
+  const perMember = people.map((m) => evaluateSchemes(memberProfile(m, head, household), schemes));
+
+  return schemes.map((scheme, i) => {
+    const members = people.map((member, j) => ({
+      member,
+      status: perMember[j][i].status,
+      checks: perMember[j][i].checks,
+    }));
+    const status = members.reduce(
+      (best, m) => (RANK[m.status] > RANK[best] ? m.status : best),
+      NOT_ELIGIBLE
+    );
+    return { scheme, status, members };
+  });
+}
+
+/**
+ * Yearly benefit for the whole household (same shape as
+ * estimateAnnualBenefit). A `level: "household"` scheme counts once; any
+ * other scheme counts once for every member who qualifies.
+ */
+export function estimateHouseholdBenefit(results, state) {
+  const eligible = results.filter((r) => r.status === ELIGIBLE);
+  const perBenefit = eligible.flatMap((r) =>
+    r.scheme.level === "household"
+      ? [r.scheme]
+      : r.members.filter((m) => m.status === ELIGIBLE).map(() => r.scheme)
+  );
+  const total = estimateAnnualBenefit(perBenefit, state);
+  // Free services are listed per scheme, not per person
+  const { unquantified } = estimateAnnualBenefit(eligible.map((r) => r.scheme), state);
+  return { ...total, unquantified };
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { ELIGIBLE, NOT_ELIGIBLE, UNKNOWN } from "./eligibility";
+import {
+  emptyHousehold, newMember, addMember, updateMember, removeMember, setRationCard,
+  membersFromRationCard, householdMembers, memberProfile,
+  evaluateHousehold, estimateHouseholdBenefit,
+} from "./household";
+
+const HEAD = {
+  name: "Lakshmi", age: "42", gender: "Female", isFarmer: true, isStudent: false,
+  isDisability: false, income: "8000", state: "Tamil Nadu", category: "OBC",
+};
+
+const member = (changes) => ({ ...newMember(), ...changes });
+
+const family = () => {
+  let h = emptyHousehold();
+  h = addMember(h, member({ id: "son", name: "Arun", relation: "son", age: "19", gender: "Male", isStudent: true }));
+  h = addMember(h, member({ id: "girl", name: "Divya", relation: "daughter", age: "16", gender: "Female", isStudent: true }));
+  return setRationCard(h, { type: "PHH" });
+};
+
+const cash = (max) => ({ type: "cash", max, frequency: "yearly" });
+const SCHOLARSHIP = { id: 1, title: "Scholarship", eligibility: { occupation: ["student"] }, benefit: cash(10000) };
+const GAS = { id: 2, title: "Gas connection", level: "household", eligibility: { rationCard: ["PHH"] }, benefit: cash(1600) };
+const PENSION = { id: 3, title: "Pension", eligibility: { minAge: 60 }, benefit: cash(12000) };
+
+describe("updates", () => {
+  it("adds, edits and removes members without touching the input", () => {
+    const h = family();
+    const edited = updateMember(h, "son", { age: "20" });
+    expect(edited.members[0].age).toBe("20");
+    expect(h.members[0].age).toBe("19");
+    expect(removeMember(h, "son").members.map((m) => m.id)).toEqual(["girl"]);
+  });
+
+  it("turns a ration card's members into household members, minus the head", () => {
+    const members = membersFromRationCard([
+      { name: "Lakshmi", relation: "self", age: 42 },
+      { name: "Arun", relation: "son", age: 19, gender: "Male" },
+      { name: "Kamala", relation: "grandmother", age: 70 },
+    ]);
+    expect(members.map((m) => [m.name, m.relation, m.age])).toEqual([
+      ["Arun", "son", "19"],
+      ["Kamala", "other", "70"],
+    ]);
+  });
+});
+
+describe("memberProfile", () => {
+  it("takes income, state, category and ration card from the household", () => {
+    const h = family();
+    const p = memberProfile(h.members[0], HEAD, h);
+    expect(p).toMatchObject({
+      id: "son", name: "Arun", age: "19", income: "8000", state: "Tamil Nadu", category: "OBC", rationCard: "PHH",
+    });
+  });
+
+  it("puts the head first, as id \"head\"", () => {
+    const people = householdMembers(HEAD, family());
+    expect(people.map((m) => m.id)).toEqual(["head", "son", "girl"]);
+    expect(people[0]).toMatchObject({ relation: "self", name: "Lakshmi" });
+  });
+});
+
+describe("evaluateHousehold", () => {
+  const results = evaluateHousehold(HEAD, family(), [SCHOLARSHIP, GAS, PENSION]);
+  const statuses = (r) => r.members.map((m) => [m.member.id, m.status]);
+
+  it("evaluates every scheme for every member", () => {
+    expect(statuses(results[0])).toEqual([["head", NOT_ELIGIBLE], ["son", ELIGIBLE], ["girl", ELIGIBLE]]);
+    expect(results[0].status).toBe(ELIGIBLE);
+  });
+
+  it("gives a scheme the best status any member reached", () => {
+    expect(results[2].status).toBe(NOT_ELIGIBLE);
+    const unknownAge = evaluateHousehold({ ...HEAD, age: "" }, emptyHousehold(), [PENSION]);
+    expect(unknownAge[0].status).toBe(UNKNOWN);
+  });
+
+  it("counts a family scheme once and other schemes per member", () => {
+    const estimate = estimateHouseholdBenefit(results, HEAD.state);
+    expect(estimate.received.max).toBe(2 * 10000 + 1600);
+    expect(estimate.counted).toBe(3);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * SchemeLink — Photo quality check before OCR
+ *
+ * A full scan takes several OCR passes; a blurry, dark or glare-washed photo
+ * fails all of them. assessImage() looks at the squared-up document (an
+ * ImageData-like { data, width, height }, RGBA, as in cardDetect.js) in a
+ * fraction of that time and says what to fix:
+ *
+ *   assessImage(img, { coverage, sourceWidth, numberRects })
+ *     → { issues: [{ check, message }], metrics }
+ *
+ *   coverage     share of the photo the document fills (null: already cropped)
+ *   sourceWidth  width of the document in the original photo, in px
+ *   numberRects  [x, y, w, h] fractions where the ID number is printed;
+ *                glare there gets its own message
+ *
+ * No issues means go ahead. The thresholds are loose on purpose: they catch
+ * photos OCR cannot read, not ones that are merely imperfect.
+ */
+
+const BLUR_LIMIT = 60;         // variance of the Laplacian
+// Exposure is judged on the paper (95th luma percentile) and the ink (2nd),
+// not the mean: a well-lit page is mostly white
+const DARK_LIMIT = 100;        // paper darker than this, 0–255
+const FADED_LIMIT = 150;       // ink lighter than this
+const FLAT_LIMIT = 60;         // paper − ink
+// Glare is a blown-out patch brighter than the rest of the paper. White paper
+// that is simply well lit (a flatbed scan, a rendered PDF) is not glare.
+const GLARE_LUMA = 248;        // a blown-out pixel
+const GLARE_HOT = 0.5;         // share of blown-out pixels in a glare tile
+const GLARE_ABOVE_PAPER = 20;  // tile mean over the document's typical tile
+const GLARE_TILES = 32;        // tiles across the document
+const GLARE_SHARE = 0.04;      // of the whole document's tiles
+const GLARE_NUMBER_SHARE = 0.08; // of the number band's
+const MIN_COVERAGE = 0.3;
+const MIN_WIDTH = 700;         // px across the document in the original photo
+
+const lumaOf = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+/** Luma plane of an RGBA image */
+function lumaPlane({ data, width, height }) {
+  const out = new Float32Array(width * height);
+  for (let p = 0; p < out.length; p++) out[p] = lumaOf(data, p * 4);
+  return out;
+}
+
+/** Luma of the paper and of the ink (high and low percentiles) */
+function exposure(luma) {
+  const histogram = new Uint32Array(256);
+  for (const v of luma) histogram[Math.min(255, Math.round(v))]++;
+  const percentile = (q) => {
+    let seen = 0;
+    for (let v = 0; v < 256; v++) {
+      seen += histogram[v];
+      if (seen >= q * luma.length) return v;
+    }
+    return 255;
+  };
+  return { paper: percentile(0.95), ink: percentile(0.02) };
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian — sharp text has strong second
+ * derivatives at its edges, a blurred photo has almost none
+ */
+function sharpness(luma, width, height) {
+  let sum = 0;
+  let sq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      const lap = luma[p - 1] + luma[p + 1] + luma[p - width] + luma[p + width] - 4 * luma[p];
+      sum += lap;
+      sq += lap * lap;
+      n++;
+    }
+  }
+  if (!n) return 0;
+  const mean = sum / n;
+  return sq / n - mean * mean;
+}
+
+/**
+ * The document cut into square tiles, each marked as glare or not: mostly
+ * blown-out pixels, and clearly brighter than the median tile (the paper)
+ */
+function glareTiles(luma, width, height) {
+  const size = Math.max(1, Math.floor(width / GLARE_TILES));
+  const cols = Math.ceil(width / size);
+  const rows = Math.ceil(height / size);
+  const mean = new Float32Array(cols * rows);
+  const hot = new Float32Array(cols * rows);
+  for (let ty = 0; ty < rows; ty++) {
+    for (let tx = 0; tx < cols; tx++) {
+      let sum = 0, blown = 0, n = 0;
+      for (let y = ty * size; y < Math.min(height, (ty + 1) * size); y++) {
+        for (let x = tx * size; x < Math.min(width, (tx + 1) * size); x++) {
+          const v = luma[y * width + x];
+          sum += v;
+          if (v >= GLARE_LUMA) blown++;
+          n++;
+        }
+      }
+      mean[ty * cols + tx] = sum / n;
+      hot[ty * cols + tx] = blown / n;
+    }
+  }
+  const paper = [...mean].sort((a, b) => a - b)[Math.floor(mean.length / 2)];
+  const glare = mean.map((m, i) => (hot[i] >= GLARE_HOT && m - paper >= GLARE_ABOVE_PAPER ? 1 : 0));
+  return { cols, rows, glare };
+}
+
+/** Share of glare tiles whose centre lies inside [x, y, w, h] (fractions) */
+function glareShare({ cols, rows, glare }, [rx, ry, rw, rh] = [0, 0, 1, 1]) {
+  let hit = 0, n = 0;
+  for (let ty = 0; ty < rows; ty++) {
+    const cy = (ty + 0.5) / rows;
+    if (cy < ry || cy > ry + rh) continue;
+    for (let tx = 0; tx < cols; tx++) {
+      const cx = (tx + 0.5) / cols;
+      if (cx < rx || cx > rx + rw) continue;
+      hit += glare[ty * cols + tx];
+      n++;
+    }
+  }
+  return n ? hit / n : 0;
+}
+
+// The document may still be upside down here; check the turned band too
+const turned = ([x, y, w, h]) => [1 - x - w, 1 - y - h, w, h];
+
+/** See the header */
+export function assessImage(img, { coverage = null, sourceWidth = img.width, numberRects = [] } = {}) {
+  const { width, height } = img;
+  const luma = lumaPlane(img);
+  const { paper, ink } = exposure(luma);
+  const tiles = glareTiles(luma, width, height);
+  const metrics = {
+    sharpness: Math.round(sharpness(luma, width, height)),
+    paper,
+    ink,
+    glare: glareShare(tiles),
+    numberGlare: Math.max(0, ...numberRects.flatMap((r) => [r, turned(r)]).map((r) => glareShare(tiles, r))),
+    coverage,
+    sourceWidth: Math.round(sourceWidth),
+  };
+
+  const issues = [];
+  const add = (check, message) => issues.push({ check, message });
+
+  if (coverage != null && coverage < MIN_COVERAGE) {
+    add("coverage", `🔍 Move closer — the document fills only ${Math.round(coverage * 100)}% of the photo`);
+  } else if (metrics.sourceWidth < MIN_WIDTH) {
+    add("resolution", `🔍 Too small to read (${metrics.sourceWidth}px across) — move closer or use the main camera`);
+  }
+
+  if (paper < DARK_LIMIT) add("dark", "🌑 Too dark — move to better light or near a window");
+  else if (ink > FADED_LIMIT) add("bright", "☀️ Washed out — keep the card out of direct sunlight");
+  else if (paper - ink < FLAT_LIMIT) add("contrast", "🌫️ The text barely stands out — try different light");
+
+  if (metrics.numberGlare > GLARE_NUMBER_SHARE) {
+    add("glare", "✨ Glare over the number — tilt the card away from the light");
+  } else if (metrics.glare > GLARE_SHARE) {
+    add("glare", "✨ Glare on the card — tilt it away from the light or switch off the flash");
+  }
+
+  // A dark photo also reads as soft; one message is enough
+  if (metrics.sharpness < BLUR_LIMIT && !issues.some((i) => i.check === "dark")) {
+    add("blur", "📷 Blurry — hold the phone steady and tap the screen to focus on the card");
+  }
+
+  return { issues, metrics };
+}
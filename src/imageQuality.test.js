@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { assessImage } from "./imageQuality";
+
+// A 320×200 grey-scale document: `paint(x, y)` gives each pixel's luma
+const W = 320, H = 200;
+function image(paint) {
+  const data = new Uint8ClampedArray(W * H * 4);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const i = (y * W + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = paint(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width: W, height: H };
+}
+
+// Lines of black "letters" 2px wide, as on a printed page
+const text = (x, y) => y % 20 >= 8 && y % 20 < 14 && x % 6 < 2 && x > 20 && x < W - 20;
+const page = (paperLuma) => (x, y) => (text(x, y) ? 20 : paperLuma);
+const checks = (img, options) => assessImage(img, { sourceWidth: 1000, ...options }).issues.map((i) => i.check);
+
+// A blown-out spot on a light grey card, [x, y, w, h] in pixels
+const spot = ([sx, sy, sw, sh]) => (x, y) => (x >= sx && x < sx + sw && y >= sy && y < sy + sh ? 255 : page(210)(x, y));
+
+describe("assessImage", () => {
+  it("passes a clean card photo", () => {
+    expect(checks(image(page(210)))).toEqual([]);
+  });
+
+  it("passes a clean white page, as from a scanner or a PDF", () => {
+    const { issues, metrics } = assessImage(image(page(255)), { sourceWidth: 1000 });
+    expect(issues).toEqual([]);
+    expect(metrics.glare).toBe(0);
+  });
+
+  it("flags a blown-out spot brighter than the card", () => {
+    expect(checks(image(spot([100, 60, 80, 60])))).toEqual(["glare"]);
+  });
+
+  it("ignores a spot too small to hide anything", () => {
+    expect(checks(image(spot([100, 60, 10, 10])))).toEqual([]);
+  });
+
+  it("names glare over the number band, upright or turned", () => {
+    const band = [[0.25, 0.8, 0.5, 0.15]];
+    const low = assessImage(image(spot([90, 165, 60, 25])), { sourceWidth: 1000, numberRects: band });
+    expect(low.issues[0].message).toMatch(/over the number/);
+    const turned = assessImage(image(spot([170, 10, 60, 25])), { sourceWidth: 1000, numberRects: band });
+    expect(turned.issues[0].message).toMatch(/over the number/);
+  });
+
+  it("flags a dark photo without also calling it blurry", () => {
+    expect(checks(image(page(60)))).toEqual(["dark"]);
+  });
+
+  it("flags washed-out ink", () => {
+    expect(checks(image((x, y) => (text(x, y) ? 190 : 250)))).toEqual(["bright"]);
+  });
+
+  it("flags a blurry photo", () => {
+    expect(checks(image((x) => 120 + Math.round(60 * Math.sin(x / 40))))).toContain("blur");
+  });
+
+  it("asks to move closer for a small or far-away document", () => {
+    expect(checks(image(page(210)), { coverage: 0.2 })).toEqual(["coverage"]);
+    expect(checks(image(page(210)), { sourceWidth: 400 })).toEqual(["resolution"]);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * SchemeLink — Income certificate parsing
+ *
+ * Pure text helpers for state-issued income certificates (Tamil Nadu e-Sevai,
+ * Hindi-belt tehsil certificates and plain English ones). OcrScanner runs a
+ * full-page OCR and hands the text to extractIncomeFields():
+ *
+ *   { docType: "Income Proof", name, income, authority, certificateNo,
+ *     issueDate, address, raw }
+ *
+ * `income` is ₹ per year as a number, or "Not found" like every other field.
+ */
+
+import {
+  normalizeDigits,
+  extractName,
+  extractAuthority,
+  extractCertificateNo,
+  extractIssueDate,
+  extractAddress,
+} from "./certificateText";
+
+export const INCOME_DOC_TYPE = "Income Proof";
+
+// Header / body phrases that only appear on income certificates
+const INCOME_KEYWORDS = [
+  "income certificate", "annual income", "certificate of income",
+  "வருமானச் சான்றிதழ்", "வருமான சான்றிதழ்", "ஆண்டு வருமானம்",
+  "आय प्रमाण पत्र", "आय प्रमाण-पत्र", "आय प्रमाणपत्र", "वार्षिक आय",
+];
+
+export function isIncomeCertificate(text) {
+  const lower = (text || "").toLowerCase();
+  return INCOME_KEYWORDS.some((k) => lower.includes(k));
+}
+
+// ── Amounts ───────────────────────────────────────────────────────────────
+
+const WORD_VALUES = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+  fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+  nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  seventy: 70, eighty: 80, ninety: 90,
+};
+
+const SCALES = {
+  thousand: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7,
+  "हजार": 1e3, "हज़ार": 1e3, "लाख": 1e5, "करोड़": 1e7,
+  "ஆயிரம்": 1e3, "லட்சம்": 1e5, "கோடி": 1e7,
+};
+
+/** "One Lakh Twenty Thousand" → 120000; null when there is no number word */
+export function wordsToNumber(text) {
+  const words = text.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  let total = 0;
+  let current = 0;
+  let seen = false;
+  for (const w of words) {
+    if (w === "and") continue;
+    if (w in WORD_VALUES) {
+      current += WORD_VALUES[w];
+    } else if (w === "hundred") {
+      current = (current || 1) * 100;
+    } else if (w in SCALES) {
+      total += (current || 1) * SCALES[w];
+      current = 0;
+    } else if (seen) {
+      break;
+    } else {
+      continue;
+    }
+    seen = true;
+  }
+  return seen ? total + current : null;
+}
+
+// UP certificates write "रु0" / "रू०" for रुपये; "Rs"/"INR" must not be the
+// end of a word ("Teachers 2nd Cross")
+const CURRENCY = String.raw`(?:(?<!\p{L})(?:rs\.?|inr)|₹|रुपये|रुपए|रु[.0]?|रू[.0]?|ரூபாய்|ரூ\.?)`;
+const NUMBER = String.raw`(\d[\d,]*(?:\.\d+)?)`;
+const SCALE = String.raw`(lakhs?|lacs?|crores?|thousand|हज़ार|हजार|लाख|करोड़|ஆயிரம்|லட்சம்|கோடி)?`;
+
+function toAmount(digits, scale) {
+  const n = parseFloat(digits.replace(/,/g, ""));
+  if (isNaN(n)) return null;
+  return Math.round(n * (scale ? SCALES[scale.toLowerCase()] : 1));
+}
+
+/**
+ * First rupee amount anchored by a currency sign, amount in words or a scale
+ * word: "Rs. 1,20,000/-", "₹72000", "72000 रुपये", "1.5 lakh" or
+ * "Rupees Seventy Two Thousand Only". Returns a number or null.
+ */
+function anchoredRupees(text) {
+  // 1. A number next to a currency sign
+  const before = text.match(new RegExp(`${CURRENCY}\\s*[:\\-]?\\s*${NUMBER}\\s*${SCALE}`, "iu"));
+  if (before) return toAmount(before[1], before[2]);
+  const after = text.match(new RegExp(`${NUMBER}\\s*${SCALE}\\s*(?:/-)?\\s*${CURRENCY}`, "iu"));
+  if (after) return toAmount(after[1], after[2]);
+
+  // 2. Amount in words
+  const words = text.match(/rupees\s+([a-z\s-]+?)\s+only/i);
+  if (words) {
+    const n = wordsToNumber(words[1]);
+    if (n) return n;
+  }
+
+  // 3. A bare number with a scale word ("1.2 lakh")
+  const scaled = text.match(new RegExp(`${NUMBER}\\s*${SCALE.replace(/\?$/, "")}`, "iu"));
+  if (scaled) return toAmount(scaled[1], scaled[2]);
+  return null;
+}
+
+/** A plain figure of ₹1,000 or more that is not a year or part of a date */
+function plainFigure(text) {
+  for (const m of text.matchAll(/(?<![\d/.-])(\d{1,3}(?:,\d{2,3})+|\d{4,9})(?![\d/.-]*\d)/g)) {
+    const n = toAmount(m[1]);
+    if (/^(19|20)\d{2}$/.test(m[1])) continue;
+    if (n >= 1000) return n;
+  }
+  return null;
+}
+
+/**
+ * First rupee amount in a piece of text (see anchoredRupees), or failing
+ * that a plain figure. Returns a number or null.
+ */
+export function parseRupees(input) {
+  const text = normalizeDigits(input || "");
+  return anchoredRupees(text) ?? plainFigure(text);
+}
+
+// ── Field extraction ──────────────────────────────────────────────────────
+
+// "आय" alone is also the first word of the "आय प्रमाण पत्र" header
+const INCOME_LABEL = /annual\s+income|income\s+(?:from|of|is)|total\s+income|வருமானம்|वार्षिक\s+आय|कुल\s+आय|आय\s*(?:रु|₹|:)/i;
+const MONTHLY = /per\s+month|monthly|மாத|मासिक|प्रति\s+माह/i;
+
+// The certificate's title line, and reference numbers that look like amounts
+const HEADER = /^\W*(?:income\s+certificate|certificate\s+of\s+income|வருமானச?\s+சான்றிதழ்|आय\s+प्रमाण[\s-]*पत्र)\W*$/iu;
+const REFERENCE = /certificate\s*(?:no|number)|cert\.?\s*no|serial\s*no|sl\.?\s*no|ref(?:erence)?\.?\s*no|application\s*no|சான்றிதழ்\s*எண்|வரிசை\s*எண்|क्रमांक|(?:पत्र|आवेदन)\s*संख्या/i;
+
+const skipped = (line) => HEADER.test(line) || REFERENCE.test(line);
+
+/**
+ * The yearly income: a currency-anchored amount on (or wrapped after) an
+ * income label, then a plain figure on the label's own line, and only then a
+ * currency-anchored amount anywhere on the page. A bare number elsewhere is
+ * more likely a certificate or application number than the income.
+ */
+function extractIncome(lines) {
+  const body = lines.filter((l) => !skipped(l));
+  const yearly = (n, context) => (MONTHLY.test(context) ? n * 12 : n);
+
+  const labelled = body
+    .map((line, i) => ({ line, i }))
+    .filter(({ line }) => INCOME_LABEL.test(line));
+
+  for (const { i } of labelled) {
+    // The amount is often wrapped onto the next line
+    const window = body.slice(i, i + 2).join(" ");
+    const n = anchoredRupees(window);
+    if (n) return yearly(n, window);
+  }
+
+  for (const { line } of labelled) {
+    const n = plainFigure(line.slice(line.search(INCOME_LABEL)));
+    if (n) return yearly(n, line);
+  }
+
+  for (const line of body) {
+    const n = anchoredRupees(line);
+    if (n) return yearly(n, line);
+  }
+  return null;
+}
+
+/** Pull every income-certificate field out of full-page OCR text */
+export function extractIncomeFields(rawText) {
+  const text = normalizeDigits(rawText || "");
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const flat = lines.join(" ");
+
+  return {
+    docType: INCOME_DOC_TYPE,
+    name: extractName(flat),
+    income: extractIncome(lines) ?? "Not found",
+    authority: extractAuthority(lines),
+    certificateNo: extractCertificateNo(flat),
+    issueDate: extractIssueDate(flat),
+    address: extractAddress(flat),
+    raw: rawText,
+  };
+}
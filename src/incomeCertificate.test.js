@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { isIncomeCertificate, extractIncomeFields, parseRupees, wordsToNumber } from "./incomeCertificate";
+
+const ENGLISH = `GOVERNMENT OF TAMIL NADU
+INCOME CERTIFICATE
+Certificate No : TN-2023051234567
+This is to certify that Thiru R. Kumar son of Raman residing at 12, Gandhi Street, Salem is
+having an annual income from all sources of Rs. 72,000/- (Rupees Seventy Two Thousand Only)
+Date : 03/04/2023
+Tahsildar, Salem`;
+
+const TAMIL = `தமிழ்நாடு அரசு
+வருமானச் சான்றிதழ்
+சான்றிதழ் எண் : 4512367890
+திரு. குமார் த/பெ ராமன்
+ஆண்டு வருமானம் ரூ. ௯௬,௦௦௦
+தேதி : 12/05/2022
+வட்டாட்சியர்`;
+
+const HINDI = `उत्तर प्रदेश शासन
+आय प्रमाण पत्र
+प्रमाण पत्र क्रमांक : 123456789
+प्रमाणित किया जाता है कि श्री राम कुमार पुत्र श्री हरि प्रसाद निवासी ग्राम रामपुर
+के परिवार की समस्त स्रोतों से वार्षिक आय 48000 रुपये है।
+दिनांक : 15/06/2021
+तहसीलदार`;
+
+describe("isIncomeCertificate", () => {
+  it("recognises the English, Tamil and Hindi headers", () => {
+    for (const text of [ENGLISH, TAMIL, HINDI]) expect(isIncomeCertificate(text)).toBe(true);
+    expect(isIncomeCertificate("Community Certificate")).toBe(false);
+  });
+});
+
+describe("extractIncomeFields", () => {
+  it("reads an English certificate", () => {
+    expect(extractIncomeFields(ENGLISH)).toMatchObject({
+      docType: "Income Proof",
+      name: "R. Kumar",
+      income: 72000,
+      certificateNo: "TN-2023051234567",
+      issueDate: "03/04/2023",
+    });
+  });
+
+  it("reads a Tamil certificate with Tamil digits", () => {
+    expect(extractIncomeFields(TAMIL)).toMatchObject({ income: 96000, issueDate: "12/05/2022" });
+  });
+
+  it("takes the stated income on a Hindi certificate, not the certificate number", () => {
+    expect(extractIncomeFields(HINDI)).toMatchObject({
+      name: "राम कुमार",
+      income: 48000,
+      certificateNo: "123456789",
+      issueDate: "15/06/2021",
+    });
+  });
+
+  it("reads UP's रु0 abbreviation", () => {
+    const text = HINDI.replace("वार्षिक आय 48000 रुपये", "वार्षिक आय रु0 36,000");
+    expect(extractIncomeFields(text).income).toBe(36000);
+  });
+
+  it("prefers a currency amount anywhere over a bare figure", () => {
+    const text = "INCOME CERTIFICATE\nApplication No 987654\nAnnual income\nfrom agriculture\nTotal Rs. 60,000";
+    expect(extractIncomeFields(text).income).toBe(60000);
+  });
+
+  it("uses a plain figure only on the label's own line", () => {
+    expect(extractIncomeFields("Income Certificate\nAnnual income : 54000").income).toBe(54000);
+    expect(extractIncomeFields("Income Certificate\nAnnual income :\n987654321").income).toBe("Not found");
+  });
+
+  it("does not read the end of a word in the address as Rs", () => {
+    const text = "INCOME CERTIFICATE\nNo. 4, Teachers 2nd Cross Street, Near Doctors 45 Colony\n"
+      + "Annual income from all sources: 72000";
+    expect(extractIncomeFields(text).income).toBe(72000);
+  });
+
+  it("turns a monthly figure into a yearly one", () => {
+    expect(extractIncomeFields("Income Certificate\nIncome of Rs. 5,000 per month").income).toBe(60000);
+  });
+});
+
+describe("parseRupees", () => {
+  it("reads currency signs, scale words and amounts in words", () => {
+    expect(parseRupees("₹1,20,000")).toBe(120000);
+    expect(parseRupees("72000 रुपये")).toBe(72000);
+    expect(parseRupees("1.5 lakh")).toBe(150000);
+    expect(parseRupees("Rupees One Lakh Twenty Thousand Only")).toBe(120000);
+  });
+
+  it("needs Rs and INR to stand on their own", () => {
+    expect(parseRupees("Teachers 2nd")).toBeNull();
+    expect(parseRupees("Doctors 45")).toBeNull();
+    expect(parseRupees("Rs.2,500")).toBe(2500);
+    expect(parseRupees("(INR 9000)")).toBe(9000);
+  });
+
+  it("falls back to a plain figure that is not a year or a date", () => {
+    expect(parseRupees("2023 03/04/2023 45,000")).toBe(45000);
+    expect(parseRupees("2023")).toBeNull();
+  });
+});
+
+describe("wordsToNumber", () => {
+  it("adds up scales", () => {
+    expect(wordsToNumber("two lakh fifty thousand five hundred")).toBe(250500);
+    expect(wordsToNumber("only")).toBeNull();
+  });
+});
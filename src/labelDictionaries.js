@@ -0,0 +1,171 @@
+/**
+ * SchemeLink — Field labels of bilingual ID cards, per Indian language
+ *
+ * Aadhaar and Voter ID cards print each label twice: in English and in the
+ * state's language ("जन्म तिथि / DOB", "ஆண் / MALE"). When OCR loses the
+ * English half, the extractors fall back to these dictionaries. A new
+ * language is a new entry — its Tesseract pack, its Unicode script and its
+ * labels; nothing else changes.
+ *
+ *   findLabelled(text, field, valuePattern) → the value after a label, or null
+ *   firstLabel(text, fields)               → which field's label comes first
+ *   detectLanguages(uiLang)                → Tesseract packs for the detect pass
+ *   ocrLanguages(text, uiLang)             → packs for the document's regions
+ *
+ * Every pack slows each pass down, so a card is read with English, the
+ * scripts the detect pass saw, and the pack of `uiLang`, the site's language
+ * ("en" / "ta" / "hi"…): a Telugu-speaking user's card is most likely Telugu,
+ * even where the top of the card shows none. Packs that are not bundled
+ * (ocrAssets.js) come from the CDN.
+ */
+
+// Listed most-used first: Devanagari text is read as Hindi unless the user
+// has picked Marathi
+export const LANGUAGES = {
+  ta: {
+    tesseract: "tam", script: "Tamil",
+    labels: {
+      dob: ["பிறந்த நாள்", "பிறந்த தேதி", "பிறந்த"],
+      male: ["ஆண்பால்", "ஆண்"],
+      female: ["பெண்பால்", "பெண்"],
+      father: ["தந்தையின் பெயர்", "தந்தை பெயர்", "தந்தை"],
+      name: ["பெயர்"],
+    },
+  },
+  hi: {
+    tesseract: "hin", script: "Devanagari",
+    labels: {
+      dob: ["जन्म तिथि", "जन्मतिथि", "जन्म तारीख"],
+      male: ["पुरुष"],
+      female: ["महिला", "स्त्री"],
+      father: ["पिता का नाम", "पिता"],
+      name: ["नाम"],
+    },
+  },
+  mr: {
+    tesseract: "mar", script: "Devanagari",
+    labels: {
+      dob: ["जन्म तारीख", "जन्मतारीख"],
+      male: ["पुरुष"],
+      female: ["स्त्री", "महिला"],
+      father: ["वडिलांचे नाव", "वडील"],
+      name: ["नाव"],
+    },
+  },
+  te: {
+    tesseract: "tel", script: "Telugu",
+    labels: {
+      dob: ["పుట్టిన తేదీ", "జన్మ తేదీ"],
+      male: ["పురుషుడు", "పురుష"],
+      female: ["స్త్రీ", "మహిళ"],
+      father: ["తండ్రి పేరు", "తండ్రి"],
+      name: ["పేరు"],
+    },
+  },
+  kn: {
+    tesseract: "kan", script: "Kannada",
+    labels: {
+      dob: ["ಹುಟ್ಟಿದ ದಿನಾಂಕ", "ಜನ್ಮ ದಿನಾಂಕ"],
+      male: ["ಪುರುಷ"],
+      female: ["ಮಹಿಳೆ", "ಸ್ತ್ರೀ"],
+      father: ["ತಂದೆಯ ಹೆಸರು", "ತಂದೆ"],
+      name: ["ಹೆಸರು"],
+    },
+  },
+  ml: {
+    tesseract: "mal", script: "Malayalam",
+    labels: {
+      dob: ["ജനന തീയതി", "ജനനത്തീയതി"],
+      male: ["പുരുഷൻ"],
+      female: ["സ്ത്രീ"],
+      father: ["അച്ഛന്റെ പേര്", "പിതാവിന്റെ പേര്", "അച്ഛൻ"],
+      name: ["പേര്"],
+    },
+  },
+  bn: {
+    tesseract: "ben", script: "Bengali",
+    labels: {
+      dob: ["জন্ম তারিখ", "জন্মতারিখ"],
+      male: ["পুরুষ"],
+      female: ["মহিলা", "স্ত্রী"],
+      father: ["পিতার নাম", "পিতা"],
+      name: ["নাম"],
+    },
+  },
+};
+
+// ── Labels ────────────────────────────────────────────────────────────────
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// \b only knows ASCII letters; Indic words end in combining marks too
+const START = "(?<![\\p{L}\\p{M}])";
+const END = "(?![\\p{L}\\p{M}])";
+
+/** Every language's labels for a field, longest first, as one alternation */
+function labelSource(field) {
+  const labels = [...new Set(Object.values(LANGUAGES).flatMap((l) => l.labels[field] || []))]
+    .sort((a, b) => b.length - a.length)
+    .map((l) => escape(l).replace(/ /g, "\\s*"));
+  return `${START}(?:${labels.join("|")})${END}`;
+}
+
+/**
+ * The text after a `field` label, matching `valuePattern` (a RegExp source
+ * without capture groups); null when no label is followed by such a value
+ */
+export function findLabelled(text, field, valuePattern) {
+  const m = text.match(new RegExp(`${labelSource(field)}\\s*[:;/\\-.]?\\s*(${valuePattern})`, "u"));
+  return m ? m[1] : null;
+}
+
+/** Of `fields`, the one whose label appears earliest in the text, or null */
+export function firstLabel(text, fields) {
+  let best = null;
+  for (const field of fields) {
+    const at = text.search(new RegExp(labelSource(field), "u"));
+    if (at !== -1 && (!best || at < best.at)) best = { field, at };
+  }
+  return best?.field ?? null;
+}
+
+// ── Language packs ────────────────────────────────────────────────────────
+
+// Letters of a script before it counts as present (OCR noise makes a few)
+const MIN_SCRIPT_CHARS = 4;
+
+const packOf = (uiLang) => LANGUAGES[uiLang]?.tesseract;
+
+/** Indic scripts with enough letters in `text` */
+function scriptsIn(text) {
+  const scripts = [...new Set(Object.values(LANGUAGES).map((l) => l.script))];
+  return scripts.filter((s) =>
+    (text.match(new RegExp(`\\p{Script=${s}}`, "gu")) || []).length >= MIN_SCRIPT_CHARS);
+}
+
+// Hindi is printed beside English on central-government documents (Aadhaar,
+// PAN), so the detect pass reads it whatever the site's language
+const DETECT_PACKS = ["eng", "hin"];
+
+const joinPacks = (packs) => [...new Set(packs.filter(Boolean))].join("+");
+
+/** eng, hin and the user's language (which may need the network) */
+export function detectLanguages(uiLang) {
+  return joinPacks([...DETECT_PACKS, packOf(uiLang)]);
+}
+
+/**
+ * eng, one pack for each script the detect pass saw in `text`, and the
+ * user's language. The detect pass reads only the top of the card, where a
+ * Tamil Aadhaar shows its Hindi header but not the Tamil below it; the
+ * user's language covers that.
+ */
+export function ocrLanguages(text, uiLang) {
+  const packs = scriptsIn(text).map((script) => {
+    const [code] = Object.entries(LANGUAGES)
+      .filter(([, l]) => l.script === script)
+      .sort(([a], [b]) => (b === uiLang) - (a === uiLang))[0];
+    return LANGUAGES[code].tesseract;
+  });
+  return joinPacks(["eng", ...packs, packOf(uiLang)]);
+}
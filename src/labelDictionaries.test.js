@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { findLabelled, firstLabel, detectLanguages, ocrLanguages } from "./labelDictionaries";
+
+const DATE = "\\d{2}/\\d{2}/\\d{4}";
+const HINDI_HEADER = "भारत सरकार\nGovernment of India";
+const TAMIL_LINE = "பெயர்: ரவி குமார்";
+
+describe("findLabelled", () => {
+  it("reads a value after a label in any language", () => {
+    expect(findLabelled("जन्म तिथि: 15/08/1990", "dob", DATE)).toBe("15/08/1990");
+    expect(findLabelled("பிறந்த நாள்: 15/08/1990", "dob", DATE)).toBe("15/08/1990");
+  });
+
+  it("copes with OCR dropping the space inside a label", () => {
+    expect(findLabelled("जन्मतिथि 15/08/1990", "dob", DATE)).toBe("15/08/1990");
+  });
+
+  it("returns null without a matching value", () => {
+    expect(findLabelled("जन्म तिथि: unknown", "dob", DATE)).toBeNull();
+  });
+});
+
+describe("firstLabel", () => {
+  it("finds the label printed first", () => {
+    expect(firstLabel("ஆண் / MALE\nதந்தை: முருகன்", ["male", "female"])).toBe("male");
+    expect(firstLabel("महिला / FEMALE", ["male", "female"])).toBe("female");
+    expect(firstLabel("MALE", ["male", "female"])).toBeNull();
+  });
+});
+
+describe("detectLanguages", () => {
+  it("reads English and Hindi, plus the site's language", () => {
+    expect(detectLanguages("en")).toBe("eng+hin");
+    expect(detectLanguages("hi")).toBe("eng+hin");
+    expect(detectLanguages("ta")).toBe("eng+hin+tam");
+    expect(detectLanguages(undefined)).toBe("eng+hin");
+  });
+});
+
+describe("ocrLanguages", () => {
+  it("reads an English-only document with English alone", () => {
+    expect(ocrLanguages("INCOME TAX DEPARTMENT", "en")).toBe("eng");
+  });
+
+  it("adds the scripts the detect pass saw", () => {
+    expect(ocrLanguages(HINDI_HEADER, "en")).toBe("eng+hin");
+    expect(ocrLanguages(`${TAMIL_LINE}\nName: Ravi`, "en")).toBe("eng+tam");
+  });
+
+  it("adds the site's language even when the top of the card shows none of it", () => {
+    expect(ocrLanguages(HINDI_HEADER, "ta")).toBe("eng+hin+tam");
+    expect(ocrLanguages("Government of India", "ta")).toBe("eng+tam");
+  });
+
+  it("reads Devanagari as Marathi for a Marathi-speaking user", () => {
+    expect(ocrLanguages(HINDI_HEADER, "mr")).toBe("eng+mar");
+  });
+
+  it("ignores a few stray letters of a script", () => {
+    expect(ocrLanguages("Name: Ravi ர", "en")).toBe("eng");
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * SchemeLink — OCR layout templates
+ *
+ * One entry per print layout. runOcr() in ocrPipeline.js detects the
+ * document type, picks a template with selectTemplate() and OCRs each of its
+ * regions; the texts go to the template's `reader` (an extractor in
+ * ocrPipeline.js) by region name.
+ * A new layout is a new entry here — the orchestrator does not change.
+ *
+ *   {
+ *     id, label,
+ *     detects: [docType…]      detectDocType() results it can read
+ *     cues: {                  all must hold; the template with most cues wins,
+ *                              the earlier one on a tie
+ *       text:      RegExp      on the detect pass (top 22% of the document)
+ *       aspect:    [min, max]  width / height of the (normalised) image
+ *       isCard:    bool        prepareImage() found and squared up a card
+ *       colourful: bool        colour print vs black-and-white
+ *     },
+ *     reader,                  key into ocrPipeline's READERS
+ *     regions: [{
+ *       name, stage,           stage = progress text
+ *       rect: [x, y, w, h]     fractions of the image
+ *       scale, contrast,       upscale factor and contrast % (default 1, 100)
+ *       grayscale,             drop colour before OCR
+ *       lang,                  Tesseract languages (default: the document's,
+ *                              see ocrLanguages() in labelDictionaries.js)
+ *     }],
+ *   }
+ *
+ * Card regions are fractions of the card itself — prepareImage() has already
+ * cropped, deskewed and stretched it to the standard card shape.
+ */
+
+const FULL = [0, 0, 1, 1];
+const PORTRAIT = [0.5, 0.95];
+
+/** One enhanced pass over the whole page, for layouts without fixed fields */
+const fullPage = (stage, scale) => [
+  { name: "page", stage, rect: FULL, scale, contrast: 150 },
+];
+
+export const TEMPLATES = [
+  // ── Aadhaar ────────────────────────────────────────────────────────────
+  {
+    id: "aadhaar-card",
+    label: "Aadhaar card (printed / laminated)",
+    detects: ["aadhaar", "unknown"],
+    cues: {},
+    reader: "aadhaar",
+    regions: [
+      // Right of the photo, below the header → name, DOB, gender
+      { name: "details", stage: "Scanning name & DOB area...", rect: [0.33, 0.10, 0.67, 0.62] },
+      // The 12-digit number band (was 0.78–0.90, which read the wrong area)
+      { name: "number", stage: "Scanning Aadhaar number...", rect: [0.05, 0.72, 0.90, 0.12] },
+    ],
+  },
+  {
+    id: "aadhaar-pvc",
+    label: "Aadhaar PVC card",
+    detects: ["aadhaar", "unknown"],
+    // PVC cards are always colour; the QR code narrows the text column
+    cues: { isCard: true, colourful: true },
+    reader: "aadhaar",
+    regions: [
+      { name: "details", stage: "Scanning name & DOB area...", rect: [0.28, 0.20, 0.50, 0.52], scale: 2 },
+      { name: "number", stage: "Scanning Aadhaar number...", rect: [0.05, 0.74, 0.90, 0.13], scale: 2 },
+    ],
+  },
+  {
+    id: "e-aadhaar",
+    label: "e-Aadhaar (PDF printout)",
+    // The PDF of the letter; listed first so it wins when both cues match
+    detects: ["aadhaar", "aadhaar-back"],
+    cues: { aspect: PORTRAIT, text: /e-?aadhaa?r|download\s*date|generation\s*date/i },
+    reader: "aadhaar-letter",
+    regions: [
+      { name: "details", stage: "Scanning name & DOB area...", rect: [0.04, 0.70, 0.46, 0.18], scale: 2 },
+      { name: "number", stage: "Scanning Aadhaar number...", rect: [0.04, 0.88, 0.92, 0.07], scale: 2 },
+      { name: "address", stage: "Reading Aadhaar address...", rect: [0.50, 0.70, 0.46, 0.18], scale: 2 },
+    ],
+  },
+  {
+    id: "aadhaar-letter",
+    label: "Aadhaar letter",
+    // The letter's header is UIDAI's, like the back of a card; only the
+    // enrolment number above the address tells it apart
+    detects: ["aadhaar", "aadhaar-back"],
+    cues: { aspect: PORTRAIT, text: /enrol?ment|नामांकन/i },
+    reader: "aadhaar-letter",
+    regions: [
+      // The cut-out card at the foot of the letter: front left, back right
+      { name: "details", stage: "Scanning name & DOB area...", rect: [0.04, 0.64, 0.46, 0.22], scale: 2 },
+      { name: "number", stage: "Scanning Aadhaar number...", rect: [0.04, 0.86, 0.92, 0.08], scale: 2 },
+      { name: "address", stage: "Reading Aadhaar address...", rect: [0.50, 0.64, 0.46, 0.22], scale: 2 },
+    ],
+  },
+  {
+    id: "aadhaar-back",
+    label: "Aadhaar card, back",
+    // The address block grows with its length, so read the whole side
+    detects: ["aadhaar-back"],
+    cues: {},
+    reader: "aadhaar-back",
+    regions: fullPage("Reading Aadhaar address...", 2),
+  },
+
+  // ── Voter ID (EPIC) ────────────────────────────────────────────────────
+  {
+    id: "epic-mono",
+    label: "Voter ID, black-and-white",
+    detects: ["voter"],
+    cues: {},
+    reader: "voter",
+    regions: [
+      { name: "standard", stage: "Scanning Voter ID (standard)...", rect: FULL },
+      { name: "enhanced", stage: "Scanning Voter ID (enhanced)...", rect: FULL, scale: 2, contrast: 180 },
+    ],
+  },
+  {
+    id: "epic-colour",
+    label: "Voter ID, colour PVC",
+    detects: ["voter"],
+    // The tinted background swamps Tesseract unless the colour goes first
+    cues: { colourful: true },
+    reader: "voter",
+    regions: [
+      { name: "standard", stage: "Scanning Voter ID (standard)...", rect: FULL, grayscale: true },
+      { name: "number", stage: "Scanning Voter ID number...", rect: [0, 0.12, 1, 0.20], scale: 3, contrast: 160, grayscale: true, lang: "eng" },
+      { name: "enhanced", stage: "Scanning Voter ID (enhanced)...", rect: FULL, scale: 2, contrast: 160, grayscale: true },
+    ],
+  },
+
+  // ── PAN ────────────────────────────────────────────────────────────────
+  {
+    id: "pan",
+    label: "PAN card",
+    detects: ["pan"],
+    cues: {},
+    reader: "pan",
+    regions: [
+      // Everything below the "Income Tax Department" band
+      { name: "fields", stage: "Scanning PAN card...", rect: [0, 0.18, 1, 0.82], lang: "eng+hin" },
+    ],
+  },
+
+  // ── Full-page documents ────────────────────────────────────────────────
+  // Certificates are A4 pages with no fixed layout, and a ration card's
+  // member table can fill either side
+  {
+    id: "income",
+    label: "Income certificate",
+    detects: ["income"],
+    cues: {},
+    reader: "income",
+    regions: fullPage("Reading income certificate...", 1.5),
+  },
+  {
+    id: "community",
+    label: "Community certificate",
+    detects: ["community"],
+    cues: {},
+    reader: "community",
+    regions: fullPage("Reading community certificate...", 1.5),
+  },
+  {
+    id: "ration",
+    label: "Ration card",
+    detects: ["ration"],
+    cues: {},
+    reader: "ration",
+    regions: fullPage("Reading ration card...", 2),
+  },
+];
+
+function cueHolds(cue, value, seen) {
+  switch (cue) {
+    case "text": return value.test(seen.text || "");
+    case "aspect": return seen.aspect != null && seen.aspect >= value[0] && seen.aspect <= value[1];
+    default: return seen[cue] === value;
+  }
+}
+
+/**
+ * The template for a detected document type and what was seen of the image
+ * ({ text, aspect, isCard, colourful }); null for a type no template reads.
+ */
+export function selectTemplate(docType, seen) {
+  let best = null;
+  for (const template of TEMPLATES) {
+    if (!template.detects.includes(docType)) continue;
+    const cues = Object.entries(template.cues);
+    if (!cues.every(([cue, value]) => cueHolds(cue, value, seen))) continue;
+    if (!best || cues.length > Object.keys(best.cues).length) best = template;
+  }
+  return best;
+}
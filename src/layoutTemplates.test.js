@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { TEMPLATES, selectTemplate } from "./layoutTemplates";
+
+const pick = (docType, seen = {}) => selectTemplate(docType, seen)?.id ?? null;
+
+const PHOTO = { aspect: 1.58, isCard: true, colourful: false, text: "" };
+const PAGE = { aspect: 0.71, isCard: false, colourful: false, text: "" };
+
+describe("selectTemplate", () => {
+  it("falls back to the template without cues", () => {
+    expect(pick("aadhaar", PHOTO)).toBe("aadhaar-card");
+    expect(pick("voter", PHOTO)).toBe("epic-mono");
+    expect(pick("income", PAGE)).toBe("income");
+  });
+
+  it("needs both the isCard and colourful cues for a PVC card", () => {
+    expect(pick("aadhaar", { ...PHOTO, colourful: true })).toBe("aadhaar-pvc");
+    expect(pick("aadhaar", { ...PHOTO, colourful: true, isCard: false })).toBe("aadhaar-card");
+    expect(pick("voter", { ...PHOTO, colourful: true })).toBe("epic-colour");
+  });
+
+  it("needs a portrait aspect for the letter layouts", () => {
+    const text = "Enrolment No: 1234/56789/01234";
+    expect(pick("aadhaar", { ...PAGE, text })).toBe("aadhaar-letter");
+    expect(pick("aadhaar", { ...PHOTO, text })).toBe("aadhaar-card");
+    expect(pick("aadhaar", { ...PAGE, text, aspect: null })).toBe("aadhaar-card");
+  });
+
+  it("reads the text cue on the header only", () => {
+    expect(pick("aadhaar", { ...PAGE, text: "e-Aadhaar  Download Date: 01/02/2024" })).toBe("e-aadhaar");
+    expect(pick("aadhaar-back", { ...PAGE, text: "नामांकन क्रम / Enrolment No" })).toBe("aadhaar-letter");
+    expect(pick("aadhaar-back", { ...PAGE, text: "Unique Identification Authority of India" })).toBe("aadhaar-back");
+  });
+
+  it("does not take an ordinary header with 'To' for a letter", () => {
+    expect(pick("aadhaar", { ...PAGE, text: "To\nGovernment of India" })).toBe("aadhaar-card");
+  });
+
+  it("breaks a tie in favour of the earlier template", () => {
+    const text = "e-Aadhaar  Enrolment No: 1234/56789/01234";
+    expect(pick("aadhaar", { ...PAGE, text })).toBe("e-aadhaar");
+  });
+
+  it("has no template for an unknown type and reads unknown as an Aadhaar card", () => {
+    expect(pick("passport", PHOTO)).toBeNull();
+    expect(pick("unknown", PHOTO)).toBe("aadhaar-card");
+  });
+
+  it("gives every template at least one region", () => {
+    for (const t of TEMPLATES) expect(t.regions.length).toBeGreaterThan(0);
+    expect(new Set(TEMPLATES.map((t) => t.id)).size).toBe(TEMPLATES.length);
+  });
+});
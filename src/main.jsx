@@ -4,6 +4,13 @@ import './index.css'
 import App from './App.jsx'
 import SchemePreview from "./SchemePreview.jsx";
 
+// Caches the OCR engine and language packs for offline scanning (ocrAssets.js)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}ocr-sw.js`).catch((err) => {
+    console.warn('OCR offline cache unavailable:', err)
+  })
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
@@ -0,0 +1,43 @@
+// SchemeLink — offline cache for the OCR engine and language packs.
+// Registered from src/main.jsx. vite.config.js writes this file into the
+// build as ocr-sw.js, with OCR_CACHE and OCR_FILES from src/ocrAssets.js
+// declared ahead of it.
+/* global OCR_CACHE, OCR_FILES */
+const CACHE = OCR_CACHE;
+const ROOT = new URL("./", self.location).href;
+const FILES = OCR_FILES;
+
+self.addEventListener("install", (event) => {
+  // Each file on its own: one failed download must not stop the rest from
+  // being cached
+  event.waitUntil(
+    caches.open(CACHE).then((cache) =>
+      Promise.allSettled(FILES.map((f) => cache.add(ROOT + f)))
+    ).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((k) => k.startsWith("schemelink-ocr-") && k !== CACHE).map((k) => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache first for the OCR files; everything else goes to the network as usual
+self.addEventListener("fetch", (event) => {
+  const url = event.request.url.split("?")[0];
+  if (!FILES.some((f) => url === ROOT + f)) return;
+  event.respondWith(
+    caches.open(CACHE).then(async (cache) => {
+      const hit = await cache.match(url);
+      if (hit) return hit;
+      const res = await fetch(event.request);
+      if (res.ok) cache.put(url, res.clone());
+      return res;
+    })
+  );
+});
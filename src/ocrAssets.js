@@ -0,0 +1,52 @@
+/**
+ * SchemeLink — Where OCR loads its engine and language packs from
+ *
+ * Everything Tesseract needs is served by the app itself instead of its CDN.
+ * vite.config.js copies both from node_modules into the build:
+ *   tesseract/   worker script + wasm cores (tesseract.js, tesseract.js-core)
+ *   tessdata/    eng / tam / hin packs (@tesseract.js-data/*)
+ * and writes ocr-sw.js from src/ocr-sw.js with OCR_FILES as its file list;
+ * it keeps them in Cache Storage, so a scanner that has been opened once
+ * keeps working with no connection.
+ *
+ *   TESSERACT_OPTIONS          → createWorker() options (ocrPool.js)
+ *   OCR_FILES                  → every file above, relative to the app root
+ *   offlineStatus() → Promise<{ supported, engine, langs: { eng: bool, … } }>
+ */
+
+// Every language the layout templates ask for
+export const OCR_LANGS = ["eng", "tam", "hin"];
+
+export const OCR_CACHE = "schemelink-ocr-v1";
+
+// import.meta.env is Vite's; vite.config.js imports this file under plain Node
+const ROOT = new URL(import.meta.env?.BASE_URL ?? "/", globalThis.location?.href ?? "http://localhost/").href;
+
+export const ENGINE_FILES = ["worker.min.js", "tesseract-core-lstm.wasm.js", "tesseract-core-simd-lstm.wasm.js"];
+
+export const langFile = (lang) => `tessdata/${lang}.traineddata.gz`;
+
+export const OCR_FILES = [...ENGINE_FILES.map((f) => `tesseract/${f}`), ...OCR_LANGS.map(langFile)];
+
+export const TESSERACT_OPTIONS = {
+  // A real URL rather than a blob, so the service worker sees the worker's
+  // own requests for the core and the packs
+  workerPath: `${ROOT}tesseract/worker.min.js`,
+  corePath: `${ROOT}tesseract/`,
+  langPath: `${ROOT}tessdata`,
+  workerBlobURL: false,
+};
+
+/** Which parts of OCR are in the offline cache right now */
+export async function offlineStatus() {
+  const langs = Object.fromEntries(OCR_LANGS.map((l) => [l, false]));
+  if (!("caches" in globalThis) || !("serviceWorker" in navigator)) {
+    return { supported: false, engine: false, langs };
+  }
+  const cache = await caches.open(OCR_CACHE);
+  const has = async (path) => Boolean(await cache.match(`${ROOT}${path}`));
+  // Either core will do; the worker picks one by SIMD support
+  const [worker, ...cores] = await Promise.all(ENGINE_FILES.map((f) => has(`tesseract/${f}`)));
+  for (const lang of OCR_LANGS) langs[lang] = await has(langFile(lang));
+  return { supported: true, engine: worker && cores.some(Boolean), langs };
+}
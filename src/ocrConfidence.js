@@ -0,0 +1,74 @@
+/**
+ * SchemeLink — OCR confidence per extracted field
+ *
+ * Tesseract scores every word it reads (0–100). The extractors only see
+ * text, so withConfidence() matches each extracted value back to the words
+ * it came from and records the weakest of them:
+ *
+ *   result.confidence = { name: 91, dob: 58, address: null, … }
+ *
+ * `null` means the value could not be traced to OCR words — it was derived
+ * (an age, "Male" from "ஆண்") or repaired (a corrected Aadhaar / EPIC
+ * number). A user-confirmed value is set to 100.
+ */
+
+/** Below this a field is shown as doubtful and left out of the review by default */
+export const LOW_CONFIDENCE = 70;
+
+export const isLowConfidence = (score) => score != null && score < LOW_CONFIDENCE;
+
+/** Every word on a recognised page: [{ text, confidence }] */
+export function wordsOf(page) {
+  return (page?.blocks || []).flatMap((block) =>
+    block.paragraphs.flatMap((para) =>
+      para.lines.flatMap((line) =>
+        line.words.map((w) => ({ text: w.text, confidence: w.confidence }))
+      )
+    )
+  );
+}
+
+const normalize = (s) => String(s).toUpperCase().replace(/[^\p{L}\p{N}]/gu, "");
+
+/** Best score OCR gave a token, or null when no word carries it */
+function tokenConfidence(token, words) {
+  let best = null;
+  for (const w of words) {
+    const text = normalize(w.text);
+    // A token can be a whole word or a piece of one ("12/3," → "123")
+    const hit = text === token || (token.length >= 3 && text.includes(token));
+    if (hit && (best == null || w.confidence > best)) best = w.confidence;
+  }
+  return best;
+}
+
+/** Weakest word in a value; null if any word cannot be traced */
+export function fieldConfidence(value, words) {
+  if (value == null || value === "Not found" || typeof value === "object") return null;
+  const tokens = String(value).split(/\s+/).map(normalize).filter(Boolean);
+  if (!tokens.length) return null;
+
+  let min = 100;
+  for (const token of tokens) {
+    const c = tokenConfidence(token, words);
+    if (c == null) return null;
+    min = Math.min(min, c);
+  }
+  return Math.round(min);
+}
+
+// Values the extractors work out rather than read
+const DERIVED = ["docType", "side", "raw", "holderType", "rationCardType"];
+
+/** `result` plus a confidence score for every extracted field */
+export function withConfidence(result, words) {
+  const confidence = {};
+  for (const [field, value] of Object.entries(result)) {
+    if (DERIVED.includes(field) || /Check$|Read$|Candidates$|Confidence$/.test(field)) continue;
+    if (value == null || value === "Not found" || typeof value === "object") continue;
+    // Repaired numbers are not what OCR read; their own check speaks for them
+    const check = result[`${field}Check`];
+    confidence[field] = check && check !== "valid" ? null : fieldConfidence(value, words);
+  }
+  return { ...result, confidence };
+}
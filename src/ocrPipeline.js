@@ -0,0 +1,551 @@
+/**
+ * SchemeLink — OCR pipeline: from a photo or PDF to extracted fields
+ *
+ * Shared by the single scanner (OcrScanner.jsx) and batch mode:
+ *
+ *   prepareDocument(file, { askPassword, signal }) → prepared document
+ *   runOcr(prepared, setStage, setProgress, signal, { uiLang })
+ *                                                   → extracted fields
+ *   countFound(result)                              → how many fields were read
+ *
+ * PIPELINE:
+ *   1. prepareImage()   finds the card in a phone photo, undoes perspective
+ *                       and sideways shots, stretches it to the card shape,
+ *                       and checks it is sharp, lit and close enough to read
+ *                       (imageQuality.js) — a bad photo stops here with
+ *                       what to fix, unless the user scans it anyway
+ *   2. orientDocument() turns it right way up by trying rotations until the
+ *                       detect pass (top 22%) reads
+ *   3. selectTemplate() picks the print layout — Aadhaar card / PVC / letter /
+ *                       e-Aadhaar, colour or black-and-white EPIC… — whose
+ *                       named regions are then OCR'd side by side on the
+ *                       worker pool (ocrPool.js)
+ *   4. READERS          turn the region texts into fields
+ *
+ * A single-page scanned PDF is rendered and goes through the same steps; a
+ * PDF with a text layer (e-Aadhaar) has every page's text go straight to
+ * step 4 (pdfDocument.js).
+ *
+ * Aborting `signal` stops the scan: queued regions are dropped and running
+ * ones have their workers terminated.
+ */
+import { recognize } from "./ocrPool";
+import { isIncomeCertificate, extractIncomeFields } from "./incomeCertificate";
+import { isCommunityCertificate, extractCommunityFields } from "./communityCertificate";
+import { isRationCard, extractRationFields } from "./rationCard";
+import { isPanCard, extractPanFields } from "./panCard";
+import { checkAadhaar } from "./aadhaar";
+import { findEpic } from "./epic";
+import { isAadhaarBack, extractAadhaarBackFields, mergeAadhaarSides } from "./aadhaarAddress";
+import { wordsOf, withConfidence } from "./ocrConfidence";
+import { findCardQuad, warpPerspective, isColourful, CARD_ASPECT } from "./cardDetect";
+import { selectTemplate, TEMPLATES } from "./layoutTemplates";
+import { assessImage } from "./imageQuality";
+import { isPdf, readPdf } from "./pdfDocument";
+import { findLabelled, firstLabel, detectLanguages, ocrLanguages } from "./labelDictionaries";
+
+// ── Constants ─────────────────────────────────────────────────────────────
+const BLACKLIST = [
+  "government","govt","aadhaar","aadhar","आधार","uidai",
+  "unique identification","india","இந்திய","அரசாங்கம்",
+  "issue date","issue","enrolment","enrollment","address",
+  "mobile","phone","dob","date of birth","பிறந்த",
+  "male","female","ஆண்","பெண்","help","1800","www","http",
+  "time","belated","epsom","solited","huet","ipe","tan","bbm",
+  "sei","sam","icici","ligpibg","sotlingd","siren","ipibg","agsimuned",
+  "proof","identity","citizenship","authentication","election","commission",
+  "elector","photo","birth","date","age","father","soundar",
+];
+
+// ── Pure helpers ──────────────────────────────────────────────────────────
+
+/** Strip leading non-alpha AND trailing digit noise, then test as a name */
+function isName(line) {
+  // Remove leading junk like "(", ": ", "|"
+  let t = line.replace(/^[^A-Za-z]+/, "").trim();
+  // Remove trailing pure-digit tokens (OCR reads "M" as "14", "S" as "5", etc.)
+  t = t.replace(/\s+\d{1,2}$/, "").trim();
+  const low = t.toLowerCase();
+  if (BLACKLIST.some((b) => low.includes(b))) return false;
+  if (!/^[A-Za-z][A-Za-z\s.]+$/.test(t)) return false;
+  if (t.length < 4 || t.length > 50) return false;
+  const words = t.split(/\s+/);
+  // Accept: 2+ words with one ≥3 letters, OR single long word (≥6 chars = likely a name)
+  if (words.length >= 2) return words.some((w) => w.replace(/\./g, "").length >= 3);
+  return words[0].length >= 6;
+}
+
+function smartTitle(line) {
+  let t = line.replace(/^[^A-Za-z]+/, "").trim();
+  t = t.replace(/\s+\d{1,2}$/, "").trim();
+  return t.split(/\s+/).map((w) => {
+    const c = w.replace(/\./g, "");
+    return c.length <= 2 ? w.toUpperCase() : w[0].toUpperCase() + w.slice(1).toLowerCase();
+  }).join(" ");
+}
+
+function sanitizeDob(raw) {
+  const sep = raw.includes("/") ? "/" : raw.includes("-") ? "-" : ".";
+  const parts = raw.split(sep);
+  if (parts.length !== 3) return null;
+  const y = parseInt(parts[2], 10);
+  if (y < 1900 || y > 2020) return null;
+  return `${parts[0].padStart(2,"0")}/${parts[1].padStart(2,"0")}/${parts[2]}`;
+}
+
+function extractDobFromLines(text, lines) {
+  // 1. Labeled DOB / Date of Birth / Age
+  const m1 = text.match(
+    /(?:DOB|D0B|Date\s*of\s*Birth|Age)\s*[:/\-\s]+(\d{1,2}[\-\/\.]\d{1,2}[\-\/\.]\d{4})/i
+  );
+  if (m1) { const s = sanitizeDob(m1[1]); if (s) return s; }
+
+  // 2. The label in the card's other language (பிறந்த நாள், जन्म तिथि…)
+  const m2 = findLabelled(text, "dob", "\\d{1,2}[\\-\\/\\.]\\d{1,2}[\\-\\/\\.]\\d{4}");
+  if (m2) { const s = sanitizeDob(m2); if (s) return s; }
+
+  // 3. Scan every non-issue line for any DD/MM/YYYY pattern
+  // (handles "908:" misread of "DOB:", "D0B:", etc.)
+  for (const line of lines) {
+    if (/issue/i.test(line)) continue;
+    const dates = line.match(/\b(\d{1,2}[\-\/\.]\d{1,2}[\-\/\.]\d{4})\b/g);
+    if (dates) {
+      for (const d of dates) {
+        const s = sanitizeDob(d);
+        if (s) return s;
+      }
+    }
+  }
+  return "Not found";
+}
+
+function extractGender(text) {
+  const m = text.match(/\b(Male|Female|MALE|FEMALE)\b/);
+  if (m) return m[1].toLowerCase().startsWith("m") ? "Male" : "Female";
+  // Only the other language read (ஆண், पुरुष, महिला…)
+  const label = firstLabel(text, ["male", "female"]);
+  if (!label) return "Not found";
+  return label === "male" ? "Male" : "Female";
+}
+
+// ── Document type detection ───────────────────────────────────────────────
+function detectDocType(text) {
+  const lower = text.toLowerCase();
+  // Certificates and cards also say "Government of ...", so check them before
+  // Aadhaar. Community certificates can mention income, so they go first.
+  if (isCommunityCertificate(text)) return "community";
+  if (isIncomeCertificate(text)) return "income";
+  if (isRationCard(text)) return "ration";
+  if (isPanCard(text)) return "pan";
+  // Check individual keywords — OCR often gives partial phrases
+  if (lower.includes("election") || lower.includes("elector") || lower.includes("voter")) {
+    return "voter";
+  }
+  // The back carries the UIDAI header and the address; the front says "Government of India"
+  if (isAadhaarBack(text)) return "aadhaar-back";
+  if (lower.includes("aadhaar") || lower.includes("aadhar") || lower.includes("uidai")
+    || lower.includes("government of india")) {
+    return "aadhaar";
+  }
+  // Number-pattern fallback
+  if (/\b[A-Z]{2,4}\d{6,10}\b/.test(text)) return "voter";
+  if (/\b\d{4}\s?\d{4}\s?\d{4}\b/.test(text)) return "aadhaar";
+  return "unknown";
+}
+
+// ── Field extractors ──────────────────────────────────────────────────────
+function extractAadhaarFields(r1Text, r2Text) {
+  const lines = r1Text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  console.log("[Aadhaar R1 lines]", lines);
+
+  let name = "Not found";
+  for (const line of lines) {
+    if (isName(line)) { name = smartTitle(line); break; }
+  }
+
+  const dob = extractDobFromLines(r1Text, lines);
+  const gender = extractGender(r1Text);
+
+  // Aadhaar 12-digit number. Failing a clean match, accept letter look-alikes
+  // (O, I, S, B…) as long as most of the reading is digits, and let
+  // checkAadhaar() repair it — the Verhoeff check digit decides.
+  const LOOKALIKE = "[\\dOoDQIl|ZSsGB]{4}";
+  const am = r2Text.match(/\b(\d{4})\s{0,6}(\d{4})\s{0,6}(\d{4})\b/)
+    || r2Text.match(new RegExp(`(${LOOKALIKE})\\s{0,6}(${LOOKALIKE})\\s{0,6}(${LOOKALIKE})`));
+  const reading = am ? `${am[1]} ${am[2]} ${am[3]}` : null;
+  const check = reading && reading.replace(/\D/g, "").length >= 8 ? checkAadhaar(reading) : null;
+
+  return {
+    docType: "Aadhaar Card", side: "front", name, dob, gender,
+    aadhaar: check?.number || "Not found",
+    aadhaarCheck: check?.status ?? null,       // valid | corrected | invalid (+ confirmed / rejected by the user)
+    aadhaarRead: check?.read ?? null,          // what OCR actually saw, when it was not valid as-is
+    aadhaarCandidates: check?.candidates ?? [],
+    cardNo: null, fatherName: null,
+  };
+}
+
+// A name written in any script, up to the end of its line
+const LOCAL_NAME = "[\\p{L}\\p{M}][\\p{L}\\p{M} ]{2,30}";
+
+function extractVoterFields(textOrig, text2x) {
+  const combined = textOrig + "\n" + text2x;
+  const lines = combined.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  console.log("[Voter lines]", lines);
+
+  // Card number: EPIC series, e.g. SOL3248432 — look-alikes repaired by position
+  const epic = findEpic(combined);
+
+  // Name: line with "Name:" but NOT "Father"
+  let name = "Not found";
+  for (const line of lines) {
+    if (/father|soundar/i.test(line)) continue;
+    const m = line.match(/[Nn]ame.{0,3}([A-Z][a-z]+(?:\s+[A-Z][a-z]?)+)/);
+    if (m) { name = m[1].trim(); break; }
+  }
+  // Failing that, the name label in the card's other language (பெயர், नाम…)
+  if (name === "Not found") {
+    for (const line of lines) {
+      if (firstLabel(line, ["father"])) continue;
+      const m = findLabelled(line, "name", LOCAL_NAME);
+      if (m) { name = m.trim(); break; }
+    }
+  }
+
+  // Father: labeled or direct name match
+  let fatherName = "Not found";
+  const fM = combined.match(/Father'?s?\s*N[a-z]*\s*[;:\-]\s*([A-Za-z][A-Za-z\s]{2,30})/i);
+  if (fM) {
+    fatherName = fM[1].trim().replace(/[0."'\s]+$/, "");
+  } else {
+    const sM = combined.match(/\b(Soundara[a-zA-Z]+)/);
+    const lM = findLabelled(combined, "father", LOCAL_NAME);
+    if (sM) fatherName = sM[1];
+    else if (lM) fatherName = lM.trim();
+  }
+
+  const gender = extractGender(text2x) !== "Not found"
+    ? extractGender(text2x)
+    : extractGender(textOrig);
+
+  const dob = extractDobFromLines(
+    textOrig,
+    textOrig.split("\n").map((l) => l.trim()).filter(Boolean)
+  );
+
+  return {
+    docType: "Voter ID", name, dob, gender, aadhaar: null,
+    cardNo: epic?.number || "Not found",
+    cardNoCheck: epic?.status ?? null,         // valid | corrected | invalid (+ confirmed / rejected by the user)
+    cardNoRead: epic?.read ?? null,
+    cardNoConfidence: epic?.confidence ?? null,
+    fatherName,
+  };
+}
+
+// ── Canvas helpers ────────────────────────────────────────────────────────
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => reject(new Error("Image load failed"));
+    img.src = url;
+  });
+}
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) =>
+  canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob failed")), "image/png")
+);
+
+function rotateBlob(file, degrees) {
+  return loadImage(file).then((img) => {
+    const sideways = degrees % 180 !== 0;
+    const canvas = document.createElement("canvas");
+    canvas.width = sideways ? img.naturalHeight : img.naturalWidth;
+    canvas.height = sideways ? img.naturalWidth : img.naturalHeight;
+    const ctx = canvas.getContext("2d");
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate((degrees * Math.PI) / 180);
+    ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2);
+    return canvasToBlob(canvas);
+  });
+}
+
+// ── Preprocessing: find the card, fix perspective ─────────────────────────
+// The card is looked for in a small copy, then cut out of the full photo.
+// The region crops below assume this output: a card filling the image at the
+// standard card aspect ratio.
+const DETECT_SIZE = 600;   // px, long side of the copy searched for the card
+const CARD_WIDTH = 1600;   // px, width of a normalised card
+const PAGE_MAX = 2400;     // px, widest a normalised page gets
+const QUALITY_SIZE = 1200; // px, widest copy the quality check looks at
+
+// Where card layouts print the ID number, for the glare check
+const NUMBER_RECTS = TEMPLATES
+  .filter((t) => !t.cues.aspect)
+  .flatMap((t) => t.regions.filter((r) => r.name === "number").map((r) => r.rect));
+
+/** assessImage() on a copy of `source` (image or canvas) at most QUALITY_SIZE wide */
+function checkQuality(source, width, height, options) {
+  const scale = Math.min(1, QUALITY_SIZE / width);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return assessImage(ctx.getImageData(0, 0, canvas.width, canvas.height), options);
+}
+
+/**
+ * The document squared up, plus what the layout templates and the quality
+ * check need to know about it:
+ *   { blob, isCard, aspect, colourful, quality: assessImage() result }
+ */
+async function prepareImage(file) {
+  const img = await loadImage(file);
+  const iw = img.naturalWidth, ih = img.naturalHeight;
+
+  const scale = Math.min(1, DETECT_SIZE / Math.max(iw, ih));
+  const small = document.createElement("canvas");
+  small.width = Math.round(iw * scale);
+  small.height = Math.round(ih * scale);
+  const sctx = small.getContext("2d");
+  sctx.drawImage(img, 0, 0, small.width, small.height);
+  const quad = findCardQuad(sctx.getImageData(0, 0, small.width, small.height));
+  // Nothing stands out from the background: assume it is already cropped
+  if (!quad) {
+    return {
+      blob: file, isCard: false, aspect: iw / ih,
+      colourful: isColourful(sctx.getImageData(0, 0, small.width, small.height)),
+      quality: checkQuality(img, iw, ih, { sourceWidth: iw }),
+    };
+  }
+
+  const corners = quad.corners.map(([x, y]) => [x / scale, y / scale]);
+  const [tl, tr] = corners;
+  const pageWidth = Math.min(PAGE_MAX, Math.hypot(tr[0] - tl[0], tr[1] - tl[1]));
+  const width = Math.round(quad.isCard ? CARD_WIDTH : pageWidth);
+  const height = Math.round(width / (quad.isCard ? CARD_ASPECT : quad.aspect));
+
+  const full = document.createElement("canvas");
+  full.width = iw;
+  full.height = ih;
+  const fctx = full.getContext("2d");
+  fctx.drawImage(img, 0, 0);
+  const warped = warpPerspective(fctx.getImageData(0, 0, iw, ih), corners, width, height);
+
+  const out = document.createElement("canvas");
+  out.width = width;
+  out.height = height;
+  out.getContext("2d").putImageData(new ImageData(warped.data, width, height), 0, 0);
+  return {
+    blob: await canvasToBlob(out), isCard: quad.isCard, aspect: width / height,
+    colourful: isColourful(warped),
+    quality: checkQuality(out, width, height, {
+      coverage: quad.coverage,
+      sourceWidth: Math.hypot(tr[0] - tl[0], tr[1] - tl[1]),
+      numberRects: quad.isCard ? NUMBER_RECTS : [],
+    }),
+  };
+}
+
+function cropToBlob(file, xR, yR, wR, hR) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      const iw = img.naturalWidth, ih = img.naturalHeight;
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(wR * iw);
+      canvas.height = Math.round(hR * ih);
+      canvas.getContext("2d").drawImage(
+        img,
+        Math.round(xR * iw), Math.round(yR * ih),
+        Math.round(wR * iw), Math.round(hR * ih),
+        0, 0, canvas.width, canvas.height
+      );
+      URL.revokeObjectURL(url);
+      canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob failed")), "image/png");
+    };
+    img.onerror = () => reject(new Error("Image load failed"));
+    img.src = url;
+  });
+}
+
+/** A template region: crop, upscale, contrast and optionally drop colour */
+function regionToBlob(file, { rect, scale = 1, contrast = 100, grayscale = false }) {
+  const [xR, yR, wR, hR] = rect;
+  return loadImage(file).then((img) => {
+    const iw = img.naturalWidth, ih = img.naturalHeight;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(wR * iw * scale);
+    canvas.height = Math.round(hR * ih * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.filter = `contrast(${contrast}%)${grayscale ? " grayscale(100%)" : ""}`;
+    ctx.drawImage(
+      img,
+      Math.round(xR * iw), Math.round(yR * ih),
+      Math.round(wR * iw), Math.round(hR * ih),
+      0, 0, canvas.width, canvas.height
+    );
+    return canvasToBlob(canvas);
+  });
+}
+
+// Resolves to { text, words: [{ text, confidence }] }; runs on the worker pool
+function ocrBlob(blob, label, onProg, lang = "eng", signal) {
+  return recognize(blob, lang, {
+    signal,
+    onProgress: onProg && ((p) => onProg(Math.round(p * 100), label)),
+  }).then((page) => {
+    const text = page.text || "";
+    console.log(`[${label} raw]\n`, text);
+    return { text, words: wordsOf(page) };
+  });
+}
+
+// ── Main OCR orchestrator ─────────────────────────────────────────────────
+// Region texts (by name, see layoutTemplates.js) → extracted fields
+const READERS = {
+  aadhaar: (t) => extractAadhaarFields(t.details, t.number),
+  // Letter / e-Aadhaar: both sides of the card are printed side by side
+  "aadhaar-letter": (t) => {
+    const front = extractAadhaarFields(t.details, t.number);
+    return mergeAadhaarSides(front, extractAadhaarBackFields(t.address)) || front;
+  },
+  "aadhaar-back": (t) => extractAadhaarBackFields(t.page),
+  voter: (t) => extractVoterFields([t.standard, t.number].filter(Boolean).join("\n"), t.enhanced),
+  pan: (t) => extractPanFields(t.fields),
+  income: (t) => extractIncomeFields(t.page),
+  community: (t) => extractCommunityFields(t.page),
+  ration: (t) => extractRationFields(t.page),
+};
+
+/** A PDF ready for runOcr(): the text of its pages, or its one page as an image */
+async function preparePdf(file, options) {
+  const page = await readPdf(file, options);
+  if (page.text == null) return prepareImage(page.blob);
+  return {
+    text: page.text, aspect: page.aspect, isCard: false, colourful: false,
+    quality: { issues: [], metrics: {} },
+  };
+}
+
+// The text is exact, so every region "reads" all of it and every word is certain
+function readTextLayer({ text, aspect, isCard, colourful }) {
+  const template = selectTemplate(detectDocType(text), { text, aspect, isCard, colourful });
+  const texts = Object.fromEntries(template.regions.map((r) => [r.name, text]));
+  const words = text.split(/\s+/).filter(Boolean).map((w) => ({ text: w, confidence: 100 }));
+  return withConfidence(READERS[template.reader](texts), words);
+}
+
+/**
+ * A photo or PDF ready for runOcr():
+ *   { blob, isCard, aspect, colourful, quality }  or, for a PDF with a text
+ *   layer, { text, aspect, … } (quality.issues is then always empty)
+ */
+export function prepareDocument(file, { askPassword, signal } = {}) {
+  return isPdf(file) ? preparePdf(file, { askPassword, signal }) : prepareImage(file);
+}
+
+/**
+ * OCR a document prepareDocument() has squared up (or read a PDF's text layer).
+ * `uiLang` is the site's language; with the script the detect pass sees, it
+ * picks the Tesseract packs for the rest (labelDictionaries.js).
+ */
+export async function runOcr(prepared, setStage, setProgress, signal, { uiLang } = {}) {
+  if (prepared.text != null) return readTextLayer(prepared);
+
+  const ocr = (blob, label, onProg, lang) => ocrBlob(blob, label, onProg, lang, signal);
+  // Every word read along the way, to score the extracted fields against
+  const words = [];
+  const read = (...args) => ocr(...args).then((r) => {
+    words.push(...r.words);
+    return r.text;
+  });
+
+  // Step 1: quick detect from the top 22%, turning the page until it reads
+  setStage("Detecting document type...");
+  setProgress(5);
+  const { blob, degrees, docType, detectText, detectWords } = await orientDocument(
+    prepared, ocr, detectLanguages(uiLang)
+  );
+  words.push(...detectWords);
+  const langs = ocrLanguages(detectText, uiLang);
+
+  // Step 2: the print layout, from what the detect pass and the image show
+  const template = selectTemplate(docType, {
+    text: detectText,
+    aspect: degrees % 180 ? 1 / prepared.aspect : prepared.aspect,
+    isCard: prepared.isCard,
+    colourful: prepared.colourful,
+  });
+
+  const result = await readTemplate(blob, template, langs, setStage, setProgress, read);
+  return withConfidence(result, words);
+}
+
+// A squared-up card is already landscape, so it can only be upside down;
+// an uncropped photo may be any way round
+const CARD_TURNS = [0, 180];
+const PHOTO_TURNS = [0, 180, 90, 270];
+
+async function orientDocument({ blob, isCard }, ocr, langs) {
+  let first = null;
+  for (const degrees of isCard ? CARD_TURNS : PHOTO_TURNS) {
+    const turned = degrees ? await rotateBlob(blob, degrees) : blob;
+    const { text, words } = await ocr(
+      await cropToBlob(turned, 0, 0, 1, 0.22), `detect-${degrees}`, null, langs
+    );
+    const attempt = {
+      blob: turned, degrees, docType: detectDocType(text), detectText: text, detectWords: words,
+    };
+    if (attempt.docType !== "unknown") return attempt;
+    first = first || attempt;
+  }
+  return first;
+}
+
+/**
+ * OCR the template's regions side by side on the worker pool (15–90% of the
+ * progress bar follows the average of them), then read them. Regions without
+ * their own `lang` are read in the document's languages.
+ */
+async function readTemplate(file, template, langs, setStage, setProgress, read) {
+  const { regions } = template;
+  const done = regions.map(() => 0);
+  const report = () => setProgress(15 + Math.round((done.reduce((a, b) => a + b, 0) / regions.length) * 0.75));
+
+  setStage(regions.map((r) => r.stage.replace(/\.+$/, "")).join(" · ") + "...");
+  setProgress(15);
+  const texts = await Promise.all(regions.map(async (region, i) => {
+    const blob = await regionToBlob(file, region);
+    return read(blob, `${template.id}-${region.name}`, (p) => {
+      done[i] = p;
+      report();
+    }, region.lang || langs);
+  }));
+  setProgress(90);
+  return READERS[template.reader](
+    Object.fromEntries(regions.map((r, i) => [r.name, texts[i]]))
+  );
+}
+
+// Fields that count toward "N fields found" in the status line
+const RESULT_FIELDS = [
+  "name", "dob", "gender", "aadhaar", "cardNo", "fatherName",
+  "income", "authority", "certificateNo", "issueDate", "address",
+  "pan", "cardCategory", "community", "category",
+];
+
+// An Aadhaar address counts part by part (district, state, PIN…)
+export function countFound(result) {
+  const found = (v) => v != null && v !== "Not found";
+  const parts = result.addressParts ? Object.values(result.addressParts).filter(found).length : 0;
+  return RESULT_FIELDS.filter((k) => k !== "address" || !result.addressParts)
+    .filter((k) => found(result[k])).length + parts;
+}
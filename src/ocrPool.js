@@ -0,0 +1,137 @@
+/**
+ * SchemeLink — Tesseract worker pool
+ *
+ * Starting a Tesseract worker loads the engine and its language data, which
+ * takes longer than reading a card region. The pool keeps up to POOL_SIZE
+ * workers per language set alive for the whole session, so a scan only pays
+ * for that once and its regions are read side by side.
+ *
+ * Each worker holds tens of MB, and every language set (eng+tam, eng+hin…)
+ * needs its own, so no more than MAX_WORKERS run in all: a set that needs
+ * one retires an idle worker of another set, or waits for one to go idle.
+ *
+ *   recognize(image, lang, { onProgress, signal }) → Promise<page>
+ *
+ * `page` is Tesseract's result data (text + blocks). onProgress gets 0–1.
+ * Aborting `signal` rejects with an AbortError: a queued job is dropped, a
+ * running one has its worker terminated (Tesseract cannot stop midway) and
+ * the pool starts a fresh worker when next needed.
+ *
+ * Workers load the engine and language packs from the app's own origin
+ * (ocrAssets.js), not Tesseract's CDN.
+ */
+import Tesseract from "tesseract.js";
+import { TESSERACT_OPTIONS } from "./ocrAssets";
+
+const POOL_SIZE = 2;
+const MAX_WORKERS = 3;
+
+// lang → { slots: all workers, idle: free ones, queue: waiting jobs }
+const pools = new Map();
+
+function poolFor(lang) {
+  if (!pools.has(lang)) pools.set(lang, { lang, slots: [], idle: [], queue: [] });
+  return pools.get(lang);
+}
+
+export const abortError = () => new DOMException("Scan cancelled", "AbortError");
+
+function spawn(pool) {
+  const slot = { job: null };
+  const options = {
+    ...TESSERACT_OPTIONS,
+    logger: (m) => {
+      if (m.status === "recognizing text" && slot.job?.onProgress) slot.job.onProgress(m.progress);
+    },
+  };
+  // No CDN fallback: a scan that works online but not offline is worse than
+  // an error saying which file is missing
+  slot.ready = Tesseract.createWorker(pool.lang, 1, options).catch((err) => {
+    throw new Error(`Could not load the OCR engine or the "${pool.lang}" language data from this site: ${err?.message || err}`);
+  });
+  pool.slots.push(slot);
+  return slot;
+}
+
+function discard(pool, slot) {
+  slot.dead = true;
+  pool.slots = pool.slots.filter((s) => s !== slot);
+  slot.ready.then((w) => w.terminate()).catch(() => {});
+}
+
+function settle(job, err, page) {
+  if (job.settled) return;
+  job.settled = true;
+  job.signal?.removeEventListener("abort", job.onAbort);
+  if (err) job.reject(err);
+  else job.resolve(page);
+}
+
+const workerCount = () => [...pools.values()].reduce((n, p) => n + p.slots.length, 0);
+
+// Room for one more worker: under the cap, or by retiring another set's idle one
+function makeRoom(pool) {
+  if (workerCount() < MAX_WORKERS) return true;
+  const other = [...pools.values()].find((p) => p !== pool && p.idle.length);
+  if (!other) return false;
+  discard(other, other.idle.shift());
+  return true;
+}
+
+function dispatch(pool) {
+  while (pool.queue.length) {
+    const slot = pool.idle.pop()
+      || (pool.slots.length < POOL_SIZE && makeRoom(pool) ? spawn(pool) : null);
+    if (!slot) return;
+    run(pool, slot, pool.queue.shift());
+  }
+}
+
+// A worker went idle or away: its own set first, then any set waiting for room
+function dispatchAll(pool) {
+  dispatch(pool);
+  for (const other of pools.values()) if (other !== pool) dispatch(other);
+}
+
+async function run(pool, slot, job) {
+  slot.job = job;
+  try {
+    const worker = await slot.ready;
+    // The per-word scores are only in `blocks`, which recognize() leaves out by default
+    const res = await worker.recognize(job.image, {}, { text: true, blocks: true });
+    settle(job, null, res.data);
+  } catch (err) {
+    settle(job, err);
+    // A worker that failed to start is no use to the next job either
+    if (!slot.dead) discard(pool, slot);
+  }
+  if (!slot.dead) {
+    slot.job = null;
+    pool.idle.push(slot);
+  }
+  dispatchAll(pool);
+}
+
+function cancel(pool, job) {
+  const queued = pool.queue.indexOf(job);
+  if (queued !== -1) pool.queue.splice(queued, 1);
+  const slot = pool.slots.find((s) => s.job === job);
+  if (slot) discard(pool, slot);
+  settle(job, abortError());
+  dispatchAll(pool);
+}
+
+/** OCR one image on a pooled worker; see the header */
+export function recognize(image, lang, { onProgress, signal } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  const pool = poolFor(lang);
+  return new Promise((resolve, reject) => {
+    const job = { image, onProgress, signal, resolve, reject };
+    if (signal) {
+      job.onAbort = () => cancel(pool, job);
+      signal.addEventListener("abort", job.onAbort, { once: true });
+    }
+    pool.queue.push(job);
+    dispatch(pool);
+  });
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import Tesseract from "tesseract.js";
+
+// Fake workers: each recognize() waits until the test finishes it
+const workers = [];
+vi.mock("tesseract.js", () => ({
+  default: {
+    createWorker: vi.fn(async (lang) => {
+      const worker = {
+        lang,
+        terminated: false,
+        jobs: [],
+        recognize: vi.fn((image) => new Promise((resolve) => {
+          worker.jobs.push({ image, finish: () => resolve({ data: { text: `${lang}:${image}` } }) });
+        })),
+        terminate: vi.fn(async () => { worker.terminated = true; }),
+      };
+      workers.push(worker);
+      return worker;
+    }),
+  },
+}));
+
+// The pool keeps its workers between scans, so every test gets a fresh module
+let recognize;
+beforeEach(async () => {
+  workers.length = 0;
+  vi.resetModules();
+  ({ recognize } = await import("./ocrPool"));
+});
+
+const tick = () => new Promise((r) => setTimeout(r, 0));
+const alive = () => workers.filter((w) => !w.terminated);
+const finishAll = async () => {
+  for (const w of alive()) w.jobs.splice(0).forEach((j) => j.finish());
+  await tick();
+};
+
+describe("recognize", () => {
+  it("reads regions side by side on up to two workers per language set", async () => {
+    const pages = ["a", "b", "c"].map((img) => recognize(img, "eng+tam"));
+    await tick();
+    expect(workers).toHaveLength(2);
+    await finishAll();
+    await finishAll();
+    expect((await Promise.all(pages)).map((p) => p.text)).toEqual(["eng+tam:a", "eng+tam:b", "eng+tam:c"]);
+  });
+
+  it("keeps idle workers for the next scan", async () => {
+    const first = recognize("a", "eng");
+    await tick();
+    await finishAll();
+    await first;
+    const second = recognize("b", "eng");
+    await tick();
+    await finishAll();
+    expect((await second).text).toBe("eng:b");
+    expect(workers).toHaveLength(1);
+  });
+
+  it("never runs more than three workers across language sets", async () => {
+    const jobs = [
+      recognize("a", "eng+tam"), recognize("b", "eng+tam"),
+      recognize("c", "eng+hin"), recognize("d", "eng+hin"),
+    ];
+    await tick();
+    expect(alive()).toHaveLength(3);
+
+    // eng+hin's second job waits for a worker to go idle, then takes its place
+    await finishAll();
+    expect(alive()).toHaveLength(3);
+    expect(workers.filter((w) => w.terminated)).toHaveLength(1);
+    await finishAll();
+    expect((await Promise.all(jobs)).map((p) => p.text))
+      .toEqual(["eng+tam:a", "eng+tam:b", "eng+hin:c", "eng+hin:d"]);
+  });
+
+  it("retires another set's idle worker before starting a new one at the cap", async () => {
+    const warm = ["a", "b", "c"].map((img, i) => recognize(img, ["eng", "eng", "eng+tam"][i]));
+    await tick();
+    await finishAll();
+    await Promise.all(warm);
+    expect(alive()).toHaveLength(3);
+
+    const page = recognize("d", "eng+hin");
+    await tick();
+    expect(alive()).toHaveLength(3);
+    expect(alive().map((w) => w.lang)).toContain("eng+hin");
+    await finishAll();
+    expect((await page).text).toBe("eng+hin:d");
+  });
+
+  it("drops a cancelled job and terminates its worker", async () => {
+    const scan = new AbortController();
+    const page = recognize("a", "eng", { signal: scan.signal });
+    await tick();
+    scan.abort();
+    await expect(page).rejects.toMatchObject({ name: "AbortError" });
+    await tick();
+    expect(workers[0].terminated).toBe(true);
+  });
+
+  it("fails with the missing language data instead of going to the CDN", async () => {
+    Tesseract.createWorker.mockClear();
+    Tesseract.createWorker.mockRejectedValueOnce(new Error("HTTP 404"));
+    await expect(recognize("a", "eng+hin")).rejects.toThrow(
+      'Could not load the OCR engine or the "eng+hin" language data from this site: HTTP 404'
+    );
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(1);
+    expect(Tesseract.createWorker.mock.calls[0][2].langPath).toMatch(/tessdata$/);
+  });
+});
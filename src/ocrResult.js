@@ -0,0 +1,112 @@
+/**
+ * SchemeLink — A scan's fields as the rest of the app reads them
+ *
+ * The scanner hands over what the extractors read: "Not found" for a miss,
+ * an income certificate's yearly figure as `income`, a ration card's type as
+ * `rationCardType`, and the Aadhaar / EPIC check status beside each number.
+ * toOcrResult() turns that into App's `ocrResult`: misses become null, the
+ * fields carry the names eligibility.js reads, and a number that neither
+ * passed its check nor was confirmed by the user is dropped.
+ *
+ * A fresh scan and the last scan restored from localStorage both go through
+ * it, so a reload cannot bring back what the live path left out.
+ */
+
+const notFound = (v) => !v || v === "Not found";
+
+// Only a number that passed its check or that the user confirmed
+const checked = (value, status) =>
+  notFound(value) || !["valid", "confirmed"].includes(status ?? "valid") ? null : value;
+
+// ── Dates ─────────────────────────────────────────────────────────────────
+
+/** Attempts multiple date formats and returns a JS Date or null */
+export function parseDateString(dateStr) {
+  if (!dateStr) return null;
+  dateStr = dateStr.trim();
+
+  // yyyy-mm-dd or yyyy/mm/dd
+  let m = dateStr.match(/^(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})$/);
+  if (m) return new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
+
+  // dd/mm/yyyy or dd-mm-yyyy or dd.mm.yyyy
+  m = dateStr.match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2,4})$/);
+  if (m) {
+    let d = parseInt(m[1], 10),
+      mo = parseInt(m[2], 10),
+      y = parseInt(m[3], 10);
+    if (y < 100) y += y > 30 ? 1900 : 2000;
+    return new Date(y, mo - 1, d);
+  }
+
+  // formats like "12 May 1995" or "12-May-1995"
+  m = dateStr.match(/^(\d{1,2})\s*[-/]?\s*([A-Za-z]+)\s*[-/]?\s*(\d{2,4})$/);
+  if (m) {
+    const day = parseInt(m[1], 10);
+    const monthName = m[2].slice(0, 3).toLowerCase();
+    const months = {
+      jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+      jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+    };
+    let year = parseInt(m[3], 10);
+    if (year < 100) year += year > 30 ? 1900 : 2000;
+    if (months[monthName] !== undefined) return new Date(year, months[monthName], day);
+  }
+
+  // fallback: try to parse via Date constructor (least reliable)
+  const maybe = new Date(dateStr);
+  if (!isNaN(maybe.getTime())) return maybe;
+
+  return null;
+}
+
+export function calcAgeFromDate(d) {
+  if (!d || !(d instanceof Date) || isNaN(d)) return null;
+  const today = new Date();
+  let age = today.getFullYear() - d.getFullYear();
+  const m = today.getMonth() - d.getMonth();
+  if (m < 0 || (m === 0 && today.getDate() < d.getDate())) age--;
+  return age;
+}
+
+// ── Normalisation ─────────────────────────────────────────────────────────
+
+/** The scanner's extracted fields → App's ocrResult (see the header) */
+export function toOcrResult(extracted) {
+  const dobDate = notFound(extracted.dob) ? null : parseDateString(extracted.dob);
+
+  return {
+    docType: extracted.docType || "Unknown",
+    name: notFound(extracted.name) ? null : extracted.name,
+    dobRaw: notFound(extracted.dob) ? null : extracted.dob,
+    dobDate,
+    age: calcAgeFromDate(dobDate),
+    gender: notFound(extracted.gender) ? null : extracted.gender,
+    aadhaar: checked(extracted.aadhaar, extracted.aadhaarCheck),
+    cardNo: checked(extracted.cardNo, extracted.cardNoCheck),
+    fatherName: notFound(extracted.fatherName) ? null : extracted.fatherName,
+    // Income certificates (₹ per year — what eligibility.js reads)
+    annualIncome: typeof extracted.income === "number" ? extracted.income : null,
+    authority: notFound(extracted.authority) ? null : extracted.authority,
+    certificateNo: notFound(extracted.certificateNo) ? null : extracted.certificateNo,
+    issueDate: notFound(extracted.issueDate) ? null : extracted.issueDate,
+    address: notFound(extracted.address) ? null : extracted.address,
+    // Aadhaar back side
+    addressParts: extracted.addressParts || null,
+    state: notFound(extracted.state) ? null : extracted.state,
+    // PAN card
+    pan: notFound(extracted.pan) ? null : extracted.pan,
+    holderType: notFound(extracted.holderType) ? null : extracted.holderType,
+    // Community certificate (`category` is what eligibility.js reads)
+    community: notFound(extracted.community) ? null : extracted.community,
+    category: notFound(extracted.category) ? null : extracted.category,
+    subCategory: notFound(extracted.subCategory) ? null : extracted.subCategory,
+    // Ration card (`rationCard` is what eligibility.js reads)
+    cardCategory: notFound(extracted.cardCategory) ? null : extracted.cardCategory,
+    rationCard: notFound(extracted.rationCardType) ? null : extracted.rationCardType,
+    members: extracted.members || [],
+    // OCR score per scanner field (ocrConfidence.js)
+    confidence: extracted.confidence || {},
+    raw: extracted.raw || null,
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { toOcrResult, parseDateString, calcAgeFromDate } from "./ocrResult";
+
+const AADHAAR = {
+  docType: "Aadhaar Card", name: "Ravi Kumar", dob: "15/08/1990", gender: "Male",
+  aadhaar: "2345 6789 0124", aadhaarCheck: "valid", cardNo: null, fatherName: "Not found",
+};
+
+describe("toOcrResult", () => {
+  it("turns misses into null", () => {
+    const result = toOcrResult({ ...AADHAAR, gender: "Not found" });
+    expect(result.gender).toBeNull();
+    expect(result.fatherName).toBeNull();
+    expect(result.name).toBe("Ravi Kumar");
+  });
+
+  it("works out the age from the date of birth", () => {
+    const result = toOcrResult(AADHAAR);
+    expect(result.dobRaw).toBe("15/08/1990");
+    expect(result.age).toBe(calcAgeFromDate(new Date(1990, 7, 15)));
+  });
+
+  it("keeps only a valid or confirmed Aadhaar number", () => {
+    expect(toOcrResult(AADHAAR).aadhaar).toBe("2345 6789 0124");
+    expect(toOcrResult({ ...AADHAAR, aadhaarCheck: "confirmed" }).aadhaar).toBe("2345 6789 0124");
+    expect(toOcrResult({ ...AADHAAR, aadhaarCheck: "corrected" }).aadhaar).toBeNull();
+    expect(toOcrResult({ ...AADHAAR, aadhaarCheck: "rejected" }).aadhaar).toBeNull();
+  });
+
+  it("keeps only a valid or confirmed Voter ID number", () => {
+    const voter = { docType: "Voter ID", cardNo: "ABC1234567" };
+    expect(toOcrResult({ ...voter, cardNoCheck: "valid" }).cardNo).toBe("ABC1234567");
+    expect(toOcrResult({ ...voter, cardNoCheck: "corrected" }).cardNo).toBeNull();
+    expect(toOcrResult({ ...voter, cardNoCheck: "invalid" }).cardNo).toBeNull();
+  });
+
+  it("renames fields to what eligibility.js reads", () => {
+    expect(toOcrResult({ docType: "Income Proof", income: 96000 }).annualIncome).toBe(96000);
+    expect(toOcrResult({ docType: "Ration Card", rationCardType: "PHH" }).rationCard).toBe("PHH");
+    expect(toOcrResult({ docType: "Ration Card", rationCardType: "Not found" }).rationCard).toBeNull();
+  });
+
+  it("drops a state the Aadhaar back did not name", () => {
+    expect(toOcrResult({ docType: "Aadhaar Card", side: "back", state: "Not found" }).state).toBeNull();
+  });
+
+  it("gives the same result for a scan restored from JSON", () => {
+    const scan = { ...AADHAAR, aadhaarCheck: "corrected" };
+    const restored = toOcrResult(JSON.parse(JSON.stringify(scan)));
+    expect(restored).toEqual(toOcrResult(scan));
+    expect(restored.aadhaar).toBeNull();
+  });
+});
+
+describe("parseDateString", () => {
+  it("reads day-first and ISO dates", () => {
+    expect(parseDateString("05-01-2001")).toEqual(new Date(2001, 0, 5));
+    expect(parseDateString("2001/01/05")).toEqual(new Date(2001, 0, 5));
+    expect(parseDateString("5 Jan 2001")).toEqual(new Date(2001, 0, 5));
+  });
+
+  it("returns null for no date", () => {
+    expect(parseDateString("")).toBeNull();
+    expect(parseDateString("not a date")).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * SchemeLink — Review of scanned values before they reach the profile
+ *
+ * reviewFields() turns App's normalised OCR result into the rows of the
+ * review step:
+ *   [{ key, label, value, confidence, accepted, options? }]
+ *
+ * `key` is the profile-draft field the value goes to (plus "rationCard",
+ * which goes to the household). `confidence` is the OCR score of the word(s)
+ * it was read from (ocrConfidence.js); doubtful values start unticked.
+ */
+import { isLowConfidence } from "./ocrConfidence";
+import { ALL_STATES } from "./states";
+import { RATION_CARD_TYPES } from "./household";
+import { CATEGORIES } from "./eligibility";
+
+// `from` is the scanner field whose confidence the value inherits
+const FIELDS = [
+  { key: "name", label: "Name", from: "name" },
+  { key: "age", label: "Age", from: "dob" },
+  { key: "gender", label: "Gender", from: "gender", options: ["Male", "Female", "Other"] },
+  { key: "aadhar", label: "Aadhaar number", from: "aadhaar" },
+  { key: "income", label: "Monthly income (₹)", from: "income" },
+  { key: "address", label: "Address", from: "address" },
+  { key: "state", label: "State", from: "state", options: ALL_STATES },
+  { key: "category", label: "Category", from: "category", options: CATEGORIES },
+  {
+    key: "rationCard", label: "Ration card", from: "cardCategory",
+    options: RATION_CARD_TYPES.map((r) => r.value),
+  },
+];
+
+function valueFor(key, result) {
+  switch (key) {
+    case "aadhar": return result.aadhaar;
+    // The profile form asks for monthly income
+    case "income": return result.annualIncome != null ? Math.round(result.annualIncome / 12) : null;
+    default: return result[key];
+  }
+}
+
+/**
+ * Review rows for every value the scan found that differs from `current`
+ * (the profile draft); an empty list means there is nothing to review.
+ */
+export function reviewFields(result, current = {}) {
+  return FIELDS.flatMap(({ key, label, from, options }) => {
+    const value = valueFor(key, result);
+    if (value == null || value === "") return [];
+    if (current[key] != null && String(current[key]) === String(value)) return [];
+    const confidence = result.confidence?.[from] ?? null;
+    return [{ key, label, value: String(value), confidence, accepted: !isLowConfidence(confidence), options }];
+  });
+}
+
+/** { key: value } for the rows the user kept */
+export const acceptedValues = (rows) =>
+  Object.fromEntries(rows.filter((r) => r.accepted && r.value.trim() !== "").map((r) => [r.key, r.value.trim()]));
@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { reviewFields, acceptedValues } from "./ocrReview";
+import { CATEGORIES } from "./eligibility";
+
+describe("reviewFields", () => {
+  it("offers the profile form's categories, Minority included", () => {
+    const [row] = reviewFields({ category: "Minority", confidence: { category: 95 } });
+    expect(row).toMatchObject({ key: "category", value: "Minority", accepted: true, options: CATEGORIES });
+    expect(row.options).toContain(row.value);
+  });
+
+  it("skips values the profile already has and leaves doubtful ones unticked", () => {
+    const rows = reviewFields(
+      { name: "Ravi", gender: "Male", confidence: { name: 30, gender: 90 } },
+      { gender: "Male" }
+    );
+    expect(rows).toEqual([expect.objectContaining({ key: "name", accepted: false })]);
+  });
+
+  it("turns a yearly income into the form's monthly one", () => {
+    expect(reviewFields({ annualIncome: 120000 })[0]).toMatchObject({ key: "income", value: "10000" });
+  });
+});
+
+describe("acceptedValues", () => {
+  it("keeps ticked, non-empty rows", () => {
+    expect(acceptedValues([
+      { key: "name", value: " Ravi ", accepted: true },
+      { key: "age", value: "30", accepted: false },
+      { key: "address", value: " ", accepted: true },
+    ])).toEqual({ name: "Ravi" });
+  });
+});
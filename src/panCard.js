@@ -0,0 +1,107 @@
+/**
+ * SchemeLink — PAN card parsing
+ *
+ * extractPanFields() reads the OCR text of the card's field area into
+ *   { docType: "PAN Card", name, fatherName, dob, pan, holderType }
+ *
+ * Handles both layouts: the old card (name, father's name and DOB as bare
+ * lines) and the current one ("Name / नाम" labels above each value).
+ */
+
+export const PAN_DOC_TYPE = "PAN Card";
+
+const PAN_KEYWORDS = [
+  "income tax department", "permanent account number", "आयकर विभाग", "स्थायी लेखा संख्या",
+];
+
+// AAAAA9999A — 5 letters, 4 digits, 1 letter
+const PAN_RE = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+// The 4th letter says who holds the PAN
+const HOLDER_TYPES = {
+  P: "Individual", C: "Company", H: "Hindu Undivided Family", F: "Firm",
+  A: "Association of Persons", T: "Trust", B: "Body of Individuals",
+  L: "Local Authority", J: "Artificial Juridical Person", G: "Government",
+};
+
+// Common OCR swaps, fixed by position (letter vs digit slot)
+const AS_LETTER = { 0: "O", 1: "I", 2: "Z", 5: "S", 8: "B", 6: "G" };
+const AS_DIGIT = { O: "0", D: "0", Q: "0", I: "1", L: "1", Z: "2", S: "5", B: "8", G: "6" };
+
+/** Repair a 10-character OCR token into a valid PAN, or null */
+export function normalizePan(token) {
+  const t = (token || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (t.length !== 10) return null;
+  const fixed = [...t]
+    .map((ch, i) => (i >= 5 && i <= 8 ? AS_DIGIT[ch] || ch : AS_LETTER[ch] || ch))
+    .join("");
+  return PAN_RE.test(fixed) ? fixed : null;
+}
+
+export function isPanCard(text) {
+  const lower = (text || "").toLowerCase();
+  if (PAN_KEYWORDS.some((k) => lower.includes(k))) return true;
+  return /\b[A-Z]{5}\d{4}[A-Z]\b/.test(text || "");
+}
+
+function findPan(text) {
+  const valid = (pan) => pan && HOLDER_TYPES[pan[3]];
+  for (const token of text.match(/\b[A-Z0-9]{10}\b/gi) || []) {
+    const pan = normalizePan(token);
+    if (valid(pan)) return pan;
+  }
+  // OCR often splits the number ("ABCPK I234F"); retry each line without spaces
+  for (const line of text.split(/\n/)) {
+    const compact = line.replace(/\s+/g, "");
+    for (let i = 0; i + 10 <= compact.length; i++) {
+      const pan = normalizePan(compact.slice(i, i + 10));
+      if (valid(pan)) return pan;
+    }
+  }
+  return null;
+}
+
+// Lines that are printed on every card and never a name
+const NOT_A_NAME = /income|tax|department|govt|government|india|permanent|account|number|card|signature|date|birth|father|name|नाम|पिता|आयकर|भारत/i;
+
+function isNameLine(line) {
+  if (NOT_A_NAME.test(line)) return false;
+  const t = line.replace(/[^A-Za-z.\s]/g, "").trim();
+  return t.length >= 4 && /^[A-Za-z][A-Za-z.\s]+$/.test(t) && t === t.toUpperCase();
+}
+
+const clean = (line) => line.replace(/[^A-Za-z.\s]/g, "").replace(/\s+/g, " ").trim();
+
+/** Value on the line after a label like "Name / नाम" */
+function labelled(lines, label) {
+  const i = lines.findIndex((l) => label.test(l));
+  if (i === -1) return null;
+  const next = lines.slice(i + 1, i + 3).find(isNameLine);
+  return next ? clean(next) : null;
+}
+
+export function extractPanFields(text) {
+  const lines = (text || "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+  let fatherName = labelled(lines, /father'?s?\s*name|पिता\s*का\s*नाम/i);
+  let name = labelled(lines, /^(?:name|नाम)\b|\/\s*name/i);
+
+  // Old layout: holder's name then father's name, no labels
+  if (!name) {
+    const bare = lines.filter(isNameLine).map(clean);
+    name = bare[0] || null;
+    fatherName = fatherName || bare[1] || null;
+  }
+
+  const dobM = text.match(/\b(\d{2})[/-](\d{2})[/-](\d{4})\b/);
+  const pan = findPan(text);
+
+  return {
+    docType: PAN_DOC_TYPE,
+    name: name || "Not found",
+    fatherName: fatherName || "Not found",
+    dob: dobM ? `${dobM[1]}/${dobM[2]}/${dobM[3]}` : "Not found",
+    pan: pan || "Not found",
+    holderType: pan ? HOLDER_TYPES[pan[3]] : "Not found",
+  };
+}
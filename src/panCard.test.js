@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { normalizePan, isPanCard, extractPanFields } from "./panCard";
+
+const NEW_LAYOUT = `आयकर विभाग INCOME TAX DEPARTMENT
+भारत सरकार GOVT. OF INDIA
+स्थायी लेखा संख्या कार्ड Permanent Account Number Card
+ABCPK1234F
+नाम / Name
+RAVI KUMAR
+पिता का नाम / Father's Name
+MURUGAN SELVAM
+जन्म की तारीख / Date of Birth
+15/08/1990`;
+
+const OLD_LAYOUT = `INCOME TAX DEPARTMENT GOVT. OF INDIA
+LAKSHMI DEVI
+RAMAN PILLAI
+01/01/1975
+Permanent Account Number
+AAGFL 1234 Q
+Signature`;
+
+describe("normalizePan", () => {
+  it("fixes look-alikes by slot", () => {
+    expect(normalizePan("ABCPKI234F")).toBe("ABCPK1234F");
+    expect(normalizePan("A8CPK1234F")).toBe("ABCPK1234F");
+    expect(normalizePan("ABCPK12345")).toBe("ABCPK1234S");
+  });
+
+  it("rejects what cannot be a PAN", () => {
+    expect(normalizePan("ABCPK123")).toBeNull();
+    expect(normalizePan("ABCPK12#4F")).toBeNull();
+  });
+});
+
+describe("isPanCard", () => {
+  it("knows the card by its header or number", () => {
+    expect(isPanCard(NEW_LAYOUT)).toBe(true);
+    expect(isPanCard("some text ABCPK1234F")).toBe(true);
+    expect(isPanCard("VOTER ID SOL3248432")).toBe(false);
+  });
+});
+
+describe("extractPanFields", () => {
+  it("reads the labelled layout", () => {
+    expect(extractPanFields(NEW_LAYOUT)).toEqual({
+      docType: "PAN Card",
+      name: "RAVI KUMAR",
+      fatherName: "MURUGAN SELVAM",
+      dob: "15/08/1990",
+      pan: "ABCPK1234F",
+      holderType: "Individual",
+    });
+  });
+
+  it("reads the old layout and a number split by OCR", () => {
+    expect(extractPanFields(OLD_LAYOUT)).toMatchObject({
+      name: "LAKSHMI DEVI",
+      fatherName: "RAMAN PILLAI",
+      dob: "01/01/1975",
+      pan: "AAGFL1234Q",
+      holderType: "Firm",
+    });
+  });
+
+  it("marks missing fields", () => {
+    expect(extractPanFields("INCOME TAX DEPARTMENT")).toMatchObject({
+      name: "Not found", pan: "Not found", holderType: "Not found", dob: "Not found",
+    });
+  });
+});
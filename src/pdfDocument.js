@@ -0,0 +1,102 @@
+/**
+ * SchemeLink — PDF uploads (e-Aadhaar, scanned certificates)
+ *
+ * UIDAI's e-Aadhaar is a password-protected PDF with a real text layer;
+ * a certificate scanned to PDF is just a picture of the page. readPdf()
+ * returns whichever the scanner can use:
+ *
+ *   readPdf(file, { askPassword, signal })
+ *     → { text, aspect, pages }  every page's own text — no OCR needed
+ *     → { blob, aspect }         the page rendered to an image, for the OCR pipeline
+ *
+ * `aspect` is the first page's. The text layer is read from every page, as
+ * an e-Aadhaar or a certificate can run onto a second one. A scan is OCR'd
+ * as one image, so a scanned PDF of more than one page is refused rather
+ * than read short.
+ *
+ * askPassword(retry) → Promise<string | null> is called while the file is
+ * encrypted (retry = the last password was wrong); null cancels with an
+ * AbortError. pdf.js is loaded on first use, so photos never pay for it.
+ */
+import { abortError } from "./ocrPool";
+
+// A page with less text than this is a scan (stray OCR'd headers, page numbers)
+const MIN_TEXT = 40;
+
+// px, width of a page rendered for OCR (A4 at ~170 dpi; cards become larger)
+const RENDER_WIDTH = 1400;
+
+export const isPdf = (file) =>
+  file.type === "application/pdf" || /\.pdf$/i.test(file.name || "");
+
+let pdfjs = null;
+async function loadPdfJs() {
+  if (!pdfjs) {
+    const [lib, worker] = await Promise.all([
+      import("pdfjs-dist"),
+      import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+    ]);
+    lib.GlobalWorkerOptions.workerSrc = worker.default;
+    pdfjs = lib;
+  }
+  return pdfjs;
+}
+
+/** The page's text, one line per text-layer line */
+async function pageText(page) {
+  const { items } = await page.getTextContent();
+  return items.map((item) => item.str + (item.hasEOL ? "\n" : " ")).join("")
+    .split("\n").map((l) => l.replace(/\s+/g, " ").trim()).filter(Boolean).join("\n");
+}
+
+async function renderPage(page) {
+  const viewport = page.getViewport({ scale: RENDER_WIDTH / page.getViewport({ scale: 1 }).width });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(viewport.width);
+  canvas.height = Math.round(viewport.height);
+  await page.render({ canvas, viewport }).promise;
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((b) => b ? resolve(b) : reject(new Error("toBlob failed")), "image/png")
+  );
+}
+
+/** See the header */
+export async function readPdf(file, { askPassword, signal } = {}) {
+  const { getDocument, PasswordResponses } = await loadPdfJs();
+  const task = getDocument({ data: new Uint8Array(await file.arrayBuffer()) });
+  task.onPassword = (update, reason) => {
+    askPassword(reason === PasswordResponses.INCORRECT_PASSWORD).then((password) => {
+      if (password == null) task.destroy();
+      else update(password);
+    });
+  };
+  const cancel = () => task.destroy();
+  signal?.addEventListener("abort", cancel, { once: true });
+
+  try {
+    const pdf = await task.promise;
+    const first = await pdf.getPage(1);
+    const { width, height } = first.getViewport({ scale: 1 });
+    const aspect = width / height;
+
+    const texts = [await pageText(first)];
+    for (let n = 2; n <= pdf.numPages; n++) texts.push(await pageText(await pdf.getPage(n)));
+    const text = texts.filter(Boolean).join("\n");
+    if (text.replace(/\s/g, "").length >= MIN_TEXT) return { text, aspect, pages: pdf.numPages };
+
+    if (pdf.numPages > 1) {
+      throw new Error(
+        `This PDF has ${pdf.numPages} scanned pages and only one can be read at a time. `
+        + "Upload each page as its own photo or PDF."
+      );
+    }
+    return { blob: await renderPage(first), aspect };
+  } catch (err) {
+    // destroy() (password prompt closed, or the scan cancelled) rejects the task
+    if (task.destroyed || signal?.aborted) throw abortError();
+    throw err;
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+    task.destroy();
+  }
+}
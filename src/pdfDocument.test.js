@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from "vitest";
+import { isPdf, readPdf } from "./pdfDocument";
+
+// Node has no DOMMatrix or canvas: the legacy build brings both (@napi-rs/canvas)
+vi.mock("pdfjs-dist", () => import("pdfjs-dist/legacy/build/pdf.mjs"));
+vi.mock("pdfjs-dist/build/pdf.worker.min.mjs?url", async () => {
+  const { createRequire } = await import("node:module");
+  return { default: createRequire(import.meta.url).resolve("pdfjs-dist/legacy/build/pdf.worker.mjs") };
+});
+
+// A minimal PDF: one A4 page per entry, each line of text drawn in Helvetica
+// (an empty array is a page with no text layer, as from a scanner)
+function pdfFile(pages, name = "document.pdf") {
+  const objects = [];
+  const add = (body) => objects.push(body) && objects.length;
+  const catalog = add(null);
+  const tree = add(null);
+  const font = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+  const kids = pages.map((lines) => {
+    const ops = lines.map((l, i) => `BT /F1 12 Tf 50 ${780 - i * 16} Td (${l}) Tj ET`).join("\n");
+    const content = add(`<< /Length ${ops.length} >>\nstream\n${ops}\nendstream`);
+    return add(`<< /Type /Page /Parent ${tree} 0 R /MediaBox [0 0 595 842] `
+      + `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${tree} 0 R >>`;
+  objects[tree - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    + offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")
+    + `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new TextEncoder().encode(pdf);
+  return { name, type: "application/pdf", arrayBuffer: async () => bytes.buffer };
+}
+
+const FRONT = ["Government of India", "Ravi Kumar", "DOB: 15/08/1990", "Male"];
+const BACK = ["Unique Identification Authority of India", "Address: 12 Gandhi Street, Salem 636001", "2345 6789 0124"];
+
+describe("readPdf", () => {
+  it("reads the text layer of a one-page PDF", async () => {
+    const page = await readPdf(pdfFile([FRONT]));
+    expect(page.text).toBe(FRONT.join("\n"));
+    expect(page.aspect).toBeCloseTo(595 / 842, 3);
+    expect(page.pages).toBe(1);
+  });
+
+  it("reads every page, so a card block on page 2 is not cut off", async () => {
+    const page = await readPdf(pdfFile([FRONT, BACK]));
+    expect(page.text.split("\n")).toEqual([...FRONT, ...BACK]);
+    expect(page.pages).toBe(2);
+  });
+
+  it("refuses a scanned PDF of more than one page", async () => {
+    await expect(readPdf(pdfFile([[], []]))).rejects.toThrow(/2 scanned pages/);
+  });
+});
+
+describe("isPdf", () => {
+  it("goes by type or extension", () => {
+    expect(isPdf({ type: "application/pdf", name: "x" })).toBe(true);
+    expect(isPdf({ type: "", name: "E-AADHAAR.PDF" })).toBe(true);
+    expect(isPdf({ type: "image/png", name: "card.png" })).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * SchemeLink — Relevance ranking for matched schemes
+ *
+ * score (0–100) = criteria specificity (max 50)
+ *               + yearly benefit size from `benefit` (max 30)
+ *               + own-state bonus (20)
+ *
+ * A scheme that matched on "Farmer" + "Age 18+" outranks one with no
+ * conditions at all, so PM-KISAN sits above a generic health mission for a
+ * farmer.
+ */
+import { PASS } from "./eligibility";
+import { benefitFor, annualRange } from "./benefits";
+
+// ── Benefit size ──────────────────────────────────────────────────────────
+
+/** Yearly ₹ value of a scheme's benefit (upper end), null when unquantified */
+function benefitAmount(scheme, state) {
+  const range = annualRange(benefitFor(scheme, state));
+  return range ? range.max : null;
+}
+
+// ── Scoring ───────────────────────────────────────────────────────────────
+
+// How much a satisfied criterion says about fit; a narrow condition that
+// passed is a stronger signal than a broad age floor.
+const WEIGHT = {
+  minAge: 1,
+  maxAge: 1,
+  gender: 2,
+  maxAnnualIncome: 2,
+  anyOf: 2,
+  occupation: 3,
+  category: 3,
+  disability: 3,
+  states: 3,
+  rationCard: 3,
+};
+const MAX_CRITERIA_WEIGHT = 10;
+
+function criteriaScore(checks) {
+  const w = checks
+    .filter((c) => c.status === PASS)
+    .reduce((sum, c) => sum + (WEIGHT[c.key] || 1), 0);
+  return Math.min(w, MAX_CRITERIA_WEIGHT) / MAX_CRITERIA_WEIGHT * 50;
+}
+
+// Log scale: ₹1,000 ≈ 10 points, ₹1 lakh ≈ 20, ₹1 crore ≈ 30
+function benefitScore(amount) {
+  if (!amount || amount < 1) return 0;
+  return Math.min(30, Math.max(0, (Math.log10(amount) - 1) * 5));
+}
+
+function stateScore(checks) {
+  return checks.some((c) => c.key === "states" && c.status === PASS) ? 20 : 0;
+}
+
+/** Score one evaluateScheme() result; returns an integer 0–100. */
+export function scoreResult(result, state) {
+  const amount = benefitAmount(result.scheme, state);
+  const score = criteriaScore(result.checks) + benefitScore(amount) + stateScore(result.checks);
+  return Math.round(Math.min(100, score));
+}
+
+// ── Sorting ───────────────────────────────────────────────────────────────
+
+export const SORT_OPTIONS = [
+  { value: "relevance", label: "Relevance" },
+  { value: "benefit", label: "Benefit amount" },
+  { value: "name", label: "Name" },
+];
+
+const COMPARATORS = {
+  relevance: (a, b) => b.score - a.score || (b.amount ?? 0) - (a.amount ?? 0),
+  benefit: (a, b) => (b.amount ?? -1) - (a.amount ?? -1) || b.score - a.score,
+  name: (a, b) => a.scheme.title.localeCompare(b.scheme.title),
+};
+
+/**
+ * Attach { score, amount } to each result and return a new sorted array.
+ * `sortBy` is one of SORT_OPTIONS' values; `state` picks per-state amounts.
+ */
+export function rankResults(results, sortBy = "relevance", state = null) {
+  const ranked = results.map((r) => ({
+    ...r,
+    score: scoreResult(r, state),
+    amount: benefitAmount(r.scheme, state),
+  }));
+  return ranked.sort(COMPARATORS[sortBy] || COMPARATORS.relevance);
+}
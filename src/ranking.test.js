@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { evaluateScheme } from "./eligibility";
+import { scoreResult, rankResults } from "./ranking";
+
+const scheme = (title, eligibility, extra = {}) => ({ id: title, title, eligibility, ...extra });
+
+const FARMER = { age: 40, isFarmer: true, isStudent: false, state: "Tamil Nadu" };
+
+const result = (s, profile = FARMER) => evaluateScheme(profile, s);
+
+describe("scoreResult", () => {
+  it("scores a scheme without conditions or benefit figure 0", () => {
+    expect(scoreResult(result(scheme("Open", {})))).toBe(0);
+  });
+
+  it("rewards narrow conditions that passed over a broad age floor", () => {
+    const farmers = scoreResult(result(scheme("Farmers", { occupation: ["farmer"], minAge: 18 })));
+    const adults = scoreResult(result(scheme("Adults", { minAge: 18 })));
+    expect(farmers).toBeGreaterThan(adults);
+  });
+
+  it("does not count failed or unknown conditions", () => {
+    expect(scoreResult(result(scheme("Women", { gender: ["Female"] })))).toBe(0);
+  });
+
+  it("adds the own-state bonus", () => {
+    const s = scheme("State", {}, { states: ["Tamil Nadu"] });
+    // states is worth 3 of 10 criteria points (15 of 50), plus 20 for being in it
+    expect(scoreResult(result(s))).toBe(35);
+  });
+
+  it("grows with the yearly benefit and stays within 0–100", () => {
+    const small = scheme("Small", {}, { benefit: { type: "cash", max: 1000, frequency: "yearly" } });
+    const big = scheme("Big", {}, { benefit: { type: "cash", max: 6000, frequency: "monthly" } });
+    expect(scoreResult(result(big))).toBeGreaterThan(scoreResult(result(small)));
+    const huge = scheme("Huge", { occupation: ["farmer"], minAge: 18, maxAge: 60, anyOf: [{ minAge: 1 }] },
+      { states: ["Tamil Nadu"], benefit: { type: "cash", max: 1e12, frequency: "yearly" } });
+    expect(scoreResult(result(huge))).toBe(100);
+  });
+
+  it("uses the state's benefit override", () => {
+    const s = scheme("Override", {}, {
+      benefit: { type: "cash", max: 100, frequency: "yearly", stateOverrides: { Kerala: { max: 100000 } } },
+    });
+    expect(scoreResult(result(s), "Kerala")).toBeGreaterThan(scoreResult(result(s), "Tamil Nadu"));
+  });
+});
+
+describe("rankResults", () => {
+  const results = [
+    scheme("Beta", { minAge: 18 }, { benefit: { type: "cash", max: 50000, frequency: "yearly" } }),
+    scheme("Alpha", { occupation: ["farmer"] }),
+    scheme("Gamma", {}, { benefit: { type: "loan", max: 1000000, frequency: "once" } }),
+  ].map((s) => result(s));
+
+  it("sorts by relevance by default and attaches score and amount", () => {
+    const ranked = rankResults(results);
+    expect(ranked.map((r) => r.scheme.title)).toEqual(["Gamma", "Beta", "Alpha"]);
+    expect(ranked[0]).toHaveProperty("score");
+    expect(ranked[0].amount).toBe(1000000);
+  });
+
+  it("sorts by benefit amount, unquantified last", () => {
+    expect(rankResults(results, "benefit").map((r) => r.scheme.title)).toEqual(["Gamma", "Beta", "Alpha"]);
+  });
+
+  it("sorts by name", () => {
+    expect(rankResults(results, "name").map((r) => r.scheme.title)).toEqual(["Alpha", "Beta", "Gamma"]);
+  });
+
+  it("does not reorder its input", () => {
+    rankResults(results, "name");
+    expect(results.map((r) => r.scheme.title)).toEqual(["Beta", "Alpha", "Gamma"]);
+  });
+});
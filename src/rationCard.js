@@ -0,0 +1,142 @@
+/**
+ * SchemeLink — Ration / smart card parsing
+ *
+ * extractRationFields() reads full-card OCR text into
+ *   { docType: "Ration Card", cardNo, cardCategory, rationCardType,
+ *     name, address, members: [{ name, relation, age, gender }], raw }
+ *
+ * `cardCategory` is what the card prints (PHH-AAY, NPHH-S, BPL…);
+ * `rationCardType` maps it onto household.js' AAY / PHH / NPHH so it can go
+ * straight into the household and eligibility. `name` is the head of family.
+ * The member table is usually on the back of a smart card — scan that side
+ * to fill `members`.
+ */
+import { normalizeDigits } from "./certificateText";
+
+export const RATION_DOC_TYPE = "Ration Card";
+
+const RATION_KEYWORDS = [
+  "ration card", "family card", "smart card", "public distribution",
+  "food and civil supplies", "food & civil supplies",
+  "குடும்ப அட்டை", "மின்னணு குடும்ப அட்டை", "ரேஷன்",
+  "राशन कार्ड", "खाद्य एवं रसद", "खाद्य, नागरिक आपूर्ति",
+];
+
+export function isRationCard(text) {
+  const lower = (text || "").toLowerCase();
+  return RATION_KEYWORDS.some((k) => lower.includes(k));
+}
+
+// ── Card category ─────────────────────────────────────────────────────────
+// Specific labels first: "PHH-AAY" is an AAY card, "NPHH" must not read as PHH
+
+const CATEGORY_PATTERNS = [
+  { printed: "PHH-AAY", type: "AAY", re: /\bPHH\s*[-–]?\s*AAY\b/i },
+  { printed: "AAY", type: "AAY", re: /\bAAY\b|antyodaya|அந்தியோதயா|अंत्योदय/i },
+  { printed: "NPHH-S", type: "NPHH", re: /\bNPHH\s*[-–]?\s*S\b/i },
+  { printed: "NPHH-NC", type: "NPHH", re: /\bNPHH\s*[-–]?\s*NC\b/i },
+  { printed: "NPHH", type: "NPHH", re: /\bNPHH\b|non[-\s]?priority|முன்னுரிமையற்ற/i },
+  { printed: "PHH", type: "PHH", re: /\bPHH\b|priority\s+household|முன்னுரிமை|पात्र\s+गृहस्थी/i },
+  { printed: "BPL", type: "PHH", re: /\bBPL\b|below\s+poverty|गरीबी\s+रेखा\s+से\s+नीचे/i },
+  { printed: "APL", type: "NPHH", re: /\bAPL\b|above\s+poverty/i },
+];
+
+function extractCategory(text) {
+  const hit = CATEGORY_PATTERNS.find((p) => p.re.test(text));
+  return hit
+    ? { cardCategory: hit.printed, rationCardType: hit.type }
+    : { cardCategory: "Not found", rationCardType: "Not found" };
+}
+
+// ── Card number, head, address ────────────────────────────────────────────
+
+const CARD_NO = /(?:card\s*no|ration\s*card\s*(?:no|number)|rc\s*no|smart\s*card\s*no|அட்டை\s*எண்|कार्ड\s*(?:संख्या|नं|नंबर))\s*\.?\s*[:-]?\s*([A-Z0-9][A-Z0-9/-]{5,20})/i;
+
+function extractCardNo(text) {
+  const m = text.match(CARD_NO);
+  if (m) return m[1];
+  // TN smart cards: a bare 12-digit number starting with 33
+  const bare = text.match(/\b(33\d{10})\b/) || text.match(/\b(\d{10,12})\b/);
+  return bare ? bare[1] : "Not found";
+}
+
+const HEAD = /(?:head\s+of\s+(?:the\s+)?family|name\s+of\s+(?:the\s+)?head|card\s*holder|குடும்பத்\s*தலைவர்(?:\s*பெயர்)?|परिवार\s+के\s+मुखिया(?:\s+का\s+नाम)?)\s*[:-]?\s*([^\n:]{3,40})/i;
+
+function extractHead(text) {
+  const m = text.match(HEAD);
+  return m ? m[1].replace(/\s+/g, " ").trim() : "Not found";
+}
+
+const ADDRESS = /(?:address|முகவரி|पता)\s*[:-]?\s*([^\n]{6,120}(?:\n(?!\s*\d{1,2}[.)]?\s)[^\n:]{4,60}){0,2})/i;
+
+function extractAddress(text) {
+  const m = text.match(ADDRESS);
+  return m ? m[1].replace(/\s+/g, " ").replace(/[,\s]+$/, "").trim() : "Not found";
+}
+
+// ── Member table ──────────────────────────────────────────────────────────
+// Rows look like "1  RAMESH K   Self   45  M" or "2. Lakshmi  மனைவி  40  பெண்"
+
+const RELATIONS = {
+  self: /^(?:self|head|hof|தலைவர்|स्वयं|मुखिया)$/i,
+  spouse: /^(?:wife|husband|spouse|மனைவி|கணவர்|पत्नी|पति)$/i,
+  son: /^(?:son|மகன்|पुत्र|बेटा)$/i,
+  daughter: /^(?:daughter|மகள்|पुत्री|बेटी)$/i,
+  father: /^(?:father|தந்தை|पिता)$/i,
+  mother: /^(?:mother|தாய்|माता|माँ)$/i,
+};
+
+const GENDERS = {
+  Male: /^(?:m|male|ஆண்|पुरुष)$/i,
+  Female: /^(?:f|female|பெண்|महिला|स्त्री)$/i,
+};
+
+const lookup = (table, word) =>
+  Object.keys(table).find((k) => table[k].test(word)) || null;
+
+function parseMemberRow(line) {
+  const m = line.match(/^\s*(\d{1,2})[.)]?\s+(.+)$/);
+  if (!m) return null;
+  const words = m[2].split(/\s+/);
+
+  const member = { name: "", relation: null, age: null, gender: null };
+  const nameWords = [];
+  for (const w of words) {
+    const relation = lookup(RELATIONS, w);
+    const gender = lookup(GENDERS, w);
+    if (relation && !member.relation) member.relation = relation;
+    else if (gender && !member.gender) member.gender = gender;
+    else if (/^\d{1,3}$/.test(w) && member.age == null) member.age = Number(w);
+    else if (!member.relation && member.age == null) nameWords.push(w);
+  }
+  member.name = nameWords.join(" ").replace(/[^\p{L}\p{M}.\s]/gu, "").trim();
+  // A serial number and a name alone could be an address line ("12 North Street")
+  return member.name.length >= 3 && (member.relation || member.age != null) ? member : null;
+}
+
+function extractMembers(lines) {
+  return lines.map(parseMemberRow).filter(Boolean);
+}
+
+/** Pull every ration-card field out of the card's OCR text */
+export function extractRationFields(rawText) {
+  const text = normalizeDigits(rawText || "");
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const members = extractMembers(lines);
+
+  let name = extractHead(text);
+  if (name === "Not found") {
+    const head = members.find((m) => m.relation === "self");
+    if (head) name = head.name;
+  }
+
+  return {
+    docType: RATION_DOC_TYPE,
+    cardNo: extractCardNo(text),
+    ...extractCategory(text),
+    name,
+    address: extractAddress(text),
+    members,
+    raw: rawText,
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { isRationCard, extractRationFields } from "./rationCard";
+
+const TN_SMART_CARD = `தமிழ்நாடு அரசு மின்னணு குடும்ப அட்டை
+Family Card No : 333012345678
+PHH-AAY
+குடும்பத் தலைவர் பெயர் : LAKSHMI R
+Address : 12, North Street, Keelakarai
+Ramanathapuram 623517
+1 LAKSHMI R Self 45 F
+2. Ravi K  Husband  48  M
+3 Divya மகள் 12 பெண்`;
+
+const UP_CARD = `राशन कार्ड
+खाद्य एवं रसद विभाग उत्तर प्रदेश
+कार्ड संख्या : 2123456789012
+पात्र गृहस्थी
+1 राम कुमार मुखिया 52 पुरुष
+2 सीता देवी पत्नी 47 महिला`;
+
+describe("isRationCard", () => {
+  it("recognises Tamil Nadu and UP cards", () => {
+    expect(isRationCard(TN_SMART_CARD)).toBe(true);
+    expect(isRationCard(UP_CARD)).toBe(true);
+    expect(isRationCard("INCOME TAX DEPARTMENT")).toBe(false);
+  });
+});
+
+describe("extractRationFields", () => {
+  it("reads a Tamil Nadu smart card", () => {
+    const fields = extractRationFields(TN_SMART_CARD);
+    expect(fields).toMatchObject({
+      docType: "Ration Card",
+      cardNo: "333012345678",
+      cardCategory: "PHH-AAY",
+      rationCardType: "AAY",
+      name: "LAKSHMI R",
+    });
+    expect(fields.address).toMatch(/^12, North Street, Keelakarai/);
+    expect(fields.members).toEqual([
+      { name: "LAKSHMI R", relation: "self", age: 45, gender: "Female" },
+      { name: "Ravi K", relation: "spouse", age: 48, gender: "Male" },
+      { name: "Divya", relation: "daughter", age: 12, gender: "Female" },
+    ]);
+  });
+
+  it("reads a UP card and takes the head from the member table", () => {
+    expect(extractRationFields(UP_CARD)).toMatchObject({
+      cardNo: "2123456789012",
+      cardCategory: "PHH",
+      rationCardType: "PHH",
+      name: "राम कुमार",
+      members: [
+        { name: "राम कुमार", relation: "self", age: 52, gender: "Male" },
+        { name: "सीता देवी", relation: "spouse", age: 47, gender: "Female" },
+      ],
+    });
+  });
+
+  it("does not read NPHH as PHH", () => {
+    expect(extractRationFields("Ration Card NPHH-S").rationCardType).toBe("NPHH");
+    expect(extractRationFields("Ration Card NPHH").cardCategory).toBe("NPHH");
+  });
+});
@@ -1,6 +1,173 @@
 
 
+// The single scheme catalogue — App's grid, the hero search and SchemePreview
+// all read from here. `npm run validate:catalog` (also run before every
+// build) checks it with validateCatalog.js.
+//
+// `eligibility` holds the structured criteria read by eligibility.js (see the
+// key reference at the top of that file). Income ceilings are ₹ per year.
+// `states` lists where a State scheme applies; leave it out when it runs in
+// every state. `popular: true` puts a scheme in the "Popular Schemes" grid.
+//
+// `fund` is the human-readable text shown on cards; `benefit` is the same
+// thing in structured form for totals and ranking (see benefits.js):
+//   { type: cash | loan | insurance | subsidy | in-kind,
+//     min, max,            ₹ per payment — leave out when not quantifiable
+//     frequency: once | monthly | yearly,
+//     stateOverrides: { "Tamil Nadu": { min, max } } }
+//
+// `level: "household"` marks family-level schemes (one house, one LPG
+// connection, one insurance cover per family); their benefit is counted once
+// per household instead of once per eligible member (see household.js).
+//
+// `documents` lists the paperwork an application needs, by the ids in
+// documents.js; submission is blocked until every `required` one is present.
 const SCHEMES = [
+  {
+    id: 1,
+    title: "Post Matric Scholarship (SC/ST/OBC/Minorities/PwD)",
+    emoji: "📝",
+    region: "Central",
+    desc: "Financial assistance for post-matric courses to students from disadvantaged categories.",
+    fund: "Tuition fee + maintenance allowance (varies by category)",
+    benefit: { type: "cash", frequency: "yearly" },
+    tags: ["Students", "Inclusion", "Education"],
+    eligibility: { occupation: ["student"], maxAnnualIncome: 250000, anyOf: [{ category: ["SC", "ST", "OBC", "Minority"] }, { disability: true }] },
+    documents: { required: ["aadhaar", "bank", "income", "student"], optional: ["community", "disability", "photo"] },
+    popular: true,
+  },
+  {
+    id: 2,
+    title: "Indira Gandhi National Old Age Pension Scheme (IGNOAPS)",
+    emoji: "🧓",
+    region: "Central",
+    desc: "Monthly pension for elderly persons belonging to BPL households.",
+    fund: "₹200 – ₹500 per month (enhanced for 80+)",
+    benefit: { type: "cash", min: 200, max: 500, frequency: "monthly" },
+    tags: ["Senior Citizens", "BPL", "Pension"],
+    eligibility: { minAge: 60, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "age"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 3,
+    title: "Rashtriya Vayoshri Yojana (RVY)",
+    emoji: "♿",
+    region: "Central",
+    desc: "Provides assisted-living devices for senior citizens in BPL category suffering from age-related disabilities.",
+    fund: "Free devices support",
+    benefit: { type: "in-kind", frequency: "once" },
+    tags: ["Senior Citizens", "Disability"],
+    eligibility: { minAge: 60, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "income", "age"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 4,
+    title: "Pradhan Mantri Awaas Yojana – Gramin (PMAY-G)",
+    emoji: "🏡",
+    region: "Central",
+    desc: "Provides pucca houses with basic amenities to homeless and those living in kutcha/dilapidated houses.",
+    fund: "₹1.2 – ₹1.5 lakh per house",
+    benefit: { type: "cash", min: 120000, max: 150000, frequency: "once" },
+    tags: ["Housing", "Rural Development"],
+    eligibility: { maxAnnualIncome: 120000 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "income"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 5,
+    title: "Ayushman Bharat - PM Jan Arogya Yojana (PMJAY)",
+    emoji: "🩺",
+    region: "Central",
+    desc: "Provides ₹5 lakh annual health insurance cover per family for secondary & tertiary care.",
+    fund: "₹5,00,000 per family/year",
+    benefit: { type: "insurance", min: 500000, max: 500000, frequency: "yearly" },
+    tags: ["Health", "Insurance"],
+    eligibility: { maxAnnualIncome: 120000 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "income"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 6,
+    title: "National Apprenticeship Promotion Scheme (NAPS)",
+    emoji: "🛠️",
+    region: "Central",
+    desc: "Promotes apprenticeship training by supporting establishments and providing stipends to apprentices.",
+    fund: "Stipend + govt contribution",
+    benefit: { type: "cash", frequency: "monthly" },
+    tags: ["Skills", "Apprenticeship"],
+    eligibility: { minAge: 14 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 7,
+    title: "Pradhan Mantri Kaushal Vikas Yojana (PMKVY)",
+    emoji: "📚",
+    region: "Central",
+    desc: "Skill training for youth to improve employability and livelihood opportunities.",
+    fund: "Free training + certification",
+    benefit: { type: "in-kind", frequency: "once" },
+    tags: ["Skills", "Youth"],
+    eligibility: { minAge: 15, maxAge: 45 },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 8,
+    title: "Deendayal Antyodaya Yojana – NRLM (Self Help Groups)",
+    emoji: "👩‍🦰",
+    region: "Central",
+    desc: "Mobilizes rural poor women into SHGs and provides financial support for livelihood generation.",
+    fund: "₹15,000 – ₹50,000 group support",
+    benefit: { type: "cash", min: 15000, max: 50000, frequency: "once" },
+    tags: ["Women", "Self Help Groups"],
+    eligibility: { gender: ["Female"], minAge: 18, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 9,
+    title: "Deendayal Antyodaya Yojana – NULM",
+    emoji: "🏙️",
+    region: "Central",
+    desc: "Supports urban poor with skill training, micro-enterprises, shelters, and assistance to street vendors.",
+    fund: "Financial + skill training support",
+    benefit: { type: "in-kind", frequency: "once" },
+    tags: ["Urban", "Employment"],
+    eligibility: { maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "income"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 10,
+    title: "Senior Citizen Pension",
+    emoji: "👵",
+    region: "State",
+    desc: "Monthly pension for eligible elderly citizens under state welfare programs.",
+    fund: "₹1,000 – ₹2,500 per month",
+    benefit: { type: "cash", min: 1000, max: 2500, frequency: "monthly" },
+    tags: ["Senior Citizens", "Pension"],
+    eligibility: { minAge: 60 },
+    documents: { required: ["aadhaar", "bank", "age"], optional: ["photo"] },
+    popular: true,
+  },
+  {
+    id: 11,
+    title: "National Urban Livelihood Mission",
+    emoji: "🏙️",
+    region: "Central",
+    desc: "Skill training and livelihood support for urban poor households.",
+    fund: "Variable stipend + placement support",
+    benefit: { type: "cash", frequency: "monthly" },
+    tags: ["Employment", "Skills"],
+    eligibility: { maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income"], optional: ["photo"] },
+    popular: true,
+  },
   {
     id: 12,
     title: "Pradhan Mantri Jan Dhan Yojana (PMJDY)",
@@ -8,7 +175,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Ensures access to financial services like savings accounts, credit, insurance, and pension.",
     fund: "Zero balance account + accidental & life insurance",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Banking", "Financial Inclusion"],
+    eligibility: { minAge: 10 },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 13,
@@ -17,7 +187,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Savings scheme for the girl child’s education and marriage with high interest rate benefits.",
     fund: "Up to ₹1.5 lakh yearly deposit with tax benefits",
+    benefit: { type: "subsidy", frequency: "yearly" },
     tags: ["Girl Child", "Savings"],
+    eligibility: { gender: ["Female"], maxAge: 10 },
+    documents: { required: ["aadhaar", "bank", "birth"], optional: ["photo"] },
   },
   {
     id: 14,
@@ -26,7 +199,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides collateral-free loans to small and micro businesses under Shishu, Kishor, and Tarun categories.",
     fund: "₹50,000 – ₹10 lakh loans",
+    benefit: { type: "loan", min: 50000, max: 1000000, frequency: "once" },
     tags: ["Entrepreneurship", "MSME"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 15,
@@ -35,7 +211,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Supports SC/ST and women entrepreneurs with bank loans to start greenfield enterprises.",
     fund: "₹10 lakh – ₹1 crore loan support",
+    benefit: { type: "loan", min: 1000000, max: 10000000, frequency: "once" },
     tags: ["Women", "Entrepreneurship"],
+    eligibility: { minAge: 18, anyOf: [{ gender: ["Female"] }, { category: ["SC", "ST"] }] },
+    documents: { required: ["aadhaar", "bank"], optional: ["community", "photo"] },
   },
   {
     id: 16,
@@ -44,7 +223,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides timely credit to farmers for cultivation and other needs with flexible repayment.",
     fund: "Crop loan up to ₹3 lakh at concessional interest",
+    benefit: { type: "loan", max: 300000, frequency: "yearly" },
     tags: ["Farmers", "Agriculture"],
+    eligibility: { minAge: 18, occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 17,
@@ -53,7 +235,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides income support to small and marginal farmers directly into their bank accounts.",
     fund: "₹6,000 per year in 3 installments",
+    benefit: { type: "cash", min: 6000, max: 6000, frequency: "yearly" },
     tags: ["Farmers", "Direct Benefit Transfer"],
+    eligibility: { minAge: 18, occupation: ["farmer"] },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 18,
@@ -62,7 +248,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Campaign to prevent gender-biased sex selection and promote education for girl children.",
     fund: "Awareness + Education incentives",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Women", "Girl Child", "Education"],
+    eligibility: { gender: ["Female"], maxAge: 18 },
+    documents: { required: ["aadhaar", "birth"], optional: ["photo"] },
   },
   {
     id: 19,
@@ -71,7 +260,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides free LPG connections to women from BPL households to promote clean cooking.",
     fund: "Free LPG connection + subsidy",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Women", "Health", "Energy"],
+    eligibility: { gender: ["Female"], minAge: 18, anyOf: [{ maxAnnualIncome: 120000 }, { rationCard: ["AAY", "PHH"] }] },
+    level: "household",
+    documents: { required: ["aadhaar", "income"], optional: ["photo"] },
   },
   {
     id: 20,
@@ -80,7 +273,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Ensures subsidized food grains to eligible households through the Public Distribution System.",
     fund: "₹1–₹3 per kg rice/wheat",
+    benefit: { type: "in-kind", frequency: "monthly" },
     tags: ["Food", "BPL"],
+    eligibility: { maxAnnualIncome: 120000 },
+    level: "household",
+    documents: { required: ["aadhaar", "income", "ration"], optional: ["photo"] },
   },
   {
     id: 21,
@@ -89,7 +286,10 @@ const SCHEMES = [
     region: "State",
     desc: "Financial assistance for marriage of girls from poor families in several states.",
     fund: "₹25,000 – ₹50,000 + gold support (varies by state)",
+    benefit: { type: "cash", min: 25000, max: 50000, frequency: "once" },
     tags: ["Women", "Marriage Assistance"],
+    eligibility: { gender: ["Female"], minAge: 18, maxAnnualIncome: 72000 },
+    documents: { required: ["aadhaar", "bank", "income"], optional: ["photo"] },
   },
   // … previous ones (id: 1 – 21)
 
@@ -100,7 +300,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Social security scheme providing pension to unorganized sector workers after 60 years.",
     fund: "₹1,000 – ₹5,000 per month pension (based on contribution)",
+    benefit: { type: "cash", min: 1000, max: 5000, frequency: "monthly" },
     tags: ["Pension", "Unorganized Sector"],
+    eligibility: { minAge: 18, maxAge: 40 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 23,
@@ -109,7 +312,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Accidental death and disability insurance scheme with very low premium.",
     fund: "₹2 lakh accidental cover at ₹12/year",
+    benefit: { type: "insurance", min: 200000, max: 200000, frequency: "yearly" },
     tags: ["Insurance", "Low-Income"],
+    eligibility: { minAge: 18, maxAge: 70 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 24,
@@ -118,7 +324,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Life insurance cover available to all savings bank account holders.",
     fund: "₹2 lakh life cover at ₹330/year",
+    benefit: { type: "insurance", min: 200000, max: 200000, frequency: "yearly" },
     tags: ["Insurance", "Life"],
+    eligibility: { minAge: 18, maxAge: 50 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 25,
@@ -127,7 +336,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides pensions to elderly, widows, and disabled persons from BPL households.",
     fund: "₹200 – ₹500 per month",
+    benefit: { type: "cash", min: 200, max: 500, frequency: "monthly" },
     tags: ["Pension", "Social Security"],
+    eligibility: { minAge: 60, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "age"], optional: ["photo"] },
   },
   {
     id: 26,
@@ -136,7 +348,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides free lunch to school children to improve nutrition and attendance.",
     fund: "Free cooked meals at schools",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Nutrition", "Education", "Children"],
+    eligibility: { minAge: 6, maxAge: 14, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student", "birth"], optional: ["photo"] },
   },
   {
     id: 27,
@@ -145,7 +360,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Delivers health, nutrition, and preschool education services to children under 6 and mothers.",
     fund: "Free food + health check-ups + education",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Children", "Women", "Health"],
+    eligibility: { anyOf: [{ maxAge: 6 }, { gender: ["Female"] }] },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 28,
@@ -154,7 +372,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Strengthens public health systems with focus on rural healthcare and maternal-child health.",
     fund: "Free/subsidized healthcare services",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Health", "Rural Development"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 29,
@@ -163,7 +384,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Aims to eliminate open defecation and improve sanitation facilities across India.",
     fund: "₹12,000 per household toilet + community support",
+    benefit: { type: "subsidy", min: 12000, max: 12000, frequency: "once" },
     tags: ["Sanitation", "Health", "Rural"],
+    eligibility: {},
+    level: "household",
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 30,
@@ -172,7 +397,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Cash incentive scheme to promote institutional delivery among pregnant women.",
     fund: "₹700 – ₹1,400 cash assistance (varies by state)",
+    benefit: { type: "cash", min: 700, max: 1400, frequency: "once" },
     tags: ["Women", "Maternity", "Health"],
+    eligibility: { gender: ["Female"], minAge: 19, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income"], optional: ["photo"] },
   },
   {
     id: 31,
@@ -181,7 +409,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Supports handloom weavers with training, marketing, and financial assistance.",
     fund: "Credit support + subsidy",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Artisans", "Livelihood"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 32,
@@ -190,7 +421,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Supports states in agriculture development through project-based funding.",
     fund: "Grant-based financial assistance",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Agriculture", "Farmers"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 33,
@@ -199,7 +433,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Crop insurance scheme protecting farmers against crop loss due to natural calamities.",
     fund: "Crop loss insurance cover",
+    benefit: { type: "insurance", frequency: "yearly" },
     tags: ["Farmers", "Insurance"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 34,
@@ -208,7 +445,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Large-scale initiative to train youth in employable skills across various sectors.",
     fund: "Free skill training + certification",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Skills", "Youth", "Employment"],
+    eligibility: { minAge: 15, maxAge: 45 },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 35,
@@ -217,7 +457,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes entrepreneurship with tax exemptions, funding support, and easier compliance.",
     fund: "Tax benefits + funding + incubation",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Entrepreneurship", "Innovation"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 36,
@@ -226,7 +469,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Transforms India into a digitally empowered society and knowledge economy.",
     fund: "Subsidized digital services + infrastructure support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Technology", "Governance"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 37,
@@ -235,7 +481,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes traditional systems of medicine like Ayurveda, Yoga, Unani, Siddha, and Homeopathy.",
     fund: "Support for AYUSH hospitals, dispensaries, and education",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Health", "AYUSH"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 38,
@@ -244,7 +493,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Universal immunization program to cover children and pregnant women.",
     fund: "Free vaccines + healthcare support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Health", "Children", "Women"],
+    eligibility: { anyOf: [{ maxAge: 2 }, { gender: ["Female"] }] },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 39,
@@ -253,7 +505,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Improves access to secondary education and enhances quality of schooling.",
     fund: "Funding for schools, infrastructure, and training",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Education", "Youth"],
+    eligibility: { minAge: 14, maxAge: 18, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student", "birth"], optional: ["photo"] },
   },
   {
     id: 40,
@@ -262,7 +517,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Scholarships for economically weaker students to reduce dropouts at secondary level.",
     fund: "₹12,000 per year per student",
+    benefit: { type: "cash", min: 12000, max: 12000, frequency: "yearly" },
     tags: ["Scholarship", "Students"],
+    eligibility: { minAge: 13, maxAge: 18, occupation: ["student"], maxAnnualIncome: 350000 },
+    documents: { required: ["aadhaar", "bank", "income", "student", "birth"], optional: ["photo"] },
   },
   {
     id: 41,
@@ -271,7 +529,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Umbrella mission to train people across sectors for employability and productivity.",
     fund: "Skill training + placement assistance",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Skills", "Employment"],
+    eligibility: { minAge: 15, maxAge: 45 },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 42,
@@ -280,7 +541,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Guarantees 100 days of wage employment to every rural household.",
     fund: "Wage payment per day of unskilled work",
+    benefit: { type: "cash", frequency: "yearly" },
     tags: ["Employment", "Rural Development"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 43,
@@ -289,7 +553,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Flagship program for universalization of elementary education for children 6–14 years.",
     fund: "Free books, uniforms, and teacher support",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Education", "Children"],
+    eligibility: { minAge: 6, maxAge: 14, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student", "birth"], optional: ["photo"] },
   },
   {
     id: 44,
@@ -298,7 +565,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes growth of bamboo sector for livelihood and ecological benefits.",
     fund: "Subsidy for bamboo cultivation + marketing",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Agriculture", "Environment"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 45,
@@ -307,7 +577,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Digital learning initiative ensuring education through TV, radio, and online platforms.",
     fund: "Free digital classes + e-resources",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Education", "Digital"],
+    eligibility: { occupation: ["student"] },
+    documents: { required: ["aadhaar", "student"], optional: ["photo"] },
   },
   {
     id: 46,
@@ -316,7 +589,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Allows beneficiaries to access subsidized food grains anywhere in India.",
     fund: "Same PDS entitlements across states",
+    benefit: { type: "in-kind", frequency: "monthly" },
     tags: ["Food Security", "Migrants"],
+    eligibility: { rationCard: ["AAY", "PHH"] },
+    level: "household",
+    documents: { required: ["aadhaar", "income", "ration"], optional: ["photo"] },
   },
   {
     id: 47,
@@ -325,7 +602,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes solar-powered charkhas to boost rural employment and green energy.",
     fund: "Subsidy + training support",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Renewable Energy", "Rural Employment"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 48,
@@ -334,7 +614,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides basic urban infrastructure like water supply, sewerage, and green spaces.",
     fund: "Project-based funding support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Urban", "Infrastructure"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 49,
@@ -343,7 +626,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Mission under NAPCC for afforestation, ecological balance, and carbon sequestration.",
     fund: "Funding for plantation and forest development",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Environment", "Climate Action"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 50,
@@ -352,7 +638,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Creates a digital health ecosystem with health IDs, records, and telemedicine.",
     fund: "Free digital health ID + govt e-health services",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Health", "Digital"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 51,
@@ -361,7 +650,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes adoption of electric and hybrid vehicles through incentives.",
     fund: "Subsidy on EV purchase and charging stations",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Transport", "Environment", "Technology"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 52,
@@ -370,7 +662,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Ensures functional household tap connections to rural households.",
     fund: "100% FHTC coverage with central/state funds",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Water", "Rural Development"],
+    eligibility: {},
+    level: "household",
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 53,
@@ -379,7 +675,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Links higher educational institutions with villages for sustainable development.",
     fund: "Project-based funding for rural innovations",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Education", "Rural", "Innovation"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 54,
@@ -388,7 +687,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Develops rural growth clusters with urban amenities while retaining village culture.",
     fund: "Infrastructure + livelihood project support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Rural", "Infrastructure"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 55,
@@ -397,7 +699,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes electronic delivery of government services to improve transparency.",
     fund: "Mission-mode project funding",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Digital", "Governance"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 56,
@@ -406,7 +711,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Skill development program for rural youth to enhance employability.",
     fund: "Free training + placement support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Youth", "Skills", "Employment"],
+    eligibility: { minAge: 15, maxAge: 35, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "income"], optional: ["photo"] },
   },
   {
     id: 57,
@@ -415,7 +723,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes holistic growth of horticulture sector including fruits, vegetables, and flowers.",
     fund: "Subsidy + financial support for horticulture",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Agriculture", "Farmers"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 58,
@@ -424,7 +735,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Funds state universities and colleges to improve access, equity, and quality in higher education.",
     fund: "Grant-based institutional funding",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Education", "Higher Education"],
+    eligibility: { minAge: 17, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student"], optional: ["photo"] },
   },
   {
     id: 59,
@@ -433,7 +747,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Strengthens health infrastructure and pandemic preparedness across India.",
     fund: "Funding for labs, health centers, and hospitals",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Health", "Infrastructure"],
+    eligibility: {},
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 60,
@@ -442,7 +759,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Engages rural youth in nation-building activities and leadership training.",
     fund: "Youth club support + training grants",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Youth", "Leadership"],
+    eligibility: { minAge: 15, maxAge: 29 },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 61,
@@ -451,7 +771,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Micro-credit scheme to support street vendors affected by COVID-19.",
     fund: "Collateral-free loans up to ₹10,000",
+    benefit: { type: "loan", max: 10000, frequency: "once" },
     tags: ["Urban", "Employment", "Microfinance"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 62,
@@ -460,7 +783,11 @@ const SCHEMES = [
     region: "Central",
     desc: "Encourages rooftop solar power generation for households and institutions.",
     fund: "Subsidy for solar rooftop installations",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Renewable Energy", "Environment"],
+    eligibility: { minAge: 18 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 63,
@@ -469,7 +796,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Credit-linked subsidy scheme for setting up micro-enterprises.",
     fund: "Subsidy up to 35% on project cost",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Entrepreneurship", "MSME"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 64,
@@ -478,7 +808,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Aims at improving farm productivity through efficient water use and irrigation.",
     fund: "Irrigation + watershed development funding",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Agriculture", "Farmers"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
   {
     id: 65,
@@ -487,7 +820,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Promotes solar-powered irrigation pumps for farmers to reduce diesel/electricity use.",
     fund: "Up to 60% subsidy on solar pumps",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Farmers", "Renewable Energy"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land"], optional: ["photo"] },
   },
 
   {
@@ -497,124 +833,167 @@ const SCHEMES = [
     region: "Central",
     desc: "National programme to revive sports culture and identify young talent.",
     fund: "Scholarship + training + infrastructure",
+    benefit: { type: "cash", frequency: "yearly" },
     tags: ["Sports", "Youth", "Health"],
-  },
-  {
-    id: 102,
-    title: "Mission Indradhanush",
-    emoji: "💉",
-    region: "Central",
-    desc: "Universal immunization programme covering all children and pregnant women.",
-    fund: "Free vaccination services",
-    tags: ["Health", "Children", "Women"],
+    eligibility: { minAge: 10, maxAge: 25 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 103,
     title: "Kanyashree Prakalpa (West Bengal)",
     emoji: "👧",
     region: "State",
+    states: ["West Bengal"],
     desc: "Cash transfers to adolescent girls to promote education and delay marriage.",
     fund: "₹750 – ₹25,000 depending on stage",
+    benefit: { type: "cash", min: 750, max: 25000, frequency: "once" },
     tags: ["Girls", "Education", "Welfare"],
+    eligibility: { gender: ["Female"], minAge: 13, maxAge: 18, occupation: ["student"], maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "student", "birth", "address"], optional: ["photo"] },
   },
   {
     id: 104,
     title: "Rythu Bandhu Scheme (Telangana)",
     emoji: "🌱",
     region: "State",
+    states: ["Telangana"],
     desc: "Investment support for farmers for each crop season.",
     fund: "₹5,000 per acre per season",
+    benefit: { type: "cash", min: 10000, max: 10000, frequency: "yearly" },
     tags: ["Farmers", "Agriculture"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land", "address"], optional: ["photo"] },
   },
   {
     id: 105,
     title: "Mukhyamantri Chiranjeevi Swasthya Bima Yojana (Rajasthan)",
     emoji: "🩺",
     region: "State",
+    states: ["Rajasthan"],
     desc: "Cashless health insurance for state residents.",
     fund: "₹25 lakh per family per year",
+    benefit: { type: "insurance", min: 2500000, max: 2500000, frequency: "yearly" },
     tags: ["Health", "Insurance"],
+    eligibility: {},
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "address"], optional: ["photo"] },
   },
   {
     id: 106,
     title: "Kudumbashree Mission (Kerala)",
     emoji: "👩‍👩‍👧",
     region: "State",
+    states: ["Kerala"],
     desc: "Women empowerment and poverty eradication through SHGs.",
     fund: "Revolving fund + livelihood support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Women", "Self Help Groups"],
+    eligibility: { gender: ["Female"], minAge: 18 },
+    documents: { required: ["aadhaar", "address"], optional: ["photo"] },
   },
   {
     id: 107,
     title: "Rajiv Gandhi Kisan Nyay Yojana (Chhattisgarh)",
     emoji: "🌾",
     region: "State",
+    states: ["Chhattisgarh"],
     desc: "Direct income support to farmers for crop cultivation.",
     fund: "₹9,000 – ₹10,000 per acre annually",
+    benefit: { type: "cash", min: 9000, max: 10000, frequency: "yearly" },
     tags: ["Farmers", "Income Support"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land", "address"], optional: ["photo"] },
   },
   {
     id: 108,
     title: "Amma Canteen (Tamil Nadu)",
     emoji: "🍛",
     region: "State",
+    states: ["Tamil Nadu"],
     desc: "Low-cost nutritious meals for urban poor.",
     fund: "₹1 – ₹5 per meal subsidy",
+    benefit: { type: "subsidy", frequency: "monthly" },
     tags: ["Food Security", "Urban"],
+    eligibility: {},
+    documents: { required: ["aadhaar", "bank", "address"], optional: ["photo"] },
   },
   {
     id: 109,
     title: "Saur Sujala Yojana (Chhattisgarh)",
     emoji: "☀️",
     region: "State",
+    states: ["Chhattisgarh"],
     desc: "Provides solar pumps to farmers for irrigation.",
     fund: "70–90% subsidy on solar pumps",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Farmers", "Energy", "Renewable"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land", "address"], optional: ["photo"] },
   },
   {
     id: 110,
     title: "Mission Bhagiratha (Telangana)",
     emoji: "🚰",
     region: "State",
+    states: ["Telangana"],
     desc: "Safe drinking water supply to rural households.",
     fund: "Infrastructure + pipeline support",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Water", "Rural Development"],
+    eligibility: {},
+    documents: { required: ["aadhaar", "address"], optional: ["photo"] },
   },
   {
     id: 111,
     title: "Mukhya Mantri Yuva Nestham (Andhra Pradesh)",
     emoji: "🧑‍💼",
     region: "State",
+    states: ["Andhra Pradesh"],
     desc: "Unemployment allowance for educated youth.",
     fund: "₹1,000 – ₹1,500 per month",
+    benefit: { type: "cash", min: 1000, max: 1500, frequency: "monthly" },
     tags: ["Youth", "Employment"],
+    eligibility: { minAge: 22, maxAge: 35 },
+    documents: { required: ["aadhaar", "bank", "address"], optional: ["photo"] },
   },
   {
     id: 112,
     title: "Sabooj Sathi (West Bengal)",
     emoji: "🚲",
     region: "State",
+    states: ["West Bengal"],
     desc: "Free bicycles to school-going students.",
     fund: "Free distribution",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Education", "Transport", "Students"],
+    eligibility: { minAge: 14, maxAge: 18, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student", "birth", "address"], optional: ["photo"] },
   },
   {
     id: 113,
     title: "Sandhya Suraksha Yojana (Karnataka)",
     emoji: "👴",
     region: "State",
+    states: ["Karnataka"],
     desc: "Monthly pension for destitute senior citizens.",
     fund: "₹1,000 – ₹1,500 per month",
+    benefit: { type: "cash", min: 1000, max: 1500, frequency: "monthly" },
     tags: ["Senior Citizens", "Pension"],
+    eligibility: { minAge: 65, maxAnnualIncome: 20000 },
+    documents: { required: ["aadhaar", "bank", "income", "age", "address"], optional: ["photo"] },
   },
   {
     id: 114,
     title: "Mukhyamantri Shiksha Puraskar Yojana (Odisha)",
     emoji: "🏆",
     region: "State",
+    states: ["Odisha"],
     desc: "Rewards and incentives to schools and students for excellence.",
     fund: "Cash awards up to ₹1 lakh",
+    benefit: { type: "cash", max: 100000, frequency: "once" },
     tags: ["Education", "Students"],
+    eligibility: { occupation: ["student"] },
+    documents: { required: ["aadhaar", "bank", "student", "address"], optional: ["photo"] },
   },
   {
     id: 115,
@@ -623,16 +1002,23 @@ const SCHEMES = [
     region: "Central",
     desc: "Holistic school education from pre-primary to senior secondary.",
     fund: "School grants + teacher training support",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Education", "Schools"],
+    eligibility: { maxAge: 18, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student", "birth"], optional: ["photo"] },
   },
   {
     id: 116,
     title: "Krishi Bhagya Yojana (Karnataka)",
     emoji: "🚜",
     region: "State",
+    states: ["Karnataka"],
     desc: "Promotes water conservation and sustainable farming.",
     fund: "Subsidy for farm ponds and equipment",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Farmers", "Water", "Sustainability"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land", "address"], optional: ["photo"] },
   },
   {
     id: 117,
@@ -641,25 +1027,37 @@ const SCHEMES = [
     region: "Central",
     desc: "Free health check-ups for pregnant women on the 9th of every month.",
     fund: "Free diagnostics + treatment",
+    benefit: { type: "in-kind", frequency: "once" },
     tags: ["Health", "Women"],
+    eligibility: { gender: ["Female"], minAge: 18 },
+    documents: { required: ["aadhaar"], optional: ["photo"] },
   },
   {
     id: 118,
     title: "Rajiv Aarogyasri (Andhra Pradesh & Telangana)",
     emoji: "🧑‍⚕️",
     region: "State",
+    states: ["Andhra Pradesh", "Telangana"],
     desc: "Cashless medical treatment for BPL families.",
     fund: "₹5 lakh per family/year",
+    benefit: { type: "insurance", min: 500000, max: 500000, frequency: "yearly" },
     tags: ["Health", "Insurance"],
+    eligibility: { maxAnnualIncome: 500000 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "income", "address"], optional: ["photo"] },
   },
   {
     id: 119,
     title: "Delhi Ladli Scheme",
     emoji: "👶",
     region: "State",
+    states: ["Delhi"],
     desc: "Financial assistance to girl children for education and marriage.",
     fund: "₹11,000 – ₹1 lakh in installments",
+    benefit: { type: "cash", min: 11000, max: 100000, frequency: "once" },
     tags: ["Girls", "Education", "Welfare"],
+    eligibility: { gender: ["Female"], maxAge: 18 },
+    documents: { required: ["aadhaar", "bank", "birth", "address"], optional: ["photo"] },
   },
   {
     id: 120,
@@ -668,97 +1066,128 @@ const SCHEMES = [
     region: "Central",
     desc: "Boosts agro-processing and value addition in the food sector.",
     fund: "Grants up to ₹5 crore for projects",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Agriculture", "Food Processing"],
+    eligibility: { minAge: 18 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 121,
     title: "Mukhyamantri Kanya Vivah Yojana (Madhya Pradesh)",
     emoji: "💍",
     region: "State",
+    states: ["Madhya Pradesh"],
     desc: "Financial aid for marriage of daughters from poor families.",
     fund: "₹51,000 assistance per marriage",
+    benefit: { type: "cash", min: 51000, max: 51000, frequency: "once" },
     tags: ["Women", "Marriage", "Welfare"],
+    eligibility: { gender: ["Female"], minAge: 18, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "address"], optional: ["photo"] },
   },
   {
     id: 122,
     title: "YSR Rythu Bharosa (Andhra Pradesh)",
     emoji: "🌿",
     region: "State",
+    states: ["Andhra Pradesh"],
     desc: "Income support to farmers for crop investment.",
     fund: "₹13,500 per year to farmers",
+    benefit: { type: "cash", min: 13500, max: 13500, frequency: "yearly" },
     tags: ["Farmers", "Agriculture", "Support"],
-  },
-  {
-    id: 123,
-    title: "Sukanya Samriddhi Yojana",
-    emoji: "👧",
-    region: "Central",
-    desc: "Savings scheme for girl child’s education and marriage expenses.",
-    fund: "Up to ₹1.5 lakh yearly deposit with high interest",
-    tags: ["Girls", "Savings", "Education"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land", "address"], optional: ["photo"] },
   },
   {
     id: 124,
     title: "Mukhyamantri Krishi Ashirwad Yojana (Jharkhand)",
     emoji: "🌾",
     region: "State",
+    states: ["Jharkhand"],
     desc: "Financial support to small and marginal farmers.",
     fund: "₹5,000 per acre annually",
+    benefit: { type: "cash", min: 5000, max: 5000, frequency: "yearly" },
     tags: ["Farmers", "Agriculture"],
+    eligibility: { occupation: ["farmer"] },
+    documents: { required: ["aadhaar", "bank", "land", "address"], optional: ["photo"] },
   },
   {
     id: 125,
     title: "YSR Cheyutha (Andhra Pradesh)",
     emoji: "👩‍🦳",
     region: "State",
+    states: ["Andhra Pradesh"],
     desc: "Support to women from SC, ST, OBC, and minority groups aged 45–60.",
     fund: "₹75,000 over 4 years",
+    benefit: { type: "cash", min: 18750, max: 18750, frequency: "yearly" },
     tags: ["Women", "Livelihood"],
+    eligibility: { gender: ["Female"], minAge: 45, maxAge: 60, category: ["SC", "ST", "OBC", "Minority"] },
+    documents: { required: ["aadhaar", "bank", "community", "address"], optional: ["photo"] },
   },
   {
     id: 126,
     title: "Mukhyamantri Amrutum Yojana (Gujarat)",
     emoji: "🧑‍⚕️",
     region: "State",
+    states: ["Gujarat"],
     desc: "Health insurance scheme for BPL and lower-income groups.",
     fund: "₹5 lakh per family/year",
+    benefit: { type: "insurance", min: 500000, max: 500000, frequency: "yearly" },
     tags: ["Health", "Insurance"],
+    eligibility: { maxAnnualIncome: 400000 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "income", "address"], optional: ["photo"] },
   },
   {
     id: 127,
     title: "Madhubabu Pension Yojana (Odisha)",
     emoji: "🧓",
     region: "State",
+    states: ["Odisha"],
     desc: "Monthly pension for elderly, widows, and disabled persons.",
     fund: "₹500 – ₹1,200/month",
+    benefit: { type: "cash", min: 500, max: 1200, frequency: "monthly" },
     tags: ["Pension", "Senior Citizens", "Disability"],
+    eligibility: { anyOf: [{ minAge: 60 }, { disability: true }] },
+    documents: { required: ["aadhaar", "bank", "address"], optional: ["disability", "photo"] },
   },
   {
     id: 128,
     title: "Samajik Suraksha Pension Yojana (Haryana)",
     emoji: "🏦",
     region: "State",
+    states: ["Haryana"],
     desc: "Pension scheme for elderly, widows, and disabled residents.",
     fund: "₹2,750 per month",
+    benefit: { type: "cash", min: 2750, max: 2750, frequency: "monthly" },
     tags: ["Pension", "Welfare"],
+    eligibility: { minAge: 60, maxAnnualIncome: 300000 },
+    documents: { required: ["aadhaar", "bank", "income", "age", "address"], optional: ["photo"] },
   },
   {
     id: 129,
     title: "Mukhyamantri Balika Cycle Yojana (Bihar)",
     emoji: "🚴‍♀️",
     region: "State",
+    states: ["Bihar"],
     desc: "Free cycles for girl students to promote education and reduce dropouts.",
     fund: "Cycle worth ₹3,000 provided",
+    benefit: { type: "in-kind", min: 3000, max: 3000, frequency: "once" },
     tags: ["Girls", "Education", "Transport"],
+    eligibility: { gender: ["Female"], minAge: 13, maxAge: 16, occupation: ["student"] },
+    documents: { required: ["aadhaar", "student", "birth", "address"], optional: ["photo"] },
   },
   {
     id: 130,
     title: "YSR Aasara (Andhra Pradesh)",
     emoji: "👭",
     region: "State",
+    states: ["Andhra Pradesh"],
     desc: "Financial support to women SHGs by reimbursing outstanding bank loans.",
     fund: "₹25,000 – ₹1 lakh loan waiver",
+    benefit: { type: "cash", min: 25000, max: 100000, frequency: "once" },
     tags: ["Women", "Self Help Groups"],
+    eligibility: { gender: ["Female"], minAge: 18 },
+    documents: { required: ["aadhaar", "bank", "address"], optional: ["photo"] },
   },
   {
     id: 131,
@@ -767,34 +1196,50 @@ const SCHEMES = [
     region: "Central",
     desc: "Residential schools for ST students to ensure quality education.",
     fund: "Free boarding, education, and facilities",
+    benefit: { type: "in-kind", frequency: "yearly" },
     tags: ["Education", "Tribal"],
+    eligibility: { minAge: 10, maxAge: 18, occupation: ["student"], category: ["ST"] },
+    documents: { required: ["aadhaar", "community", "student", "birth"], optional: ["photo"] },
   },
   {
     id: 132,
     title: "Bhagyalakshmi Scheme (Karnataka)",
     emoji: "👶",
     region: "State",
+    states: ["Karnataka"],
     desc: "Encourages birth of girl child by financial support to families.",
     fund: "₹1 lakh maturity benefit on girl turning 18",
+    benefit: { type: "cash", min: 100000, max: 100000, frequency: "once" },
     tags: ["Girls", "Savings", "Welfare"],
+    eligibility: { gender: ["Female"], maxAge: 18, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "birth", "address"], optional: ["photo"] },
   },
   {
     id: 133,
     title: "Mukhyamantri Chhatra Yojana (Bihar)",
     emoji: "📖",
     region: "State",
+    states: ["Bihar"],
     desc: "Financial support for higher education of SC/ST/OBC students.",
     fund: "₹10,000 – ₹50,000 depending on course",
+    benefit: { type: "cash", min: 10000, max: 50000, frequency: "once" },
     tags: ["Education", "Students"],
+    eligibility: { occupation: ["student"] },
+    documents: { required: ["aadhaar", "bank", "student", "address"], optional: ["photo"] },
   },
   {
     id: 134,
     title: "Rajiv Gandhi Rural Housing Corporation (Karnataka)",
     emoji: "🏘️",
     region: "State",
+    states: ["Karnataka"],
     desc: "Housing scheme for economically weaker sections in rural areas.",
     fund: "Subsidized pucca houses",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Housing", "Rural"],
+    eligibility: { maxAnnualIncome: 120000 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "income", "address"], optional: ["photo"] },
   },
   {
     id: 135,
@@ -803,25 +1248,37 @@ const SCHEMES = [
     region: "Central",
     desc: "Insurance scheme for handloom weavers.",
     fund: "Life insurance up to ₹60,000",
+    benefit: { type: "insurance", min: 60000, max: 60000, frequency: "yearly" },
     tags: ["Weavers", "Insurance"],
+    eligibility: { minAge: 18, maxAge: 59 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 136,
     title: "Delhi Annashree Yojana",
     emoji: "🥗",
     region: "State",
+    states: ["Delhi"],
     desc: "Direct cash transfer for food security to poor households.",
     fund: "₹600 per month per family",
+    benefit: { type: "cash", min: 600, max: 600, frequency: "monthly" },
     tags: ["Food Security", "Urban"],
+    eligibility: { maxAnnualIncome: 120000 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank", "income", "address", "ration"], optional: ["photo"] },
   },
   {
     id: 137,
     title: "Mukhyamantri Old Age Samman Allowance (Delhi)",
     emoji: "🧓",
     region: "State",
+    states: ["Delhi"],
     desc: "Pension support to elderly residents of Delhi.",
     fund: "₹2,000 – ₹2,500/month",
+    benefit: { type: "cash", min: 2000, max: 2500, frequency: "monthly" },
     tags: ["Senior Citizens", "Pension"],
+    eligibility: { minAge: 60, maxAnnualIncome: 100000 },
+    documents: { required: ["aadhaar", "bank", "income", "age", "address"], optional: ["photo"] },
   },
   {
     id: 138,
@@ -830,16 +1287,24 @@ const SCHEMES = [
     region: "Central",
     desc: "Encourages adoption of rooftop solar panels by households.",
     fund: "40% subsidy for up to 3kW systems",
+    benefit: { type: "subsidy", frequency: "once" },
     tags: ["Energy", "Environment"],
+    eligibility: { minAge: 18 },
+    level: "household",
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
   {
     id: 139,
     title: "Jagananna Amma Vodi (Andhra Pradesh)",
     emoji: "📚",
     region: "State",
+    states: ["Andhra Pradesh"],
     desc: "Financial support to mothers for children’s school education.",
     fund: "₹15,000 per child/year",
+    benefit: { type: "cash", min: 15000, max: 15000, frequency: "yearly" },
     tags: ["Education", "Women", "Children"],
+    eligibility: { gender: ["Female"], minAge: 18, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "address"], optional: ["photo"] },
   },
   {
     id: 140,
@@ -848,7 +1313,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Unemployment allowance for industrial workers who lose jobs.",
     fund: "50% – 60% of wages for up to 1 year",
+    benefit: { type: "cash", frequency: "monthly" },
     tags: ["Workers", "Unemployment"],
+    eligibility: { minAge: 18, maxAge: 60 },
+    documents: { required: ["aadhaar", "bank"], optional: ["photo"] },
   },
 
   {
@@ -858,7 +1326,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides assistive devices like wheelchairs, hearing aids, and prosthetics to eligible PwDs.",
     fund: "100% cost if income ≤ ₹22,500/month; 50% if ₹22,501–₹30,000. Motorized tricycle/wheelchair subsidy up to ₹50,000.",
+    benefit: { type: "subsidy", max: 50000, frequency: "once" },
     tags: ["Assistive Devices", "Inclusion", "Direct Aid"],
+    eligibility: { disability: true, maxAnnualIncome: 360000 },
+    documents: { required: ["aadhaar", "bank", "income", "disability"], optional: ["photo"] },
   },
   {
     id: 142,
@@ -867,7 +1338,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Affordable health insurance for PwDs covering OPD, hospitalization, therapies, and corrective surgery.",
     fund: "Coverage up to ₹1 lakh/year. Premium: ₹250/year (BPL), ₹500/year (others).",
+    benefit: { type: "insurance", min: 100000, max: 100000, frequency: "yearly" },
     tags: ["Health", "Insurance", "Direct Aid"],
+    eligibility: { disability: true },
+    documents: { required: ["aadhaar", "bank", "disability"], optional: ["photo"] },
   },
   {
     id: 143,
@@ -876,7 +1350,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Scholarships for school and college students with disabilities to support education.",
     fund: "Pre-matric: ₹350–₹600/month + ₹1,000–₹1,500/year. Post-matric: ₹230–₹550/month + ₹1,600–₹1,750/year.",
+    benefit: { type: "cash", min: 4360, max: 8700, frequency: "yearly" },
     tags: ["Education", "Scholarship", "Direct Aid"],
+    eligibility: { disability: true, occupation: ["student"], maxAnnualIncome: 250000 },
+    documents: { required: ["aadhaar", "bank", "income", "disability", "student"], optional: ["photo"] },
   },
   {
     id: 144,
@@ -885,7 +1362,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Fellowship for M.Phil/Ph.D students with benchmark disabilities.",
     fund: "JRF: ₹31,000/month (first 2 years); SRF: ₹35,000/month (next 3 years) + Contingency ₹10,000–₹25,000/year + Escort ₹2,000/month + HRA.",
+    benefit: { type: "cash", min: 31000, max: 35000, frequency: "monthly" },
     tags: ["Higher Education", "Research", "Direct Aid"],
+    eligibility: { disability: true, minAge: 21, occupation: ["student"] },
+    documents: { required: ["aadhaar", "bank", "disability", "student"], optional: ["photo"] },
   },
   {
     id: 145,
@@ -894,7 +1374,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Provides concessional loans to PwDs for self-employment, education, and skill development.",
     fund: "Up to ₹25 lakh for self-employment @ 5–9% interest; up to ₹10 lakh for education loans.",
+    benefit: { type: "loan", max: 2500000, frequency: "once" },
     tags: ["Finance", "Employment", "Direct Aid"],
+    eligibility: { disability: true, minAge: 18 },
+    documents: { required: ["aadhaar", "bank", "disability"], optional: ["photo"] },
   },
   {
     id: 146,
@@ -903,7 +1386,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Special skill and entrepreneurship training for persons with disabilities.",
     fund: "Free training + stipend ₹1,000–₹1,500/month + free boarding & lodging.",
+    benefit: { type: "cash", min: 1000, max: 1500, frequency: "monthly" },
     tags: ["Skills", "Employment", "Direct Aid"],
+    eligibility: { disability: true, minAge: 15, maxAge: 59 },
+    documents: { required: ["aadhaar", "bank", "disability"], optional: ["photo"] },
   },
   {
     id: 147,
@@ -912,7 +1398,10 @@ const SCHEMES = [
     region: "Central",
     desc: "Encourages companies to hire PwDs by reimbursing EPF and ESI contributions.",
     fund: "100% of employer EPF (12%) + ESI (3.25%) contribution covered for first 3 years.",
+    benefit: { type: "subsidy", frequency: "yearly" },
     tags: ["Employment", "Inclusion", "Direct Aid"],
+    eligibility: { disability: true, minAge: 18 },
+    documents: { required: ["aadhaar", "bank", "disability"], optional: ["photo"] },
   },
   {
     id: 148,
@@ -921,7 +1410,19 @@ const SCHEMES = [
     region: "State",
     desc: "Monthly pension to eligible PwDs under state government social welfare programs.",
     fund: "₹1,000 – ₹3,000 per month (varies by state, e.g., Tamil Nadu ₹1,500, Delhi ₹2,500).",
+    benefit: {
+      type: "cash",
+      min: 1000,
+      max: 3000,
+      frequency: "monthly",
+      stateOverrides: {
+        "Tamil Nadu": { min: 1500, max: 1500 },
+        Delhi: { min: 2500, max: 2500 },
+      },
+    },
     tags: ["Pension", "Social Security", "Direct Aid"],
+    eligibility: { disability: true, minAge: 18 },
+    documents: { required: ["aadhaar", "bank", "disability"], optional: ["photo"] },
   },
   {
     id: 149,
@@ -930,7 +1431,10 @@ const SCHEMES = [
     region: "Central + State",
     desc: "Social assistance for persons with severe or multiple disabilities, especially from BPL households.",
     fund: "₹300/month from Central Govt + State top-up (many states add ₹700–₹2,000).",
+    benefit: { type: "cash", min: 300, max: 300, frequency: "monthly" },
     tags: ["Pension", "Social Security", "Direct Aid"],
+    eligibility: { disability: true, minAge: 18, maxAnnualIncome: 120000 },
+    documents: { required: ["aadhaar", "bank", "income", "disability"], optional: ["photo"] },
   },
 ];
 
@@ -0,0 +1,168 @@
+/**
+ * SchemeLink — Scheme search for the hero search bar
+ *
+ * Full-text over title, desc, fund and tags, tolerant to:
+ *   - typos        "pension" ≈ "penson", "scholarship" ≈ "scholarshp"
+ *   - prefixes     "schol" → "Scholarship"
+ *   - acronyms     "KCC" → "Kisan Credit Card", "PMAY" → "Pradhan Mantri Awaas Yojana"
+ *
+ * Every query word has to match somewhere (AND); results are ordered by how
+ * well and where they matched (title beats tags beats desc/fund).
+ */
+
+// ── Tokenising ────────────────────────────────────────────────────────────
+
+const STOP_WORDS = new Set(["of", "for", "the", "and", "to", "in", "a", "&"]);
+
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((w) => w && !STOP_WORDS.has(w));
+}
+
+/** Initials of the title words outside brackets: "Kisan Credit Card (KCC)" → "kcc" */
+function acronymOf(title) {
+  return tokenize(title.replace(/\(.*?\)/g, " "))
+    .map((w) => w[0])
+    .join("");
+}
+
+// ── Fuzzy word match ──────────────────────────────────────────────────────
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return 3;
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diag + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+/** 1 for an exact word, 0.8 for a prefix, 0.6 for a typo, 0 for no match */
+function wordScore(q, word) {
+  if (q === word) return 1;
+  if (q.length >= 3 && word.startsWith(q)) return 0.8;
+  const allowed = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  if (allowed && editDistance(q, word) <= allowed) return 0.6;
+  return 0;
+}
+
+// ── Index ─────────────────────────────────────────────────────────────────
+
+const FIELD_WEIGHT = { title: 3, acronym: 3, tags: 2, desc: 1, fund: 1 };
+
+function indexScheme(scheme) {
+  return {
+    title: tokenize(scheme.title),
+    acronym: [acronymOf(scheme.title)],
+    tags: tokenize(scheme.tags.join(" ")),
+    desc: tokenize(scheme.desc),
+    fund: tokenize(scheme.fund),
+  };
+}
+
+// Acronyms are matched by prefix only: "pmay" must not fuzzy-match "pmjy"
+function fieldScore(q, field, words) {
+  if (field === "acronym") {
+    return q.length >= 2 && words[0].startsWith(q) ? 1 : 0;
+  }
+  let best = 0;
+  for (const w of words) best = Math.max(best, wordScore(q, w));
+  return best;
+}
+
+function matchScore(queryWords, index) {
+  let total = 0;
+  for (const q of queryWords) {
+    let best = 0;
+    for (const [field, words] of Object.entries(index)) {
+      best = Math.max(best, fieldScore(q, field, words) * FIELD_WEIGHT[field]);
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+}
+
+// ── Filters ───────────────────────────────────────────────────────────────
+
+/** Scheme is "Central", "State" or both ("Central + State") */
+function inScope(scheme, scope) {
+  if (!scope) return true;
+  return scheme.region.split("+").map((r) => r.trim()).includes(scope);
+}
+
+/**
+ * A region (state) keeps Central schemes, schemes for that state and state
+ * schemes without a `states` list (they run in every state).
+ */
+function inRegion(scheme, region) {
+  if (!region || !scheme.states) return true;
+  return scheme.states.includes(region);
+}
+
+/** Sorted unique tags across the catalogue, for the tag filter */
+export function allTags(schemes) {
+  return [...new Set(schemes.flatMap((s) => s.tags))].sort();
+}
+
+/**
+ * Search schemes.
+ *   filters: { query, region, tag, scope } — empty values are ignored
+ */
+export function searchSchemes(schemes, filters) {
+  const { query = "", region = "", tag = "", scope = "" } = filters;
+  const queryWords = tokenize(query);
+
+  const hits = [];
+  for (const scheme of schemes) {
+    if (!inScope(scheme, scope)) continue;
+    if (!inRegion(scheme, region)) continue;
+    if (tag && !scheme.tags.includes(tag)) continue;
+
+    const score = queryWords.length ? matchScore(queryWords, indexScheme(scheme)) : 1;
+    if (score > 0) hits.push({ scheme, score });
+  }
+  return hits.sort((a, b) => b.score - a.score).map((h) => h.scheme);
+}
+
+// ── URL sync ──────────────────────────────────────────────────────────────
+
+const URL_KEYS = { query: "q", region: "region", tag: "tag", scope: "scope" };
+
+/** Read filters from ?q=…&region=…&tag=…&scope=… */
+export function filtersFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  for (const [key, param] of Object.entries(URL_KEYS)) {
+    filters[key] = params.get(param) || "";
+  }
+  return filters;
+}
+
+/** Write filters into the address bar without reloading, so it can be shared */
+export function filtersToUrl(filters) {
+  const params = new URLSearchParams(window.location.search);
+  for (const [key, param] of Object.entries(URL_KEYS)) {
+    if (filters[key]) params.set(param, filters[key]);
+    else params.delete(param);
+  }
+  const qs = params.toString();
+  const url = window.location.pathname + (qs ? `?${qs}` : "") + window.location.hash;
+  window.history.replaceState(null, "", url);
+}
+
+export function hasActiveFilters(filters) {
+  return Object.keys(URL_KEYS).some((k) => filters[k]);
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import SCHEMES from "./schemeData";
+import { searchSchemes, allTags, filtersFromUrl, hasActiveFilters } from "./search";
+
+const scheme = (title, extra = {}) => ({
+  title, desc: "", fund: "", tags: [], region: "Central", ...extra,
+});
+
+const CATALOGUE = [
+  scheme("Kisan Credit Card (KCC)", { tags: ["Farmers", "Loan"], desc: "Short-term crop loans" }),
+  scheme("Post Matric Scholarship", { tags: ["Education"], region: "Central + State" }),
+  scheme("Old Age Pension", { tags: ["Pension"], region: "State", states: ["Tamil Nadu"] }),
+  scheme("Widow Pension", { tags: ["Pension", "Women"], region: "State" }),
+];
+
+const titles = (filters) => searchSchemes(CATALOGUE, filters).map((s) => s.title);
+
+describe("searchSchemes", () => {
+  it("returns everything for an empty query", () => {
+    expect(titles({})).toHaveLength(CATALOGUE.length);
+  });
+
+  it("matches prefixes and typos", () => {
+    expect(titles({ query: "schol" })).toEqual(["Post Matric Scholarship"]);
+    expect(titles({ query: "scholarshp" })).toEqual(["Post Matric Scholarship"]);
+    expect(titles({ query: "penson" })).toEqual(["Old Age Pension", "Widow Pension"]);
+  });
+
+  it("matches a title's acronym by prefix", () => {
+    expect(titles({ query: "kcc" })).toEqual(["Kisan Credit Card (KCC)"]);
+    expect(titles({ query: "pmay" })).toEqual([]);
+  });
+
+  it("requires every query word to match", () => {
+    expect(titles({ query: "widow pension" })).toEqual(["Widow Pension"]);
+    expect(titles({ query: "widow scholarship" })).toEqual([]);
+  });
+
+  it("ranks title matches above description matches", () => {
+    const list = [
+      scheme("Health Mission", { desc: "Covers crop failure" }),
+      scheme("Crop Insurance"),
+    ];
+    expect(searchSchemes(list, { query: "crop" }).map((s) => s.title))
+      .toEqual(["Crop Insurance", "Health Mission"]);
+  });
+
+  it("filters by scope, tag and region", () => {
+    expect(titles({ scope: "State" })).toEqual(["Post Matric Scholarship", "Old Age Pension", "Widow Pension"]);
+    expect(titles({ tag: "Women" })).toEqual(["Widow Pension"]);
+    // A state scheme without a `states` list runs everywhere
+    expect(titles({ region: "Kerala", tag: "Pension" })).toEqual(["Widow Pension"]);
+  });
+
+  it("finds real catalogue schemes by acronym", () => {
+    expect(searchSchemes(SCHEMES, { query: "PMAY" })[0].title).toMatch(/Awaas/);
+  });
+});
+
+describe("allTags", () => {
+  it("lists each tag once, sorted", () => {
+    expect(allTags(CATALOGUE)).toEqual(["Education", "Farmers", "Loan", "Pension", "Women"]);
+  });
+});
+
+describe("URL filters", () => {
+  it("reads filters from a query string", () => {
+    expect(filtersFromUrl("?q=pension&region=Kerala")).toEqual({
+      query: "pension", region: "Kerala", tag: "", scope: "",
+    });
+  });
+
+  it("knows when any filter is set", () => {
+    expect(hasActiveFilters({ query: "", region: "", tag: "", scope: "" })).toBe(false);
+    expect(hasActiveFilters({ tag: "Women" })).toBe(true);
+  });
+});
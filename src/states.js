@@ -0,0 +1,117 @@
+/**
+ * SchemeLink — Indian states & union territories
+ *
+ * Used by the hero region dropdown, the profile form, the `states` field on
+ * state schemes in schemeData.js and to derive a state from an address or
+ * PIN code (e.g. the address OCR'd from an Aadhaar card).
+ */
+
+export const STATES = [
+  "Andhra Pradesh", "Arunachal Pradesh", "Assam", "Bihar", "Chhattisgarh",
+  "Goa", "Gujarat", "Haryana", "Himachal Pradesh", "Jharkhand", "Karnataka",
+  "Kerala", "Madhya Pradesh", "Maharashtra", "Manipur", "Meghalaya", "Mizoram",
+  "Nagaland", "Odisha", "Punjab", "Rajasthan", "Sikkim", "Tamil Nadu",
+  "Telangana", "Tripura", "Uttar Pradesh", "Uttarakhand", "West Bengal",
+];
+
+export const UNION_TERRITORIES = [
+  "Andaman and Nicobar Islands", "Chandigarh",
+  "Dadra and Nagar Haveli and Daman and Diu", "Delhi", "Jammu and Kashmir",
+  "Ladakh", "Lakshadweep", "Puducherry",
+];
+
+export const ALL_STATES = [...STATES, ...UNION_TERRITORIES];
+
+// Older or informal spellings seen on ID cards and certificates
+const ALIASES = {
+  "orissa": "Odisha",
+  "pondicherry": "Puducherry",
+  "new delhi": "Delhi",
+  "nct of delhi": "Delhi",
+  "uttaranchal": "Uttarakhand",
+  "jammu & kashmir": "Jammu and Kashmir",
+  "andaman & nicobar": "Andaman and Nicobar Islands",
+  "tamilnadu": "Tamil Nadu",
+};
+
+// ── PIN code → state ──────────────────────────────────────────────────────
+// First three digits of the PIN. Exceptions are listed before the broad
+// range they sit in; the first matching row wins.
+const PIN_RANGES = [
+  [110, 110, "Delhi"],
+  [121, 136, "Haryana"],
+  [160, 160, "Chandigarh"],
+  [140, 159, "Punjab"],
+  [171, 177, "Himachal Pradesh"],
+  [194, 194, "Ladakh"],
+  [180, 193, "Jammu and Kashmir"],
+  [246, 249, "Uttarakhand"],
+  [262, 263, "Uttarakhand"],
+  [201, 285, "Uttar Pradesh"],
+  [301, 345, "Rajasthan"],
+  [360, 396, "Gujarat"],
+  [403, 403, "Goa"],
+  [400, 445, "Maharashtra"],
+  [450, 488, "Madhya Pradesh"],
+  [490, 497, "Chhattisgarh"],
+  [500, 509, "Telangana"],
+  [515, 535, "Andhra Pradesh"],
+  [560, 591, "Karnataka"],
+  [605, 605, "Puducherry"],
+  [600, 643, "Tamil Nadu"],
+  [670, 695, "Kerala"],
+  [737, 737, "Sikkim"],
+  [744, 744, "Andaman and Nicobar Islands"],
+  [700, 743, "West Bengal"],
+  [751, 770, "Odisha"],
+  [781, 788, "Assam"],
+  [790, 792, "Arunachal Pradesh"],
+  [793, 794, "Meghalaya"],
+  [795, 795, "Manipur"],
+  [796, 796, "Mizoram"],
+  [797, 798, "Nagaland"],
+  [799, 799, "Tripura"],
+  [813, 816, "Jharkhand"],
+  [822, 822, "Jharkhand"],
+  [825, 835, "Jharkhand"],
+  [800, 855, "Bihar"],
+];
+
+/** "625 001" / "625001" → "Tamil Nadu"; null for an unknown or malformed PIN */
+export function stateFromPin(pin) {
+  const digits = String(pin || "").replace(/\s/g, "");
+  if (!/^[1-9]\d{5}$/.test(digits)) return null;
+  const prefix = parseInt(digits.slice(0, 3), 10);
+  const row = PIN_RANGES.find(([from, to]) => prefix >= from && prefix <= to);
+  return row ? row[2] : null;
+}
+
+// Whole words only: "Punjab" but not "Punjabi Bagh"
+function mentions(lower, name) {
+  const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  return new RegExp(`(?<![a-z])${escaped}(?![a-z])`).test(lower);
+}
+
+/**
+ * Best guess at the state in a free-text address: a valid 6-digit PIN code
+ * decides, otherwise a state name (or alias) written out as whole words.
+ * Street and locality names often carry another state's name ("Kerala
+ * Street, Coimbatore"), so the PIN wins when the two disagree.
+ */
+export function stateFromAddress(address) {
+  if (!address) return null;
+
+  const pin = address.match(/\b([1-9]\d{2})\s?(\d{3})\b/);
+  const fromPin = pin ? stateFromPin(pin[1] + pin[2]) : null;
+  if (fromPin) return fromPin;
+
+  const lower = address.toLowerCase();
+
+  // Longest names first so "Dadra and Nagar Haveli…" is not read as something shorter
+  const byLength = [...ALL_STATES].sort((a, b) => b.length - a.length);
+  const named = byLength.find((s) => mentions(lower, s));
+  if (named) return named;
+
+  const alias = Object.keys(ALIASES).find((a) => mentions(lower, a));
+  return alias ? ALIASES[alias] : null;
+}
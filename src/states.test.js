@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { stateFromPin, stateFromAddress } from "./states";
+
+describe("stateFromPin", () => {
+  it("maps the first three digits, exceptions before their range", () => {
+    expect(stateFromPin("625 001")).toBe("Tamil Nadu");
+    expect(stateFromPin("605001")).toBe("Puducherry");
+    expect(stateFromPin("160017")).toBe("Chandigarh");
+    expect(stateFromPin("834001")).toBe("Jharkhand");
+    expect(stateFromPin("800001")).toBe("Bihar");
+  });
+
+  it("rejects malformed or unassigned PINs", () => {
+    expect(stateFromPin("062500")).toBeNull();
+    expect(stateFromPin("62500")).toBeNull();
+    expect(stateFromPin("999999")).toBeNull();
+    expect(stateFromPin(null)).toBeNull();
+  });
+});
+
+describe("stateFromAddress", () => {
+  it("lets the PIN decide over a state name in a street or locality", () => {
+    expect(stateFromAddress("12, Kerala Street, Coimbatore 641001")).toBe("Tamil Nadu");
+    expect(stateFromAddress("A-4, Punjabi Bagh, New Delhi 110026")).toBe("Delhi");
+  });
+
+  it("reads a whole-word state name when there is no PIN", () => {
+    expect(stateFromAddress("Ward 5, Thrissur, Kerala")).toBe("Kerala");
+    expect(stateFromAddress("Village Rampur, Uttar   Pradesh")).toBe("Uttar Pradesh");
+    expect(stateFromAddress("Dadra and Nagar Haveli and Daman and Diu")).toBe("Dadra and Nagar Haveli and Daman and Diu");
+  });
+
+  it("ignores a state name inside a longer word", () => {
+    expect(stateFromAddress("Punjabi Bagh West")).toBeNull();
+    expect(stateFromAddress("Goalpara Road")).toBeNull();
+  });
+
+  it("falls back to informal spellings", () => {
+    expect(stateFromAddress("Cuttack, Orissa")).toBe("Odisha");
+    expect(stateFromAddress("Srinagar, Jammu & Kashmir")).toBe("Jammu and Kashmir");
+  });
+
+  it("uses the name when the PIN is not a known one", () => {
+    expect(stateFromAddress("Shillong, Meghalaya 999999")).toBe("Meghalaya");
+    expect(stateFromAddress("")).toBeNull();
+  });
+});
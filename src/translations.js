@@ -7,6 +7,16 @@ const TRANSLATIONS = {
       "Search by name, category, or your eligibility — quickly find scholarships, pensions, farmer support, and more.",
     searchPlaceholder: "Search schemes...",
     allRegions: "All regions",
+    search: "Search",
+    statesGroup: "States",
+    utGroup: "Union Territories",
+    allScopes: "Central & State",
+    central: "Central",
+    state: "State",
+    allTags: "All categories",
+    searchResults: "Search results",
+    clearSearch: "Clear search",
+    noResults: "No schemes match your search. Try fewer words or another region.",
     popularSchemes: "Popular Schemes",
     profile: "User Profile",
     saveProfile: "Save Profile",
@@ -15,6 +25,7 @@ const TRANSLATIONS = {
     uploadHint:
       "Select scheme and attach files (Aadhaar, income proof, certificate).",
     uploadBtn: "Upload",
+    myApplications: "My Applications",
     aboutTitle: "About SchemeLink",
     aboutText:
       "SchemeLink helps citizens discover welfare programs they qualify for and simplifies the application process.",
@@ -22,6 +33,7 @@ const TRANSLATIONS = {
     fundLabel: "Fund Amount",
     eligibleSchemes: "Eligible Schemes",
     fillAllFields: "Please fill all profile fields before saving.",
+    invalidAadhaar: "This is not a valid Aadhaar number — please check the 12 digits.",
   },
   ta: {
     siteName: "ஸ்கீம் லிங்க்",
@@ -31,6 +43,16 @@ const TRANSLATIONS = {
       "பெயர், வகை அல்லது தகுதிப்படி தேடுங்கள் — கல்வி உதவித்தொகை, ஓய்வூதியம், விவசாயி ஆதரவு போன்றவற்றை விரைவாக கண்டறியவும்.",
     searchPlaceholder: "திட்டங்களைத் தேடுங்கள்...",
     allRegions: "அனைத்து பிராந்தியங்கள்",
+    search: "தேடு",
+    statesGroup: "மாநிலங்கள்",
+    utGroup: "யூனியன் பிரதேசங்கள்",
+    allScopes: "மத்திய & மாநில",
+    central: "மத்திய அரசு",
+    state: "மாநில அரசு",
+    allTags: "அனைத்து வகைகள்",
+    searchResults: "தேடல் முடிவுகள்",
+    clearSearch: "தேடலை அழி",
+    noResults: "உங்கள் தேடலுக்கு பொருந்தும் திட்டங்கள் இல்லை. குறைவான சொற்கள் அல்லது வேறு பிராந்தியத்தை முயற்சிக்கவும்.",
     popularSchemes: "பிரபலமான திட்டங்கள்",
     profile: "பயனர் சுயவிவரம்",
     saveProfile: "சுயவிவரத்தை சேமிக்கவும்",
@@ -39,6 +61,7 @@ const TRANSLATIONS = {
     uploadHint:
       "திட்டத்தைத் தேர்வு செய்து (ஆதார், வருமானச் சான்று, சான்றிதழ்) போன்ற ஆவணங்களை இணைக்கவும்.",
     uploadBtn: "பதிவேற்றவும்",
+    myApplications: "எனது விண்ணப்பங்கள்",
     aboutTitle: "ஸ்கீம் லிங்க் பற்றி",
     aboutText:
       "ஸ்கீம் லிங்க் குடிமக்களுக்கு தகுதியான நலத் திட்டங்களை கண்டறியவும், விண்ணப்பிக்கும் செயல்முறையை எளிமையாக்கவும் உதவுகிறது.",
@@ -46,6 +69,7 @@ const TRANSLATIONS = {
     fundLabel: "நிதி தொகை",
     eligibleSchemes: "தகுதியான திட்டங்கள்",
     fillAllFields: "சுயவிவரத்தைச் சேமிக்க முன் அனைத்து விவரங்களையும் நிரப்பவும்.",
+    invalidAadhaar: "இது சரியான ஆதார் எண் அல்ல — 12 இலக்கங்களைச் சரிபார்க்கவும்.",
   },
   hi: {
     siteName: "स्कीमलिंक",
@@ -55,6 +79,16 @@ const TRANSLATIONS = {
       "नाम, श्रेणी या पात्रता से खोजें — छात्रवृत्ति, पेंशन, किसान सहायता और अधिक।",
     searchPlaceholder: "योजनाएँ खोजें...",
     allRegions: "सभी क्षेत्र",
+    search: "खोजें",
+    statesGroup: "राज्य",
+    utGroup: "केंद्र शासित प्रदेश",
+    allScopes: "केंद्र और राज्य",
+    central: "केंद्र",
+    state: "राज्य",
+    allTags: "सभी श्रेणियाँ",
+    searchResults: "खोज परिणाम",
+    clearSearch: "खोज साफ़ करें",
+    noResults: "आपकी खोज से कोई योजना मेल नहीं खाती। कम शब्द या कोई अन्य क्षेत्र आज़माएँ।",
     popularSchemes: "लोकप्रिय योजनाएँ",
     profile: "उपयोगकर्ता प्रोफ़ाइल",
     saveProfile: "प्रोफ़ाइल सहेजें",
@@ -63,6 +97,7 @@ const TRANSLATIONS = {
     uploadHint:
       "योजना चुनें और फ़ाइलें संलग्न करें (आधार, आय प्रमाण, प्रमाण पत्र)।",
     uploadBtn: "अपलोड करें",
+    myApplications: "मेरे आवेदन",
     aboutTitle: "स्कीमलिंक के बारे में",
     aboutText:
       "स्कीमलिंक नागरिकों को उनके लिए योग्य कल्याणकारी योजनाएँ खोजने और आवेदन प्रक्रिया को सरल बनाने में मदद करता है।",
@@ -70,6 +105,7 @@ const TRANSLATIONS = {
     fundLabel: "फंड राशि",
     eligibleSchemes: "पात्र योजनाएँ",
     fillAllFields: "सहेजने से पहले सभी प्रोफ़ाइल फ़ील्ड भरें।",
+    invalidAadhaar: "यह मान्य आधार संख्या नहीं है — कृपया 12 अंक जाँचें।",
   },
 };
 
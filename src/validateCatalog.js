@@ -0,0 +1,165 @@
+/**
+ * SchemeLink — Scheme catalogue validation
+ *
+ * Run by scripts/validate-catalog.js before every build. Returns a list of
+ * human-readable problems; an empty list means the catalogue is valid.
+ */
+import { CRITERIA_KEYS } from "./eligibility.js";
+import { ALL_STATES } from "./states.js";
+import { BENEFIT_TYPES, FREQUENCIES } from "./benefits.js";
+import { DOCUMENT_TYPES } from "./documents.js";
+
+export const REGIONS = ["Central", "State", "Central + State"];
+export const LEVELS = ["individual", "household"];
+
+// Adding a tag to a scheme means adding it here too — it keeps typos like
+// "Farmer" vs "Farmers" from silently splitting the tag filter.
+export const KNOWN_TAGS = [
+  "AYUSH", "Agriculture", "Apprenticeship", "Artisans", "Assistive Devices",
+  "BPL", "Banking", "Children", "Climate Action", "Digital", "Direct Aid",
+  "Direct Benefit Transfer", "Disability", "Education", "Employment", "Energy",
+  "Entrepreneurship", "Environment", "Farmers", "Finance", "Financial Inclusion",
+  "Food", "Food Processing", "Food Security", "Girl Child", "Girls", "Governance",
+  "Health", "Higher Education", "Housing", "Inclusion", "Income Support",
+  "Infrastructure", "Innovation", "Insurance", "Leadership", "Life", "Livelihood",
+  "Low-Income", "MSME", "Marriage", "Marriage Assistance", "Maternity",
+  "Microfinance", "Migrants", "Nutrition", "Pension", "Renewable",
+  "Renewable Energy", "Research", "Rural", "Rural Development", "Rural Employment",
+  "Sanitation", "Savings", "Scholarship", "Schools", "Self Help Groups",
+  "Senior Citizens", "Skills", "Social Security", "Sports", "Students", "Support",
+  "Sustainability", "Technology", "Transport", "Tribal", "Unemployment",
+  "Unorganized Sector", "Urban", "Water", "Weavers", "Welfare", "Women",
+  "Workers", "Youth",
+];
+
+const REQUIRED_STRINGS = ["title", "emoji", "desc", "fund", "region"];
+
+function validateAmounts(amounts, where, errors) {
+  const { min, max } = amounts;
+  for (const [k, v] of Object.entries({ min, max })) {
+    if (v !== undefined && (typeof v !== "number" || v < 0)) {
+      errors.push(`${where}: benefit ${k} must be a non-negative number`);
+    }
+  }
+  if (typeof min === "number" && typeof max === "number" && min > max) {
+    errors.push(`${where}: benefit min is larger than max`);
+  }
+}
+
+function validateBenefit(b, where, errors) {
+  if (!b || typeof b !== "object") {
+    errors.push(`${where}: missing field "benefit"`);
+    return;
+  }
+  if (!BENEFIT_TYPES.includes(b.type)) errors.push(`${where}: unknown benefit type "${b.type}"`);
+  if (!FREQUENCIES.includes(b.frequency)) errors.push(`${where}: unknown benefit frequency "${b.frequency}"`);
+  validateAmounts(b, where, errors);
+  for (const [state, amounts] of Object.entries(b.stateOverrides || {})) {
+    if (!ALL_STATES.includes(state)) errors.push(`${where}: benefit override for unknown state "${state}"`);
+    validateAmounts(amounts, `${where} (${state})`, errors);
+  }
+}
+
+function validateDocuments(docs, where, errors) {
+  if (!docs || !Array.isArray(docs.required)) {
+    errors.push(`${where}: missing field "documents.required"`);
+    return;
+  }
+  for (const type of [...docs.required, ...(docs.optional || [])]) {
+    if (!DOCUMENT_TYPES[type]) errors.push(`${where}: unknown document type "${type}"`);
+  }
+}
+
+function validateCriteria(criteria, where, errors) {
+  for (const [key, value] of Object.entries(criteria)) {
+    if (!CRITERIA_KEYS.includes(key)) {
+      errors.push(`${where}: unknown eligibility criterion "${key}"`);
+    } else if (key === "anyOf") {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${where}: "anyOf" must be a non-empty array`);
+      } else {
+        value.forEach((group, i) => validateCriteria(group, `${where} anyOf[${i}]`, errors));
+      }
+    }
+  }
+}
+
+// "Sukanya Samriddhi Yojana (SSY)" and "Sukanya Samriddhi Yojana" are the same
+// scheme; a state scheme keeps its states so same-named schemes elsewhere differ
+function titleKey(s) {
+  const title = String(s.title || "").toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return s.states ? `${title}|${[...s.states].sort().join(",")}` : title;
+}
+
+export function validateCatalog(schemes) {
+  const errors = [];
+  const seenIds = new Map();
+  const seenTitles = new Map();
+
+  schemes.forEach((s, i) => {
+    const where = `scheme #${i} (id ${s.id ?? "?"})`;
+
+    if (!Number.isInteger(s.id)) {
+      errors.push(`${where}: missing or non-integer id`);
+    } else if (seenIds.has(s.id)) {
+      errors.push(`${where}: duplicate id, already used by "${seenIds.get(s.id)}"`);
+    } else {
+      seenIds.set(s.id, s.title);
+    }
+
+    const key = titleKey(s);
+    if (key && seenTitles.has(key)) {
+      errors.push(`${where}: duplicate of scheme id ${seenTitles.get(key)} ("${s.title}")`);
+    } else if (key) {
+      seenTitles.set(key, s.id);
+    }
+
+    for (const field of REQUIRED_STRINGS) {
+      if (typeof s[field] !== "string" || s[field].trim() === "") {
+        errors.push(`${where}: missing field "${field}"`);
+      }
+    }
+
+    if (s.region && !REGIONS.includes(s.region)) {
+      errors.push(`${where}: unknown region "${s.region}"`);
+    }
+
+    if (s.states !== undefined) {
+      if (s.region === "Central") {
+        errors.push(`${where}: Central scheme must not list states`);
+      } else if (!Array.isArray(s.states) || s.states.length === 0) {
+        errors.push(`${where}: "states" must be a non-empty array`);
+      } else {
+        for (const st of s.states) {
+          if (!ALL_STATES.includes(st)) errors.push(`${where}: unknown state "${st}"`);
+        }
+      }
+    }
+
+    if (!Array.isArray(s.tags) || s.tags.length === 0) {
+      errors.push(`${where}: missing field "tags"`);
+    } else {
+      for (const tag of s.tags) {
+        if (!KNOWN_TAGS.includes(tag)) errors.push(`${where}: unknown tag "${tag}"`);
+      }
+    }
+
+    if (s.level !== undefined && !LEVELS.includes(s.level)) {
+      errors.push(`${where}: unknown level "${s.level}"`);
+    }
+
+    validateBenefit(s.benefit, where, errors);
+    validateDocuments(s.documents, where, errors);
+
+    if (!s.eligibility || typeof s.eligibility !== "object") {
+      errors.push(`${where}: missing field "eligibility"`);
+    } else {
+      validateCriteria(s.eligibility, where, errors);
+    }
+  });
+
+  return errors;
+}
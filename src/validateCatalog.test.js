@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import SCHEMES from "./schemeData";
+import { validateCatalog } from "./validateCatalog";
+
+const valid = (extra = {}) => ({
+  id: 1,
+  title: "Scheme",
+  emoji: "🌾",
+  desc: "Description",
+  fund: "Ministry",
+  region: "Central",
+  tags: ["Farmers"],
+  benefit: { type: "cash", max: 6000, frequency: "yearly" },
+  documents: { required: ["aadhaar"] },
+  eligibility: {},
+  ...extra,
+});
+
+describe("validateCatalog", () => {
+  it("accepts the shipped catalogue", () => {
+    expect(validateCatalog(SCHEMES)).toEqual([]);
+  });
+
+  it("accepts a minimal valid scheme", () => {
+    expect(validateCatalog([valid()])).toEqual([]);
+  });
+
+  it("reports duplicate and missing ids", () => {
+    const errors = validateCatalog([valid(), valid({ title: "Copy" }), valid({ id: "3", title: "Third" })]);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/duplicate id, already used by "Scheme"/);
+    expect(errors[1]).toMatch(/non-integer id/);
+  });
+
+  it("reports the same scheme listed twice under different ids", () => {
+    const errors = validateCatalog([
+      valid({ title: "Sukanya Samriddhi Yojana (SSY)" }),
+      valid({ id: 2, title: "Sukanya Samriddhi Yojana" }),
+      valid({ id: 3, title: "sukanya samriddhi  yojana." }),
+    ]);
+    expect(errors).toEqual([
+      expect.stringMatching(/id 2.*duplicate of scheme id 1/),
+      expect.stringMatching(/id 3.*duplicate of scheme id 1/),
+    ]);
+  });
+
+  it("allows the same title for schemes in different states", () => {
+    expect(validateCatalog([
+      valid({ region: "State", states: ["Bihar"], title: "Mukhyamantri Kanya Yojana (Bihar)" }),
+      valid({ id: 2, region: "State", states: ["Jharkhand"], title: "Mukhyamantri Kanya Yojana (Jharkhand)" }),
+    ])).toEqual([]);
+  });
+
+  it("reports missing strings, unknown tags and regions", () => {
+    const errors = validateCatalog([valid({ title: " ", tags: ["Farmer"], region: "Local" })]);
+    expect(errors).toEqual([
+      expect.stringMatching(/missing field "title"/),
+      expect.stringMatching(/unknown region "Local"/),
+      expect.stringMatching(/unknown tag "Farmer"/),
+    ]);
+  });
+
+  it("checks the states list against the scope", () => {
+    expect(validateCatalog([valid({ states: ["Tamil Nadu"] })]))
+      .toEqual([expect.stringMatching(/Central scheme must not list states/)]);
+    expect(validateCatalog([valid({ region: "State", states: ["Tamilnadu"] })]))
+      .toEqual([expect.stringMatching(/unknown state "Tamilnadu"/)]);
+    expect(validateCatalog([valid({ region: "State", states: [] })]))
+      .toEqual([expect.stringMatching(/non-empty array/)]);
+  });
+
+  it("checks benefits, including state overrides", () => {
+    const errors = validateCatalog([valid({
+      benefit: {
+        type: "grant", frequency: "daily", min: 10, max: 5,
+        stateOverrides: { Narnia: { max: -1 } },
+      },
+    })]);
+    expect(errors).toEqual([
+      expect.stringMatching(/unknown benefit type "grant"/),
+      expect.stringMatching(/unknown benefit frequency "daily"/),
+      expect.stringMatching(/min is larger than max/),
+      expect.stringMatching(/override for unknown state "Narnia"/),
+      expect.stringMatching(/\(Narnia\): benefit max must be a non-negative number/),
+    ]);
+  });
+
+  it("checks document types", () => {
+    expect(validateCatalog([valid({ documents: { required: ["passport"] } })]))
+      .toEqual([expect.stringMatching(/unknown document type "passport"/)]);
+    expect(validateCatalog([valid({ documents: undefined })]))
+      .toEqual([expect.stringMatching(/documents.required/)]);
+  });
+
+  it("checks eligibility criteria, inside anyOf too", () => {
+    const errors = validateCatalog([valid({
+      eligibility: { minAge: 18, caste: ["SC"], anyOf: [{ occupations: ["farmer"] }] },
+    })]);
+    expect(errors).toEqual([
+      expect.stringMatching(/unknown eligibility criterion "caste"/),
+      expect.stringMatching(/anyOf\[0\]: unknown eligibility criterion "occupations"/),
+    ]);
+    expect(validateCatalog([valid({ eligibility: { anyOf: [] } })]))
+      .toEqual([expect.stringMatching(/"anyOf" must be a non-empty array/)]);
+  });
+});
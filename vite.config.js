@@ -1,8 +1,64 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { OCR_LANGS, OCR_CACHE, OCR_FILES, langFile } from './src/ocrAssets.js'
+
+const require = createRequire(import.meta.url)
+
+// Tesseract's worker script, wasm cores and language packs, served from our
+// own origin so OCR works without the CDN (see src/ocrAssets.js). Only the
+// LSTM cores: the scanner never uses the legacy engine. The packs are the
+// ones tesseract.js would fetch from its CDN (LSTM, integer model).
+const TESSERACT_FILES = {
+  'tesseract/worker.min.js': 'tesseract.js/dist/worker.min.js',
+  'tesseract/tesseract-core-lstm.wasm.js': 'tesseract.js-core/tesseract-core-lstm.wasm.js',
+  'tesseract/tesseract-core-simd-lstm.wasm.js': 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+  ...Object.fromEntries(OCR_LANGS.map((lang) => [
+    langFile(lang), `@tesseract.js-data/${lang}/4.0.0_best_int/${lang}.traineddata.gz`,
+  ])),
+}
+
+const missing = OCR_FILES.filter((file) => !TESSERACT_FILES[file])
+if (missing.length) throw new Error(`vite.config.js: no source for OCR files ${missing.join(', ')}`)
+
+// The service worker with its cache name and file list from ocrAssets.js
+const serviceWorker = () =>
+  `const OCR_CACHE = ${JSON.stringify(OCR_CACHE)};\n` +
+  `const OCR_FILES = ${JSON.stringify(OCR_FILES)};\n\n` +
+  readFileSync(new URL('./src/ocr-sw.js', import.meta.url), 'utf8')
+
+function tesseractAssets() {
+  let base = '/'
+  return {
+    name: 'tesseract-assets',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = req.url?.split('?')[0].replace(base, '')
+        if (!TESSERACT_FILES[file]) return next()
+        res.setHeader('Content-Type', file.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        res.end(readFileSync(require.resolve(TESSERACT_FILES[file])))
+      })
+    },
+    generateBundle() {
+      for (const [file, from] of Object.entries(TESSERACT_FILES)) {
+        this.emitFile({ type: 'asset', fileName: file, source: readFileSync(require.resolve(from)) })
+      }
+      this.emitFile({ type: 'asset', fileName: 'ocr-sw.js', source: serviceWorker() })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), tesseractAssets()],
   base: "/Scheme-link/",
+  test: {
+    include: ['src/**/*.test.{js,jsx}'],
+    // Left over from Create React App: it looks for the template's "learn react" link
+    exclude: ['src/App.test.js'],
+  },
 })